@@ -0,0 +1,83 @@
+import express from 'express';
+import cors from 'cors';
+import newsRouter from './routes/news.js';
+import scanRouter from './routes/scan.js';
+import tickerRouter from './routes/ticker.js';
+import marketRoutes from './routes/market.js';
+import intradayRouter from './routes/intraday.js';
+import swingRouter from './routes/swing.js';
+import fundamentalsRouter from './routes/fundamentals.js';
+import derivativesRouter from './routes/derivatives.js';
+
+const app = express();
+const rawTrustProxy = process.env.TRUST_PROXY;
+
+function resolveTrustProxySetting(value) {
+  if (value == null || value === '') {
+    return process.env.NODE_ENV === 'production' ? 1 : false;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'false' || normalized === '0' || normalized === 'off') return false;
+  if (normalized === 'true') return 1;
+
+  const asNumber = Number(normalized);
+  if (Number.isFinite(asNumber) && asNumber >= 0) return asNumber;
+
+  return value;
+}
+
+app.set('trust proxy', resolveTrustProxySetting(rawTrustProxy));
+
+const DEFAULT_ALLOWED_ORIGINS = [
+  'http://localhost:5173',
+  'http://127.0.0.1:5173',
+  'http://localhost:3000',
+  'http://127.0.0.1:3000',
+  'http://localhost:4000',
+  'http://127.0.0.1:4000',
+  'https://signalxfrontend.vercel.app'
+];
+
+const configuredOrigins = String(process.env.CORS_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+const allowedOrigins = configuredOrigins.length ? configuredOrigins : DEFAULT_ALLOWED_ORIGINS;
+
+const corsOptions = {
+  origin(origin, callback) {
+    // Allow non-browser requests (curl/postman/server-to-server)
+    if (!origin) return callback(null, true);
+    if (allowedOrigins.includes(origin)) return callback(null, true);
+    return callback(new Error('Origin not allowed by CORS'));
+  },
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization']
+};
+
+app.use(cors(corsOptions));
+app.use(express.json());
+
+app.get('/', (req, res) => {
+  res.json({ status: 'ok', service: 'Smart Gap Trade Backend' });
+});
+
+app.use('/api/scan', scanRouter);
+app.use('/api/news', newsRouter);
+app.use('/api/ticker', tickerRouter);
+app.use('/api/market', marketRoutes);
+app.use('/api/intraday', intradayRouter);
+app.use('/api/swing', swingRouter);
+app.use('/api/fundamentals', fundamentalsRouter);
+app.use('/api/derivatives', derivativesRouter);
+
+app.use((err, req, res, next) => {
+  if (err?.message === 'Origin not allowed by CORS') {
+    return res.status(403).json({ error: 'Forbidden origin' });
+  }
+  console.error('Unhandled error:', err);
+  res.status(500).json({ error: 'Internal Server Error' });
+});
+
+export default app;
@@ -0,0 +1,30 @@
+import { timingSafeEqual } from 'crypto';
+
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+function sameToken(supplied, expected) {
+  const a = Buffer.from(String(supplied));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Guards routes that change shared state — the market calendar, imported
+ * delivery data, recorder runs.  With ADMIN_TOKEN set, callers must send
+ * `Authorization: Bearer <token>`.  Without it only direct localhost calls
+ * get through (nothing forwarded by a proxy), so an unconfigured deployment
+ * is never open to the internet.
+ */
+export function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (token) {
+    const header = String(req.get('authorization') || '');
+    const supplied = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    if (supplied && sameToken(supplied, token)) return next();
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+
+  const forwarded = req.get('x-forwarded-for') || req.get('forwarded');
+  if (!forwarded && LOOPBACK.has(req.socket?.remoteAddress)) return next();
+  return res.status(403).json({ error: 'Admin routes are limited to localhost until ADMIN_TOKEN is set' });
+}
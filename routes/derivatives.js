@@ -0,0 +1,96 @@
+import express from 'express';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import {
+  analyzeOptionChain,
+  classifyOptionsSignal,
+  fetchOptionChain,
+  isOptionable,
+  OPTION_INDEX_SYMBOLS
+} from '../services/optionChainService.js';
+import { fetchFuturesProfile } from '../services/futuresService.js';
+import { ensureInstrumentMaster, validateInstrument } from '../services/instrumentMaster.js';
+
+const router = express.Router();
+
+const optionsLimiter = createRateLimiter({
+  windowMs: Number(process.env.OPTIONS_RATE_LIMIT_WINDOW_MS || 10_000),
+  max: Number(process.env.OPTIONS_RATE_LIMIT_MAX || 20),
+  keyFn: (req) => `${req.ip}:derivatives:options`,
+  message: 'Too many option chain requests.'
+});
+
+// GET /api/derivatives/options/RELIANCE?expiry=27-Oct-2026&mode=intraday
+// PCR, max pain, OI walls and IV skew for one expiry (nearest by default),
+// plus how that positioning reads for a long and a short setup
+router.get('/options/:symbol', optionsLimiter, async (req, res) => {
+  const symbol = String(req.params.symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/, '');
+  const mode = req.query?.mode === 'intraday' ? 'intraday' : 'swing';
+  const expiry = req.query?.expiry ? String(req.query.expiry) : null;
+
+  try {
+    await ensureInstrumentMaster();
+    if (!OPTION_INDEX_SYMBOLS.includes(symbol)) {
+      const instrumentCheck = validateInstrument(symbol);
+      if (!instrumentCheck.valid) {
+        return res.status(404).json({ error: instrumentCheck.reason });
+      }
+    }
+    if (!isOptionable(symbol)) {
+      return res.status(404).json({ error: `${symbol} has no listed options (not in the F&O segment)` });
+    }
+
+    const analysis = analyzeOptionChain(await fetchOptionChain(symbol), { expiry });
+    if (!analysis) {
+      return res.status(502).json({ error: `Option chain unavailable for ${symbol}` });
+    }
+    if (expiry && analysis.expiry !== expiry) {
+      return res.status(400).json({ error: `expiry must be one of ${analysis.expiries.join(', ')}` });
+    }
+
+    res.json({
+      symbol,
+      ...analysis,
+      signals: {
+        long: classifyOptionsSignal(analysis, { biasDirection: 'long', mode }),
+        short: classifyOptionsSignal(analysis, { biasDirection: 'short', mode })
+      },
+      mode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('option chain error', err);
+    res.status(502).json({ error: `Option chain unavailable for ${symbol}` });
+  }
+});
+
+// GET /api/derivatives/futures/RELIANCE
+// Current/next-expiry futures, today's OI build-up, the daily build-up trail
+// and rollover into the next series
+router.get('/futures/:symbol', optionsLimiter, async (req, res) => {
+  const symbol = String(req.params.symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/, '');
+
+  try {
+    await ensureInstrumentMaster();
+    if (!OPTION_INDEX_SYMBOLS.includes(symbol)) {
+      const instrumentCheck = validateInstrument(symbol);
+      if (!instrumentCheck.valid) {
+        return res.status(404).json({ error: instrumentCheck.reason });
+      }
+    }
+    if (!isOptionable(symbol)) {
+      return res.status(404).json({ error: `${symbol} has no listed futures (not in the F&O segment)` });
+    }
+
+    const futures = await fetchFuturesProfile(symbol);
+    if (!futures) {
+      return res.status(502).json({ error: `Futures data unavailable for ${symbol}` });
+    }
+
+    res.json({ ...futures, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('futures error', err);
+    res.status(502).json({ error: `Futures data unavailable for ${symbol}` });
+  }
+});
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { fundamentalsForScoring, getFundamentals } from '../services/fundamentalsService.js';
+import { evaluateFundamentals } from '../services/fundamentalAnalyzer.js';
+import {
+  describeInstrument,
+  ensureInstrumentMaster,
+  getInstrument,
+  validateInstrument
+} from '../services/instrumentMaster.js';
+
+const router = express.Router();
+
+// Screener rate-limits aggressively; cached symbols are free but misses are not
+const fundamentalsLimiter = createRateLimiter({
+  windowMs: Number(process.env.FUNDAMENTALS_RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.FUNDAMENTALS_RATE_LIMIT_MAX || 30),
+  keyFn: (req) => `${req.ip}:fundamentals`,
+  message: 'Too many fundamentals requests.'
+});
+
+// GET /api/fundamentals/RELIANCE
+// Valuation, ownership and quarterly history, each metric with source + as-of
+router.get('/:symbol', fundamentalsLimiter, async (req, res) => {
+  const symbol = String(req.params.symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/, '');
+
+  try {
+    await ensureInstrumentMaster();
+    const instrumentCheck = validateInstrument(symbol);
+    if (!instrumentCheck.valid) {
+      return res.status(404).json({ error: instrumentCheck.reason });
+    }
+
+    const snapshot = await getFundamentals(symbol);
+    if (!snapshot) {
+      return res.status(502).json({ error: `Fundamentals unavailable for ${symbol}` });
+    }
+
+    const inputs = fundamentalsForScoring(snapshot);
+    const assessment = evaluateFundamentals(inputs);
+
+    res.json({
+      ...snapshot,
+      instrument: describeInstrument(getInstrument(symbol)),
+      assessment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('fundamentals error', err);
+    res.status(500).json({ error: 'Failed to fetch fundamentals' });
+  }
+});
+
+export default router;
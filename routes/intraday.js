@@ -4,26 +4,27 @@ import {
   detectVolumeSpike,
   calculateIntradayVWAP,
   supportResistance,
-  estimateATRPercent,
   selectIntradaySessionCandles,
-  getEMAStack,
-  calculateMACD,
-  calculateBollingerBands,
   getPreviousDayLevels,
   getVolumeTrend,
-  calculateADX,
-  calculateSupertrend,
-  calculateOBV,
-  calculateVWAPBands,
   detectCandlePattern
 } from '../services/technicalIndicators.js';
-import { computeRSI } from '../services/rsiCalculator.js';
+import { computeIndicators, indicatorWarmup, parseIndicatorRequest } from '../services/indicatorRegistry.js';
 import { evaluateIntraday, calculateIntradayEntryPrice } from '../services/positionEvaluator.js';
 import { createRateLimiter } from '../middleware/rateLimit.js';
 import { getEventRiskProfile } from '../services/eventRiskService.js';
 import { fetchMicrostructureSnapshot } from '../services/microstructureService.js';
 import { fetchMarketActivityProfile } from '../services/marketActivityService.js';
 import { buildProfessionalGate } from '../services/professionalDeskService.js';
+import { fetchOptionsProfile } from '../services/optionChainService.js';
+import { getSectorStrength, sectorScoreAdjustment } from '../services/sectorService.js';
+import { getLatestBreadth } from '../services/breadthService.js';
+import { getSurveillanceStatus } from '../services/surveillanceService.js';
+import { getVolatilityRegime } from '../services/volatilityRegimeService.js';
+import { ensureInstrumentMaster, validateInstrument } from '../services/instrumentMaster.js';
+import { parseScanUniverse } from '../services/scanUniverseService.js';
+import { validateCandles } from '../services/dataQualityService.js';
+import { ensureMarketCalendar, getLegacyMarketState } from '../services/marketCalendarService.js';
 
 const router = express.Router();
 const compliance = {
@@ -32,22 +33,6 @@ const compliance = {
   recommendationType: 'educational-screening',
   riskDisclosure: 'Do not treat this as investment advice. Validate with your own risk checks and a SEBI-registered advisor before any trade.',
 };
-const IST_PARTS_FORMATTER = new Intl.DateTimeFormat('en-US', {
-  timeZone: 'Asia/Kolkata',
-  weekday: 'short',
-  year: 'numeric',
-  month: '2-digit',
-  day: '2-digit',
-  hour: '2-digit',
-  minute: '2-digit',
-  hourCycle: 'h23'
-});
-const NSE_HOLIDAYS = new Set(
-  String(process.env.NSE_HOLIDAYS || '')
-    .split(',')
-    .map(s => s.trim())
-    .filter(Boolean)
-);
 const intradayStartLimiter = createRateLimiter({
   windowMs: Number(process.env.INTRADAY_START_RATE_LIMIT_WINDOW_MS || 60_000),
   max: Number(process.env.INTRADAY_START_RATE_LIMIT_MAX || 6),
@@ -61,10 +46,15 @@ const intradayScanLimiter = createRateLimiter({
   message: 'Too many intraday scan requests.'
 });
 
+// Read off today's session candles (EMA stack and MACD use the full history)
+const INTRADAY_SESSION_INDICATORS = ['bollinger', 'adx', 'supertrend', 'obv', 'vwapBands'];
+
 // 🗄️ Background scan cache
 let intradayCache = {
   status: 'idle',
+  universe: null,
   results: [],
+  volatilityRegime: null,
   updatedAt: null,
   error: null
 };
@@ -76,13 +66,16 @@ async function mapWithConcurrency(items, concurrency, fn) {
     const batch = items.slice(i, i + concurrency);
     const batchResults = await Promise.all(
       batch.map(item => {
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Symbol processing timeout')), 20000)
-        );
+        let timer;
+        const timeoutPromise = new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Symbol processing timeout')), 20000);
+        });
         return Promise.race([
           fn(item),
           timeoutPromise
-        ]).catch(err => ({ error: err.message, item }));
+        ])
+          .catch(err => ({ error: err.message, item }))
+          .finally(() => clearTimeout(timer));
       })
     );
     results.push(...batchResults);
@@ -119,9 +112,9 @@ function selectCandlesForTechnicals(candles, minCount = 20) {
 
 // 📊 Deep scan single symbol
 // backgroundMode=true → Yahoo-only path (no NSE mutex calls at all) + skip the
-// 3 NSE-dependent enrichment services.  Makes background scans fast regardless
+// 4 NSE-dependent enrichment services.  Makes background scans fast regardless
 // of NSE availability.  buildProfessionalGate handles null inputs gracefully.
-async function deepScanSymbol(symbol, { backgroundMode = false } = {}) {
+async function deepScanSymbol(symbol, { backgroundMode = false, volatilityRegime = null } = {}) {
   try {
     const scanSymbol = extractSymbol(symbol);
     if (!scanSymbol) return { symbol: String(symbol ?? ''), error: 'Invalid NSE symbol' };
@@ -138,6 +131,11 @@ async function deepScanSymbol(symbol, { backgroundMode = false } = {}) {
     // market is closed — 5m session candles are empty outside trading hours and
     // cause everything to evaluate as "Range-Bound – Wait".
     const resolvedSymbol = backgroundMode ? normalized : await resolveNSESymbol(symbol);
+    // Validate what the query resolved to — company names and aliases are not in the master
+    const instrumentCheck = validateInstrument(resolvedSymbol, { mode: 'intraday' });
+    if (!instrumentCheck.valid) {
+      return { symbol, error: instrumentCheck.reason };
+    }
     const gapData = backgroundMode
       ? await fetchGapDataFromYahoo(normalized)
       : await fetchGapData(resolvedSymbol);
@@ -148,7 +146,11 @@ async function deepScanSymbol(symbol, { backgroundMode = false } = {}) {
       ? await fetchOHLCV(normalized, Math.max(60, 14 + 20))
       : await fetchOHLCV(normalized, Math.max(60, 14 + 20), { interval: '5m', range: '5d' });
 
-    const technicalCandles = selectCandlesForTechnicals(candles, 20);
+    const { candles: validatedCandles, report: dataQuality } = validateCandles(candles, {
+      interval: backgroundMode ? '1d' : '5m',
+      referencePrice: gapData.currentPrice
+    });
+    const technicalCandles = selectCandlesForTechnicals(validatedCandles, 20);
 
     // backgroundMode: all daily candles act as the "session" — no intraday
     // session filtering needed.  Live mode: filter to today's 5m session.
@@ -157,23 +159,22 @@ async function deepScanSymbol(symbol, { backgroundMode = false } = {}) {
       : selectIntradaySessionCandles(technicalCandles);
 
     const intradayRsiCandles = intradaySessionCandles.length >= 15 ? intradaySessionCandles : technicalCandles;
-    const closes = intradayRsiCandles.map(c => c.close);
+    // Wilder ATR needs period + 1 bars; early in the session it reads the
+    // multi-session history instead
+    const atrCandles = intradaySessionCandles.length >= indicatorWarmup('atrPercent') ? intradaySessionCandles : technicalCandles;
     const lastCandle = intradaySessionCandles[intradaySessionCandles.length - 1] || technicalCandles[technicalCandles.length - 1] || candles[candles.length - 1];
-    const rsi = computeRSI(closes, 14);
+    const { rsi } = computeIndicators(intradayRsiCandles, ['rsi']);
+    const { atrPercent: volatilityPct } = computeIndicators(atrCandles, ['atrPercent']);
+    const { emaStack, macd } = computeIndicators(technicalCandles, ['emaStack', 'macd']);
+    const {
+      bollinger: bollingerBands, adx, supertrend, obv: obvData, vwapBands
+    } = computeIndicators(intradaySessionCandles, INTRADAY_SESSION_INDICATORS);
 
     const volumeData   = detectVolumeSpike(intradaySessionCandles);
     const vwap         = calculateIntradayVWAP(intradaySessionCandles);
     const { support, resistance } = supportResistance(intradaySessionCandles);
-    const volatilityPct = estimateATRPercent(intradaySessionCandles, 14);
-    const emaStack       = getEMAStack(technicalCandles);
-    const macd           = calculateMACD(technicalCandles.map(c => c.close));
-    const bollingerBands = calculateBollingerBands(intradaySessionCandles);
     const prevDayLevels  = getPreviousDayLevels(technicalCandles);
     const volumeTrend    = getVolumeTrend(intradaySessionCandles);
-    const adx            = calculateADX(intradaySessionCandles);
-    const supertrend     = calculateSupertrend(intradaySessionCandles);
-    const obvData        = calculateOBV(intradaySessionCandles);
-    const vwapBands      = calculateVWAPBands(intradaySessionCandles);
     const candlePattern  = detectCandlePattern(intradaySessionCandles);
 
     const candleColor = lastCandle
@@ -192,22 +193,34 @@ async function deepScanSymbol(symbol, { backgroundMode = false } = {}) {
       price: gapData.currentPrice, vwap, support, resistance, rsi,
       candleColor, gapOpenPct: gapData.gapOpenPct, volumeSpike: volumeData.volumeSpike,
       volatilityPct,
-      direction: intradayDirection
+      direction: intradayDirection,
+      volatilityRegime
     });
-    // backgroundMode: skip the 3 NSE-dependent enrichment services entirely
-    const [eventRisk, microstructure, marketActivity] = backgroundMode
-      ? [null, null, null]
+    // backgroundMode: skip the NSE-dependent enrichment services entirely
+    const [eventRisk, microstructure, marketActivity, optionsActivity] = backgroundMode
+      ? [null, null, null, null]
       : await Promise.all([
           getEventRiskProfile(symbol),
           fetchMicrostructureSnapshot(symbol),
           fetchMarketActivityProfile(symbol, { biasDirection: intradayDirection }),
+          fetchOptionsProfile(symbol, { biasDirection: intradayDirection, mode: 'intraday', price: gapData.currentPrice }),
         ]);
+    // Sector RS is measured on daily closes; live mode only holds 5m candles
+    const sectorStrength = await getSectorStrength(symbol, { candles: backgroundMode ? validatedCandles : null });
+    const breadth = await getLatestBreadth();
+    const surveillance = await getSurveillanceStatus(symbol, {
+      price: gapData.currentPrice, prevClose: gapData.prevClose, refresh: !backgroundMode
+    });
     const professionalGate = buildProfessionalGate({
       mode: 'intraday',
       signalView: intradayView,
       eventRisk,
       microstructure,
       marketActivity,
+      dataQuality,
+      optionsActivity,
+      breadth,
+      surveillance,
     });
     const executionMeta = buildIntradayExecutionMeta({
       marketState: { isOpen: true, reason: 'market_open' },
@@ -219,6 +232,7 @@ async function deepScanSymbol(symbol, { backgroundMode = false } = {}) {
 
     return {
       symbol, normalizedSymbol: normalized, companyName: gapData.companyName || symbol,
+      instrument: instrumentCheck.instrument,
       gapOpenPct: gapData.gapOpenPct, gapNowPct: gapData.gapNowPct,
       prevClose: gapData.prevClose, open: gapData.open, currentPrice: gapData.currentPrice,
       marketCap: gapData.marketCap, priceSource: gapData.priceSource, rsi, candleColor,
@@ -304,7 +318,7 @@ async function deepScanSymbol(symbol, { backgroundMode = false } = {}) {
       },
 
       resolvedSymbol, intradayView,
-      eventRisk, microstructure, marketActivity, professionalGate,
+      eventRisk, microstructure, marketActivity, optionsActivity, sectorStrength, surveillance, professionalGate, dataQuality,
       finalSentiment: intradayView.sentiment,
       direction: executionMeta.executionDirection || executionMeta.biasDirection,
       biasDirection: executionMeta.biasDirection,
@@ -333,7 +347,7 @@ async function deepScanSymbol(symbol, { backgroundMode = false } = {}) {
 }
 
 // 🔥 Background scan worker
-async function startIntradayBackgroundScan() {
+async function startIntradayBackgroundScan({ universe } = {}) {
   if (intradayCache.status === 'running') return;
 
   console.log('🚀 Starting background intraday scan...');
@@ -341,17 +355,23 @@ async function startIntradayBackgroundScan() {
   intradayCache.error = null;
 
   try {
-    const fast50 = await fastMarketScan();
-    // fastMarketScan already filters Nifty 500 down to the top movers by
+    await ensureInstrumentMaster();
+    const scanUniverse = await parseScanUniverse(universe ?? process.env.INTRADAY_SCAN_UNIVERSE);
+    if (!scanUniverse.ok) throw new Error(scanUniverse.error);
+    intradayCache.universe = scanUniverse.name;
+    const volatilityRegime = await getVolatilityRegime();
+    intradayCache.volatilityRegime = volatilityRegime;
+    const fast50 = await fastMarketScan({ universe: scanUniverse });
+    // fastMarketScan already filters the universe down to the top movers by
     // composite score (default cap 50). Background mode is Yahoo-only so each
     // symbol is fast (~2 network calls). Scan all returned symbols.
     const symbols = fast50;
-    console.log(`📊 Background scanning ${symbols.length} symbols from Nifty 500 (fast mode)...`);
+    console.log(`📊 Background scanning ${symbols.length} symbols from ${scanUniverse.name} (fast mode)...`);
 
     const results = await mapWithConcurrency(
       symbols,
       5, // Higher concurrency is safe — fewer calls per symbol now
-      async (stock) => deepScanSymbol(stock?.symbol ?? stock, { backgroundMode: true })
+      async (stock) => deepScanSymbol(stock?.symbol ?? stock, { backgroundMode: true, volatilityRegime })
     );
 
     const errored = results.filter(r => r.error);
@@ -388,7 +408,8 @@ async function startIntradayBackgroundScan() {
 
 // 📡 POST /scan/intraday/start - Start background scan
 router.post('/start', intradayStartLimiter, async (req, res) => {
-  const marketState = getIndianMarketState();
+  await ensureMarketCalendar();
+  const marketState = getLegacyMarketState('intraday');
   // forceRunWhenClosed defaults to true so the frontend always gets results
   // (useful outside market hours for reviewing setups; the scan will return
   //  empty or stale data which the UI handles gracefully)
@@ -401,7 +422,13 @@ router.post('/start', intradayStartLimiter, async (req, res) => {
     });
   }
 
-  startIntradayBackgroundScan(); // fire & forget
+  const universe = req.body?.universe;
+  if (universe != null) {
+    const parsed = await parseScanUniverse(universe);
+    if (!parsed.ok) return res.status(400).json({ error: parsed.error, marketState, compliance });
+  }
+
+  startIntradayBackgroundScan({ universe }); // fire & forget
   res.json({ status: 'scan_started', marketState, compliance });
 });
 
@@ -496,48 +523,22 @@ function buildIntradayExecutionMeta({ marketState, intradayView, entryPriceData,
   };
 }
 
-function getIndianMarketState(now = new Date()) {
-  const parts = IST_PARTS_FORMATTER.formatToParts(now);
-  const pick = (type) => parts.find(p => p.type === type)?.value || '';
-
-  const weekday = pick('weekday');
-  const year = pick('year');
-  const month = pick('month');
-  const day = pick('day');
-  const hour = Number(pick('hour'));
-  const minute = Number(pick('minute'));
-
-  const istDate = `${year}-${month}-${day}`;
-  const mins = hour * 60 + minute;
-  const sessionOpen = 9 * 60 + 15;
-  const sessionClose = 15 * 60 + 30;
-  const isWeekend = weekday === 'Sat' || weekday === 'Sun';
-  const isHoliday = NSE_HOLIDAYS.has(istDate);
-  const isSessionTime = mins >= sessionOpen && mins <= sessionClose;
-  const isOpen = !isWeekend && !isHoliday && isSessionTime;
-
-  let reason = 'market_open';
-  if (isWeekend) reason = 'weekend';
-  else if (isHoliday) reason = 'configured_holiday';
-  else if (!isSessionTime) reason = 'outside_trading_hours_ist';
-
-  return {
-    isOpen,
-    reason,
-    istDate,
-    istTime: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
-  };
-}
-
 router.post('/', intradayScanLimiter, async (req, res) => {
   const {
     symbols,
+    universe,
     rsiPeriod = 14,
     useTwoStageScan = true,
-    forceRunWhenClosed = false
+    forceRunWhenClosed = false,
+    indicators
   } = req.body || {};
   const effectiveRSIPeriod = sanitizeRSIPeriod(rsiPeriod, 14);
-  const marketState = getIndianMarketState();
+  const extended = parseIndicatorRequest(indicators);
+  if (extended.error) {
+    return res.status(400).json({ error: extended.error });
+  }
+  await ensureMarketCalendar();
+  const marketState = getLegacyMarketState('intraday');
 
   if (!marketState.isOpen && !parseBooleanFlag(forceRunWhenClosed, false)) {
     return res.json({
@@ -557,13 +558,19 @@ router.post('/', intradayScanLimiter, async (req, res) => {
   }
 
   try {
+    await ensureInstrumentMaster();
     // If no symbols provided, use institutional-grade scanning
     let symbolsToScan = symbols;
+    let scanUniverse = null;
     if (!symbols || symbols.length === 0) {
+      scanUniverse = await parseScanUniverse(universe);
+      if (!scanUniverse.ok) {
+        return res.status(400).json({ error: scanUniverse.error });
+      }
       if (useTwoStageScan) {
         // TWO-STAGE SCANNING (PRO LEVEL)
         // Stage 1 - Fast scan (cheap) - get 30-50 qualified stocks
-        const fastScanResults = await fastMarketScan();
+        const fastScanResults = await fastMarketScan({ universe: scanUniverse });
         console.log(`🔍 Stage 1: Fast scanned ${fastScanResults.length} stocks`);
 
         // Stage 2 - Deep scan (expensive) - apply full technical analysis
@@ -571,7 +578,7 @@ router.post('/', intradayScanLimiter, async (req, res) => {
         symbolsToScan = fastScanResults.map(stock => stock.symbol);
       } else {
         // Legacy approach - use improved fetchMarketMovers
-        const marketMovers = await fetchMarketMovers();
+        const marketMovers = await fetchMarketMovers({ universe: scanUniverse });
         symbolsToScan = marketMovers.map(stock => stock.symbol);
       }
     }
@@ -581,6 +588,9 @@ router.post('/', intradayScanLimiter, async (req, res) => {
     }
 
     console.log(`📊 Processing ${symbolsToScan.length} symbols with full analysis...`);
+    const volatilityRegime = await getVolatilityRegime();
+    // Elevated/panic VIX regimes demand more reward for the wider stops
+    const minRiskReward = volatilityRegime?.minRiskReward ?? 1.0;
 
     // Use concurrency-controlled mapping (same as background scan) so we don't
     // blast all API calls at once when symbolsToScan is large. Promise.all with
@@ -603,6 +613,10 @@ router.post('/', intradayScanLimiter, async (req, res) => {
              PRICE + GAP (NSE)
           ====================== */
           const resolvedSymbol = await resolveNSESymbol(symbol);
+          const instrumentCheck = validateInstrument(resolvedSymbol, { mode: 'intraday' });
+          if (!instrumentCheck.valid) {
+            return { symbol, error: instrumentCheck.reason };
+          }
           const gapData = await fetchGapData(resolvedSymbol);
 
           /* =====================
@@ -613,34 +627,41 @@ router.post('/', intradayScanLimiter, async (req, res) => {
             Math.max(60, effectiveRSIPeriod + 20),
             { interval: '5m', range: '5d' }
           );
-          const technicalCandles = selectCandlesForTechnicals(candles, Math.max(20, effectiveRSIPeriod + 1));
+          const { candles: validatedCandles, report: dataQuality } = validateCandles(candles, {
+            interval: '5m',
+            referencePrice: gapData.currentPrice
+          });
+          const technicalCandles = selectCandlesForTechnicals(validatedCandles, Math.max(20, effectiveRSIPeriod + 1));
           const intradaySessionCandles = selectIntradaySessionCandles(technicalCandles);
           const intradayRsiCandles = intradaySessionCandles.length >= effectiveRSIPeriod + 1 ? intradaySessionCandles : technicalCandles;
-          const closes = intradayRsiCandles.map(c => c.close);
+          const atrCandles = intradaySessionCandles.length >= indicatorWarmup('atrPercent') ? intradaySessionCandles : technicalCandles;
           const lastCandle = intradaySessionCandles[intradaySessionCandles.length - 1] || technicalCandles[technicalCandles.length - 1] || candles[candles.length - 1];
 
           /* =====================
              RSI
           ====================== */
-          const rsi = computeRSI(closes, effectiveRSIPeriod);
+          const { rsi } = computeIndicators(intradayRsiCandles, { rsi: { period: effectiveRSIPeriod } });
 
           /* =====================
              TECHNICALS
           ====================== */
+          const { atrPercent: volatilityPct } = computeIndicators(atrCandles, ['atrPercent']);
+          const { emaStack, macd } = computeIndicators(technicalCandles, ['emaStack', 'macd']);
+          const {
+            bollinger: bollingerBands, adx, supertrend, obv: obvData, vwapBands
+          } = computeIndicators(intradaySessionCandles, INTRADAY_SESSION_INDICATORS);
           const volumeData     = detectVolumeSpike(intradaySessionCandles);
           const vwap           = calculateIntradayVWAP(intradaySessionCandles);
           const { support, resistance } = supportResistance(intradaySessionCandles);
-          const volatilityPct  = estimateATRPercent(intradaySessionCandles, 14);
-          const emaStack       = getEMAStack(technicalCandles);
-          const macd           = calculateMACD(technicalCandles.map(c => c.close));
-          const bollingerBands = calculateBollingerBands(intradaySessionCandles);
           const prevDayLevels  = getPreviousDayLevels(technicalCandles);
           const volumeTrend    = getVolumeTrend(intradaySessionCandles);
-          const adx            = calculateADX(intradaySessionCandles);
-          const supertrend     = calculateSupertrend(intradaySessionCandles);
-          const obvData        = calculateOBV(intradaySessionCandles);
-          const vwapBands      = calculateVWAPBands(intradaySessionCandles);
           const candlePattern  = detectCandlePattern(intradaySessionCandles);
+          // Opt-in extras (request `indicators`) over the multi-session 5m
+          // history, so the longer warm-ups (Ichimoku, Stoch RSI) are met early
+          // in the day
+          const extendedIndicators = extended.names.length
+            ? computeIndicators(technicalCandles, extended.names)
+            : null;
 
           const candleColor =
             lastCandle && lastCandle.close > lastCandle.open
@@ -685,19 +706,31 @@ router.post('/', intradayScanLimiter, async (req, res) => {
             gapOpenPct: gapData.gapOpenPct,
             volumeSpike: volumeData.volumeSpike,
             volatilityPct,
-            direction: intradayDirection
+            direction: intradayDirection,
+            volatilityRegime
           });
-          const [eventRisk, microstructure, marketActivity] = await Promise.all([
+          const [eventRisk, microstructure, marketActivity, optionsActivity] = await Promise.all([
             getEventRiskProfile(symbol),
             fetchMicrostructureSnapshot(symbol),
             fetchMarketActivityProfile(symbol, { biasDirection: intradayDirection }),
+            fetchOptionsProfile(symbol, { biasDirection: intradayDirection, mode: 'intraday', price: gapData.currentPrice }),
           ]);
+          const sectorStrength = await getSectorStrength(symbol);
+          const breadth = await getLatestBreadth();
+          const surveillance = await getSurveillanceStatus(symbol, {
+            price: gapData.currentPrice,
+            prevClose: gapData.prevClose
+          });
           const professionalGate = buildProfessionalGate({
             mode: 'intraday',
             signalView: intradayView,
             eventRisk,
             microstructure,
             marketActivity,
+            dataQuality,
+            optionsActivity,
+            breadth,
+            surveillance,
           });
           const executionMeta = buildIntradayExecutionMeta({
             marketState,
@@ -714,6 +747,7 @@ router.post('/', intradayScanLimiter, async (req, res) => {
             symbol,
             normalizedSymbol: normalized,
             companyName: gapData.companyName || symbol,
+            instrument: instrumentCheck.instrument,
 
             gapOpenPct: gapData.gapOpenPct,
             gapNowPct: gapData.gapNowPct,
@@ -811,12 +845,19 @@ router.post('/', intradayScanLimiter, async (req, res) => {
               strength:  candlePattern?.strength  ?? 'none',
             },
 
+            // ── Extended indicators (opt-in) ─────────────────────────────────
+            ...(extendedIndicators ? { indicators: extendedIndicators } : {}),
+
             resolvedSymbol,
             intradayView,
             eventRisk,
             microstructure,
             marketActivity,
+            optionsActivity,
+            sectorStrength,
+            surveillance,
             professionalGate,
+            dataQuality,
             finalSentiment: intradayView.sentiment,
             direction: executionMeta.executionDirection || executionMeta.biasDirection,
             biasDirection: executionMeta.biasDirection,
@@ -860,7 +901,7 @@ router.post('/', intradayScanLimiter, async (req, res) => {
               !stock.blockerReason &&                 // Exclude "watch" and other blocked setups
               stock.entryType !== 'scalp_only' &&     // Exclude overextended VWAP entries
               stock.entryType !== 'rr_weak' &&        // Exclude weak RR setups flagged by calculator
-              parseFloat(stock.riskRewardAfterCosts ?? stock.riskReward) >= 1.0  // Use net-of-costs RR (consistent with quality scorer)
+              parseFloat(stock.riskRewardAfterCosts ?? stock.riskReward) >= minRiskReward  // Use net-of-costs RR (consistent with quality scorer)
     );
     const negativeStocks = results.filter(
       stock => !stock.error &&
@@ -870,7 +911,7 @@ router.post('/', intradayScanLimiter, async (req, res) => {
               !stock.blockerReason &&                 // Exclude pending/watch setups on the short side too
               stock.entryType !== 'scalp_only' &&
               stock.entryType !== 'rr_weak' &&
-              parseFloat(stock.riskRewardAfterCosts ?? stock.riskReward) >= 1.0  // Use net-of-costs RR (consistent with quality scorer)
+              parseFloat(stock.riskRewardAfterCosts ?? stock.riskReward) >= minRiskReward  // Use net-of-costs RR (consistent with quality scorer)
     );
 
     // Composite signal quality score — higher = stronger, cleaner setup
@@ -932,6 +973,10 @@ router.post('/', intradayScanLimiter, async (req, res) => {
       // PDH breakout (price above previous day high = genuine breakout)
       if (s.pdh && s.currentPrice > s.pdh) score += 6;
 
+      // Sector rotation — longs go better with a leading sector behind them,
+      // shorts with a lagging one
+      score += sectorScoreAdjustment(s.sectorStrength, 'intraday', s.executionDirection || s.direction);
+
       score -= Math.max(0, Number(professionalGate.scorePenalty) || 0);
 
       return score;
@@ -949,7 +994,11 @@ router.post('/', intradayScanLimiter, async (req, res) => {
         rsiPeriod: effectiveRSIPeriod,
         scanType: useTwoStageScan ? 'two-stage-institutional' : 'improved-filter',
         stage1Processed: useTwoStageScan ? symbolsToScan.length : null,
+        universe: scanUniverse?.name ?? null,
         institutionalFiltering: true,
+        riskRewardThreshold: `1:${minRiskReward} minimum`,
+        volatilityRegime,
+        extendedIndicators: extended.names,
         marketState
       }
     });
@@ -1,63 +1,64 @@
 import express from 'express'
 import { createRateLimiter } from '../middleware/rateLimit.js'
-import { fetchGapData, fetchIndexOHLC, fetchNSE, resolveNSESymbol } from '../services/marketData.js'
+import { requireAdmin } from '../middleware/requireAdmin.js'
+import { fetchGapData, fetchIndexOHLC, resolveNSESymbol } from '../services/marketData.js'
 import { getIntradayLeverageForSymbols } from '../services/leverageService.js'
 import { fetchStructuredEventCalendar } from '../services/eventCalendarService.js'
 import { fetchInstitutionalFlowSnapshot, fetchMarketActivityProfile } from '../services/marketActivityService.js'
+import { getCoalescerStats } from '../services/requestCoalescer.js'
+import { ensureInstrumentMaster, getInstrumentMasterStatus, validateInstrument } from '../services/instrumentMaster.js'
+import { searchSymbols } from '../services/symbolSearch.js'
+import { getQuoteStreamStats, subscribeQuotes } from '../services/quoteStreamService.js'
+import { getCandleRecorderStatus, readArchivedCandles, recordSessionCandles } from '../services/candleRecorder.js'
+import { resampleCandles } from '../services/timeframeService.js'
+import { deleteCustomUniverse, listScanUniverses, saveCustomUniverse } from '../services/scanUniverseService.js'
+import { getSectorBoard, getSectorStrength } from '../services/sectorService.js'
+import { getBreadthStatus, readBreadthHistory, recordBreadthSnapshot } from '../services/breadthService.js'
+import { fetchIndexHistory, fetchIndexTechnicals, INDEX_CATALOG, resolveIndex, validateIndexWindow } from '../services/indexService.js'
+import { importBhavcopy } from '../services/deliveryService.js'
+import { addSpecialSession, ensureMarketCalendar, getISTDate, getMarketCalendar, getMarketState, getSessionWindows, removeSpecialSession } from '../services/marketCalendarService.js'
 
 const router = express.Router()
 
-// ── Holiday cache ─────────────────────────────────────────────────────────────
-let _holidayCache = null      // { holidays: ['YYYY-MM-DD', ...], fetchedAt: number }
-const HOLIDAY_CACHE_TTL_MS = 12 * 60 * 60 * 1000  // 12 hours
-
-/**
- * Parse NSE tradingDate string ("26-Jan-2026") → "2026-01-26".
- * Returns null if the string can't be parsed.
- */
-function parseTradingDate(str) {
-  if (!str || typeof str !== 'string') return null
-  const MON = { Jan:0, Feb:1, Mar:2, Apr:3, May:4, Jun:5,
-                Jul:6, Aug:7, Sep:8, Oct:9, Nov:10, Dec:11 }
-  const parts = str.trim().split('-')
-  if (parts.length !== 3) return null
-  const [dd, mon, yyyy] = parts
-  const m = MON[mon]
-  if (m === undefined) return null
-  const d = new Date(Date.UTC(parseInt(yyyy, 10), m, parseInt(dd, 10)))
-  if (isNaN(d)) return null
-  return d.toISOString().slice(0, 10)   // "YYYY-MM-DD"
-}
-
+// Holiday dates for the frontend's date pickers.  The calendar service owns
+// the list (NSE holiday master, persisted); this keeps the original shape.
 router.get('/holidays', async (req, res) => {
-  const now = Date.now()
-
-  // Serve from cache if still fresh
-  if (_holidayCache && now - _holidayCache.fetchedAt < HOLIDAY_CACHE_TTL_MS) {
-    return res.json(_holidayCache)
-  }
+  const calendar = await ensureMarketCalendar()
+  const { holidays, updatedAt } = getMarketCalendar()
+  res.json({
+    holidays: holidays.map((h) => h.date),
+    fetchedAt: updatedAt ? Date.parse(updatedAt) : null,
+    ...(calendar?.updatedAt ? {} : { error: 'NSE unavailable' }),
+  })
+})
 
-  try {
-    const raw = await fetchNSE('/holiday-master?type=trading')
+// Holidays, special sessions and where today's session stands
+router.get('/calendar', async (req, res) => {
+  const year = req.query.year ? String(req.query.year) : null
+  if (year && !/^\d{4}$/.test(year)) return res.status(400).json({ error: 'year must be YYYY' })
+  await ensureMarketCalendar()
+  res.json({ state: getMarketState(), ...getMarketCalendar({ year }) })
+})
 
-    // NSE response shape: { CM: [...], FO: [...], CD: [...], ... }
-    // CM = Capital Market segment — the one that governs equity trading
-    const cmRows = Array.isArray(raw?.CM) ? raw.CM : []
+const calendarWriteLimiter = createRateLimiter({
+  windowMs: Number(process.env.CALENDAR_WRITE_RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.CALENDAR_WRITE_RATE_LIMIT_MAX || 10),
+  keyFn: (req) => `${req.ip}:market:calendar:write`,
+  message: 'Too many calendar changes.',
+})
 
-    const holidays = cmRows
-      .map(row => parseTradingDate(row?.tradingDate))
-      .filter(Boolean)
-      .sort()
+// Admin only — a special session opens a closed day for every scanner.
+// Body: { date: 'YYYY-MM-DD', open: 'HH:MM', close: 'HH:MM', label }
+router.post('/calendar/special-sessions', calendarWriteLimiter, requireAdmin, async (req, res) => {
+  const { session, error } = await addSpecialSession(req.body || {})
+  if (error) return res.status(400).json({ error })
+  res.status(201).json({ session, windows: getSessionWindows(session.date) })
+})
 
-    _holidayCache = { holidays, fetchedAt: now }
-    res.json(_holidayCache)
-  } catch (err) {
-    console.error('[market/holidays] NSE fetch failed:', err.message)
-    // Return whatever we have cached (even if stale) so the frontend isn't empty-handed
-    if (_holidayCache) return res.json({ ..._holidayCache, stale: true })
-    // Absolute fallback — empty list (weekend guard still works)
-    res.json({ holidays: [], fetchedAt: now, error: 'NSE unavailable' })
-  }
+router.delete('/calendar/special-sessions/:date', calendarWriteLimiter, requireAdmin, async (req, res) => {
+  const removed = await removeSpecialSession(req.params.date)
+  if (!removed) return res.status(404).json({ error: `No stored special session on ${req.params.date}` })
+  res.json({ removed: req.params.date })
 })
 
 const resolvedSymbolCache = new Map()
@@ -68,6 +69,54 @@ const quotesLimiter = createRateLimiter({
   keyFn: (req) => `${req.ip}:market:quotes`,
   message: 'Too many quote refresh requests.',
 })
+const streamLimiter = createRateLimiter({
+  windowMs: Number(process.env.STREAM_RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.STREAM_RATE_LIMIT_MAX || 20),
+  keyFn: (req) => `${req.ip}:market:stream`,
+  message: 'Too many stream connections.',
+})
+const STREAM_HEARTBEAT_MS = Number(process.env.QUOTE_STREAM_HEARTBEAT_MS || 15_000)
+const STREAM_MAX_CLIENTS = Number(process.env.QUOTE_STREAM_MAX_CLIENTS || 200)
+let streamClients = 0
+// Search-as-you-type fires on every keystroke, so the window is generous
+const searchLimiter = createRateLimiter({
+  windowMs: Number(process.env.SEARCH_RATE_LIMIT_WINDOW_MS || 10_000),
+  max: Number(process.env.SEARCH_RATE_LIMIT_MAX || 60),
+  keyFn: (req) => `${req.ip}:market:search`,
+  message: 'Too many search requests.',
+})
+// A breadth run downloads a year of candles for the whole universe
+const breadthRecordLimiter = createRateLimiter({
+  windowMs: Number(process.env.BREADTH_RECORD_RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.BREADTH_RECORD_RATE_LIMIT_MAX || 6),
+  keyFn: (req) => `${req.ip}:market:breadth:record`,
+  message: 'Too many breadth runs.',
+})
+const deliveryImportLimiter = createRateLimiter({
+  windowMs: Number(process.env.DELIVERY_IMPORT_RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.DELIVERY_IMPORT_RATE_LIMIT_MAX || 6),
+  keyFn: (req) => `${req.ip}:market:delivery:import`,
+  message: 'Too many bhavcopy imports.',
+})
+const candleRecordLimiter = createRateLimiter({
+  windowMs: Number(process.env.CANDLE_RECORD_RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.CANDLE_RECORD_RATE_LIMIT_MAX || 6),
+  keyFn: (req) => `${req.ip}:market:candles:record`,
+  message: 'Too many candle recorder runs.',
+})
+// A range=max history is a full chart download when it isn't cached yet
+const indexHistoryLimiter = createRateLimiter({
+  windowMs: Number(process.env.INDEX_HISTORY_RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.INDEX_HISTORY_RATE_LIMIT_MAX || 30),
+  keyFn: (req) => `${req.ip}:market:index:history`,
+  message: 'Too many index history requests.',
+})
+const universeWriteLimiter = createRateLimiter({
+  windowMs: Number(process.env.UNIVERSE_WRITE_RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.UNIVERSE_WRITE_RATE_LIMIT_MAX || 20),
+  keyFn: (req) => `${req.ip}:market:universes:write`,
+  message: 'Too many universe changes.',
+})
 const leverageLimiter = createRateLimiter({
   windowMs: Number(process.env.LEVERAGE_RATE_LIMIT_WINDOW_MS || 15_000),
   max: Number(process.env.LEVERAGE_RATE_LIMIT_MAX || 24),
@@ -113,6 +162,53 @@ router.get('/indices', async (req, res) => {
   })
 })
 
+// GET /api/market/index — the indices the history/technicals endpoints serve
+router.get('/index', (req, res) => {
+  res.json({ indices: INDEX_CATALOG.map(({ name, aliases }) => ({ name, aliases })) })
+})
+
+// GET /api/market/index/NIFTY%20BANK/history?interval=15m&range=5d
+// Candles for any catalogued NSE index or Sensex (aliases such as BANKNIFTY work too)
+const unknownIndex = (res, name) => res.status(404).json({
+  error: `Unknown index: ${name}`,
+  supported: INDEX_CATALOG.map(index => index.name),
+})
+
+router.get('/index/:name/history', indexHistoryLimiter, async (req, res) => {
+  const index = resolveIndex(req.params.name)
+  if (!index) return unknownIndex(res, req.params.name)
+  const interval = String(req.query?.interval || '1d')
+  const range = String(req.query?.range || (/m$|h$/.test(interval) ? '5d' : '6mo'))
+  const invalid = validateIndexWindow(interval, range)
+  if (invalid) return res.status(400).json({ error: invalid })
+
+  try {
+    const history = await fetchIndexHistory(index, { interval, range })
+    res.json({ ...history, timestamp: new Date().toISOString() })
+  } catch (error) {
+    console.error('index history error', error)
+    res.status(502).json({ error: `History unavailable for ${index.name}` })
+  }
+})
+
+// GET /api/market/index/NIFTY/technicals?interval=1d
+// EMA stack, ADX, Supertrend, RSI and pivots — the stock trend read, for the index
+router.get('/index/:name/technicals', indexHistoryLimiter, async (req, res) => {
+  const index = resolveIndex(req.params.name)
+  if (!index) return unknownIndex(res, req.params.name)
+  const interval = String(req.query?.interval || '1d')
+  const invalid = validateIndexWindow(interval, /m$|h$/.test(interval) ? '5d' : '1y')
+  if (invalid) return res.status(400).json({ error: invalid })
+
+  try {
+    const technicals = await fetchIndexTechnicals(index, { interval })
+    res.json({ ...technicals, timestamp: new Date().toISOString() })
+  } catch (error) {
+    console.error('index technicals error', error)
+    res.status(502).json({ error: `Technicals unavailable for ${index.name}` })
+  }
+})
+
 router.get('/events', async (req, res) => {
   const symbol = String(req.query?.symbol || '').trim().toUpperCase()
 
@@ -150,6 +246,60 @@ router.get('/activity', async (req, res) => {
   }
 })
 
+// GET /api/market/sectors?symbols=RELIANCE,TCS
+// Sectoral indices ranked by relative strength vs NIFTY 50, with their
+// rotation quadrant; listed symbols also get their RS against their sector
+const SECTOR_MAX_SYMBOLS = 25
+
+router.get('/sectors', async (req, res) => {
+  const symbols = String(req.query?.symbols || '')
+    .split(',')
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean)
+  if (symbols.length > SECTOR_MAX_SYMBOLS) {
+    return res.status(400).json({ error: `At most ${SECTOR_MAX_SYMBOLS} symbols per request` })
+  }
+
+  try {
+    const board = await getSectorBoard()
+    let stocks
+    if (symbols.length) {
+      await ensureInstrumentMaster()
+      stocks = await Promise.all(symbols.map(async symbol => ({
+        symbol,
+        ...((await getSectorStrength(symbol)) || { sector: null }),
+      })))
+    }
+    res.json({ ...board, stocks, timestamp: new Date().toISOString() })
+  } catch (error) {
+    console.error('sector strength error', error)
+    res.status(502).json({ error: 'Sector data unavailable' })
+  }
+})
+
+// GET /api/market/breadth?days=60
+// Latest saved breadth snapshot for the scan universe plus its daily history
+const BREADTH_MAX_DAYS = 400
+
+router.get('/breadth', async (req, res) => {
+  const days = Math.min(Math.max(Math.round(Number(req.query?.days) || 60), 1), BREADTH_MAX_DAYS)
+  const history = await readBreadthHistory({ days })
+  res.json({
+    latest: history[history.length - 1] || null,
+    history,
+    run: getBreadthStatus(),
+    timestamp: new Date().toISOString(),
+  })
+})
+
+// POST /api/market/breadth/record { universe? } — re-runnable
+router.post('/breadth/record', breadthRecordLimiter, requireAdmin, async (req, res) => {
+  if (getBreadthStatus().status === 'running') return res.status(409).json({ error: 'Breadth run already in progress' })
+  await ensureInstrumentMaster()
+  recordBreadthSnapshot({ universe: req.body?.universe }).catch(() => {}) // fire & forget, logged inside
+  res.json({ status: 'breadth_started' })
+})
+
 router.post('/quotes', quotesLimiter, async (req, res) => {
   const inputSymbols = Array.isArray(req.body?.symbols) ? req.body.symbols : []
   const symbols = Array.from(
@@ -165,16 +315,22 @@ router.post('/quotes', quotesLimiter, async (req, res) => {
   }
 
   try {
+    await ensureInstrumentMaster()
     const results = await Promise.all(
       symbols.map(async (symbol) => {
         try {
           const resolvedSymbol = await resolveCachedSymbol(symbol)
+          const instrumentCheck = validateInstrument(resolvedSymbol)
+          if (!instrumentCheck.valid) {
+            return { symbol, error: instrumentCheck.reason }
+          }
           const gapData = await fetchGapData(resolvedSymbol)
 
           return {
             symbol,
             resolvedSymbol,
             companyName: gapData.companyName || symbol,
+            instrument: instrumentCheck.instrument,
             currentPrice: gapData.currentPrice,
             priceSource: gapData.priceSource,
             updatedAt: new Date().toISOString(),
@@ -183,6 +339,7 @@ router.post('/quotes', quotesLimiter, async (req, res) => {
           return {
             symbol,
             error: error.message || 'Failed to fetch quote',
+            ...(error.candidates ? { candidates: error.candidates } : {}),
           }
         }
       })
@@ -198,6 +355,102 @@ router.post('/quotes', quotesLimiter, async (req, res) => {
   }
 })
 
+// GET /api/market/stream?symbols=RELIANCE,TCS — Server-Sent Events
+// Replaces polling POST /quotes: one shared upstream poller per symbol,
+// `quote` / `quote_error` events with resumable IDs, comment heartbeats.
+router.get('/stream', streamLimiter, async (req, res) => {
+  const symbols = Array.from(
+    new Set(
+      String(req.query?.symbols || '')
+        .split(',')
+        .map((symbol) => symbol.trim().toUpperCase())
+        .filter(Boolean)
+    )
+  ).slice(0, 25)
+
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'symbols query parameter is required' })
+  }
+  if (streamClients >= STREAM_MAX_CLIENTS) {
+    return res.status(503).json({ error: 'Too many open quote streams, retry later' })
+  }
+
+  // The client may leave while symbols resolve — nothing is subscribed, and no
+  // slot taken, unless it is still connected afterwards
+  let closed = false
+  let release = null
+  res.on('close', () => {
+    closed = true
+    release?.()
+  })
+
+  await ensureInstrumentMaster()
+  const rejected = []
+  const resolved = []
+  for (const symbol of symbols) {
+    if (closed) return
+    try {
+      const resolvedSymbol = await resolveCachedSymbol(symbol)
+      const instrumentCheck = validateInstrument(resolvedSymbol)
+      if (instrumentCheck.valid) resolved.push({ symbol, resolvedSymbol })
+      else rejected.push({ symbol, error: instrumentCheck.reason })
+    } catch (error) {
+      rejected.push({ symbol, error: error.message || 'Failed to resolve symbol', ...(error.candidates ? { candidates: error.candidates } : {}) })
+    }
+  }
+  if (closed) return
+  if (resolved.length === 0) {
+    return res.status(400).json({ error: 'No valid symbols to stream', rejected })
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  streamClients += 1
+
+  const send = (event) => {
+    if (event.id) res.write(`id: ${event.id}\n`)
+    res.write(`event: ${event.type}\n`)
+    res.write(`data: ${JSON.stringify(event.data)}\n\n`)
+  }
+
+  res.write('retry: 3000\n\n')
+  send({
+    type: 'subscribed',
+    data: {
+      symbols: resolved,
+      rejected,
+      heartbeatMs: STREAM_HEARTBEAT_MS,
+      timestamp: new Date().toISOString(),
+    },
+  })
+
+  const lastEventId = req.get('Last-Event-ID') || req.query?.lastEventId || null
+  const unsubscribe = subscribeQuotes(
+    resolved.map((item) => item.resolvedSymbol),
+    send,
+    { lastEventId }
+  )
+  const heartbeat = setInterval(() => res.write(`: ping ${Date.now()}\n\n`), STREAM_HEARTBEAT_MS)
+
+  release = () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+    streamClients -= 1
+  }
+})
+
+router.get('/stream/stats', (req, res) => {
+  res.json({
+    clients: streamClients,
+    ...getQuoteStreamStats(),
+    timestamp: new Date().toISOString(),
+  })
+})
+
 router.post('/leverage', leverageLimiter, async (req, res) => {
   const inputSymbols = Array.isArray(req.body?.symbols) ? req.body.symbols : []
   const symbols = Array.from(
@@ -232,5 +485,127 @@ router.post('/leverage', leverageLimiter, async (req, res) => {
   }
 })
 
+// GET /api/market/search?q=hdfc%20bank&limit=10
+router.get('/search', searchLimiter, async (req, res) => {
+  const q = String(req.query?.q || '').trim().slice(0, 64)
+  if (!q) return res.status(400).json({ error: 'q is required' })
+
+  await ensureInstrumentMaster()
+  res.json({
+    query: q,
+    results: searchSymbols(q, { limit: req.query?.limit }),
+    timestamp: new Date().toISOString(),
+  })
+})
+
+// GET /api/market/universes — presets plus saved custom lists
+router.get('/universes', async (req, res) => {
+  res.json(await listScanUniverses())
+})
+
+// POST /api/market/universes { name, symbols: [...], description? }
+router.post('/universes', universeWriteLimiter, requireAdmin, async (req, res) => {
+  try {
+    await ensureInstrumentMaster()
+    const { name, symbols, description } = req.body || {}
+    const result = await saveCustomUniverse(name, { symbols, description })
+    if (!result.ok) return res.status(400).json(result)
+    res.json(result)
+  } catch (error) {
+    console.error('custom universe save error', error)
+    res.status(500).json({ error: 'Failed to save universe' })
+  }
+})
+
+router.delete('/universes/:name', universeWriteLimiter, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteCustomUniverse(req.params.name)
+    if (!deleted) return res.status(404).json({ error: 'Universe not found' })
+    res.json({ deleted: true })
+  } catch (error) {
+    console.error('custom universe delete error', error)
+    res.status(500).json({ error: 'Failed to delete universe' })
+  }
+})
+
+// GET /api/market/candles?symbol=RELIANCE&interval=15m&from=2026-01-01&to=2026-03-31
+// Self-recorded intraday history (5m, or resampled to 15m/30m/1h)
+const ARCHIVE_INTERVALS = ['5m', '15m', '30m', '1h']
+const ARCHIVE_MAX_SPAN_DAYS = 400
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+router.get('/candles', async (req, res) => {
+  const symbol = String(req.query?.symbol || '').trim().toUpperCase()
+  const interval = String(req.query?.interval || '5m')
+  if (!symbol) return res.status(400).json({ error: 'symbol is required' })
+  if (!ARCHIVE_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of ${ARCHIVE_INTERVALS.join(', ')}` })
+  }
+
+  const to = String(req.query?.to || getISTDate())
+  const from = String(req.query?.from || new Date(Date.parse(to) - 30 * 86_400_000).toISOString().slice(0, 10))
+  if (!DATE_RE.test(from) || !DATE_RE.test(to) || from > to) {
+    return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' })
+  }
+  if ((Date.parse(to) - Date.parse(from)) / 86_400_000 > ARCHIVE_MAX_SPAN_DAYS) {
+    return res.status(400).json({ error: `range is limited to ${ARCHIVE_MAX_SPAN_DAYS} days` })
+  }
+
+  try {
+    const archived = await readArchivedCandles(symbol, { from, to })
+    res.json({
+      symbol: archived.symbol,
+      interval,
+      from,
+      to,
+      candles: interval === '5m' ? archived.candles : resampleCandles(archived.candles, interval),
+      days: archived.days,
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error('candle archive read error', error)
+    res.status(500).json({ error: 'Failed to read candle archive' })
+  }
+})
+
+// POST /api/market/candles/record { date?, universe? } — re-runnable
+router.post('/candles/record', candleRecordLimiter, requireAdmin, async (req, res) => {
+  const { date, universe } = req.body || {}
+  const status = await getCandleRecorderStatus()
+  if (status.status === 'running') return res.status(409).json({ error: 'Candle recorder already running' })
+  if (date != null && !DATE_RE.test(String(date))) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' })
+  }
+
+  recordSessionCandles({ date: date ?? undefined, universe }).catch(() => {}) // fire & forget, logged inside
+  res.json({ status: 'recording_started', date: date ?? null })
+})
+
+router.get('/candles/recorder/status', async (req, res) => {
+  res.json(await getCandleRecorderStatus())
+})
+
+// POST /api/market/delivery/import  (Content-Type: text/csv, body = sec_bhavdata_full_DDMMYYYY.csv)
+// Loads a day's delivery figures for the bhavcopy fallback when NSE is unreachable.
+// Admin only: the figures feed swing volume confirmation.  A full bhavcopy is ~500 KB.
+router.post('/delivery/import', deliveryImportLimiter, requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  const result = await importBhavcopy(typeof req.body === 'string' ? req.body : '')
+  if (!result) {
+    return res.status(400).json({ error: 'Body must be a full bhavcopy CSV with SYMBOL, SERIES, DATE1, TTL_TRD_QNTY and DELIV_QTY columns' })
+  }
+  res.json({ imported: true, ...result })
+})
+
+router.get('/instruments/status', async (req, res) => {
+  await ensureInstrumentMaster()
+  res.json(getInstrumentMasterStatus())
+})
+
+router.get('/cache/stats', (req, res) => {
+  res.json({
+    namespaces: getCoalescerStats(),
+    timestamp: new Date().toISOString(),
+  })
+})
 
 export default router
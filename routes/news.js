@@ -1,6 +1,8 @@
 import express from 'express'
 import { fetchCompanyNews, classifySentiment } from '../services/newsService.js'
-import { fetchQuoteBasic } from '../services/marketData.js'
+import { fetchQuoteBasic, resolveNSESymbol } from '../services/marketData.js'
+import { ensureInstrumentMaster, listNewsWatchlist, validateInstrument } from '../services/instrumentMaster.js'
+import { ensureMarketCalendar, getLegacyMarketState } from '../services/marketCalendarService.js'
 
 const router = express.Router()
 
@@ -27,29 +29,6 @@ const TRUSTED_NEWS_DOMAINS = [
   'theprint.in',
 ]
 
-const WATCHLIST_UNIVERSE = [
-  { symbol: 'RELIANCE',   companyName: 'Reliance Industries',       aliases: ['Reliance Industries', 'Reliance Industries Ltd', 'RIL'] },
-  { symbol: 'TCS',        companyName: 'Tata Consultancy Services',  aliases: ['Tata Consultancy Services', 'TCS'] },
-  { symbol: 'HDFCBANK',   companyName: 'HDFC Bank',                  aliases: ['HDFC Bank', 'HDFC Bank Ltd'] },
-  { symbol: 'ICICIBANK',  companyName: 'ICICI Bank',                 aliases: ['ICICI Bank', 'ICICI Bank Ltd'] },
-  { symbol: 'INFY',       companyName: 'Infosys',                    aliases: ['Infosys', 'Infosys Ltd'] },
-  { symbol: 'SBIN',       companyName: 'State Bank of India',        aliases: ['State Bank of India', 'SBI'] },
-  { symbol: 'BHARTIARTL', companyName: 'Bharti Airtel',              aliases: ['Bharti Airtel', 'Airtel'] },
-  { symbol: 'LT',         companyName: 'Larsen & Toubro',            aliases: ['Larsen & Toubro', 'L&T'] },
-  { symbol: 'AXISBANK',   companyName: 'Axis Bank',                  aliases: ['Axis Bank', 'Axis Bank Ltd'] },
-  { symbol: 'ITC',        companyName: 'ITC',                        aliases: ['ITC', 'ITC Ltd'] },
-  { symbol: 'MARUTI',     companyName: 'Maruti Suzuki',              aliases: ['Maruti Suzuki', 'Maruti Suzuki India'] },
-  { symbol: 'SUNPHARMA',  companyName: 'Sun Pharmaceutical',         aliases: ['Sun Pharmaceutical', 'Sun Pharma', 'Sun Pharmaceutical Industries'] },
-  { symbol: 'BAJFINANCE', companyName: 'Bajaj Finance',              aliases: ['Bajaj Finance', 'Bajaj Finance Ltd'] },
-  { symbol: 'HCLTECH',    companyName: 'HCL Technologies',           aliases: ['HCL Technologies', 'HCL Tech'] },
-  { symbol: 'TATAMOTORS', companyName: 'Tata Motors',                aliases: ['Tata Motors', 'Tata Motors Ltd'] },
-  { symbol: 'WIPRO',      companyName: 'Wipro',                      aliases: ['Wipro', 'Wipro Ltd'] },
-  { symbol: 'KOTAKBANK',  companyName: 'Kotak Mahindra Bank',        aliases: ['Kotak Mahindra Bank', 'Kotak Bank'] },
-  { symbol: 'TATASTEEL',  companyName: 'Tata Steel',                 aliases: ['Tata Steel', 'Tata Steel Ltd'] },
-  { symbol: 'NTPC',       companyName: 'NTPC',                       aliases: ['NTPC', 'NTPC Ltd'] },
-  { symbol: 'ADANIPORTS', companyName: 'Adani Ports',                aliases: ['Adani Ports', 'Adani Ports and Special Economic Zone'] },
-]
-
 // Per-company news fetch timeout (ms) — prevents one slow upstream stalling the build
 const COMPANY_FETCH_TIMEOUT_MS = 12_000
 // Price fetch timeout per stock
@@ -58,38 +37,22 @@ const PRICE_FETCH_TIMEOUT_MS = 6_000
 /* ─────────────────────────────────────────────
    MARKET STATE
 ───────────────────────────────────────────── */
-const IST_PARTS_FORMATTER = new Intl.DateTimeFormat('en-US', {
-  timeZone: 'Asia/Kolkata',
-  weekday: 'short',
-  year: 'numeric',
-  month: '2-digit',
-  day: '2-digit',
-  hour: '2-digit',
-  minute: '2-digit',
-  hour12: false,
-})
+// How the watchlist reads each phase of the trading day: how it is labelled
+// and how long a built list stays fresh
+const WATCH_SESSIONS = {
+  closed:      { session: 'closed',      label: 'Weekend watch',       refreshMs: 60 * 60 * 1000 },
+  pre_market:  { session: 'pre_market',  label: 'Pre-market watch',    refreshMs: 10 * 60 * 1000 },
+  market_live: { session: 'market_live', label: 'Live market watch',   refreshMs: 15 * 60 * 1000 },
+  post_market: { session: 'post_market', label: 'Post-market watch',   refreshMs: 20 * 60 * 1000 },
+}
 
-function getIndianMarketState(now = new Date()) {
-  const parts = IST_PARTS_FORMATTER.formatToParts(now)
-  const map = Object.fromEntries(parts.map((part) => [part.type, part.value]))
-  const weekday = map.weekday
-  const hour = Number(map.hour)
-  const minute = Number(map.minute)
-  const mins = hour * 60 + minute
-  const isWeekend = weekday === 'Sat' || weekday === 'Sun'
-  const sessionOpen = 9 * 60 + 15
-  const sessionClose = 15 * 60 + 30
-
-  if (isWeekend) {
-    return { isOpen: false, session: 'closed', label: 'Weekend watch', refreshMs: 60 * 60 * 1000, reason: 'weekend', istTime: `${String(hour).padStart(2,'0')}:${String(minute).padStart(2,'0')}` }
-  }
-  if (mins < sessionOpen) {
-    return { isOpen: false, session: 'pre_market', label: 'Pre-market watch', refreshMs: 10 * 60 * 1000, reason: 'pre_open', istTime: `${String(hour).padStart(2,'0')}:${String(minute).padStart(2,'0')}` }
-  }
-  if (mins <= sessionClose) {
-    return { isOpen: true, session: 'market_live', label: 'Live market watch', refreshMs: 15 * 60 * 1000, reason: 'market_open', istTime: `${String(hour).padStart(2,'0')}:${String(minute).padStart(2,'0')}` }
-  }
-  return { isOpen: false, session: 'post_market', label: 'Post-market watch', refreshMs: 20 * 60 * 1000, reason: 'post_market', istTime: `${String(hour).padStart(2,'0')}:${String(minute).padStart(2,'0')}` }
+function getWatchState(now = new Date()) {
+  const state = getLegacyMarketState('news', now)
+  let watch = WATCH_SESSIONS.post_market
+  if (!state.isTradingDay) watch = { ...WATCH_SESSIONS.closed, label: state.holiday ? 'Holiday watch' : 'Weekend watch' }
+  else if (state.session === 'pre_market' || state.session === 'pre_open') watch = WATCH_SESSIONS.pre_market
+  else if (state.isOpen) watch = WATCH_SESSIONS.market_live
+  return { isOpen: state.isOpen, ...watch, reason: state.reason, istTime: state.istTime }
 }
 
 /* ─────────────────────────────────────────────
@@ -209,8 +172,9 @@ async function fetchCompanyNewsSafe(company, marketState) {
 }
 
 async function buildNewsWatchlist(marketState) {
+  await ensureInstrumentMaster()
   const candidates = await Promise.all(
-    WATCHLIST_UNIVERSE.map((company) => fetchCompanyNewsSafe(company, marketState))
+    listNewsWatchlist().map((company) => fetchCompanyNewsSafe(company, marketState))
   )
 
   const ranked = candidates
@@ -299,11 +263,17 @@ router.get('/', async (req, res) => {
   const { symbol } = req.query
   if (!symbol) return res.status(400).json({ error: 'symbol is required' })
   try {
-    const items = await fetchCompanyNews(symbol)
+    await ensureInstrumentMaster()
+    const resolvedSymbol = await resolveNSESymbol(String(symbol))
+    const instrumentCheck = validateInstrument(resolvedSymbol)
+    if (!instrumentCheck.valid) return res.status(404).json({ error: instrumentCheck.reason })
+
+    const items = await fetchCompanyNews(resolvedSymbol)
     const top = items[0]
     const sentiment = top ? classifySentiment(`${top.headline} ${top.summary || ''}`) : 'neutral'
     res.json({ symbol, count: items.length, items, sentiment })
   } catch (e) {
+    if (e.code === 'AMBIGUOUS_SYMBOL') return res.status(400).json({ error: e.message, candidates: e.candidates })
     res.status(500).json({ error: e.message || 'failed to fetch news' })
   }
 })
@@ -311,7 +281,8 @@ router.get('/', async (req, res) => {
 // GET /api/news/watchlist?force=true  → busts cache, waits for fresh build
 // GET /api/news/watchlist             → stale-while-revalidate (normal path)
 router.get('/watchlist', async (req, res) => {
-  const marketState = getIndianMarketState()
+  await ensureMarketCalendar()
+  const marketState = getWatchState()
   const now = Date.now()
   const force = req.query.force === 'true'
 
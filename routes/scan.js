@@ -6,11 +6,11 @@ import {
   calculateSwingVWAP,
   supportResistance,
   detectBreakout,
-  estimateATRPercent,
   selectIntradaySessionCandles
 } from '../services/technicalIndicators.js';
+import { computeIndicators, indicatorWarmup } from '../services/indicatorRegistry.js';
 
-import { computeRSI, categorizeRSI } from '../services/rsiCalculator.js';
+import { categorizeRSI } from '../services/rsiCalculator.js';
 import { fetchCompanyNews, classifySentiment } from '../services/newsService.js';
 import { resolveNSESymbol } from '../services/marketData.js'
 import {
@@ -22,6 +22,12 @@ import {
 } from '../services/positionEvaluator.js'
 import { fetchFundamentals } from '../services/marketData.js'
 import { createRateLimiter } from '../middleware/rateLimit.js';
+import { ensureInstrumentMaster, validateInstrument } from '../services/instrumentMaster.js';
+import { buildPreOpenGapList, PRE_OPEN_KEYS } from '../services/preOpenService.js';
+import { combineDataQuality, validateCandles } from '../services/dataQualityService.js';
+import { getVolatilityRegime } from '../services/volatilityRegimeService.js';
+import { getSurveillanceStatus } from '../services/surveillanceService.js';
+import { ensureMarketCalendar, getLegacyMarketState } from '../services/marketCalendarService.js';
 
 // GAP CONTEXT HELPER
 function getGapContext(gapOpenPct, gapNowPct) {
@@ -124,22 +130,12 @@ const fullScanLimiter = createRateLimiter({
   keyFn: (req) => `${req.ip}:full:scan`,
   message: 'Too many full scan requests.'
 });
-const IST_PARTS_FORMATTER = new Intl.DateTimeFormat('en-US', {
-  timeZone: 'Asia/Kolkata',
-  weekday: 'short',
-  year: 'numeric',
-  month: '2-digit',
-  day: '2-digit',
-  hour: '2-digit',
-  minute: '2-digit',
-  hourCycle: 'h23'
+const preOpenLimiter = createRateLimiter({
+  windowMs: Number(process.env.PREOPEN_RATE_LIMIT_WINDOW_MS || 10_000),
+  max: Number(process.env.PREOPEN_RATE_LIMIT_MAX || 20),
+  keyFn: (req) => `${req.ip}:scan:preopen`,
+  message: 'Too many pre-open requests.'
 });
-const NSE_HOLIDAYS = new Set(
-  String(process.env.NSE_HOLIDAYS || '')
-    .split(',')
-    .map(s => s.trim())
-    .filter(Boolean)
-);
 
 function normalizeIndian(symbol) {
   if (!symbol) return symbol;
@@ -200,38 +196,6 @@ function buildIntradayExecutionMeta({ marketState, intradayView, entryPlan, fall
   };
 }
 
-function getIndianMarketState(now = new Date()) {
-  const parts = IST_PARTS_FORMATTER.formatToParts(now);
-  const map = Object.fromEntries(parts.map(part => [part.type, part.value]));
-  const weekday = map.weekday;
-  const year = Number(map.year);
-  const month = Number(map.month);
-  const day = Number(map.day);
-  const hour = Number(map.hour);
-  const minute = Number(map.minute);
-  const mins = hour * 60 + minute;
-  const isWeekend = weekday === 'Sat' || weekday === 'Sun';
-  const istDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-  const isHoliday = NSE_HOLIDAYS.has(istDate);
-  const sessionOpen = 9 * 60 + 15;
-  const sessionClose = 15 * 60 + 30;
-  const isSessionTime = mins >= sessionOpen && mins <= sessionClose;
-  const isOpen = !isWeekend && !isHoliday && isSessionTime;
-
-  let reason = 'market_open';
-  if (isWeekend) reason = 'weekend';
-  else if (isHoliday) reason = 'holiday';
-  else if (mins < sessionOpen) reason = 'pre_open_or_before_session';
-  else if (mins > sessionClose) reason = 'post_market';
-
-  return {
-    isOpen,
-    reason,
-    istDate,
-    istTime: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
-  };
-}
-
 function isFiniteOHLC(candle) {
   const open = Number(candle?.open);
   const high = Number(candle?.high);
@@ -262,13 +226,16 @@ function selectCandlesForTechnicals(candles, minCount = 20) {
 router.post('/', fullScanLimiter, async (req, res) => {
   const { symbols = [], gapThreshold = 0.8, rsiPeriod = 14 } = req.body || {};
   const effectiveRSIPeriod = sanitizeRSIPeriod(rsiPeriod, 14);
-  const marketState = getIndianMarketState();
+  await ensureMarketCalendar();
+  const marketState = getLegacyMarketState('scan');
 
   if (!Array.isArray(symbols) || symbols.length === 0) {
     return res.status(400).json({ error: 'symbols array is required' });
   }
 
   try {
+    await ensureInstrumentMaster();
+    const volatilityRegime = await getVolatilityRegime();
     const results = await Promise.all(
       symbols.map(async (symbol) => {
         try {
@@ -284,6 +251,10 @@ router.post('/', fullScanLimiter, async (req, res) => {
              PRICE + GAP (NSE)
           ====================== */
           const resolvedSymbol = await resolveNSESymbol(symbol)
+          const instrumentCheck = validateInstrument(resolvedSymbol);
+          if (!instrumentCheck.valid) {
+            return { symbol, error: instrumentCheck.reason };
+          }
 const gapData = await fetchGapData(resolvedSymbol)
 
           /* =====================
@@ -301,20 +272,28 @@ const gapData = await fetchGapData(resolvedSymbol)
             )
           ]);
 
-          const intradayCandles = selectCandlesForTechnicals(intradayCandlesRaw, Math.max(20, effectiveRSIPeriod + 1));
+          const intradayValidation = validateCandles(intradayCandlesRaw, { interval: '5m', referencePrice: gapData.currentPrice });
+          const swingValidation = validateCandles(swingCandlesRaw, { interval: '1d', referencePrice: gapData.currentPrice });
+          const dataQuality = combineDataQuality(intradayValidation.report, swingValidation.report);
+          const surveillance = await getSurveillanceStatus(resolvedSymbol, {
+            price: gapData.currentPrice,
+            prevClose: gapData.prevClose
+          });
+          const intradayCandles = selectCandlesForTechnicals(intradayValidation.candles, Math.max(20, effectiveRSIPeriod + 1));
           const intradaySessionCandles = selectIntradaySessionCandles(intradayCandles);
           const intradayRsiCandles = intradaySessionCandles.length >= effectiveRSIPeriod + 1 ? intradaySessionCandles : intradayCandles;
-          const swingCandles = selectCandlesForTechnicals(swingCandlesRaw, Math.max(20, effectiveRSIPeriod + 1));
-          const intradayCloses = intradayRsiCandles.map(c => c.close);
-          const swingCloses = swingCandles.map(c => c.close);
+          const swingCandles = selectCandlesForTechnicals(swingValidation.candles, Math.max(20, effectiveRSIPeriod + 1));
+          // Wilder ATR needs period + 1 bars; early in the session it reads the
+          // multi-session history instead
+          const intradayAtrCandles = intradaySessionCandles.length >= indicatorWarmup('atrPercent') ? intradaySessionCandles : intradayCandles;
           const intradayLastCandle = intradaySessionCandles[intradaySessionCandles.length - 1] || intradayCandles[intradayCandles.length - 1] || intradayCandlesRaw[intradayCandlesRaw.length - 1];
           const swingLastCandle = swingCandles[swingCandles.length - 1] || swingCandlesRaw[swingCandlesRaw.length - 1];
 
           /* =====================
              RSI
           ====================== */
-          const intradayRsi = computeRSI(intradayCloses, effectiveRSIPeriod);
-          const swingRsi = computeRSI(swingCloses, effectiveRSIPeriod);
+          const { rsi: intradayRsi } = computeIndicators(intradayRsiCandles, { rsi: { period: effectiveRSIPeriod } });
+          const { rsi: swingRsi } = computeIndicators(swingCandles, { rsi: { period: effectiveRSIPeriod } });
           const rsiCategory = categorizeRSI(swingRsi);
 
           const rsiBias =
@@ -336,9 +315,9 @@ const gapData = await fetchGapData(resolvedSymbol)
           const vwap = calculateIntradayVWAP(intradaySessionCandles);
           const swingVwap = calculateSwingVWAP(swingCandles, 5);
           const { support, resistance } = supportResistance(intradaySessionCandles);
-          const volatilityPct = estimateATRPercent(intradaySessionCandles, 14);
+          const { atrPercent: volatilityPct } = computeIndicators(intradayAtrCandles, ['atrPercent']);
           const { support: swingSupport, resistance: swingResistance } = supportResistance(swingCandles);
-          const swingVolatilityPct = estimateATRPercent(swingCandles, 14);
+          const { atrPercent: swingVolatilityPct } = computeIndicators(swingCandles, ['atrPercent']);
           const swingVolumeData = detectVolumeSpike(swingCandles);
 
           const breakout =
@@ -388,7 +367,8 @@ const gapData = await fetchGapData(resolvedSymbol)
             gapOpenPct: gapData.gapOpenPct,
             volumeSpike: volumeData.volumeSpike,
             volatilityPct,
-            direction: intradayDirection
+            direction: intradayDirection,
+            volatilityRegime
           });
           const intradayExecutionMeta = buildIntradayExecutionMeta({
             marketState,
@@ -426,7 +406,8 @@ const swingEntryPlan = calculateSwingEntryPrice({
   gapOpenPct: gapData.gapOpenPct,
   gapNowPct: gapData.gapNowPct,
   volumeSpike: swingVolumeData.volumeSpike,
-  volatilityPct: swingVolatilityPct
+  volatilityPct: swingVolatilityPct,
+  volatilityRegime
 })
 
 const fundamentals = await fetchFundamentals(resolvedSymbol)
@@ -497,7 +478,9 @@ const longTermView = evaluateLongTerm({
                   ? (intradayView?.reasons?.[0] || intradayView?.label || 'No intraday edge')
                   : 'Intraday execution is only active during market hours.'
               };
-          const swingOpportunity = swingView?.sentiment === 'positive'
+          // A swing setup read off suspect daily candles is not worth acting on
+          const swingDataSuspect = swingValidation.report.status === 'suspect';
+          const swingOpportunity = swingView?.sentiment === 'positive' && !swingDataSuspect
             ? {
                 qualifies: true,
                 entryPrice: swingEntryPlan.entryPrice,
@@ -511,7 +494,9 @@ const longTermView = evaluateLongTerm({
               }
             : {
                 qualifies: false,
-                reason: swingView?.reasons?.[0] || swingView?.label || 'No swing edge'
+                reason: swingView?.sentiment === 'positive' && swingDataSuspect
+                  ? `Candle data suspect (quality ${swingValidation.report.score}/100)`
+                  : swingView?.reasons?.[0] || swingView?.label || 'No swing edge'
               };
 
 
@@ -523,6 +508,7 @@ const longTermView = evaluateLongTerm({
             symbol,
             normalizedSymbol: normalized,
             companyName: gapData.companyName || symbol,
+            instrument: instrumentCheck.instrument,
 
             gapOpenPct: gapData.gapOpenPct,
             gapNowPct: gapData.gapNowPct,
@@ -569,6 +555,8 @@ const longTermView = evaluateLongTerm({
             swingView,
             swingOpportunity,
             longTermView,
+            dataQuality,
+            surveillance,
 
             marketData: {
               prevClose: gapData.prevClose,
@@ -624,11 +612,39 @@ const longTermView = evaluateLongTerm({
       })
     );
 
-    res.json({ results, compliance, meta: { gapThreshold, rsiPeriod: effectiveRSIPeriod, marketState } });
+    res.json({ results, compliance, meta: { gapThreshold, rsiPeriod: effectiveRSIPeriod, marketState, volatilityRegime } });
   } catch (err) {
     console.error('scan error', err);
     res.status(500).json({ error: 'Failed to scan symbols' });
   }
 });
 
+// GET /api/scan/preopen?key=FO&minGap=1&limit=30
+// Gap list from the 09:00–09:08 pre-open auction, usable before 09:15
+router.get('/preopen', preOpenLimiter, async (req, res) => {
+  const key = String(req.query?.key || 'ALL').toUpperCase();
+  if (!PRE_OPEN_KEYS.includes(key)) {
+    return res.status(400).json({ error: `key must be one of ${PRE_OPEN_KEYS.join(', ')}` });
+  }
+  const minGap = Number(req.query?.minGap);
+  const limit = Number(req.query?.limit);
+
+  try {
+    await Promise.all([ensureInstrumentMaster(), ensureMarketCalendar()]);
+    const result = await buildPreOpenGapList({
+      key,
+      minGapPct: Number.isFinite(minGap) && minGap >= 0 ? minGap : 0.8,
+      limit: Number.isFinite(limit) ? Math.min(Math.max(Math.round(limit), 1), 200) : 50
+    });
+    res.json({
+      ...result,
+      compliance,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('pre-open scan error', err);
+    res.status(500).json({ error: 'Failed to fetch pre-open data' });
+  }
+});
+
 export default router;
@@ -4,17 +4,11 @@ import {
   detectVolumeSpike,
   calculateSwingVWAP,
   supportResistance,
-  estimateATRPercent,
-  getEMAStack,
-  calculateMACD,
-  calculateBollingerBands,
   getVolumeTrend,
-  calculateADX,
-  calculateSupertrend,
-  calculateOBV,
   detectCandlePattern
 } from '../services/technicalIndicators.js';
-import { computeRSI } from '../services/rsiCalculator.js';
+import { computeIndicators, parseIndicatorRequest, SWING_INDICATORS } from '../services/indicatorRegistry.js';
+import { computeWeeklyTrend } from '../services/timeframeService.js';
 import { evaluateSwing, calculateSwingEntryPrice } from '../services/positionEvaluator.js';
 import { resolveNSESymbol } from '../services/marketData.js';
 import { createRateLimiter } from '../middleware/rateLimit.js';
@@ -24,6 +18,15 @@ import { fetchMicrostructureSnapshot } from '../services/microstructureService.j
 import { runSwingBacktest, runSwingThresholdSweep } from '../services/swingBacktestService.js';
 import { fetchMarketActivityProfile } from '../services/marketActivityService.js';
 import { buildProfessionalGate } from '../services/professionalDeskService.js';
+import { fetchOptionsProfile } from '../services/optionChainService.js';
+import { getSectorStrength, sectorScoreAdjustment } from '../services/sectorService.js';
+import { getLatestBreadth } from '../services/breadthService.js';
+import { getVolatilityRegime } from '../services/volatilityRegimeService.js';
+import { getDeliveryProfile } from '../services/deliveryService.js';
+import { getSurveillanceStatus } from '../services/surveillanceService.js';
+import { ensureInstrumentMaster, validateInstrument } from '../services/instrumentMaster.js';
+import { parseScanUniverse } from '../services/scanUniverseService.js';
+import { validateCandles } from '../services/dataQualityService.js';
 
 const router = express.Router();
 const compliance = {
@@ -48,7 +51,9 @@ const swingScanLimiter = createRateLimiter({
 // 🗄️ Background scan cache
 let swingCache = {
   status: 'idle',
+  universe: null,
   results: [],
+  volatilityRegime: null,
   updatedAt: null,
   error: null
 };
@@ -60,13 +65,16 @@ async function mapWithConcurrency(items, concurrency, fn) {
     const batch = items.slice(i, i + concurrency);
     const batchResults = await Promise.all(
       batch.map(item => {
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Symbol processing timeout')), 20000)
-        );
+        let timer;
+        const timeoutPromise = new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Symbol processing timeout')), 20000);
+        });
         return Promise.race([
           fn(item),
           timeoutPromise
-        ]).catch(err => ({ error: err.message, item }));
+        ])
+          .catch(err => ({ error: err.message, item }))
+          .finally(() => clearTimeout(timer));
       })
     );
     results.push(...batchResults);
@@ -112,11 +120,33 @@ function selectCandlesForTechnicals(candles, minCount = 20) {
   return priced.length ? priced : [];
 }
 
+// Weekly EMA50 needs 50 weekly bars — 2y of daily history gives ~100.
+// A failure here only drops the weekly confirmation, never the scan.
+async function fetchWeeklyTrend(symbol) {
+  try {
+    const history = await fetchOHLCV(symbol, 60, { interval: '1d', range: '2y' });
+    return computeWeeklyTrend(selectCandlesForTechnicals(validateCandles(history).candles, 20));
+  } catch {
+    return null;
+  }
+}
+
+function summarizeWeeklyTrend(weeklyTrend) {
+  if (!weeklyTrend) return null;
+  return {
+    bias:       weeklyTrend.bias,
+    emaTrend:   weeklyTrend.emaStack?.regime   ?? null,
+    supertrend: weeklyTrend.supertrend?.trend  ?? null,
+    adx:        weeklyTrend.adx?.adx           ?? null,
+    bars:       weeklyTrend.bars,
+  };
+}
+
 // 📊 Deep scan single symbol for swing
-// backgroundMode=true → Yahoo-only path (no NSE mutex calls) + skip the 3
+// backgroundMode=true → Yahoo-only path (no NSE mutex calls) + skip the 4
 // NSE-dependent enrichment services.  Makes background scans fast regardless
 // of NSE availability.  buildProfessionalGate handles null inputs gracefully.
-async function deepScanSwingSymbol(symbol, { backgroundMode = false } = {}) {
+async function deepScanSwingSymbol(symbol, { backgroundMode = false, volatilityRegime = null } = {}) {
   try {
     const scanSymbol = extractSymbol(symbol);
     if (!scanSymbol) return { symbol: String(symbol ?? ''), error: 'Invalid NSE symbol' };
@@ -130,66 +160,85 @@ async function deepScanSwingSymbol(symbol, { backgroundMode = false } = {}) {
     // backgroundMode: bypass resolveNSESymbol + use Yahoo-only gap fetch so the
     // background scan never serialises through the NSE mutex.
     const resolvedSymbol = backgroundMode ? normalized : await resolveNSESymbol(symbol);
+    // Validate what the query resolved to — company names and aliases are not in the master
+    const instrumentCheck = validateInstrument(resolvedSymbol, { mode: 'swing' });
+    if (!instrumentCheck.valid) {
+      return { symbol, error: instrumentCheck.reason };
+    }
     const gapData = backgroundMode
       ? await fetchGapDataFromYahoo(normalized)
       : await fetchGapData(resolvedSymbol);
-    const candles = await fetchOHLCV(normalized, Math.max(60, 14 + 20));
-    const technicalCandles = selectCandlesForTechnicals(candles, 20);
-    const closes = technicalCandles.map(c => c.close);
+    const [candles, weeklyTrend] = await Promise.all([
+      fetchOHLCV(normalized, Math.max(60, 14 + 20)),
+      fetchWeeklyTrend(normalized),
+    ]);
+    const { candles: validatedCandles, report: dataQuality } = validateCandles(candles, {
+      interval: '1d',
+      referencePrice: gapData.currentPrice
+    });
+    const technicalCandles = selectCandlesForTechnicals(validatedCandles, 20);
     const lastCandle = technicalCandles[technicalCandles.length - 1] || candles[candles.length - 1];
-    const rsi = computeRSI(closes, 14);
-    
+    const {
+      rsi, atrPercent: volatilityPct, emaStack, macd, bollinger: bollingerBands, adx, supertrend, obv: obvData
+    } = computeIndicators(technicalCandles, SWING_INDICATORS);
+
     const volumeData     = detectVolumeSpike(technicalCandles);
     const swingVwap      = calculateSwingVWAP(technicalCandles, 5);
     const { support, resistance } = supportResistance(technicalCandles);
-    const volatilityPct  = estimateATRPercent(technicalCandles, 14);
-    const emaStack       = getEMAStack(technicalCandles);
-    const macd           = calculateMACD(closes);
-    const bollingerBands = calculateBollingerBands(technicalCandles);
     const volumeTrend    = getVolumeTrend(technicalCandles);
-    const adx            = calculateADX(technicalCandles);
-    const supertrend     = calculateSupertrend(technicalCandles);
-    const obvData        = calculateOBV(technicalCandles);
     const candlePattern  = detectCandlePattern(technicalCandles);
 
     const candleColor = lastCandle
       ? (lastCandle.close > lastCandle.open ? 'green' : lastCandle.close < lastCandle.open ? 'red' : 'neutral')
       : 'neutral';
+    // Background scans read delivery from the bhavcopy store only
+    const delivery = await getDeliveryProfile(symbol, { allowNse: !backgroundMode });
 
     const swingView = evaluateSwing({
       rsi, gapOpenPct: gapData.gapOpenPct, gapNowPct: gapData.gapNowPct, volumeSpike: volumeData.volumeSpike,
       price: gapData.currentPrice, swingVWAP: swingVwap, support, resistance,
-      emaStack, adx, supertrend, candlePattern, obvData, volatilityPct
+      emaStack, adx, supertrend, candlePattern, obvData, volatilityPct, weeklyTrend, delivery
     });
 
     const swingEntryPriceData = calculateSwingEntryPrice({
       price: gapData.currentPrice, marketCap: gapData.marketCap, swingVWAP: swingVwap, support, resistance, rsi,
       candleColor, gapOpenPct: gapData.gapOpenPct, gapNowPct: gapData.gapNowPct, volumeSpike: volumeData.volumeSpike,
-      volatilityPct
+      volatilityPct, volatilityRegime
     });
 
-    // backgroundMode: skip the 3 NSE-dependent enrichment services
-    const [eventRisk, microstructure, marketActivity] = backgroundMode
-      ? [null, null, null]
+    // backgroundMode: skip the NSE-dependent enrichment services
+    const [eventRisk, microstructure, marketActivity, optionsActivity] = backgroundMode
+      ? [null, null, null, null]
       : await Promise.all([
           getEventRiskProfile(symbol),
           fetchMicrostructureSnapshot(symbol),
-          fetchMarketActivityProfile(symbol, { biasDirection: 'long' })
+          fetchMarketActivityProfile(symbol, { biasDirection: 'long' }),
+          fetchOptionsProfile(symbol, { biasDirection: 'long', mode: 'swing', price: gapData.currentPrice })
         ]);
+    const sectorStrength = await getSectorStrength(symbol, { candles: validatedCandles });
+    const breadth = await getLatestBreadth();
+    const surveillance = await getSurveillanceStatus(symbol, {
+      price: gapData.currentPrice, prevClose: gapData.prevClose, refresh: !backgroundMode
+    });
     const professionalGate = buildProfessionalGate({
       mode: 'swing',
       signalView: swingView,
       eventRisk,
       microstructure,
       marketActivity,
+      dataQuality,
+      optionsActivity,
+      breadth,
+      surveillance,
     });
 
     return {
       symbol, normalizedSymbol: normalized, companyName: gapData.companyName || symbol,
+      instrument: instrumentCheck.instrument,
       gapOpenPct: gapData.gapOpenPct, gapNowPct: gapData.gapNowPct,
       prevClose: gapData.prevClose, open: gapData.open, currentPrice: gapData.currentPrice,
       marketCap: gapData.marketCap, priceSource: gapData.priceSource, rsi, candleColor,
-      volume: volumeData, vwap: swingVwap, swingVwap, support, resistance,
+      volume: volumeData, delivery, vwap: swingVwap, swingVwap, support, resistance,
       volatilityPct: Number.isFinite(volatilityPct) ? Number(volatilityPct.toFixed(2)) : null,
 
       // ── EMA Regime ────────────────────────────────────────────────────────
@@ -255,8 +304,13 @@ async function deepScanSwingSymbol(symbol, { backgroundMode = false } = {}) {
         strength:  candlePattern?.strength  ?? 'none',
       },
 
+      // ── Weekly trend (higher-timeframe confirmation) ──────────────────────
+      weeklyTrend: summarizeWeeklyTrend(weeklyTrend),
+      timeframeAlignment: swingView.timeframeAlignment,
+      dataQuality,
+
       resolvedSymbol, swingView, finalSentiment: swingView.sentiment,
-      eventRisk, microstructure, marketActivity, professionalGate,
+      eventRisk, microstructure, marketActivity, optionsActivity, sectorStrength, surveillance, professionalGate,
       entryPrice: swingEntryPriceData.entryPrice, stopLoss: swingEntryPriceData.stopLoss,
       target1: swingEntryPriceData.target1, target2: swingEntryPriceData.target2,
       entryReason: swingEntryPriceData.entryReason, entryType: swingEntryPriceData.entryType,
@@ -278,7 +332,7 @@ async function deepScanSwingSymbol(symbol, { backgroundMode = false } = {}) {
 }
 
 // 🔥 Background scan worker for swing
-async function startSwingBackgroundScan() {
+async function startSwingBackgroundScan({ universe } = {}) {
   if (swingCache.status === 'running') return;
 
   console.log('🚀 Starting background swing scan...');
@@ -286,20 +340,26 @@ async function startSwingBackgroundScan() {
   swingCache.error = null;
 
   try {
-    const fast50 = await fastMarketScan();
+    await ensureInstrumentMaster();
+    const scanUniverse = await parseScanUniverse(universe ?? process.env.SWING_SCAN_UNIVERSE);
+    if (!scanUniverse.ok) throw new Error(scanUniverse.error);
+    swingCache.universe = scanUniverse.name;
+    const volatilityRegime = await getVolatilityRegime();
+    swingCache.volatilityRegime = volatilityRegime;
+    const fast50 = await fastMarketScan({ universe: scanUniverse, mode: 'swing' });
     const symbols = fast50;
-    console.log(`📊 Background scanning ${symbols.length} symbols from Nifty 500 for swing (fast mode)...`);
+    console.log(`📊 Background scanning ${symbols.length} symbols from ${scanUniverse.name} for swing (fast mode)...`);
 
     const results = await mapWithConcurrency(
       symbols,
       5, // Higher concurrency safe — fewer calls per symbol
-      async (stock) => deepScanSwingSymbol(stock?.symbol ?? stock, { backgroundMode: true })
+      async (stock) => deepScanSwingSymbol(stock?.symbol ?? stock, { backgroundMode: true, volatilityRegime })
     );
 
     const errored = results.filter(r => r.error);
     if (errored.length) console.warn(`⚠️  Swing scan: ${errored.length}/${results.length} symbols errored`);
 
-    const quality = buildQualitySwingList(results);
+    const quality = buildQualitySwingList(results, volatilityRegime);
     const lifecycle = await applySwingLifecycle(quality.stocks);
     swingCache.results = lifecycle.stocks;
 
@@ -315,7 +375,12 @@ async function startSwingBackgroundScan() {
 
 // 📡 POST /scan/swing/start - Start background scan
 router.post('/start', swingStartLimiter, async (req, res) => {
-  startSwingBackgroundScan(); // fire & forget
+  const universe = req.body?.universe;
+  if (universe != null) {
+    const parsed = await parseScanUniverse(universe);
+    if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+  }
+  startSwingBackgroundScan({ universe }); // fire & forget
   res.json({ status: 'scan_started' });
 });
 
@@ -406,6 +471,11 @@ function computeSwingQualityScore(stock) {
   else if (emaTrend === 'bullish' && !bearStack)  score += 5;
   else if (bearStack)                             score -= 8;  // going long into bearish stack = risk
 
+  // Weekly trend confirmation — daily setups with the weekly tide work best
+  const weeklyAgreement = String(stock?.timeframeAlignment?.agreement || stock?.swingView?.timeframeAlignment?.agreement || '');
+  if (weeklyAgreement === 'aligned')       score += 8;
+  else if (weeklyAgreement === 'conflict') score -= 12;
+
   // ADX trend strength
   if (stock?.adx?.strongTrend)   score += 10;
   else if (stock?.adx?.trending) score += 5;
@@ -429,6 +499,12 @@ function computeSwingQualityScore(stock) {
   // Volume trend conviction
   if (stock?.volumeTrend === 'rising') score += 5;
 
+  // Delivery % vs its 20-day average — carried positions, not same-day churn
+  const deliverySignal = stock?.delivery?.signal;
+  if (deliverySignal === 'accumulation') score += 8;
+  else if ((toFinite(stock?.delivery?.deliveryRatio) ?? 0) >= 1.1) score += 3;
+  else if (deliverySignal === 'churn') score -= volumeSpike ? 8 : 4;
+
   // Bollinger squeeze breakout
   if (stock?.bollingerBands?.squeeze === false && (stock?.bollingerBands?.percentB ?? 0) > 0.65) score += 5;
 
@@ -449,6 +525,9 @@ function computeSwingQualityScore(stock) {
     else if (volPct >= 2.0 && volPct <= 4.8) score += 3;
   }
 
+  // Sector rotation — longs in leading sectors rank above those in lagging ones
+  score += sectorScoreAdjustment(stock?.sectorStrength, 'swing');
+
   score -= Math.max(0, toFinite(professionalGate.scorePenalty) ?? 0);
 
   return Math.round(score);
@@ -468,7 +547,9 @@ function deriveAdaptiveQualityThreshold(scoredCandidates) {
   return Math.min(Math.max(raw, 34), 56);
 }
 
-function buildQualitySwingList(results) {
+// Elevated/panic VIX regimes raise both the R:R floor and the quality cut-off
+function buildQualitySwingList(results, volatilityRegime = null) {
+  const minRiskReward = volatilityRegime?.minRiskReward ?? 1.0;
   const base = results
     .filter(stock =>
       !stock.error &&
@@ -483,7 +564,7 @@ function buildQualitySwingList(results) {
     }))
     .filter(stock => {
       const rr = toFinite(stock.riskRewardAfterCosts ?? stock.riskReward);
-      if (rr == null || rr < 1.0) return false;
+      if (rr == null || rr < minRiskReward) return false;
       if (stock.entryType === 'swing_market') {
         const rsi = toFinite(stock.rsi);
         const gapNow = toFinite(stock.gapNowPct);
@@ -495,9 +576,10 @@ function buildQualitySwingList(results) {
       return true;
     });
 
-  const threshold = deriveAdaptiveQualityThreshold(base);
+  const threshold = deriveAdaptiveQualityThreshold(base) + (volatilityRegime?.qualityThresholdBoost ?? 0);
   return {
     qualityThreshold: threshold,
+    minRiskReward,
     stocks: base
       .filter(stock => stock.qualityScore >= threshold)
       .sort((a, b) => {
@@ -508,17 +590,27 @@ function buildQualitySwingList(results) {
 }
 
 router.post('/', swingScanLimiter, async (req, res) => {
-  const { symbols, rsiPeriod = 14, useTwoStageScan = true } = req.body || {};
+  const { symbols, universe, rsiPeriod = 14, useTwoStageScan = true, indicators } = req.body || {};
   const effectiveRSIPeriod = sanitizeRSIPeriod(rsiPeriod, 14);
+  const extended = parseIndicatorRequest(indicators);
+  if (extended.error) {
+    return res.status(400).json({ error: extended.error });
+  }
 
   try {
+    await ensureInstrumentMaster();
     // If no symbols provided, use institutional-grade scanning
     let symbolsToScan = symbols;
+    let scanUniverse = null;
     if (!symbols || symbols.length === 0) {
+      scanUniverse = await parseScanUniverse(universe);
+      if (!scanUniverse.ok) {
+        return res.status(400).json({ error: scanUniverse.error });
+      }
       if (useTwoStageScan) {
         // TWO-STAGE SCANNING (PRO LEVEL)
         // Stage 1 - Fast scan (cheap) - get 30-50 qualified stocks
-        const fastScanResults = await fastMarketScan();
+        const fastScanResults = await fastMarketScan({ universe: scanUniverse, mode: 'swing' });
         console.log(`🔍 Swing Stage 1: Fast scanned ${fastScanResults.length} stocks`);
 
         // Stage 2 - Deep scan (expensive) - apply full technical analysis
@@ -526,7 +618,7 @@ router.post('/', swingScanLimiter, async (req, res) => {
         symbolsToScan = fastScanResults.map(stock => stock.symbol);
       } else {
         // Legacy approach - use improved fetchMarketMovers
-        const marketMovers = await fetchMarketMovers();
+        const marketMovers = await fetchMarketMovers({ universe: scanUniverse });
         symbolsToScan = marketMovers.map(stock => stock.symbol);
       }
     }
@@ -536,6 +628,7 @@ router.post('/', swingScanLimiter, async (req, res) => {
     }
 
     console.log(`📈 Processing ${symbolsToScan.length} symbols for swing analysis...`);
+    const volatilityRegime = await getVolatilityRegime();
 
     const results = await scanInBatches(
       symbolsToScan,
@@ -555,39 +648,44 @@ router.post('/', swingScanLimiter, async (req, res) => {
              PRICE + GAP (NSE)
           ====================== */
           const resolvedSymbol = await resolveNSESymbol(symbol);
+          const instrumentCheck = validateInstrument(resolvedSymbol, { mode: 'swing' });
+          if (!instrumentCheck.valid) {
+            return { symbol, error: instrumentCheck.reason };
+          }
           const gapData = await fetchGapData(resolvedSymbol);
 
           /* =====================
              OHLCV (Yahoo)
           ====================== */
-          const candles = await fetchOHLCV(
-            resolvedSymbol,
-            Math.max(60, effectiveRSIPeriod + 20)
-          );
-          const technicalCandles = selectCandlesForTechnicals(candles, Math.max(20, effectiveRSIPeriod + 1));
-          const closes = technicalCandles.map(c => c.close);
+          const [candles, weeklyTrend] = await Promise.all([
+            fetchOHLCV(
+              resolvedSymbol,
+              Math.max(60, effectiveRSIPeriod + 20)
+            ),
+            fetchWeeklyTrend(resolvedSymbol),
+          ]);
+          const { candles: validatedCandles, report: dataQuality } = validateCandles(candles, {
+            interval: '1d',
+            referencePrice: gapData.currentPrice
+          });
+          const technicalCandles = selectCandlesForTechnicals(validatedCandles, Math.max(20, effectiveRSIPeriod + 1));
           const lastCandle = technicalCandles[technicalCandles.length - 1] || candles[candles.length - 1];
 
-          /* =====================
-             RSI
-          ====================== */
-          const rsi = computeRSI(closes, effectiveRSIPeriod);
-
           /* =====================
              TECHNICALS
           ====================== */
+          const {
+            rsi, atrPercent: volatilityPct, emaStack, macd, bollinger: bollingerBands, adx, supertrend, obv: obvData
+          } = computeIndicators(technicalCandles, { ...SWING_INDICATORS, rsi: { period: effectiveRSIPeriod } });
           const volumeData     = detectVolumeSpike(technicalCandles);
           const swingVwap      = calculateSwingVWAP(technicalCandles, 5); // 5-day VWAP for swing
           const { support, resistance } = supportResistance(technicalCandles);
-          const volatilityPct  = estimateATRPercent(technicalCandles, 14);
-          const emaStack       = getEMAStack(technicalCandles);
-          const macd           = calculateMACD(closes);
-          const bollingerBands = calculateBollingerBands(technicalCandles);
           const volumeTrend    = getVolumeTrend(technicalCandles);
-          const adx            = calculateADX(technicalCandles);
-          const supertrend     = calculateSupertrend(technicalCandles);
-          const obvData        = calculateOBV(technicalCandles);
           const candlePattern  = detectCandlePattern(technicalCandles);
+          // Opt-in extras (request `indicators`) — computed only when asked for
+          const extendedIndicators = extended.names.length
+            ? computeIndicators(technicalCandles, extended.names)
+            : null;
 
           const candleColor =
             lastCandle && lastCandle.close > lastCandle.open
@@ -596,6 +694,11 @@ router.post('/', swingScanLimiter, async (req, res) => {
               ? 'red'
               : 'neutral';
 
+          /* =====================
+             DELIVERY %
+          ====================== */
+          const delivery = await getDeliveryProfile(symbol);
+
           /* =====================
              SWING EVALUATION
           ====================== */
@@ -608,7 +711,7 @@ router.post('/', swingScanLimiter, async (req, res) => {
             swingVWAP: swingVwap,
             support,
             resistance,
-            emaStack, adx, supertrend, candlePattern, obvData, volatilityPct
+            emaStack, adx, supertrend, candlePattern, obvData, volatilityPct, weeklyTrend, delivery
           });
 
           /* =====================
@@ -625,7 +728,8 @@ router.post('/', swingScanLimiter, async (req, res) => {
             gapOpenPct: gapData.gapOpenPct,
             gapNowPct: gapData.gapNowPct,
             volumeSpike: volumeData.volumeSpike,
-            volatilityPct
+            volatilityPct,
+            volatilityRegime
           });
 
           /* =====================
@@ -650,17 +754,28 @@ router.post('/', swingScanLimiter, async (req, res) => {
             };
           }
 
-          const [eventRisk, microstructure, marketActivity] = await Promise.all([
+          const [eventRisk, microstructure, marketActivity, optionsActivity] = await Promise.all([
             getEventRiskProfile(symbol),
             fetchMicrostructureSnapshot(symbol),
-            fetchMarketActivityProfile(symbol, { biasDirection: 'long' })
+            fetchMarketActivityProfile(symbol, { biasDirection: 'long' }),
+            fetchOptionsProfile(symbol, { biasDirection: 'long', mode: 'swing', price: gapData.currentPrice })
           ]);
+          const sectorStrength = await getSectorStrength(symbol, { candles: validatedCandles });
+          const breadth = await getLatestBreadth();
+          const surveillance = await getSurveillanceStatus(symbol, {
+            price: gapData.currentPrice,
+            prevClose: gapData.prevClose
+          });
           const professionalGate = buildProfessionalGate({
             mode: 'swing',
             signalView: swingView,
             eventRisk,
             microstructure,
             marketActivity,
+            dataQuality,
+            optionsActivity,
+            breadth,
+            surveillance,
           });
 
           if (professionalGate.blocked) {
@@ -677,7 +792,10 @@ router.post('/', swingScanLimiter, async (req, res) => {
               eventRisk,
               microstructure,
               marketActivity,
+              optionsActivity,
+              surveillance,
               professionalGate,
+              dataQuality,
               filtered: true
             };
           }
@@ -689,6 +807,7 @@ router.post('/', swingScanLimiter, async (req, res) => {
             symbol,
             normalizedSymbol: normalized,
             companyName: gapData.companyName || symbol,
+            instrument: instrumentCheck.instrument,
 
             gapOpenPct: gapData.gapOpenPct,
             gapNowPct: gapData.gapNowPct,
@@ -703,6 +822,7 @@ router.post('/', swingScanLimiter, async (req, res) => {
             candleColor,
 
             volume: volumeData,
+            delivery,
             vwap: swingVwap,
             swingVwap,
             support,
@@ -772,11 +892,22 @@ router.post('/', swingScanLimiter, async (req, res) => {
               strength:  candlePattern?.strength  ?? 'none',
             },
 
+            // ── Extended indicators (opt-in) ─────────────────────────────────
+            ...(extendedIndicators ? { indicators: extendedIndicators } : {}),
+
+            // ── Weekly trend (higher-timeframe confirmation) ────────────────
+            weeklyTrend: summarizeWeeklyTrend(weeklyTrend),
+            timeframeAlignment: swingView.timeframeAlignment,
+            dataQuality,
+
             resolvedSymbol,
             swingView,
             eventRisk,
             microstructure,
             marketActivity,
+            optionsActivity,
+            sectorStrength,
+            surveillance,
             professionalGate,
 
             // ── Swing entry price information ─────────────────────────────────
@@ -808,7 +939,7 @@ router.post('/', swingScanLimiter, async (req, res) => {
       '📦 Swing deep scan'
     );
 
-    const quality = buildQualitySwingList(results);
+    const quality = buildQualitySwingList(results, volatilityRegime);
     const lifecycle = await applySwingLifecycle(quality.stocks);
     const positiveSwingStocks = lifecycle.stocks;
 
@@ -821,12 +952,15 @@ router.post('/', swingScanLimiter, async (req, res) => {
         rsiPeriod: effectiveRSIPeriod,
         scanType: useTwoStageScan ? 'two-stage-institutional' : 'improved-filter',
         stage1Processed: useTwoStageScan ? symbolsToScan.length : null,
+        universe: scanUniverse?.name ?? null,
         institutionalFiltering: true,
         professionalDeskUpgrades: ['event-risk-gate', 'microstructure-gate', 'historical-backtest-ready'],
-        riskRewardThreshold: '1:1 minimum',
+        riskRewardThreshold: `1:${quality.minRiskReward} minimum`,
         qualityMode: 'balanced-adaptive',
         qualityScoreThreshold: quality.qualityThreshold,
+        volatilityRegime,
         swingLifecycleTracking: true,
+        extendedIndicators: extended.names,
         tradeDate: lifecycle.tradeDate
       }
     });
@@ -0,0 +1,42 @@
+import { mkdirSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { mkdir, rename, rm, writeFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import path from 'path';
+
+/**
+ * JSON writes for the files under data/: the value goes to a sibling temp
+ * file that is then renamed over the target, so a reader never sees half a
+ * file.  Each write gets its own temp name — two writers sharing one would
+ * rename each other's file away.  `pretty` indents for files people read.
+ */
+function tempPath(file) {
+  return `${file}.${process.pid}.${randomUUID()}.tmp`;
+}
+
+function serialize(value, pretty) {
+  return JSON.stringify(value, null, pretty ? 2 : 0);
+}
+
+export async function writeJsonAtomic(file, value, { pretty = false } = {}) {
+  await mkdir(path.dirname(file), { recursive: true });
+  const tmp = tempPath(file);
+  try {
+    await writeFile(tmp, serialize(value, pretty), 'utf8');
+    await rename(tmp, file);
+  } catch (error) {
+    await rm(tmp, { force: true });
+    throw error;
+  }
+}
+
+export function writeJsonAtomicSync(file, value, { pretty = false } = {}) {
+  mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = tempPath(file);
+  try {
+    writeFileSync(tmp, serialize(value, pretty), 'utf8');
+    renameSync(tmp, file);
+  } catch (error) {
+    rmSync(tmp, { force: true });
+    throw error;
+  }
+}
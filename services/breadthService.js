@@ -0,0 +1,322 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { fetchOHLCV } from './marketData.js';
+import { computeIndicator } from './indicatorRegistry.js';
+import { parseScanUniverse, resolveScanUniverseRows } from './scanUniverseService.js';
+import { ensureMarketCalendar, getISTClock, getSessionWindows, hasSessionClosed } from './marketCalendarService.js';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_BREADTH_DIR = path.resolve(__dirname, '..', 'data', 'breadth');
+
+/**
+ * Market breadth over the scan universe.
+ *
+ * One run reads a year of daily candles for every universe member and works
+ * out, for the latest session: advances vs declines, the share of stocks
+ * above their 20/50/200 EMA, new 52-week highs vs lows, and the McClellan
+ * oscillator (rebuilt from the daily advance/decline series the same candles
+ * give).  Each run's snapshot is kept in data/breadth/history.json by session
+ * date, so the EMA participation history builds up day by day.  Scans only
+ * ever read the saved snapshot — they never trigger a universe-wide download.
+ */
+const EMA_PERIODS = [20, 50, 200];
+const YEAR_SESSIONS = 252;
+const BREADTH_CONCURRENCY = 4;
+const HISTORY_MAX_DAYS = 400;
+// Sessions back the trend is measured against
+const TREND_LOOKBACK = 5;
+// A snapshot older than this is not used to gate scans
+const SNAPSHOT_MAX_AGE_DAYS = 4;
+// Run once the close has settled, a little after the candle recorder
+const RECORD_AFTER_CLOSE_MINUTES = 20;
+const SCHEDULE_CHECK_MS = 10 * 60 * 1000;
+
+let breadthState = { status: 'idle', lastRun: null, error: null };
+let latestSnapshot = null;
+let scheduleTimer = null;
+
+function breadthDir() {
+  return process.env.BREADTH_DIR
+    ? path.resolve(process.env.BREADTH_DIR)
+    : DEFAULT_BREADTH_DIR;
+}
+
+function historyPath() {
+  return path.join(breadthDir(), 'history.json');
+}
+
+function baseSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function pct(part, whole) {
+  return whole > 0 ? round((part / whole) * 100, 1) : null;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// McClellan trends are EMAs with fixed 10% / 5% smoothing (≈19 and 39 days)
+function exponentialTrend(values, alpha) {
+  const out = [];
+  let prev = null;
+  for (const value of values) {
+    prev = prev == null ? value : prev + alpha * (value - prev);
+    out.push(prev);
+  }
+  return out;
+}
+
+/**
+ * McClellan oscillator over ratio-adjusted net advances
+ * ((A − D) / (A + D) × 1000), so the reading does not depend on universe size.
+ */
+export function mcClellanSeries(adSeries) {
+  const net = adSeries.map(({ advances, declines }) =>
+    advances + declines > 0 ? ((advances - declines) / (advances + declines)) * 1000 : 0
+  );
+  const fast = exponentialTrend(net, 0.1);
+  const slow = exponentialTrend(net, 0.05);
+  return adSeries.map((row, i) => ({ date: row.date, value: round(fast[i] - slow[i]) }));
+}
+
+// Per-stock read for the latest session plus its daily up/down history
+function summariseStock(candles) {
+  const closes = candles.map((c) => c.close);
+  const last = candles[candles.length - 1];
+  const prev = candles[candles.length - 2];
+  const year = candles.slice(-YEAR_SESSIONS);
+
+  const aboveEma = {};
+  for (const period of EMA_PERIODS) {
+    const ema = computeIndicator('ema', closes, { period });
+    aboveEma[period] = ema == null ? null : last.close > ema;
+  }
+
+  const moves = new Map();
+  for (let i = 1; i < candles.length; i++) {
+    const change = candles[i].close - candles[i - 1].close;
+    moves.set(String(candles[i].timestamp).slice(0, 10), Math.sign(change));
+  }
+
+  // 52-week extremes need most of a year behind them to mean anything
+  const hasYear = year.length >= YEAR_SESSIONS * 0.9;
+  return {
+    date: String(last.timestamp).slice(0, 10),
+    change: prev ? Math.sign(last.close - prev.close) : 0,
+    aboveEma,
+    newHigh: hasYear && last.high >= Math.max(...year.map((c) => c.high)),
+    newLow: hasYear && last.low <= Math.min(...year.map((c) => c.low)),
+    moves,
+  };
+}
+
+/**
+ * Breadth condition from a snapshot and the one TREND_LOOKBACK sessions
+ * before it: weak (under 30% above the 50 EMA), deteriorating (participation
+ * down 10+ points, or McClellan negative and falling), healthy (60%+ above
+ * the 50 EMA with McClellan positive), else neutral.
+ */
+export function classifyBreadth(snapshot, previous = null) {
+  const above50 = snapshot?.pctAboveEma?.['50'];
+  const mcclellan = snapshot?.mcclellan;
+  const above50Change = above50 != null && previous?.pctAboveEma?.['50'] != null
+    ? round(above50 - previous.pctAboveEma['50'], 1)
+    : null;
+  const mcclellanChange = mcclellan != null && snapshot?.mcclellanPrior != null
+    ? round(mcclellan - snapshot.mcclellanPrior)
+    : null;
+
+  let status = 'neutral';
+  if (above50 != null && above50 < 30) status = 'weak';
+  else if ((above50Change != null && above50Change <= -10) || (mcclellan < 0 && mcclellanChange < 0)) status = 'deteriorating';
+  else if (above50 != null && above50 >= 60 && mcclellan != null && mcclellan >= 0) status = 'healthy';
+
+  return { status, above50Change, mcclellanChange };
+}
+
+/**
+ * Computes and saves today's breadth snapshot for the scan universe
+ * (BREADTH_UNIVERSE, else the default scan universe).  Safe to re-run: a
+ * session's snapshot is simply replaced.  A run before the close is saved
+ * with `sessionComplete: false`, so the scheduled run still replaces it.
+ */
+export async function recordBreadthSnapshot({ universe } = {}) {
+  if (breadthState.status === 'running') throw new Error('Breadth run already in progress');
+
+  breadthState = { ...breadthState, status: 'running', error: null };
+  const startedAt = Date.now();
+  try {
+    const parsed = await parseScanUniverse(universe ?? process.env.BREADTH_UNIVERSE);
+    if (!parsed.ok) throw new Error(parsed.error);
+    const { rows } = await resolveScanUniverseRows(parsed, { retries: 2, timeoutMs: 15000 });
+    const symbols = Array.from(new Set(rows.map((row) => baseSymbol(row.symbol)).filter(Boolean)));
+
+    console.log(`📶 Computing breadth for ${symbols.length} symbols (${parsed.name})...`);
+    const stocks = [];
+    const failed = [];
+    for (let i = 0; i < symbols.length; i += BREADTH_CONCURRENCY) {
+      const batch = symbols.slice(i, i + BREADTH_CONCURRENCY);
+      await Promise.all(batch.map(async (symbol) => {
+        try {
+          const candles = await fetchOHLCV(symbol, 2, { range: '1y' });
+          stocks.push(summariseStock(candles));
+        } catch (error) {
+          failed.push({ symbol, error: error.message });
+        }
+      }));
+    }
+    if (!stocks.length) throw new Error('No candles for any universe member');
+
+    // The session most members have reached is "today"; stale members are left out
+    const dateCounts = new Map();
+    for (const stock of stocks) dateCounts.set(stock.date, (dateCounts.get(stock.date) || 0) + 1);
+    const date = [...dateCounts.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? 1 : -1))[0][0];
+    const current = stocks.filter((stock) => stock.date === date);
+
+    const adByDate = new Map();
+    for (const stock of stocks) {
+      for (const [day, move] of stock.moves) {
+        if (day > date) continue;
+        const row = adByDate.get(day) || { date: day, advances: 0, declines: 0 };
+        if (move > 0) row.advances++;
+        else if (move < 0) row.declines++;
+        adByDate.set(day, row);
+      }
+    }
+    const mcclellan = mcClellanSeries([...adByDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1)));
+
+    const advances = current.filter((s) => s.change > 0).length;
+    const declines = current.filter((s) => s.change < 0).length;
+    const pctAboveEma = {};
+    for (const period of EMA_PERIODS) {
+      const measured = current.filter((s) => s.aboveEma[period] != null);
+      pctAboveEma[period] = pct(measured.filter((s) => s.aboveEma[period]).length, measured.length);
+    }
+    const newHighs = current.filter((s) => s.newHigh).length;
+    const newLows = current.filter((s) => s.newLow).length;
+
+    const history = await readJson(historyPath(), { days: {} });
+    const priorDates = Object.keys(history.days || {}).filter((d) => d < date).sort();
+    const previous = history.days[priorDates[priorDates.length - TREND_LOOKBACK]] || null;
+
+    const snapshot = {
+      date,
+      universe: parsed.name,
+      members: symbols.length,
+      measured: current.length,
+      advances,
+      declines,
+      unchanged: current.length - advances - declines,
+      advanceDeclineRatio: declines > 0 ? round(advances / declines) : null,
+      pctAboveEma,
+      newHighs,
+      newLows,
+      highLowDiff: newHighs - newLows,
+      mcclellan: mcclellan[mcclellan.length - 1]?.value ?? null,
+      mcclellanPrior: mcclellan[mcclellan.length - 1 - TREND_LOOKBACK]?.value ?? null,
+      recordedAt: new Date().toISOString(),
+    };
+    await ensureMarketCalendar({ refresh: false });
+    snapshot.sessionComplete = hasSessionClosed(date, { settleMinutes: RECORD_AFTER_CLOSE_MINUTES });
+    Object.assign(snapshot, classifyBreadth(snapshot, previous));
+
+    const days = { ...history.days, [date]: snapshot };
+    const kept = Object.keys(days).sort().slice(-HISTORY_MAX_DAYS);
+    await writeJsonAtomic(historyPath(), { days: Object.fromEntries(kept.map((d) => [d, days[d]])) });
+    latestSnapshot = snapshot;
+
+    const summary = {
+      date,
+      universe: parsed.name,
+      symbols: symbols.length,
+      measured: current.length,
+      failed,
+      durationMs: Date.now() - startedAt,
+      finishedAt: new Date().toISOString(),
+    };
+    breadthState = { status: 'idle', lastRun: summary, error: null };
+    console.log(`✅ Breadth ${date}: ${advances}/${declines} A/D, ${pctAboveEma[50] ?? '–'}% above 50 EMA (${snapshot.status})`);
+    return snapshot;
+  } catch (error) {
+    breadthState = { ...breadthState, status: 'error', error: error.message };
+    console.error('❌ Breadth run error:', error.message);
+    throw error;
+  }
+}
+
+/** Saved snapshots, oldest first, optionally limited to the last `days`. */
+export async function readBreadthHistory({ days = 60 } = {}) {
+  const history = await readJson(historyPath(), { days: {} });
+  return Object.keys(history.days || {}).sort().slice(-days).map((date) => history.days[date]);
+}
+
+/**
+ * Latest saved snapshot, or null when none is recent enough to trust.  Cheap
+ * enough to call once per scanned symbol.
+ */
+export async function getLatestBreadth() {
+  if (!latestSnapshot) {
+    const [last] = (await readBreadthHistory({ days: 1 })).slice(-1);
+    latestSnapshot = last || null;
+  }
+  if (!latestSnapshot) return null;
+  const ageDays = (Date.now() - Date.parse(latestSnapshot.date)) / 86_400_000;
+  return ageDays <= SNAPSHOT_MAX_AGE_DAYS ? latestSnapshot : null;
+}
+
+export function getBreadthStatus() {
+  return { ...breadthState, scheduled: Boolean(scheduleTimer) };
+}
+
+function isBreadthRecorderEnabled() {
+  const flag = String(process.env.BREADTH_RECORDER || '').trim().toLowerCase();
+  if (flag === 'off' || flag === '0' || flag === 'false') return false;
+  return !getMarketDataProvider().offline;
+}
+
+async function recordIfDue() {
+  await ensureMarketCalendar({ refresh: false });
+  const { date: today, minutes } = getISTClock();
+  const windows = getSessionWindows(today);
+  if (!windows || minutes < windows.minutes.close + RECORD_AFTER_CLOSE_MINUTES) return;
+  if (breadthState.status === 'running') return;
+
+  // Done for today only if the last run came after today's close — a manual
+  // run during the session read partial bars and is redone
+  const [last] = (await readBreadthHistory({ days: 1 })).slice(-1);
+  const recordedAt = last?.recordedAt ? new Date(last.recordedAt) : null;
+  if (recordedAt && getISTClock(recordedAt).date === today
+    && hasSessionClosed(today, { settleMinutes: RECORD_AFTER_CLOSE_MINUTES, now: recordedAt })) return;
+
+  try {
+    await recordBreadthSnapshot();
+  } catch {
+    // already logged; the next check retries
+  }
+}
+
+/**
+ * Checks every 10 minutes and records breadth once the session has closed.
+ * Disabled for offline providers and when BREADTH_RECORDER=off.
+ */
+export function startBreadthRecorder() {
+  if (scheduleTimer || !isBreadthRecorderEnabled()) return;
+  scheduleTimer = setInterval(recordIfDue, SCHEDULE_CHECK_MS);
+  recordIfDue();
+}
@@ -0,0 +1,313 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { getStoredBars } from './candleStore.js';
+import { parseScanUniverse, resolveScanUniverseRows } from './scanUniverseService.js';
+import { ensureMarketCalendar, getISTClock, getISTDate, getSessionWindows, hasSessionClosed, REGULAR_SESSION } from './marketCalendarService.js';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_ARCHIVE_DIR = path.resolve(__dirname, '..', 'data', 'candleArchive');
+
+/**
+ * Permanent archive of intraday candles.
+ *
+ * Yahoo only keeps ~60 days of 5m bars and the candle store trims to the
+ * same window, so after each close the recorder copies the day's session
+ * into data/candleArchive/<interval>/<SYMBOL>/<YYYY-MM>.json.  Every day is
+ * stored with its own quality report; re-running a day replaces it only when
+ * the new copy is at least as complete, so a flaky re-run never erases a good
+ * recording.
+ */
+const RECORD_INTERVAL = '5m';
+const INTERVAL_MINUTES = 5;
+// Run once the close auction has settled and Yahoo has the last bar
+const RECORD_AFTER_CLOSE_MINUTES = 15;
+const SCHEDULE_CHECK_MS = 10 * 60 * 1000;
+const RECORD_CONCURRENCY = 4;
+
+
+let recorderState = { status: 'idle', lastRun: null, error: null };
+let scheduleTimer = null;
+
+function archiveDir() {
+  return process.env.CANDLE_ARCHIVE_DIR
+    ? path.resolve(process.env.CANDLE_ARCHIVE_DIR)
+    : DEFAULT_ARCHIVE_DIR;
+}
+
+function baseSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+function istDate(epochSeconds) {
+  return getISTDate(new Date(epochSeconds * 1000));
+}
+
+function istMinutes(epochSeconds) {
+  return getISTClock(new Date(epochSeconds * 1000)).minutes;
+}
+
+function monthFile(interval, symbol, month) {
+  return path.join(archiveDir(), interval, symbol.replace(/[^A-Za-z0-9._-]/g, '_'), `${month}.json`);
+}
+
+function statePath() {
+  return path.join(archiveDir(), 'recorder.json');
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Cleans one session of 5m bars and reports what was wrong with it:
+ * out-of-session bars, duplicate timestamps and broken OHLC are dropped;
+ * missing slots and zero-volume bars are counted.  `status` is ok (≥95% of
+ * the session's slots — 75 on a regular day — nothing dropped for bad
+ * prices), partial (≥50%) or poor.  `session` gives open/close in IST
+ * minutes; special sessions (Muhurat) pass their own hours.
+ */
+export function assessSessionBars(rawBars, session = REGULAR_SESSION) {
+  const expectedBars = (session.close - session.open) / INTERVAL_MINUTES;
+  const byTime = new Map();
+  let outOfSession = 0;
+  let invalid = 0;
+  let duplicates = 0;
+
+  for (const bar of rawBars) {
+    const minutes = istMinutes(bar.t);
+    if (minutes < session.open || minutes >= session.close) {
+      outOfSession += 1;
+      continue;
+    }
+    const { open, high, low, close } = bar;
+    const pricesOk = [open, high, low, close].every((v) => Number.isFinite(v) && v > 0)
+      && high >= Math.max(open, close)
+      && low <= Math.min(open, close);
+    if (!pricesOk) {
+      invalid += 1;
+      continue;
+    }
+    if (byTime.has(bar.t)) duplicates += 1;
+    // Later copies win — the last fetch of a bar is the settled one
+    byTime.set(bar.t, {
+      t: bar.t,
+      open,
+      high,
+      low,
+      close,
+      volume: Number.isFinite(bar.volume) ? bar.volume : 0,
+    });
+  }
+
+  const bars = Array.from(byTime.values()).sort((a, b) => a.t - b.t);
+  let missingSlots = 0;
+  for (let i = 1; i < bars.length; i += 1) {
+    const step = Math.round((bars[i].t - bars[i - 1].t) / (INTERVAL_MINUTES * 60));
+    if (step > 1) missingSlots += step - 1;
+  }
+  const zeroVolume = bars.filter((bar) => bar.volume === 0).length;
+  const coverage = bars.length / expectedBars;
+
+  const status = coverage >= 0.95 && invalid === 0
+    ? 'ok'
+    : coverage >= 0.5
+    ? 'partial'
+    : 'poor';
+
+  return {
+    bars,
+    quality: {
+      status,
+      barCount: bars.length,
+      expectedBars,
+      coverage: Number(coverage.toFixed(3)),
+      missingSlots,
+      zeroVolume,
+      duplicates,
+      invalid,
+      outOfSession,
+    },
+  };
+}
+
+async function recordSymbolDay(symbol, date) {
+  const raw = await getStoredBars(`${symbol}.NS`, { interval: RECORD_INTERVAL, range: '5d' });
+  const dayBars = raw.filter((bar) => istDate(bar.t) === date);
+  if (!dayBars.length) return { symbol, status: 'no_data' };
+
+  const { bars, quality } = assessSessionBars(dayBars, getSessionWindows(date)?.minutes);
+  if (!bars.length) return { symbol, status: 'no_data', quality };
+
+  const file = monthFile(RECORD_INTERVAL, symbol, date.slice(0, 7));
+  const archive = await readJson(file, { symbol, interval: RECORD_INTERVAL, days: {} });
+  const existing = archive.days?.[date];
+  if (existing && existing.bars.length > bars.length) {
+    return { symbol, status: 'kept_existing', quality: existing.quality };
+  }
+
+  archive.days = { ...archive.days, [date]: { bars, quality, recordedAt: new Date().toISOString() } };
+  await writeJsonAtomic(file, archive);
+  return { symbol, status: existing ? 'replaced' : 'recorded', quality };
+}
+
+/**
+ * Records one IST trading day of 5m candles for every symbol in the scan
+ * universe.  Safe to re-run for the same date.  Yahoo serves ~5 sessions
+ * through the '5d' range, so `date` may be up to a few sessions back.  A run
+ * before the session has closed stores the bars so far but is reported with
+ * `sessionComplete: false` and leaves the day due for the scheduled run.
+ */
+export async function recordSessionCandles({ date = getISTDate(), universe } = {}) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) throw new Error('date must be YYYY-MM-DD');
+  if (recorderState.status === 'running') throw new Error('Candle recorder already running');
+
+  recorderState = { ...recorderState, status: 'running', error: null };
+  const startedAt = Date.now();
+  try {
+    await ensureMarketCalendar({ refresh: false });
+    const sessionComplete = hasSessionClosed(date, { settleMinutes: RECORD_AFTER_CLOSE_MINUTES });
+    const parsed = await parseScanUniverse(universe ?? process.env.CANDLE_RECORDER_UNIVERSE);
+    if (!parsed.ok) throw new Error(parsed.error);
+    const { rows } = await resolveScanUniverseRows(parsed, { retries: 2, timeoutMs: 15000 });
+    const symbols = Array.from(new Set(rows.map((row) => baseSymbol(row.symbol)).filter(Boolean)));
+
+    console.log(`🗃️ Recording ${RECORD_INTERVAL} candles for ${symbols.length} symbols (${parsed.name}, ${date})...`);
+    const results = [];
+    for (let i = 0; i < symbols.length; i += RECORD_CONCURRENCY) {
+      const batch = symbols.slice(i, i + RECORD_CONCURRENCY);
+      results.push(...await Promise.all(batch.map(async (symbol) => {
+        try {
+          return await recordSymbolDay(symbol, date);
+        } catch (error) {
+          return { symbol, status: 'failed', error: error.message };
+        }
+      })));
+    }
+
+    const count = (predicate) => results.filter(predicate).length;
+    const summary = {
+      date,
+      interval: RECORD_INTERVAL,
+      universe: parsed.name,
+      sessionComplete,
+      symbols: symbols.length,
+      recorded: count((r) => r.status === 'recorded' || r.status === 'replaced'),
+      keptExisting: count((r) => r.status === 'kept_existing'),
+      noData: count((r) => r.status === 'no_data'),
+      failed: results.filter((r) => r.status === 'failed').map((r) => ({ symbol: r.symbol, error: r.error })),
+      quality: {
+        ok: count((r) => r.quality?.status === 'ok'),
+        partial: count((r) => r.quality?.status === 'partial'),
+        poor: count((r) => r.quality?.status === 'poor'),
+      },
+      durationMs: Date.now() - startedAt,
+      finishedAt: new Date().toISOString(),
+    };
+
+    // Only a closed session counts as recorded — a mid-session run must not
+    // stop recordIfDue from replacing its partial bars after the close
+    const persisted = await readJson(statePath(), {});
+    const lastRecordedDate = sessionComplete && !(persisted.lastRecordedDate > date)
+      ? date
+      : persisted.lastRecordedDate ?? null;
+    await writeJsonAtomic(statePath(), { lastRecordedDate, lastRun: summary });
+    recorderState = { status: 'idle', lastRun: summary, error: null };
+    console.log(`✅ Candle recorder: ${summary.recorded}/${summary.symbols} recorded for ${date}`);
+    return summary;
+  } catch (error) {
+    recorderState = { ...recorderState, status: 'error', error: error.message };
+    console.error('❌ Candle recorder error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Archived candles for one symbol between two IST dates (inclusive), oldest
+ * first, in the same shape fetchOHLCV returns, plus the per-day quality.
+ */
+export async function readArchivedCandles(symbol, { interval = RECORD_INTERVAL, from, to } = {}) {
+  const base = baseSymbol(symbol);
+  const months = [];
+  const cursor = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+  const end = to.slice(0, 7);
+  while (cursor.toISOString().slice(0, 7) <= end) {
+    months.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+
+  const candles = [];
+  const days = [];
+  for (const month of months) {
+    const archive = await readJson(monthFile(interval, base, month), null);
+    for (const date of Object.keys(archive?.days || {}).sort()) {
+      if (date < from || date > to) continue;
+      const day = archive.days[date];
+      days.push({ date, quality: day.quality, recordedAt: day.recordedAt });
+      for (const bar of day.bars) {
+        candles.push({
+          timestamp: new Date(bar.t * 1000).toISOString(),
+          tradeDateIST: date,
+          open: bar.open,
+          high: bar.high,
+          low: bar.low,
+          close: bar.close,
+          volume: bar.volume,
+          isGreen: bar.close > bar.open,
+          isRed: bar.close < bar.open,
+        });
+      }
+    }
+  }
+  return { symbol: base, interval, candles, days };
+}
+
+export async function getCandleRecorderStatus() {
+  const persisted = await readJson(statePath(), {});
+  return {
+    status: recorderState.status,
+    error: recorderState.error,
+    lastRecordedDate: persisted.lastRecordedDate ?? null,
+    lastRun: recorderState.lastRun ?? persisted.lastRun ?? null,
+    scheduled: Boolean(scheduleTimer),
+  };
+}
+
+function isRecorderEnabled() {
+  const flag = String(process.env.CANDLE_RECORDER || '').trim().toLowerCase();
+  if (flag === 'off' || flag === '0' || flag === 'false') return false;
+  return !getMarketDataProvider().offline;
+}
+
+async function recordIfDue() {
+  await ensureMarketCalendar({ refresh: false });
+  const { date: today, minutes } = getISTClock();
+  const windows = getSessionWindows(today);
+  if (!windows || minutes < windows.minutes.close + RECORD_AFTER_CLOSE_MINUTES) return;
+
+  const persisted = await readJson(statePath(), {});
+  if (persisted.lastRecordedDate === today || recorderState.status === 'running') return;
+
+  try {
+    await recordSessionCandles({ date: today });
+  } catch {
+    // already logged; the next check retries
+  }
+}
+
+/**
+ * Checks every 10 minutes and records today's session once it has closed.
+ * Disabled for offline providers and when CANDLE_RECORDER=off.
+ */
+export function startCandleRecorder() {
+  if (scheduleTimer || !isRecorderEnabled()) return;
+  scheduleTimer = setInterval(recordIfDue, SCHEDULE_CHECK_MS);
+  recordIfDue();
+}
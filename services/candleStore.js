@@ -0,0 +1,238 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { writeJsonAtomic } from './atomicFile.js';
+import { getISTDate } from './marketCalendarService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_STORE_DIR = path.resolve(__dirname, '..', 'data', 'candles');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// How long a stored series is served without asking upstream for the tail.
+// Background scans run every 15/30 min, so anything shorter than that
+// still collapses the repeated per-request downloads inside one scan.
+const DAILY_TTL_MS = Number(process.env.CANDLE_STORE_DAILY_TTL_MS) || 5 * 60 * 1000;
+const INTRADAY_TTL_MS = Number(process.env.CANDLE_STORE_INTRADAY_TTL_MS) || 60 * 1000;
+
+// Yahoo only serves ~60 days of 5m/15m bars, so older intraday bars are
+// dropped instead of growing the file forever.
+const INTRADAY_RETENTION_SECONDS = 60 * DAY_SECONDS;
+
+const DAILY_TAIL_RANGES = ['5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y'];
+const INTRADAY_TAIL_RANGES = ['1d', '5d', '1mo'];
+
+const memoryStore = new Map(); // key → record
+
+/**
+ * Local OHLCV candle store.
+ *
+ * One JSON file per (symbol, interval) under data/candles holds every bar seen
+ * so far.  A read serves straight from the store while it is fresh; once the
+ * TTL lapses only the missing tail is requested from the provider and merged
+ * in (the latest bar is always overwritten because it may still be forming).
+ * A request for more history than the store has ever fetched triggers one
+ * full download of that range, after which tail refreshes keep it contiguous.
+ *
+ * Disabled for offline providers (fixtures must stay the source of truth) and
+ * when CANDLE_STORE=off.
+ */
+function storeDir() {
+  return process.env.CANDLE_STORE_DIR
+    ? path.resolve(process.env.CANDLE_STORE_DIR)
+    : DEFAULT_STORE_DIR;
+}
+
+export function isCandleStoreEnabled() {
+  const flag = String(process.env.CANDLE_STORE || '').trim().toLowerCase();
+  if (flag === 'off' || flag === '0' || flag === 'false') return false;
+  return !getMarketDataProvider().offline;
+}
+
+function isDailyInterval(interval) {
+  return /^\d*(d|wk|mo)$/.test(interval);
+}
+
+/**
+ * Yahoo range string → seconds.  Month/year lengths are rounded up so a
+ * stored series that covers "6mo" is never judged too short for "6mo".
+ */
+export function rangeToSeconds(range) {
+  const match = String(range || '').trim().match(/^(\d+)(d|mo|y)$/);
+  if (!match) return String(range).trim() === 'max' ? Infinity : null;
+  const n = Number(match[1]);
+  if (match[2] === 'd') return n * DAY_SECONDS;
+  if (match[2] === 'mo') return n * 31 * DAY_SECONDS;
+  return n * 366 * DAY_SECONDS;
+}
+
+function recordKey(symbol, interval) {
+  return `${String(symbol).trim().toUpperCase()}__${interval}`;
+}
+
+function recordPath(key) {
+  return path.join(storeDir(), `${key.replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+}
+
+async function loadRecord(key) {
+  if (memoryStore.has(key)) return memoryStore.get(key);
+  let record = null;
+  try {
+    record = JSON.parse(await readFile(recordPath(key), 'utf8'));
+  } catch {
+    record = null;
+  }
+  if (!record || !Array.isArray(record.bars)) {
+    record = { key, bars: [], coveredSeconds: 0, updatedAt: 0 };
+  }
+  memoryStore.set(key, record);
+  return record;
+}
+
+async function saveRecord(record) {
+  memoryStore.set(record.key, record);
+  try {
+    await writeJsonAtomic(recordPath(record.key), record);
+  } catch (error) {
+    // Persistence is best-effort — the in-memory copy still serves this process
+    console.warn(`⚠️ Candle store write failed for ${record.key}: ${error.message}`);
+  }
+}
+
+function barsFromChart(result) {
+  const q = result?.indicators?.quote?.[0];
+  const t = result?.timestamp;
+  if (!q || !Array.isArray(t)) return [];
+
+  const bars = [];
+  for (let i = 0; i < t.length; i += 1) {
+    const bar = {
+      t: t[i],
+      open: q.open?.[i],
+      high: q.high?.[i],
+      low: q.low?.[i],
+      close: q.close?.[i],
+      volume: q.volume?.[i],
+    };
+    if (
+      Number.isFinite(bar.t) &&
+      bar.open != null &&
+      bar.high != null &&
+      bar.low != null &&
+      bar.close != null &&
+      bar.volume != null
+    ) {
+      bars.push(bar);
+    }
+  }
+  return bars;
+}
+
+function istDateOf(bar) {
+  return getISTDate(new Date(bar.t * 1000));
+}
+
+/**
+ * The incoming tail replaces every stored bar from its first IST date on.
+ * Yahoo stamps a forming daily bar at the session open (09:15 IST) and the
+ * settled one at midnight, so matching on `t` alone would keep both.
+ */
+export function mergeBars(existing, incoming, interval = '1d') {
+  if (!incoming.length) return existing;
+  const tail = [...incoming].sort((a, b) => a.t - b.t);
+  const from = istDateOf(tail[0]);
+  const kept = existing.filter((bar) => istDateOf(bar) < from);
+
+  // One bar per day for daily intervals (the last one Yahoo sent), per timestamp otherwise
+  const keyOf = isDailyInterval(interval) ? istDateOf : (bar) => bar.t;
+  const byKey = new Map(tail.map((bar) => [keyOf(bar), bar]));
+  return [...kept, ...byKey.values()];
+}
+
+function pickTailRange(interval, lastBarTime, nowSeconds) {
+  const gapSeconds = Math.max(nowSeconds - lastBarTime, 0) + 3 * DAY_SECONDS;
+  const ladder = isDailyInterval(interval) ? DAILY_TAIL_RANGES : INTRADAY_TAIL_RANGES;
+  return ladder.find((range) => rangeToSeconds(range) >= gapSeconds) || null;
+}
+
+function sliceToRange(bars, interval, range, nowSeconds) {
+  const seconds = rangeToSeconds(range);
+  if (!Number.isFinite(seconds)) return bars;
+
+  // Yahoo's "Nd" on intraday intervals means N trading sessions, not N
+  // calendar days — slice by distinct IST session dates to match it.
+  const dayMatch = String(range).match(/^(\d+)d$/);
+  if (!isDailyInterval(interval) && dayMatch) {
+    const sessions = Number(dayMatch[1]);
+    const wanted = new Set();
+    for (let i = bars.length - 1; i >= 0 && wanted.size <= sessions; i -= 1) {
+      wanted.add(getISTDate(new Date(bars[i].t * 1000)));
+    }
+    const keep = Array.from(wanted).slice(0, sessions);
+    return bars.filter((bar) => keep.includes(getISTDate(new Date(bar.t * 1000))));
+  }
+
+  const cutoff = nowSeconds - seconds;
+  return bars.filter((bar) => bar.t >= cutoff);
+}
+
+/**
+ * Returns raw bars ({ t, open, high, low, close, volume }, t in epoch seconds)
+ * for the requested Yahoo-style range, fetching from the provider only what
+ * the store is missing.
+ */
+export async function getStoredBars(symbol, { interval = '1d', range = '6mo' } = {}) {
+  const provider = getMarketDataProvider();
+
+  if (!isCandleStoreEnabled()) {
+    return barsFromChart(await provider.chart(symbol, { range, interval }));
+  }
+
+  const key = recordKey(symbol, interval);
+  const record = await loadRecord(key);
+  const nowMs = Date.now();
+  const nowSeconds = Math.floor(nowMs / 1000);
+  const requestedSeconds = rangeToSeconds(range) ?? 0;
+  const ttl = isDailyInterval(interval) ? DAILY_TTL_MS : INTRADAY_TTL_MS;
+  const lastBar = record.bars[record.bars.length - 1];
+
+  const covered = record.bars.length > 0 && record.coveredSeconds >= requestedSeconds;
+  const fresh = nowMs - (record.updatedAt || 0) < ttl;
+  if (covered && fresh) {
+    return sliceToRange(record.bars, interval, range, nowSeconds);
+  }
+
+  const tailRange = covered && lastBar ? pickTailRange(interval, lastBar.t, nowSeconds) : null;
+
+  try {
+    if (tailRange) {
+      const incoming = barsFromChart(await provider.chart(symbol, { range: tailRange, interval }));
+      record.bars = mergeBars(record.bars, incoming, interval);
+    } else {
+      // First fetch, a longer range than ever stored, or a gap too wide to
+      // patch — take the full range and rebuild from it.
+      const incoming = barsFromChart(await provider.chart(symbol, { range, interval }));
+      if (incoming.length === 0) throw new Error(`No OHLC data for ${symbol}`);
+      const gapTooWide = lastBar && incoming[0].t > lastBar.t;
+      record.bars = gapTooWide ? incoming : mergeBars(record.bars, incoming, interval);
+      // JSON has no Infinity — a "max" download is stored as the largest safe span
+      const coverage = Number.isFinite(requestedSeconds) ? requestedSeconds : Number.MAX_SAFE_INTEGER;
+      record.coveredSeconds = Math.max(gapTooWide ? 0 : record.coveredSeconds, coverage);
+    }
+
+    if (!isDailyInterval(interval)) {
+      const cutoff = nowSeconds - INTRADAY_RETENTION_SECONDS;
+      record.bars = record.bars.filter((bar) => bar.t >= cutoff);
+    }
+    record.updatedAt = nowMs;
+    await saveRecord(record);
+  } catch (error) {
+    // Serve what we have rather than fail the scan on a transient 429
+    if (!record.bars.length) throw error;
+    console.warn(`⚠️ Candle refresh failed for ${key}, serving stored bars: ${error.message}`);
+  }
+
+  return sliceToRange(record.bars, interval, range, nowSeconds);
+}
@@ -0,0 +1,270 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { coalesce } from './requestCoalescer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_OVERRIDE_PATH = path.resolve(__dirname, '..', 'data', 'corporateActions.json');
+
+const ACTIONS_TTL_MS = 12 * 60 * 60 * 1000;
+// After an NSE failure, skip the exchange for a while instead of adding a
+// retry round-trip to every fetchOHLCV call for that symbol.
+const FAILURE_BACKOFF_MS = 10 * 60 * 1000;
+// Regular dividends below this share of the prior close are left alone —
+// only large/special payouts leave a gap big enough to distort levels.
+const DIVIDEND_ADJUST_MIN_PCT = Number(process.env.CORPORATE_ACTION_DIVIDEND_MIN_PCT) || 2;
+
+const MONTH_INDEX = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+const exchangeFailures = new Map(); // symbol → failedAt
+const lastExchangeActions = new Map(); // symbol → last parsed NSE list
+
+function baseIndianSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+function toPositiveNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function parseExDate(value) {
+  const text = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const m = text.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (!m) return null;
+  const month = MONTH_INDEX[m[2].toLowerCase()];
+  if (month == null) return null;
+  const dt = new Date(Date.UTC(Number(m[3]), month, Number(m[1])));
+  return Number.isNaN(dt.getTime()) ? null : dt.toISOString().slice(0, 10);
+}
+
+/**
+ * Per-share payout in a dividend subject.  Face values ("face value Rs 10",
+ * "FV Rs 2") are not payouts; when amounts are marked "per share" only those
+ * count, summed so "Final Dividend - Rs 3 Per Share And Special Dividend -
+ * Rs 2 Per Share" is 5.  Otherwise the first remaining amount is the payout.
+ */
+function parseDividendPerShare(text) {
+  const payouts = [];
+  for (const match of text.matchAll(/(?:Rs|Re|₹)\.?\s*([\d.]+)(?:\s*\/-)?(\s*per\s+(?:equity\s+)?share)?/gi)) {
+    const before = text.slice(Math.max(0, match.index - 16), match.index);
+    if (/(face\s*value|\bf\.?\s?v\.?)\s*(of|:|-)?\s*$/i.test(before)) continue;
+    const amount = Number(match[1]);
+    if (Number.isFinite(amount) && amount > 0) payouts.push({ amount, perShare: Boolean(match[2]) });
+  }
+  const perShare = payouts.filter((p) => p.perShare);
+  if (perShare.length) return perShare.reduce((sum, p) => sum + p.amount, 0);
+  return payouts[0]?.amount ?? null;
+}
+
+/**
+ * Turns an NSE corporate-action "subject" line into a normalised action:
+ *   "Bonus 1:1"                                               → bonus, ratio 1:1
+ *   "Face Value Split (Sub-Division) - From Rs 10/- ... To Rs 2/- ..." → split 10 → 2
+ *   "Special Dividend - Rs 50 Per Share"                      → dividend 50
+ * Anything else (rights, AGM, interest payments) returns null.
+ */
+export function parseCorporateActionSubject(subject) {
+  const text = String(subject || '').replace(/\s+/g, ' ').trim();
+
+  const bonus = text.match(/bonus\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)/i);
+  if (bonus) {
+    return { type: 'bonus', ratio: `${bonus[1]}:${bonus[2]}` };
+  }
+
+  if (/split|sub-?division|consolidation/i.test(text)) {
+    const fv = text.match(/(?:Rs|Re|₹)\.?\s*([\d.]+)[^\d]*?to\s*(?:Rs|Re|₹)\.?\s*([\d.]+)/i);
+    if (fv) return { type: 'split', from: Number(fv[1]), to: Number(fv[2]) };
+    return null;
+  }
+
+  if (/dividend/i.test(text)) {
+    const amount = parseDividendPerShare(text);
+    if (!amount) return null;
+    return { type: 'dividend', amount, special: /special/i.test(text) };
+  }
+
+  return null;
+}
+
+/**
+ * Price multiplier applied to every bar before the ex-date.  Volume is
+ * divided by the same factor for share-count changes (split/bonus) so
+ * turnover stays continuous; dividends only move price.
+ */
+function priceFactorFor(action, prevClose) {
+  if (toPositiveNumber(action.priceFactor)) return Number(action.priceFactor);
+
+  if (action.type === 'bonus') {
+    const [issued, held] = String(action.ratio || '').split(':').map(Number);
+    if (!(issued > 0) || !(held > 0)) return null;
+    return held / (issued + held);
+  }
+
+  if (action.type === 'split') {
+    const from = toPositiveNumber(action.from);
+    const to = toPositiveNumber(action.to);
+    return from && to ? to / from : null;
+  }
+
+  if (action.type === 'dividend') {
+    const amount = toPositiveNumber(action.amount);
+    if (!amount || !prevClose || amount >= prevClose) return null;
+    const pct = (amount / prevClose) * 100;
+    if (!action.special && pct < DIVIDEND_ADJUST_MIN_PCT) return null;
+    return (prevClose - amount) / prevClose;
+  }
+
+  return null;
+}
+
+async function readOverrides() {
+  const file = process.env.CORPORATE_ACTIONS_FILE
+    ? path.resolve(process.env.CORPORATE_ACTIONS_FILE)
+    : DEFAULT_OVERRIDE_PATH;
+  try {
+    const parsed = JSON.parse(await readFile(file, 'utf8'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+async function fetchExchangeActions(base, { refresh = true } = {}) {
+  if (!refresh) return lastExchangeActions.get(base) || [];
+  const failedAt = exchangeFailures.get(base);
+  if (failedAt && Date.now() - failedAt < FAILURE_BACKOFF_MS) return [];
+
+  try {
+    const rows = await coalesce(
+      'corporateActions',
+      base,
+      () => getMarketDataProvider().nseJson(
+        `/corporates-corporateActions?index=equities&symbol=${encodeURIComponent(base)}`,
+        2
+      ),
+      { ttlMs: ACTIONS_TTL_MS }
+    );
+    exchangeFailures.delete(base);
+
+    const actions = [];
+    for (const row of Array.isArray(rows) ? rows : []) {
+      if (row?.series && String(row.series).toUpperCase() !== 'EQ') continue;
+      const exDate = parseExDate(row?.exDate);
+      const parsed = parseCorporateActionSubject(row?.subject);
+      if (!exDate || !parsed) continue;
+      actions.push({ ...parsed, exDate, subject: row.subject, source: 'NSE' });
+    }
+    lastExchangeActions.set(base, actions);
+    return actions;
+  } catch (error) {
+    exchangeFailures.set(base, Date.now());
+    console.warn(`⚠️ Corporate actions unavailable for ${base}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Exchange corporate actions merged with the local override file
+ * (data/corporateActions.json or CORPORATE_ACTIONS_FILE):
+ *
+ *   { "SYMBOL": [ { "exDate": "2024-10-28", "type": "bonus", "ratio": "1:1" },
+ *                 { "exDate": "2023-07-20", "type": "split", "from": 10, "to": 2 },
+ *                 { "exDate": "2022-03-01", "type": "dividend", "amount": 40, "special": true },
+ *                 { "exDate": "2021-01-05", "priceFactor": 0.5 },
+ *                 { "exDate": "2020-06-01", "type": "bonus", "skip": true } ] }
+ *
+ * An override replaces the exchange action with the same ex-date and type;
+ * `skip: true` drops it (e.g. when the upstream chart is already adjusted).
+ * With `exchange: false` NSE is not called — the last list it returned this
+ * run (if any) is used instead.
+ */
+export async function fetchCorporateActions(symbol, { exchange: askExchange = true } = {}) {
+  const base = baseIndianSymbol(symbol);
+  if (!base) return [];
+
+  const [exchange, overrides] = await Promise.all([
+    fetchExchangeActions(base, { refresh: askExchange }),
+    readOverrides(),
+  ]);
+  const local = Array.isArray(overrides[base]) ? overrides[base] : [];
+
+  const byKey = new Map();
+  for (const action of exchange) byKey.set(`${action.exDate}|${action.type}`, action);
+  for (const raw of local) {
+    const exDate = parseExDate(raw?.exDate);
+    if (!exDate) continue;
+    const action = { ...raw, exDate, type: raw?.type || 'factor', source: 'override' };
+    byKey.set(`${exDate}|${action.type}`, action);
+  }
+
+  return Array.from(byKey.values())
+    .filter((action) => !action.skip)
+    .sort((a, b) => a.exDate.localeCompare(b.exDate));
+}
+
+/**
+ * Back-adjusts candles (oldest first, each with tradeDateIST) for the given
+ * actions.  Every returned candle carries `adjusted` so consumers can tell
+ * rewritten history from raw bars.
+ *
+ * Split/bonus factors are only applied when the raw series actually shows the
+ * gap on the ex-date — Yahoo already adjusts some of them, and applying a
+ * factor twice would create the very discontinuity we are removing.
+ */
+export function adjustCandlesForCorporateActions(candles, actions = []) {
+  if (!Array.isArray(candles) || candles.length === 0) return candles;
+
+  const applied = [];
+  for (const action of actions) {
+    const exIndex = candles.findIndex((c) => c.tradeDateIST >= action.exDate);
+    if (exIndex <= 0) continue; // ex-date outside the series → nothing before it to adjust
+
+    const prevClose = toPositiveNumber(candles[exIndex - 1].close);
+    const exOpen = toPositiveNumber(candles[exIndex].open);
+    const factor = priceFactorFor(action, prevClose);
+    if (!factor || factor === 1) continue;
+
+    const changesShares = action.type === 'bonus' || action.type === 'split';
+    if (changesShares && prevClose && exOpen) {
+      const observed = exOpen / prevClose;
+      const alreadyAdjusted = Math.abs(Math.log(observed)) < Math.abs(Math.log(observed / factor));
+      if (alreadyAdjusted) continue;
+    }
+
+    applied.push({ exDate: action.exDate, factor, volumeFactor: changesShares ? factor : 1 });
+  }
+
+  if (!applied.length) {
+    return candles.map((candle) => ({ ...candle, adjusted: false }));
+  }
+
+  return candles.map((candle) => {
+    let priceFactor = 1;
+    let volumeFactor = 1;
+    for (const action of applied) {
+      if (candle.tradeDateIST < action.exDate) {
+        priceFactor *= action.factor;
+        volumeFactor *= action.volumeFactor;
+      }
+    }
+    if (priceFactor === 1 && volumeFactor === 1) return { ...candle, adjusted: false };
+
+    const round = (v) => Math.round(v * priceFactor * 100) / 100;
+    return {
+      ...candle,
+      open: round(candle.open),
+      high: round(candle.high),
+      low: round(candle.low),
+      close: round(candle.close),
+      volume: Math.round(candle.volume / volumeFactor),
+      adjusted: true,
+    };
+  });
+}
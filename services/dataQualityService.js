@@ -0,0 +1,278 @@
+import { tradingDaysBetween } from './marketCalendarService.js';
+
+/**
+ * Candle validation stage that runs before any indicator sees the data.
+ *
+ * Upstream feeds (Yahoo in particular) occasionally deliver bad ticks — a
+ * single bar whose close or wick is far outside the surrounding prices —
+ * stale repeated bars, duplicate timestamps and bars whose high/low do not
+ * contain the open and close.  Left alone, one bad tick is enough to print
+ * a fake "breakout" above resistance.  validateCandles() flags all of these,
+ * repairs what can be repaired safely and returns a `dataQuality` report that
+ * scan results carry and the professional gate turns into a score penalty.
+ */
+const REPAIR_BY_DEFAULT = !['off', '0', 'false'].includes(
+  String(process.env.DATA_QUALITY_REPAIR || '').trim().toLowerCase()
+);
+
+// Minimum move that can count as a bad tick, and how many "typical" bars it
+// must exceed.  NSE circuit bands allow genuine 10–20% days, which is why a
+// spike also has to revert on the next bar before it is treated as bad data.
+const THRESHOLDS = {
+  daily: { minSpike: 0.08, spikeMultiple: 8, minWick: 0.06, wickMultiple: 6 },
+  intraday: { minSpike: 0.03, spikeMultiple: 10, minWick: 0.02, wickMultiple: 6 },
+};
+
+const MAX_ANOMALY_SAMPLES = 8;
+
+function isDailyInterval(interval) {
+  return /^\d*(d|wk|mo)$/.test(String(interval || '1d'));
+}
+
+function median(values) {
+  const sorted = values.filter((v) => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function barLabel(candle) {
+  return candle?.tradeDateIST && !String(candle?.timestamp || '').includes('T')
+    ? candle.tradeDateIST
+    : candle?.timestamp ?? null;
+}
+
+function hasValidPrices(candle) {
+  return ['open', 'high', 'low', 'close'].every((key) => {
+    const n = Number(candle?.[key]);
+    return Number.isFinite(n) && n > 0;
+  });
+}
+
+function isSameBar(a, b) {
+  return a.open === b.open && a.high === b.high && a.low === b.low && a.close === b.close
+    && Number(a.volume) === Number(b.volume);
+}
+
+/**
+ * Validates (and by default repairs) a candle series, oldest first.
+ *
+ *   invalid            non-positive / non-finite prices          → dropped
+ *   duplicates         repeated timestamp                         → last kept
+ *   staleBars          bar identical to the previous one          → dropped
+ *   ohlcInconsistent   high < max(open, close) or low > min(...)  → widened
+ *   priceSpikes        close jumps and reverts on the next bar    → dropped
+ *   wickSpikes         lone wick far beyond the body              → clamped
+ *   unconfirmedSpike   the *last* bar jumps and `referencePrice` (a live
+ *                      quote) does not vouch for it — cannot be repaired,
+ *                      marks the series suspect
+ *   missingSessions    daily: ≥2 weekday sessions missing in a row
+ *   missingBars        intraday: empty slots inside a session
+ *
+ * With `repair: false` (or DATA_QUALITY_REPAIR=off) anomalies are only
+ * reported and the input candles are returned untouched.
+ */
+export function validateCandles(candles, { interval = '1d', repair = REPAIR_BY_DEFAULT, referencePrice = null } = {}) {
+  const input = Array.isArray(candles) ? candles : [];
+  const daily = isDailyInterval(interval);
+  const limits = daily ? THRESHOLDS.daily : THRESHOLDS.intraday;
+  const intervalMinutes = daily ? null : Number(String(interval).match(/^(\d+)m$/)?.[1]) || 5;
+
+  const issues = {
+    invalid: 0,
+    duplicates: 0,
+    staleBars: 0,
+    ohlcInconsistent: 0,
+    priceSpikes: 0,
+    wickSpikes: 0,
+    unconfirmedSpike: false,
+    missingSessions: 0,
+    missingBars: 0,
+  };
+  const anomalies = [];
+  const note = (type, candle, detail) => {
+    if (anomalies.length < MAX_ANOMALY_SAMPLES) anomalies.push({ type, at: barLabel(candle), ...detail });
+  };
+  let repaired = 0;
+
+  // 1. Unusable prices and duplicate timestamps
+  const byTime = new Map();
+  for (const candle of input) {
+    if (!hasValidPrices(candle)) {
+      issues.invalid += 1;
+      note('invalid', candle);
+      continue;
+    }
+    const key = String(candle.timestamp);
+    if (byTime.has(key)) {
+      issues.duplicates += 1;
+      note('duplicate', candle);
+    }
+    byTime.set(key, candle);
+  }
+  let series = Array.from(byTime.values());
+
+  // 2. Stale repeats — a feed that stopped updating replays the last bar
+  series = series.filter((candle, i) => {
+    if (i === 0 || !isSameBar(candle, series[i - 1])) return true;
+    issues.staleBars += 1;
+    note('stale', candle);
+    return false;
+  });
+
+  // 3. High/low that do not contain the body
+  series = series.map((candle) => {
+    const top = Math.max(candle.open, candle.close);
+    const bottom = Math.min(candle.open, candle.close);
+    if (candle.high >= top && candle.low <= bottom) return candle;
+    issues.ohlcInconsistent += 1;
+    note('ohlc_inconsistent', candle, { high: candle.high, low: candle.low });
+    repaired += 1;
+    return { ...candle, high: Math.max(candle.high, top), low: Math.min(candle.low, bottom), repaired: true };
+  });
+
+  // Typical bar-to-bar move and bar range, robust to the outliers we look for
+  const typicalMove = median(series.slice(1).map((c, i) => Math.abs(Math.log(c.close / series[i].close)))) ?? 0;
+  const typicalRange = median(series.map((c) => (c.high - c.low) / c.close)) ?? 0;
+  const spikeLimit = Math.max(limits.minSpike, typicalMove * limits.spikeMultiple);
+  const wickLimit = Math.max(limits.minWick, typicalRange * limits.wickMultiple);
+
+  // 4. Close spikes that revert on the next bar (bad ticks)
+  const spikeIndexes = new Set();
+  let lastGood = 0;
+  for (let i = 1; i < series.length; i += 1) {
+    const prev = series[lastGood];
+    const curr = series[i];
+    // An intraday session's first bar may gap legitimately
+    if (!daily && curr.tradeDateIST !== prev.tradeDateIST) {
+      lastGood = i;
+      continue;
+    }
+    const jump = Math.log(curr.close / prev.close);
+    if (Math.abs(jump) <= spikeLimit) {
+      lastGood = i;
+      continue;
+    }
+
+    const next = series[i + 1];
+    if (!next) {
+      // Nothing after it to show a revert — a live quote can still vouch for it
+      const confirmed = referencePrice > 0 && Math.abs(Math.log(curr.close / referencePrice)) <= spikeLimit / 3;
+      if (!confirmed) {
+        issues.unconfirmedSpike = true;
+        note('unconfirmed_spike', curr, { movePct: Number((jump * 100).toFixed(2)) });
+      }
+      continue;
+    }
+    const revert = Math.log(next.close / prev.close);
+    if (Math.abs(revert) <= spikeLimit / 3) {
+      issues.priceSpikes += 1;
+      spikeIndexes.add(i);
+      note('price_spike', curr, { movePct: Number((jump * 100).toFixed(2)) });
+    } else {
+      lastGood = i;
+    }
+  }
+  series = series.filter((_, i) => !spikeIndexes.has(i));
+
+  // 5. Lone wicks far outside the body — clamp to a typical wick
+  series = series.map((candle) => {
+    const top = Math.max(candle.open, candle.close);
+    const bottom = Math.min(candle.open, candle.close);
+    const upperWick = (candle.high - top) / top;
+    const lowerWick = (bottom - candle.low) / bottom;
+    if (upperWick <= wickLimit && lowerWick <= wickLimit) return candle;
+
+    issues.wickSpikes += 1;
+    note('wick_spike', candle, {
+      wickPct: Number((Math.max(upperWick, lowerWick) * 100).toFixed(2)),
+    });
+    repaired += 1;
+    return {
+      ...candle,
+      high: upperWick > wickLimit ? Number((top * (1 + typicalRange)).toFixed(2)) : candle.high,
+      low: lowerWick > wickLimit ? Number((bottom * (1 - typicalRange)).toFixed(2)) : candle.low,
+      repaired: true,
+    };
+  });
+
+  // 6. Holes in the series (reported only)
+  for (let i = 1; i < series.length; i += 1) {
+    const prev = series[i - 1];
+    const curr = series[i];
+    if (daily) {
+      // Known holidays are skipped; one more missing day is usually a
+      // holiday the calendar does not have (earlier years)
+      const missing = tradingDaysBetween(prev.tradeDateIST, curr.tradeDateIST, { inclusive: false });
+      if (missing >= 2) {
+        issues.missingSessions += missing;
+        note('missing_sessions', curr, { missing });
+      }
+    } else if (curr.tradeDateIST === prev.tradeDateIST) {
+      const steps = Math.round((Date.parse(curr.timestamp) - Date.parse(prev.timestamp)) / (intervalMinutes * 60000));
+      if (steps > 1) issues.missingBars += steps - 1;
+    }
+  }
+
+  const dropped = input.length - series.length;
+  const score = Math.max(0, Math.min(100, Math.round(
+    100
+    - issues.invalid * 2
+    - issues.duplicates
+    - issues.staleBars * 2
+    - issues.ohlcInconsistent * 2
+    - issues.priceSpikes * 10
+    - issues.wickSpikes * 4
+    - (issues.unconfirmedSpike ? 20 : 0)
+    - Math.min(issues.missingSessions * 3, 30)
+    - Math.min(issues.missingBars * 0.5, 20)
+  )));
+
+  const anomalyCount = issues.invalid + issues.duplicates + issues.staleBars + issues.ohlcInconsistent
+    + issues.priceSpikes + issues.wickSpikes + (issues.unconfirmedSpike ? 1 : 0);
+  const suspect = issues.unconfirmedSpike
+    || score < 70
+    || (!repair && (issues.priceSpikes > 0 || issues.wickSpikes > 0));
+  const status = suspect ? 'suspect' : anomalyCount > 0 || issues.missingSessions > 0 ? 'repaired' : 'clean';
+  const confidencePenalty = status === 'suspect'
+    ? 12 + (issues.unconfirmedSpike ? 6 : 0)
+    : status === 'repaired' ? 3 : 0;
+
+  const report = {
+    status,
+    score,
+    interval,
+    barsIn: input.length,
+    barsOut: repair ? series.length : input.length,
+    repairApplied: repair,
+    repaired: repair ? repaired : 0,
+    dropped: repair ? dropped : 0,
+    issues,
+    anomalies,
+    confidencePenalty,
+  };
+
+  return { candles: repair ? series : input, report };
+}
+
+/**
+ * Compact form of several reports (e.g. 5m + daily in the combined scan):
+ * worst status, lowest score, summed penalty capped at the worst single one
+ * plus a little — two suspect series are not twice as bad as one.
+ */
+export function combineDataQuality(...reports) {
+  const valid = reports.filter(Boolean);
+  if (!valid.length) return null;
+  const rank = { clean: 0, repaired: 1, suspect: 2 };
+  const worst = valid.reduce((a, b) => (rank[b.status] > rank[a.status] ? b : a));
+  return {
+    status: worst.status,
+    score: Math.min(...valid.map((r) => r.score)),
+    confidencePenalty: Math.min(
+      valid.reduce((sum, r) => sum + r.confidencePenalty, 0),
+      Math.max(...valid.map((r) => r.confidencePenalty)) + 4
+    ),
+    issues: worst.issues,
+    series: valid,
+  };
+}
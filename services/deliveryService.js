@@ -0,0 +1,283 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { fetchNSE } from './marketData.js';
+import { coalesce } from './requestCoalescer.js';
+import { ensureMarketCalendar, getISTDate, isTradingDay } from './marketCalendarService.js';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DELIVERY_DIR = path.resolve(__dirname, '..', 'data', 'delivery');
+
+/**
+ * Security-wise delivery: the share of traded quantity that was actually
+ * taken or given in delivery rather than squared off the same day.
+ *
+ * NSE's security archive (priceVolumeDeliverable) is the primary source.
+ * When it fails, the daily full bhavcopy (sec_bhavdata_full_DDMMYYYY.csv)
+ * carries the same DELIV_QTY / DELIV_PER columns for every symbol; each day
+ * is kept in data/delivery/<date>.json after the first download, and a
+ * bhavcopy can also be imported by hand through importBhavcopy().
+ */
+const AVERAGE_SESSIONS = 20;
+// Calendar days fetched to be sure of AVERAGE_SESSIONS + 1 sessions
+const WINDOW_DAYS = 45;
+// End-of-day data: one read per symbol per half hour is plenty
+const DELIVERY_TTL_MS = Number(process.env.DELIVERY_TTL_MS) || 30 * 60 * 1000;
+// A missing bhavcopy (holiday, not yet published) is retried after this
+const MISSING_DAY_RETRY_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today vs its own 20-session average
+const ACCUMULATION_RATIO = 1.25;
+const ACCUMULATION_MIN_PCT = 35;
+const CHURN_RATIO = 0.75;
+const CHURN_MAX_PCT = 20;
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+// Scans only ever look WINDOW_DAYS back; older days are dropped from memory
+const MAX_CACHED_DAYS = WINDOW_DAYS + 15;
+
+// date → { rows, loadedAt } (rows null when that day's file is unavailable)
+const bhavcopyDays = new Map();
+
+function deliveryDir() {
+  return process.env.DELIVERY_DIR
+    ? path.resolve(process.env.DELIVERY_DIR)
+    : DEFAULT_DELIVERY_DIR;
+}
+
+function dayPath(date) {
+  return path.join(deliveryDir(), `${date}.json`);
+}
+
+function toNumber(value) {
+  if (value == null) return null;
+  const text = String(value).trim().replace(/,/g, '');
+  if (text === '' || text === '-') return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function baseSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+function rememberDay(date, rows) {
+  bhavcopyDays.set(date, { rows, loadedAt: Date.now() });
+  if (bhavcopyDays.size <= MAX_CACHED_DAYS) return;
+  const oldest = [...bhavcopyDays.keys()].sort().slice(0, bhavcopyDays.size - MAX_CACHED_DAYS);
+  for (const day of oldest) bhavcopyDays.delete(day);
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// "16-Oct-2026" or "2026-10-16" → "2026-10-16"
+function parseDate(label) {
+  const text = String(label || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const m = text.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})/);
+  if (!m || MONTHS[m[2].toUpperCase()] == null) return null;
+  return new Date(Date.UTC(Number(m[3]), MONTHS[m[2].toUpperCase()], Number(m[1]))).toISOString().slice(0, 10);
+}
+
+function formatDateDDMMYYYY(date, separator = '-') {
+  const [yyyy, mm, dd] = date.split('-');
+  return [dd, mm, yyyy].join(separator);
+}
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function deliveryRow(date, tradedQty, deliverableQty, deliveryPct) {
+  const pct = deliveryPct ?? (tradedQty > 0 && deliverableQty != null ? (deliverableQty / tradedQty) * 100 : null);
+  if (pct == null) return null;
+  return { date, tradedQty, deliverableQty, deliveryPct: round(pct) };
+}
+
+/**
+ * Today's delivery % against the 20-session average: `accumulation` when it
+ * runs well above the stock's norm, `churn` when the day was mostly
+ * squared off, otherwise `normal`.
+ */
+export function classifyDelivery(deliveryPct, averagePct) {
+  if (deliveryPct == null || averagePct == null || averagePct <= 0) return null;
+  const ratio = deliveryPct / averagePct;
+  if (ratio >= ACCUMULATION_RATIO && deliveryPct >= ACCUMULATION_MIN_PCT) return 'accumulation';
+  if (ratio <= CHURN_RATIO || deliveryPct < CHURN_MAX_PCT) return 'churn';
+  return 'normal';
+}
+
+/* =====================
+   NSE SECURITY ARCHIVE
+====================== */
+async function fetchNseDeliveryRows(symbol, asOf) {
+  const from = formatDateDDMMYYYY(shiftDate(asOf, -WINDOW_DAYS));
+  const to = formatDateDDMMYYYY(asOf);
+  const data = await fetchNSE(
+    `/historical/securityArchives?from=${from}&to=${to}&symbol=${encodeURIComponent(symbol)}` +
+    '&dataType=priceVolumeDeliverable&series=ALL'
+  );
+  const rows = (Array.isArray(data?.data) ? data.data : [])
+    .filter((row) => String(row?.CH_SERIES || '').toUpperCase() === 'EQ')
+    .map((row) => deliveryRow(
+      parseDate(row.CH_TIMESTAMP ?? row.mTIMESTAMP),
+      toNumber(row.CH_TOT_TRADED_QTY),
+      toNumber(row.COP_DELIV_QTY),
+      toNumber(row.COP_DELIV_PERC)
+    ))
+    .filter((row) => row?.date && row.date <= asOf);
+  if (!rows.length) throw new Error(`No NSE delivery data for ${symbol}`);
+  return rows;
+}
+
+/* =====================
+   BHAVCOPY
+====================== */
+/**
+ * Parses a full bhavcopy (sec_bhavdata_full) into { date, rows } where rows
+ * maps symbol → { tradedQty, deliverableQty, deliveryPct } for EQ series.
+ */
+export function parseBhavcopy(text) {
+  const lines = String(text || '').split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length < 2) return null;
+  const header = lines[0].split(',').map((cell) => cell.trim().toUpperCase());
+  const col = (name) => header.indexOf(name);
+  const idx = {
+    symbol: col('SYMBOL'), series: col('SERIES'), date: col('DATE1'),
+    traded: col('TTL_TRD_QNTY'), deliverable: col('DELIV_QTY'), pct: col('DELIV_PER'),
+  };
+  if (idx.symbol < 0 || idx.deliverable < 0 || idx.traded < 0) return null;
+
+  let date = null;
+  const rows = {};
+  for (const line of lines.slice(1)) {
+    const cells = line.split(',').map((cell) => cell.trim());
+    if (idx.series >= 0 && cells[idx.series]?.toUpperCase() !== 'EQ') continue;
+    date ??= parseDate(cells[idx.date]);
+    const row = deliveryRow(null, toNumber(cells[idx.traded]), toNumber(cells[idx.deliverable]), toNumber(cells[idx.pct]));
+    if (row) rows[cells[idx.symbol].toUpperCase()] = { tradedQty: row.tradedQty, deliverableQty: row.deliverableQty, deliveryPct: row.deliveryPct };
+  }
+  return date && Object.keys(rows).length ? { date, rows } : null;
+}
+
+/**
+ * Stores one day's bhavcopy for the fallback path.  Returns the session date
+ * and how many symbols it carried, or null when the file is not a full
+ * bhavcopy with delivery columns.
+ */
+export async function importBhavcopy(text) {
+  const parsed = parseBhavcopy(text);
+  if (!parsed) return null;
+  await writeJsonAtomic(dayPath(parsed.date), { ...parsed, importedAt: new Date().toISOString() });
+  rememberDay(parsed.date, parsed.rows);
+  return { date: parsed.date, symbols: Object.keys(parsed.rows).length };
+}
+
+// Concurrent scan workers asking for the same day share one read/download
+function loadBhavcopyDay(date) {
+  const cached = bhavcopyDays.get(date);
+  if (cached && (cached.rows || Date.now() - cached.loadedAt < MISSING_DAY_RETRY_MS)) return Promise.resolve(cached.rows);
+  return coalesce('bhavcopy', date, () => readBhavcopyDay(date));
+}
+
+async function readBhavcopyDay(date) {
+  const stored = await readJson(dayPath(date), null);
+  if (stored?.rows) {
+    rememberDay(date, stored.rows);
+    return stored.rows;
+  }
+
+  let rows = null;
+  try {
+    const text = await getMarketDataProvider().nseArchive(`/products/content/sec_bhavdata_full_${formatDateDDMMYYYY(date, '')}.csv`);
+    const parsed = parseBhavcopy(text);
+    if (parsed?.date === date) {
+      await writeJsonAtomic(dayPath(date), { ...parsed, importedAt: new Date().toISOString() });
+      rows = parsed.rows;
+    }
+  } catch {
+    rows = null; // unlisted holiday or not yet published
+  }
+  rememberDay(date, rows);
+  return rows;
+}
+
+async function fetchBhavcopyDeliveryRows(symbol, asOf) {
+  await ensureMarketCalendar({ refresh: false });
+  const rows = [];
+  for (let back = 0; back <= WINDOW_DAYS && rows.length <= AVERAGE_SESSIONS; back++) {
+    const date = shiftDate(asOf, -back);
+    if (!isTradingDay(date)) continue;
+    const day = await loadBhavcopyDay(date);
+    const row = day?.[symbol];
+    if (row) rows.unshift({ date, ...row });
+  }
+  if (!rows.length) throw new Error(`No bhavcopy delivery data for ${symbol}`);
+  return rows;
+}
+
+/* =====================
+   PROFILE
+====================== */
+function buildProfile(symbol, rows, source) {
+  const sorted = [...rows].sort((a, b) => (a.date < b.date ? -1 : 1));
+  const latest = sorted[sorted.length - 1];
+  const prior = sorted.slice(-AVERAGE_SESSIONS - 1, -1);
+  const averagePct = prior.length
+    ? round(prior.reduce((sum, row) => sum + row.deliveryPct, 0) / prior.length)
+    : null;
+  return {
+    symbol,
+    date: latest.date,
+    source,
+    deliveryPct: latest.deliveryPct,
+    deliverableQty: latest.deliverableQty,
+    tradedQty: latest.tradedQty,
+    avgDeliveryPct20: averagePct,
+    averageSessions: prior.length,
+    deliveryRatio: averagePct ? round(latest.deliveryPct / averagePct) : null,
+    signal: classifyDelivery(latest.deliveryPct, averagePct),
+  };
+}
+
+/**
+ * Latest delivery % for the symbol with its 20-session average and the
+ * accumulation/churn read.  `allowNse: false` goes straight to the bhavcopy
+ * store (background scans keep clear of the NSE API).  Null when neither
+ * source has the symbol.
+ */
+export async function getDeliveryProfile(symbol, { asOf = getISTDate(), allowNse = true } = {}) {
+  const base = baseSymbol(symbol);
+  if (!base) return null;
+  try {
+    return await coalesce('delivery', `${base}|${asOf}|${allowNse}`, async () => {
+      if (allowNse) {
+        try {
+          return buildProfile(base, await fetchNseDeliveryRows(base, asOf), 'nse');
+        } catch (err) {
+          console.warn(`⚠️ NSE delivery data failed for ${base} (${err.message}) — trying bhavcopy`);
+        }
+      }
+      return buildProfile(base, await fetchBhavcopyDeliveryRows(base, asOf), 'bhavcopy');
+    }, { ttlMs: DELIVERY_TTL_MS });
+  } catch {
+    return null;
+  }
+}
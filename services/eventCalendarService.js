@@ -1,4 +1,4 @@
-import fetch from 'node-fetch';
+import fetch from './httpClient.js';
 import { fetchNSE } from './marketData.js';
 
 const RBI_MPC_PUBLICATION_URL =
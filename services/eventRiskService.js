@@ -1,5 +1,9 @@
 import { fetchCompanyNews } from './newsService.js';
 import { assessStructuredCalendarRisk, fetchStructuredEventCalendar } from './eventCalendarService.js';
+import { coalesce } from './requestCoalescer.js';
+
+// News + calendar risk changes slowly relative to a scan cycle
+const EVENT_RISK_TTL_MS = 2 * 60 * 1000;
 
 const SEVERE_KEYWORDS = [
   'results', 'earnings', 'board meeting', 'rbi', 'policy', 'default', 'penalty',
@@ -89,7 +93,12 @@ export function assessEventRiskFromNews(items = []) {
   };
 }
 
-export async function getEventRiskProfile(symbol, options = {}) {
+export function getEventRiskProfile(symbol, options = {}) {
+  const key = `${String(symbol || '').trim().toUpperCase()}|${options.maxAgeHours ?? ''}|${options.trustedOnly !== false}`;
+  return coalesce('eventRisk', key, () => loadEventRiskProfile(symbol, options), { ttlMs: EVENT_RISK_TTL_MS });
+}
+
+async function loadEventRiskProfile(symbol, options) {
   const [structuredCalendar, newsResult] = await Promise.all([
     fetchStructuredEventCalendar(symbol, { limit: 20 }).catch(() => ({
       symbol,
@@ -5,14 +5,28 @@ export function evaluateFundamentals({
   debtToEquity,
   roe,
   analystSentiment,
-  marketPosition
+  marketPosition,
+  pe,
+  pb,
+  evToEbitda,
+  dividendYield,
+  promoterHolding,
+  promoterHoldingChange,
+  promoterPledge,
+  quarterlySalesGrowth,
+  quarterlyEpsGrowth,
+  metricSources = {}
 }) {
   let score = 0
   let reasons = []
+  // Which metrics the score actually leaned on, with where/when each came from
+  const used = new Set()
+  const use = (...names) => names.forEach(name => used.add(name))
 
   // 1️⃣ Earnings Quality & Growth Trend
   // Use != null (loose) to guard against both null and undefined inputs
   if (revenueGrowth != null && profitGrowth != null) {
+    use('revenueGrowth', 'profitGrowth')
     if (revenueGrowth > 15 && profitGrowth > 20) {
       score += 3
       reasons.push('Exceptional earnings growth with strong profitability')
@@ -29,7 +43,8 @@ export function evaluateFundamentals({
   }
 
   // 2️⃣ Financial Health & Balance Sheet Strength
-  if (debtToEquity !== null) {
+  if (debtToEquity != null) {
+    use('debtToEquity')
     if (debtToEquity < 0.3) {
       score += 2
       reasons.push('Conservative debt structure with strong balance sheet')
@@ -43,7 +58,8 @@ export function evaluateFundamentals({
   }
 
   // 3️⃣ Return Efficiency & Profitability
-  if (roe !== null) {
+  if (roe != null) {
+    use('roe')
     if (roe > 25) {
       score += 2
       reasons.push('Exceptional return on equity generation')
@@ -89,6 +105,83 @@ export function evaluateFundamentals({
     score -= 1
     reasons.push('Small-cap volatility and liquidity risks')
   }
+
+  // 7️⃣ Valuation — paying up is fine for growth, not for stagnation
+  if (pe != null) {
+    use('pe')
+    if (pe <= 0) {
+      score -= 1
+      reasons.push('Loss-making on a trailing basis')
+    } else if (pe < 20 && profitGrowth > 10) {
+      score += 1
+      reasons.push(`Reasonable valuation for its growth (PE ${pe})`)
+    } else if (pe > 60 && !(profitGrowth > 25)) {
+      score -= 1
+      reasons.push(`Rich valuation without matching growth (PE ${pe})`)
+    }
+  }
+  if (evToEbitda != null && evToEbitda > 35) {
+    use('evToEbitda')
+    score -= 1
+    reasons.push(`Stretched EV/EBITDA of ${evToEbitda}`)
+  }
+  if (pb != null && pb > 10 && roe != null && roe < 15) {
+    use('pb')
+    score -= 1
+    reasons.push('Price-to-book far ahead of return on equity')
+  }
+  if (dividendYield != null && dividendYield >= 2.5) {
+    use('dividendYield')
+    score += 1
+    reasons.push(`Meaningful dividend yield (${dividendYield}%)`)
+  }
+
+  // 8️⃣ Promoter skin in the game — pledged shares can be force-sold
+  if (promoterPledge != null) {
+    use('promoterPledge')
+    if (promoterPledge > 25) {
+      score -= 2
+      reasons.push(`High promoter pledge (${promoterPledge}% of holding)`)
+    } else if (promoterPledge > 5) {
+      score -= 1
+      reasons.push(`Promoter pledge of ${promoterPledge}% of holding`)
+    }
+  }
+  if (promoterHolding != null) {
+    use('promoterHolding')
+    if (promoterHolding >= 50 && !(promoterPledge > 5)) {
+      score += 1
+      reasons.push(`Strong promoter ownership (${promoterHolding}%)`)
+    }
+  }
+  if (promoterHoldingChange != null && promoterHoldingChange <= -2) {
+    use('promoterHoldingChange')
+    score -= 1
+    reasons.push(`Promoters cut their stake by ${Math.abs(promoterHoldingChange)} pts last quarter`)
+  }
+
+  // 9️⃣ Latest quarter — is the trend still intact?
+  if (quarterlySalesGrowth != null && quarterlyEpsGrowth != null) {
+    use('quarterlySalesGrowth', 'quarterlyEpsGrowth')
+    if (quarterlySalesGrowth > 10 && quarterlyEpsGrowth > 15) {
+      score += 1
+      reasons.push('Latest quarter extends the growth trend')
+    } else if (quarterlySalesGrowth < 0 && quarterlyEpsGrowth < 0) {
+      score -= 1
+      reasons.push('Latest quarter shows falling sales and earnings')
+    }
+  }
+
   score = Math.min(score, 8)
-  return { score, reasons }
+  const values = {
+    revenueGrowth, profitGrowth, debtToEquity, roe, pe, pb, evToEbitda, dividendYield,
+    promoterHolding, promoterHoldingChange, promoterPledge, quarterlySalesGrowth, quarterlyEpsGrowth
+  }
+  const evidence = [...used].map(metric => ({
+    metric,
+    value: values[metric],
+    source: metricSources[metric]?.source ?? null,
+    asOf: metricSources[metric]?.asOf ?? null
+  }))
+  return { score, reasons, evidence }
 }
@@ -0,0 +1,305 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { coalesce } from './requestCoalescer.js';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_CACHE_DIR = path.resolve(__dirname, '..', 'data', 'fundamentals');
+
+/**
+ * Company fundamentals with provenance.
+ *
+ * The provider's fundamentals() capability returns a raw company page
+ * (Screener: headline ratios, quarterly results, balance sheet, shareholding);
+ * this service turns it into `metrics` — every value carrying the source it
+ * came from and the date it is as of — plus the last 12 quarters.  Results
+ * are cached in memory and mirrored to data/fundamentals/<SYMBOL>.json so a
+ * Screener outage (or rate limit) serves the last good snapshot, marked stale.
+ */
+const FUNDAMENTALS_TTL_MS = Number(process.env.FUNDAMENTALS_TTL_MS) || 6 * 60 * 60 * 1000;
+const QUARTERS_KEPT = 12;
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+function cacheDir() {
+  return process.env.FUNDAMENTALS_CACHE_DIR
+    ? path.resolve(process.env.FUNDAMENTALS_CACHE_DIR)
+    : DEFAULT_CACHE_DIR;
+}
+
+function toFinite(value) {
+  if (value == null || value === '' || value === '-') return null;
+  const n = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function last(values) {
+  return Array.isArray(values) && values.length ? toFinite(values[values.length - 1]) : null;
+}
+
+function sum(values) {
+  const nums = values.map(toFinite);
+  return nums.every((n) => n != null) ? nums.reduce((a, b) => a + b, 0) : null;
+}
+
+function pctChange(current, previous) {
+  if (current == null || previous == null || previous <= 0) return null;
+  return round(((current - previous) / previous) * 100);
+}
+
+// "Sep 2025" / "Mar-2024" → "2025-09-30" (period end)
+function periodEnd(label) {
+  const m = String(label || '').trim().match(/^([A-Za-z]{3})[a-z]*[\s-]+(\d{4})$/);
+  const month = m && MONTHS[m[1].toLowerCase()];
+  if (!month) return null;
+  const end = new Date(Date.UTC(Number(m[2]), month, 0));
+  return end.toISOString().slice(0, 10);
+}
+
+function metric(value, source, asOf, basis) {
+  if (value == null || !Number.isFinite(value)) return null;
+  return basis ? { value: round(value), source, asOf, basis } : { value: round(value), source, asOf };
+}
+
+/* =====================
+   NORMALISATION
+====================== */
+function buildQuarters(quarters) {
+  if (!quarters?.periods?.length) return [];
+  return quarters.periods
+    .map((period, i) => {
+      const sales = toFinite(quarters.sales?.[i]);
+      const operatingProfit = toFinite(quarters.operatingProfit?.[i]);
+      return {
+        period,
+        periodEnd: periodEnd(period),
+        sales,
+        operatingProfit,
+        opmPct: sales > 0 && operatingProfit != null ? round((operatingProfit / sales) * 100) : null,
+        netProfit: toFinite(quarters.netProfit?.[i]),
+        eps: toFinite(quarters.eps?.[i]),
+      };
+    })
+    .slice(-QUARTERS_KEPT);
+}
+
+function buildMetrics(raw, quarters, pledge) {
+  const source = raw.source || getMarketDataProvider().name;
+  const fetchedOn = String(raw.fetchedAt || new Date().toISOString()).slice(0, 10);
+  const ratios = raw.ratios || {};
+  const metrics = {};
+  const put = (name, value) => {
+    if (value) metrics[name] = value;
+  };
+
+  // Headline ratios are live — as of the day the page was read
+  const marketCapCr = toFinite(ratios.marketCapCr);
+  const price = toFinite(ratios.price);
+  const bookValue = toFinite(ratios.bookValue);
+  put('marketCap', metric(marketCapCr != null ? marketCapCr * 1e7 : null, source, fetchedOn));
+  put('pe', metric(toFinite(ratios.pe), source, fetchedOn));
+  put('pb', metric(price > 0 && bookValue > 0 ? price / bookValue : null, source, fetchedOn, 'price / book value'));
+  put('dividendYield', metric(toFinite(ratios.dividendYield), source, fetchedOn));
+  put('roe', metric(toFinite(ratios.roe), source, fetchedOn));
+  put('roce', metric(toFinite(ratios.roce), source, fetchedOn));
+
+  // Balance sheet — as of the latest reported year end
+  const sheet = raw.balanceSheet;
+  const sheetAsOf = periodEnd(sheet?.periods?.[sheet.periods.length - 1]);
+  const borrowings = last(sheet?.borrowings);
+  const equity = sum([last(sheet?.equityCapital), last(sheet?.reserves)]);
+  put('debtToEquity', metric(
+    borrowings != null && equity > 0 ? borrowings / equity : null,
+    source,
+    sheetAsOf,
+    'borrowings / (equity capital + reserves)'
+  ));
+
+  // Quarterly results — TTM against the prior TTM needs 8 quarters
+  const lastQuarter = quarters[quarters.length - 1];
+  const quarterAsOf = lastQuarter?.periodEnd ?? null;
+  const ttm = (field, offset = 0) => {
+    const slice = quarters.slice(quarters.length - 4 - offset, quarters.length - offset);
+    return slice.length === 4 ? sum(slice.map((q) => q[field])) : null;
+  };
+  if (quarters.length >= 8) {
+    put('revenueGrowth', metric(pctChange(ttm('sales'), ttm('sales', 4)), source, quarterAsOf, 'TTM sales vs prior TTM'));
+    put('profitGrowth', metric(pctChange(ttm('netProfit'), ttm('netProfit', 4)), source, quarterAsOf, 'TTM net profit vs prior TTM'));
+  }
+  if (quarters.length >= 5) {
+    const yearAgo = quarters[quarters.length - 5];
+    put('quarterlySalesGrowth', metric(pctChange(lastQuarter.sales, yearAgo.sales), source, quarterAsOf, 'latest quarter vs same quarter last year'));
+    put('quarterlyEpsGrowth', metric(pctChange(lastQuarter.eps, yearAgo.eps), source, quarterAsOf, 'latest quarter vs same quarter last year'));
+  }
+  const ttmOperatingProfit = ttm('operatingProfit');
+  if (marketCapCr != null && ttmOperatingProfit > 0) {
+    put('evToEbitda', metric(
+      (marketCapCr + (borrowings ?? 0)) / ttmOperatingProfit,
+      source,
+      quarterAsOf,
+      '(market cap + borrowings) / TTM operating profit; cash not netted'
+    ));
+  }
+
+  // Providers without quarterly history (or an older snapshot) report the
+  // growth figures directly
+  const growth = raw.growth || {};
+  if (!metrics.revenueGrowth) {
+    put('revenueGrowth', metric(toFinite(growth.salesTtm ?? raw.revenueGrowth), source, fetchedOn));
+  }
+  if (!metrics.profitGrowth) {
+    put('profitGrowth', metric(toFinite(growth.profitTtm ?? raw.profitGrowth), source, fetchedOn));
+  }
+  if (!metrics.roe) put('roe', metric(toFinite(raw.roe), source, fetchedOn));
+  if (!metrics.debtToEquity) put('debtToEquity', metric(toFinite(raw.debtToEquity), source, fetchedOn));
+
+  // Ownership — as of the latest shareholding filing
+  const holding = raw.shareholding;
+  const holdingAsOf = periodEnd(holding?.periods?.[holding.periods.length - 1]);
+  const promoters = holding?.promoters || [];
+  const promoterNow = last(promoters);
+  const promoterBefore = promoters.length >= 2 ? toFinite(promoters[promoters.length - 2]) : null;
+  put('promoterHolding', metric(promoterNow, source, holdingAsOf));
+  put('promoterHoldingChange', metric(
+    promoterNow != null && promoterBefore != null ? promoterNow - promoterBefore : null,
+    source,
+    holdingAsOf,
+    'change since previous filing, percentage points'
+  ));
+  put('fiiHolding', metric(last(holding?.fiis), source, holdingAsOf));
+  put('diiHolding', metric(last(holding?.diis), source, holdingAsOf));
+  if (pledge) put('promoterPledge', metric(pledge.value, pledge.source, pledge.asOf, 'pledged shares as % of promoter holding'));
+
+  return metrics;
+}
+
+/* =====================
+   PROMOTER PLEDGE (NSE)
+====================== */
+function parseDisclosureDate(row) {
+  for (const field of [row?.shp, row?.broadcastDt, row?.disclosureDate]) {
+    const text = String(field || '').trim();
+    const fromPeriod = periodEnd(text);
+    if (fromPeriod) return fromPeriod;
+    const parsed = Date.parse(text);
+    if (Number.isFinite(parsed)) return new Date(parsed).toISOString().slice(0, 10);
+  }
+  return null;
+}
+
+async function fetchPromoterPledge(symbol) {
+  try {
+    const payload = await getMarketDataProvider().nseJson(
+      `/corporate-pledgedata?index=equities&symbol=${encodeURIComponent(symbol)}`,
+      2
+    );
+    const rows = (Array.isArray(payload?.data) ? payload.data : [])
+      .map((row) => ({
+        value: toFinite(row?.percPromoterShares ?? row?.percSharesPledged),
+        asOf: parseDisclosureDate(row),
+      }))
+      .filter((row) => row.value != null)
+      .sort((a, b) => String(b.asOf || '').localeCompare(String(a.asOf || '')));
+    return rows[0] ? { ...rows[0], source: 'nse' } : null;
+  } catch {
+    return null;
+  }
+}
+
+/* =====================
+   DISK SNAPSHOTS
+====================== */
+function snapshotPath(symbol) {
+  return path.join(cacheDir(), `${symbol.replace(/[^A-Z0-9&_-]/g, '_')}.json`);
+}
+
+async function readSnapshot(symbol) {
+  try {
+    return JSON.parse(await readFile(snapshotPath(symbol), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function saveSnapshot(snapshot) {
+  // Offline providers must not overwrite real snapshots with fixture data
+  if (getMarketDataProvider().offline) return;
+  try {
+    await writeJsonAtomic(snapshotPath(snapshot.symbol), snapshot, { pretty: true });
+  } catch (error) {
+    console.warn(`⚠️ Could not save fundamentals snapshot for ${snapshot.symbol}: ${error.message}`);
+  }
+}
+
+async function loadFundamentals(symbol) {
+  const [raw, pledge] = await Promise.all([
+    getMarketDataProvider().fundamentals(symbol),
+    fetchPromoterPledge(symbol),
+  ]);
+  if (!raw) throw new Error(`No fundamentals for ${symbol}`);
+
+  const quarters = buildQuarters(raw.quarters);
+  const snapshot = {
+    symbol,
+    fetchedAt: raw.fetchedAt || new Date().toISOString(),
+    stale: false,
+    sources: [...new Set([raw.source || getMarketDataProvider().name, pledge?.source].filter(Boolean))],
+    sourceUrl: raw.url || null,
+    metrics: buildMetrics(raw, quarters, pledge),
+    quarters,
+  };
+  await saveSnapshot(snapshot);
+  return snapshot;
+}
+
+/**
+ * Fundamentals snapshot for one NSE symbol (base form, no .NS):
+ *   { symbol, fetchedAt, stale, sources, sourceUrl,
+ *     metrics: { pe, pb, evToEbitda, dividendYield, marketCap, roe, roce,
+ *                debtToEquity, revenueGrowth, profitGrowth,
+ *                quarterlySalesGrowth, quarterlyEpsGrowth, promoterHolding,
+ *                promoterHoldingChange, promoterPledge, fiiHolding, diiHolding }
+ *              — each { value, source, asOf, basis? }, absent when unknown,
+ *     quarters: [{ period, periodEnd, sales, operatingProfit, opmPct, netProfit, eps }] }
+ * Returns null when neither the provider nor the disk snapshot has data.
+ */
+export async function getFundamentals(symbol) {
+  const base = String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/, '');
+  if (!base) return null;
+  try {
+    return await coalesce('fundamentals', base, () => loadFundamentals(base), { ttlMs: FUNDAMENTALS_TTL_MS });
+  } catch (error) {
+    const saved = await readSnapshot(base);
+    if (saved) {
+      console.warn(`⚠️ Fundamentals for ${base} unavailable (${error.message}) — serving snapshot from ${saved.fetchedAt}`);
+      return { ...saved, stale: true };
+    }
+    return null;
+  }
+}
+
+/**
+ * Flat inputs for evaluateFundamentals / evaluateLongTerm.  `metricSources`
+ * carries each value's { source, asOf, basis } so the scores can report where
+ * their evidence came from.
+ */
+export function fundamentalsForScoring(snapshot) {
+  if (!snapshot?.metrics) return null;
+  const inputs = { metricSources: {} };
+  for (const [name, entry] of Object.entries(snapshot.metrics)) {
+    inputs[name] = entry.value;
+    const { value, ...provenance } = entry;
+    inputs.metricSources[name] = provenance;
+  }
+  inputs.stale = snapshot.stale === true;
+  return inputs;
+}
@@ -0,0 +1,239 @@
+import { fetchNSE, isNSELikelyAvailable } from './marketData.js';
+import { coalesce } from './requestCoalescer.js';
+import { isOptionable, OPTION_INDEX_SYMBOLS } from './optionChainService.js';
+
+// Futures OI is published with the quote and moves through the session
+const FUTURES_TTL_MS = Number(process.env.FUTURES_TTL_MS) || 60_000;
+// Calendar days of daily futures history used for the build-up trail
+const FUTURES_HISTORY_DAYS = Number(process.env.FUTURES_HISTORY_DAYS) || 21;
+// Settled sessions don't change; today's read comes from the live quote, so a
+// contract's history is fetched once per day
+const FUTURES_HISTORY_TTL_MS = Number(process.env.FUTURES_HISTORY_TTL_MS) || 6 * 60 * 60 * 1000;
+// History is optional, so a failing call gives up early instead of holding the
+// shared NSE lock through the full retry back-off
+const FUTURES_HISTORY_RETRIES = 2;
+// Rollover only means something in the last week of the series
+const ROLLOVER_WINDOW_DAYS = 7;
+const NEAR_MONTH_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+export const BUILD_UP_LABELS = {
+  long_buildup: 'Long build-up',
+  short_buildup: 'Short build-up',
+  short_covering: 'Short covering',
+  long_unwinding: 'Long unwinding',
+};
+
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function baseIndianSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+// "27-Oct-2026" or "16-Oct-2026 15:30:00" → epoch ms (UTC midnight)
+function parseNseDate(label) {
+  const m = String(label || '').match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})/);
+  if (!m || MONTHS[m[2].toUpperCase()] == null) return null;
+  return Date.UTC(Number(m[3]), MONTHS[m[2].toUpperCase()], Number(m[1]));
+}
+
+function formatDateDDMMYYYY(ms) {
+  const date = new Date(ms);
+  const dd = String(date.getUTCDate()).padStart(2, '0');
+  const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+  return `${dd}-${mm}-${date.getUTCFullYear()}`;
+}
+
+function pctChange(current, previous) {
+  if (current == null || previous == null || previous === 0) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+/**
+ * Price vs open-interest quadrant for one session:
+ * price ↑ OI ↑ long build-up, price ↓ OI ↑ short build-up,
+ * price ↑ OI ↓ short covering, price ↓ OI ↓ long unwinding.
+ */
+export function classifyBuildUp(priceChangePct, oiChangePct) {
+  if (priceChangePct == null || oiChangePct == null) return null;
+  if (priceChangePct === 0 || oiChangePct === 0) return null;
+  if (oiChangePct > 0) return priceChangePct > 0 ? 'long_buildup' : 'short_buildup';
+  return priceChangePct > 0 ? 'short_covering' : 'long_unwinding';
+}
+
+function parseFuturesContracts(payload) {
+  const rows = Array.isArray(payload?.stocks) ? payload.stocks : [];
+  return rows
+    .filter((row) => /futures/i.test(row?.metadata?.instrumentType || ''))
+    .map((row) => {
+      const meta = row.metadata;
+      const trade = row.marketDeptOrderBook?.tradeInfo || {};
+      const lastPrice = toNumber(meta.lastPrice);
+      const underlying = toNumber(row.underlyingValue ?? payload.underlyingValue);
+      return {
+        expiry: meta.expiryDate,
+        expiryMs: parseNseDate(meta.expiryDate),
+        lastPrice,
+        prevClose: toNumber(meta.prevClose),
+        changePct: round(toNumber(meta.pChange)),
+        openInterest: toNumber(trade.openInterest),
+        oiChange: toNumber(trade.changeinOpenInterest),
+        oiChangePct: round(toNumber(trade.pchangeinOpenInterest)),
+        volume: toNumber(trade.tradedVolume),
+        contracts: toNumber(meta.numberOfContractsTraded),
+        basis: lastPrice != null && underlying != null ? round(lastPrice - underlying) : null,
+        basisPct: lastPrice != null && underlying ? round(((lastPrice - underlying) / underlying) * 100) : null,
+      };
+    })
+    .filter((c) => c.expiryMs != null)
+    .sort((a, b) => a.expiryMs - b.expiryMs);
+}
+
+// Daily bars for one contract, keyed by session date.  Shared through the
+// cache — callers must not modify the returned map.
+function fetchContractHistory(symbol, instrumentType, expiry, toMs) {
+  const to = formatDateDDMMYYYY(toMs);
+  return coalesce('futuresHistory', `${symbol}|${expiry}|${to}`, () => loadContractHistory(symbol, instrumentType, expiry, toMs), {
+    ttlMs: FUTURES_HISTORY_TTL_MS,
+  });
+}
+
+async function loadContractHistory(symbol, instrumentType, expiry, toMs) {
+  const from = formatDateDDMMYYYY(toMs - FUTURES_HISTORY_DAYS * DAY_MS);
+  const to = formatDateDDMMYYYY(toMs);
+  const year = new Date(toMs).getUTCFullYear();
+  const data = await fetchNSE(
+    `/historical/foCPV?from=${from}&to=${to}&instrumentType=${instrumentType}` +
+    `&symbol=${encodeURIComponent(symbol)}&year=${year}&expiryDate=${expiry}`,
+    FUTURES_HISTORY_RETRIES
+  );
+  const rows = new Map();
+  for (const row of Array.isArray(data?.data) ? data.data : []) {
+    const dateMs = parseNseDate(row?.FH_TIMESTAMP);
+    if (dateMs == null) continue;
+    rows.set(dateMs, {
+      close: toNumber(row.FH_SETTLE_PRICE) ?? toNumber(row.FH_CLOSING_PRICE),
+      openInterest: toNumber(row.FH_OPEN_INT),
+      volume: toNumber(row.FH_TOT_TRADED_QTY),
+    });
+  }
+  return rows;
+}
+
+/**
+ * One row per session, oldest first.  Price is the near-month settle; OI is
+ * near + next combined so the roll into the next series is not mistaken for
+ * unwinding.  The near contract is whichever series was nearest that day.
+ */
+export function buildFuturesHistory(nearRows, nextRows = new Map()) {
+  const dates = [...new Set([...nearRows.keys(), ...nextRows.keys()])].sort((a, b) => a - b);
+  const history = [];
+  let previous = null;
+
+  for (const dateMs of dates) {
+    const near = nearRows.get(dateMs);
+    const next = nextRows.get(dateMs);
+    if (!near || near.close == null || near.openInterest == null) continue;
+    const openInterest = near.openInterest + (next?.openInterest || 0);
+    const changePct = previous ? pctChange(near.close, previous.close) : null;
+    const oiChangePct = previous ? pctChange(openInterest, previous.openInterest) : null;
+    history.push({
+      date: new Date(dateMs).toISOString().slice(0, 10),
+      close: near.close,
+      changePct: round(changePct),
+      openInterest,
+      oiChangePct: round(oiChangePct),
+      rolloverPct: next?.openInterest != null && openInterest ? round((next.openInterest / openInterest) * 100) : null,
+      buildUp: classifyBuildUp(changePct, oiChangePct),
+    });
+    previous = { close: near.close, openInterest };
+  }
+  return history;
+}
+
+export async function fetchFuturesQuote(symbol) {
+  const base = baseIndianSymbol(symbol);
+  return coalesce('futures', base, () => fetchNSE(`/quote-derivative?symbol=${encodeURIComponent(base)}`), {
+    ttlMs: FUTURES_TTL_MS,
+  });
+}
+
+/**
+ * Current/next-expiry futures with the day's build-up, the daily build-up
+ * trail and rollover.  Returns null for symbols that are not in F&O.
+ */
+export async function fetchFuturesProfile(symbol) {
+  const base = baseIndianSymbol(symbol);
+  if (!isOptionable(base)) return null;
+
+  const payload = await fetchFuturesQuote(base);
+  const [current, next] = parseFuturesContracts(payload);
+  if (!current) return null;
+
+  const instrumentType = OPTION_INDEX_SYMBOLS.includes(base) ? 'FUTIDX' : 'FUTSTK';
+  const asOfMs = parseNseDate(payload?.fut_timestamp) ?? Date.now();
+
+  // History is a nice-to-have and skipped while NSE is outside its window; the
+  // live quote alone still classifies today
+  const withHistory = isNSELikelyAvailable();
+  const [nearRows, nextRows] = await Promise.all([
+    withHistory ? fetchContractHistory(base, instrumentType, current.expiry, asOfMs).catch(() => new Map()) : new Map(),
+    withHistory && next ? fetchContractHistory(base, instrumentType, next.expiry, asOfMs).catch(() => new Map()) : new Map(),
+  ]);
+  // Keep only sessions where this contract was already the near month
+  // (monthly series expire four to five weeks apart)
+  const nearSince = current.expiryMs - NEAR_MONTH_DAYS * DAY_MS;
+  const nearMonthRows = new Map([...nearRows].filter(([dateMs]) => dateMs > nearSince));
+  const history = buildFuturesHistory(nearMonthRows, nextRows);
+
+  // Today's read comes from the live quote so it is current during market hours
+  const combinedOi = (current.openInterest || 0) + (next?.openInterest || 0);
+  const combinedOiChange = (current.oiChange || 0) + (next?.oiChange || 0);
+  const oiChangePct = combinedOi - combinedOiChange > 0
+    ? round((combinedOiChange / (combinedOi - combinedOiChange)) * 100)
+    : null;
+  const daysToExpiry = Math.max(0, Math.round((current.expiryMs - asOfMs) / DAY_MS));
+
+  let streak = 0;
+  const buildUp = classifyBuildUp(current.changePct, oiChangePct);
+  if (buildUp) {
+    streak = 1;
+    const trail = history.filter((row) => row.date < new Date(asOfMs).toISOString().slice(0, 10));
+    for (let i = trail.length - 1; i >= 0 && trail[i].buildUp === buildUp; i--) streak++;
+  }
+
+  const strip = ({ expiryMs, ...contract }) => contract;
+  return {
+    symbol: base,
+    instrumentType,
+    underlying: toNumber(payload?.underlyingValue),
+    asOf: payload?.fut_timestamp || null,
+    current: strip(current),
+    next: next ? strip(next) : null,
+    buildUp: {
+      type: buildUp,
+      label: BUILD_UP_LABELS[buildUp] || 'No clear build-up',
+      priceChangePct: current.changePct,
+      oiChangePct,
+      streak,
+    },
+    rollover: {
+      pct: next?.openInterest != null && combinedOi ? round((next.openInterest / combinedOi) * 100) : null,
+      daysToExpiry,
+      inWindow: daysToExpiry <= ROLLOVER_WINDOW_DAYS,
+    },
+    history,
+  };
+}
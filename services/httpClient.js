@@ -0,0 +1,146 @@
+import nodeFetch, { Response } from 'node-fetch';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeJsonAtomicSync } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_RECORDINGS_DIR = path.resolve(__dirname, '..', 'fixtures', 'http');
+
+/**
+ * Drop-in replacement for node-fetch used by every upstream call (NSE,
+ * Yahoo, Screener, Google News, Zerodha, RBI) with a record/replay switch:
+ *
+ *   SIGNALX_RECORD=1   call upstream and save each response under
+ *                      fixtures/http/<host>/ (or SIGNALX_RECORDINGS_DIR)
+ *   SIGNALX_REPLAY=1   never touch the network — answer from the saved
+ *                      recordings and fail loudly when one is missing
+ *
+ * With neither set it is plain node-fetch.  Recordings are keyed by method,
+ * URL (minus cache-busting params) and request body, so the same call maps to
+ * the same file every run.
+ */
+// Cache-busters that change on every call without changing the answer.  Range
+// params (Yahoo's period1/period2) stay — they pick which bars come back.
+const VOLATILE_PARAMS = new Set(['_', 'crumb', 'ts', 'nocache']);
+// Response headers worth keeping — set-cookie carries the NSE session
+const KEPT_HEADERS = ['content-type', 'set-cookie', 'location'];
+
+function recordingsDir() {
+  return process.env.SIGNALX_RECORDINGS_DIR
+    ? path.resolve(process.env.SIGNALX_RECORDINGS_DIR)
+    : DEFAULT_RECORDINGS_DIR;
+}
+
+function flagOn(name) {
+  return ['1', 'true', 'on'].includes(String(process.env[name] || '').trim().toLowerCase());
+}
+
+export function getHttpMode() {
+  if (flagOn('SIGNALX_REPLAY')) return 'replay';
+  if (flagOn('SIGNALX_RECORD')) return 'record';
+  return 'live';
+}
+
+function canonicalUrl(rawUrl) {
+  const url = new URL(String(rawUrl));
+  for (const key of [...url.searchParams.keys()]) {
+    if (VOLATILE_PARAMS.has(key)) url.searchParams.delete(key);
+  }
+  url.searchParams.sort();
+  url.hash = '';
+  return url;
+}
+
+function bodyText(body) {
+  if (body == null) return '';
+  if (typeof body === 'string') return body;
+  if (body instanceof URLSearchParams) return body.toString();
+  if (Buffer.isBuffer(body)) return body.toString('utf8');
+  return JSON.stringify(body);
+}
+
+/**
+ * Where the recording for a request lives:
+ *   <dir>/<host>/<path-slug>__<hash>.json
+ * The slug keeps files browsable; the hash (method + canonical URL + body)
+ * keeps them unique.
+ */
+export function recordingPath(rawUrl, options = {}) {
+  const url = canonicalUrl(rawUrl);
+  const method = String(options.method || 'GET').toUpperCase();
+  const hash = createHash('sha1')
+    .update(`${method} ${url.toString()}\n${bodyText(options.body)}`)
+    .digest('hex')
+    .slice(0, 12);
+  const slug = `${url.pathname}${url.search}`
+    .replace(/^\/+/, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .slice(0, 80) || 'root';
+  return path.join(recordingsDir(), url.hostname, `${slug}__${hash}.json`);
+}
+
+function toResponse(recording, url) {
+  const { status = 200, statusText = 'OK', headers = {}, body = '', encoding = 'utf8' } = recording.response || {};
+  const pairs = [];
+  for (const [name, value] of Object.entries(headers)) {
+    for (const item of Array.isArray(value) ? value : [value]) pairs.push([name, item]);
+  }
+  const payload = encoding === 'base64' ? Buffer.from(body, 'base64') : body;
+  return new Response(payload, { status, statusText, headers: pairs, url: String(url) });
+}
+
+async function saveRecording(file, rawUrl, options, res) {
+  const buffer = Buffer.from(await res.arrayBuffer());
+  const raw = res.headers.raw ? res.headers.raw() : {};
+  const headers = {};
+  for (const name of KEPT_HEADERS) {
+    if (raw[name]?.length) headers[name] = name === 'set-cookie' ? raw[name] : raw[name][0];
+  }
+  const contentType = String(headers['content-type'] || '');
+  const isText = /json|text|xml|csv|javascript|html/i.test(contentType) || !contentType;
+
+  const recording = {
+    request: {
+      method: String(options.method || 'GET').toUpperCase(),
+      url: canonicalUrl(rawUrl).toString(),
+    },
+    response: {
+      status: res.status,
+      statusText: res.statusText,
+      headers,
+      encoding: isText ? 'utf8' : 'base64',
+      body: isText ? buffer.toString('utf8') : buffer.toString('base64'),
+    },
+    recordedAt: new Date().toISOString(),
+  };
+
+  try {
+    writeJsonAtomicSync(file, recording, { pretty: true });
+  } catch (error) {
+    console.warn(`⚠️ Could not save HTTP recording ${file}: ${error.message}`);
+  }
+  return toResponse(recording, rawUrl);
+}
+
+export default async function fetch(url, options = {}) {
+  const mode = getHttpMode();
+  if (mode === 'live') return nodeFetch(url, options);
+
+  const file = recordingPath(url, options);
+  if (mode === 'replay') {
+    let recording;
+    try {
+      recording = JSON.parse(readFileSync(file, 'utf8'));
+    } catch {
+      const method = String(options.method || 'GET').toUpperCase();
+      throw new Error(`No HTTP recording for ${method} ${canonicalUrl(url)} (expected ${path.relative(process.cwd(), file)})`);
+    }
+    return toResponse(recording, url);
+  }
+
+  const res = await nodeFetch(url, options);
+  return saveRecording(file, url, options, res);
+}
@@ -0,0 +1,186 @@
+import { getStoredBars } from './candleStore.js';
+import { coalesce } from './requestCoalescer.js';
+import { BENCHMARK_INDEX, SECTOR_INDICES } from './sectorService.js';
+import { VIX_INDEX } from './volatilityRegimeService.js';
+import { getCurrentISTDate, supportResistance } from './technicalIndicators.js';
+import { computeIndicators } from './indicatorRegistry.js';
+import { categorizeRSI } from './rsiCalculator.js';
+import { getISTDate } from './marketCalendarService.js';
+
+// Index bars are shared by every trader opening the same chart
+const INDEX_HISTORY_TTL_MS = Number(process.env.INDEX_HISTORY_TTL_MS) || 60_000;
+
+export const INDEX_INTERVALS = ['5m', '15m', '30m', '1h', '1d', '1wk', '1mo'];
+export const INDEX_RANGES = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', 'max'];
+// Yahoo keeps roughly 60 days of intraday bars
+const INTRADAY_RANGES = ['1d', '5d', '1mo'];
+// Enough bars for EMA50 and a settled ADX/Supertrend at each interval
+const TECHNICALS_RANGE = { '5m': '5d', '15m': '1mo', '30m': '1mo', '1h': '1mo', '1d': '1y', '1wk': '5y', '1mo': 'max' };
+
+// Every index the history/technicals endpoints serve, with the short names
+// traders type for the common ones.  Charts come from Yahoo, whose tickers for
+// NSE indices follow no rule, so an index is served only once it is listed
+// here — unknown names get a 404 carrying this list.
+export const INDEX_CATALOG = [
+  { ...BENCHMARK_INDEX, aliases: ['NIFTY', 'NIFTY50'] },
+  ...SECTOR_INDICES.map(({ name, yahoo }) => ({
+    name,
+    yahoo,
+    aliases: name === 'NIFTY BANK' ? ['BANKNIFTY'] : name === 'NIFTY FINANCIAL SERVICES' ? ['FINNIFTY'] : [],
+  })),
+  { name: 'NIFTY NEXT 50', yahoo: '^NSMIDCP', aliases: ['NIFTYNEXT50', 'NIFTYJR'] },
+  { name: 'NIFTY 100', yahoo: '^CNX100', aliases: [] },
+  { name: 'NIFTY 200', yahoo: '^CNX200', aliases: [] },
+  { name: 'NIFTY 500', yahoo: '^CRSLDX', aliases: [] },
+  { name: 'NIFTY TOTAL MARKET', yahoo: 'NIFTY_TOTAL_MKT.NS', aliases: [] },
+  { name: 'NIFTY MIDCAP 50', yahoo: '^NSEMDCP50', aliases: [] },
+  { name: 'NIFTY MIDCAP 100', yahoo: 'NIFTY_MIDCAP_100.NS', aliases: ['MIDCAPNIFTY'] },
+  { name: 'NIFTY MIDCAP 150', yahoo: 'NIFTYMIDCAP150.NS', aliases: ['MIDCAP150'] },
+  { name: 'NIFTY MIDCAP SELECT', yahoo: 'NIFTY_MID_SELECT.NS', aliases: ['MIDCPNIFTY'] },
+  { name: 'NIFTY SMALLCAP 100', yahoo: '^CNXSC', aliases: [] },
+  { name: 'NIFTY SMALLCAP 250', yahoo: 'NIFTYSMLCAP250.NS', aliases: ['SMALLCAP250'] },
+  { name: 'NIFTY PRIVATE BANK', yahoo: 'NIFTY_PVT_BANK.NS', aliases: ['NIFTYPVTBANK'] },
+  { name: 'NIFTY OIL & GAS', yahoo: 'NIFTY_OIL_AND_GAS.NS', aliases: [] },
+  { name: 'NIFTY HEALTHCARE INDEX', yahoo: 'NIFTY_HEALTHCARE.NS', aliases: ['NIFTYHEALTHCARE'] },
+  { name: 'NIFTY PSE', yahoo: '^CNXPSE', aliases: [] },
+  { name: 'NIFTY CPSE', yahoo: 'NIFTY_CPSE.NS', aliases: [] },
+  { name: 'NIFTY MNC', yahoo: '^CNXMNC', aliases: [] },
+  { name: 'NIFTY COMMODITIES', yahoo: '^CNXCMDT', aliases: [] },
+  { name: 'NIFTY SERVICES SECTOR', yahoo: '^CNXSERVICE', aliases: [] },
+  { name: 'NIFTY INDIA CONSUMPTION', yahoo: '^CNXCONSUM', aliases: [] },
+  { ...VIX_INDEX, aliases: ['VIX', 'INDIAVIX'] },
+  { name: 'SENSEX', yahoo: '^BSESN', aliases: ['BSESENSEX'] },
+];
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Same folding as fetchIndexOHLC: "Nifty-Bank", "nifty_bank" and "NIFTY BANK"
+// all match, and "Oil and Gas" matches "OIL & GAS"
+function compactName(name) {
+  return String(name || '').toUpperCase().replace(/&/g, 'AND').replace(/[\s\-_]/g, '');
+}
+
+export function resolveIndex(name) {
+  const key = compactName(name);
+  if (!key) return null;
+  return INDEX_CATALOG.find((index) => compactName(index.name) === key || index.aliases.includes(key)) || null;
+}
+
+function isIntraday(interval) {
+  return /m$|h$/.test(interval);
+}
+
+/**
+ * Checks an interval/range pair.  Returns an error message, or null when the
+ * combination is one the chart source can serve.
+ */
+export function validateIndexWindow(interval, range) {
+  if (!INDEX_INTERVALS.includes(interval)) return `interval must be one of ${INDEX_INTERVALS.join(', ')}`;
+  if (!INDEX_RANGES.includes(range)) return `range must be one of ${INDEX_RANGES.join(', ')}`;
+  if (isIntraday(interval) && !INTRADAY_RANGES.includes(range)) {
+    return `intraday intervals support range ${INTRADAY_RANGES.join(', ')}`;
+  }
+  return null;
+}
+
+async function loadIndexCandles(index, interval, range) {
+  const bars = await getStoredBars(index.yahoo, { interval, range });
+  if (!bars.length) throw new Error(`No OHLC data for ${index.name}`);
+  return bars.map((bar) => ({
+    timestamp: isIntraday(interval)
+      ? new Date(bar.t * 1000).toISOString()
+      : new Date(bar.t * 1000).toISOString().slice(0, 10),
+    tradeDateIST: getISTDate(new Date(bar.t * 1000)),
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    volume: bar.volume,
+  }));
+}
+
+/**
+ * OHLC candles for an NSE index or Sensex.  `index` comes from resolveIndex;
+ * the interval/range pair should already have passed validateIndexWindow.
+ */
+export async function fetchIndexHistory(index, { interval = '1d', range = '6mo' } = {}) {
+  const candles = await coalesce('indexHistory', `${index.yahoo}|${interval}|${range}`, () => loadIndexCandles(index, interval, range), {
+    ttlMs: INDEX_HISTORY_TTL_MS,
+  });
+  return { index: index.name, interval, range, candles };
+}
+
+// Classic floor pivots off the last completed session's high/low/close
+export function floorPivots({ high, low, close } = {}) {
+  if (![high, low, close].every((v) => Number.isFinite(v)) || high < low) return null;
+  const pp = (high + low + close) / 3;
+  return {
+    pp: round(pp),
+    r1: round(2 * pp - low),
+    r2: round(pp + (high - low)),
+    r3: round(high + 2 * (pp - low)),
+    s1: round(2 * pp - high),
+    s2: round(pp - (high - low)),
+    s3: round(low - 2 * (high - pp)),
+  };
+}
+
+// The last finished session: today's is still forming while the market is
+// open, so it only counts once the calendar has moved past it
+function previousSession(candles, interval) {
+  const dates = [...new Set(candles.map((c) => c.tradeDateIST))];
+  const date = dates[dates.length - 1] < getCurrentISTDate() ? dates[dates.length - 1] : dates[dates.length - 2];
+  if (!date || interval === '1wk' || interval === '1mo') {
+    const bar = candles[candles.length - 2];
+    return bar ? { date: bar.timestamp, high: bar.high, low: bar.low, close: bar.close } : null;
+  }
+  const session = candles.filter((c) => c.tradeDateIST === date);
+  return {
+    date,
+    high: Math.max(...session.map((c) => c.high)),
+    low: Math.min(...session.map((c) => c.low)),
+    close: session[session.length - 1].close,
+  };
+}
+
+/**
+ * The stock-scan trend read applied to an index: EMA stack, ADX, Supertrend,
+ * RSI, swing support/resistance and floor pivots, with an overall structure
+ * call when the trend filters agree.
+ */
+export async function fetchIndexTechnicals(index, { interval = '1d' } = {}) {
+  const { candles } = await fetchIndexHistory(index, { interval, range: TECHNICALS_RANGE[interval] });
+  const last = candles[candles.length - 1];
+  const prior = candles[candles.length - 2];
+
+  const { emaStack, adx, supertrend, rsi } = computeIndicators(candles, ['emaStack', 'adx', 'supertrend', 'rsi']);
+  const { support, resistance } = supportResistance(candles);
+  const session = previousSession(candles, interval);
+
+  let structure = 'mixed';
+  if (emaStack?.regime === 'bullish' && supertrend?.trend === 'up') structure = 'bullish';
+  else if (emaStack?.regime === 'bearish' && supertrend?.trend === 'down') structure = 'bearish';
+
+  return {
+    index: index.name,
+    interval,
+    asOf: last?.timestamp ?? null,
+    bars: candles.length,
+    price: last?.close ?? null,
+    changePct: last && prior?.close ? round(((last.close - prior.close) / prior.close) * 100) : null,
+    structure,
+    trending: Boolean(adx?.trending),
+    emaStack,
+    adx,
+    supertrend,
+    rsi: rsi != null ? round(rsi) : null,
+    rsiCategory: rsi != null ? categorizeRSI(rsi) : null,
+    support: round(support),
+    resistance: round(resistance),
+    pivots: session ? { basis: session, ...floorPivots(session) } : null,
+  };
+}
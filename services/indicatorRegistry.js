@@ -0,0 +1,338 @@
+import {
+  calculateADX,
+  calculateATR,
+  calculateBollingerBands,
+  calculateCCI,
+  calculateChaikinMoneyFlow,
+  calculateDonchianChannels,
+  calculateEMA,
+  calculateIchimoku,
+  calculateKeltnerChannels,
+  calculateMACD,
+  calculateMFI,
+  calculateOBV,
+  calculateParabolicSAR,
+  calculateRSI,
+  calculateStochasticRSI,
+  calculateSupertrend,
+  calculateVWAPBands,
+  calculateWilliamsR,
+  estimateATRPercent,
+  getEMAStack,
+} from './technicalIndicators.js';
+
+/**
+ * Every indicator the scans, backtests and index views compute, declared
+ * once: default parameters, warm-up (candles needed before the value means
+ * anything) and output schema.  Callers ask for indicators by name, so the
+ * same RSI / ATR / ADX — all Wilder-smoothed — comes out everywhere.
+ *
+ * Output schema: 'number' / 'boolean' are required; 'number?' may be null;
+ * an array lists the allowed values.  Scalar indicators declare the type
+ * directly, object indicators one entry per field.
+ *
+ * optIn indicators are not part of the standard scan response; callers add
+ * them through the scan request's `indicators` field.
+ */
+
+function closesOf(candles) {
+  return candles
+    .map(c => (typeof c === 'number' ? c : Number(c?.close)))
+    .filter(v => Number.isFinite(v));
+}
+
+const SIGNAL_FLAGS = { overbought: 'boolean', oversold: 'boolean' };
+
+// Scan responses and thresholds have always worked on RSI to one decimal
+function oneDecimal(value) {
+  return value == null ? null : Math.round(value * 10) / 10;
+}
+
+const INDICATORS = {
+  /* =====================
+     MOMENTUM / VOLATILITY
+  ====================== */
+  rsi: {
+    params: { period: 14 },
+    warmup: ({ period }) => period + 1,
+    output: 'number',
+    compute: (candles, { period }) => oneDecimal(calculateRSI(candles, period)),
+  },
+  atr: {
+    params: { period: 14 },
+    warmup: ({ period }) => period + 1,
+    output: 'number',
+    compute: (candles, { period }) => calculateATR(candles, period),
+  },
+  atrPercent: {
+    params: { period: 14 },
+    warmup: ({ period }) => period + 1,
+    output: 'number',
+    compute: (candles, { period }) => estimateATRPercent(candles, period),
+  },
+
+  /* =====================
+     TREND
+  ====================== */
+  ema: {
+    params: { period: 20 },
+    warmup: ({ period }) => period,
+    output: 'number',
+    compute: (candles, { period }) => calculateEMA(closesOf(candles), period),
+  },
+  emaStack: {
+    params: {},
+    warmup: () => 50,
+    output: {
+      ema20: 'number', ema50: 'number', aboveEMA20: 'boolean', aboveEMA50: 'boolean',
+      goldenCross: 'boolean', bullishStack: 'boolean', bearishStack: 'boolean',
+      regime: ['bullish', 'bearish', 'mixed'],
+    },
+    compute: (candles) => getEMAStack(candles),
+  },
+  macd: {
+    params: { fast: 12, slow: 26, signal: 9 },
+    warmup: ({ slow, signal }) => slow + signal + 1,
+    output: {
+      macd: 'number', signal: 'number', histogram: 'number', bullish: 'boolean', aboveZero: 'boolean',
+      bullishCross: 'boolean', bearishCross: 'boolean', histExpanding: 'boolean',
+    },
+    compute: (candles, { fast, slow, signal }) => calculateMACD(closesOf(candles), fast, slow, signal),
+  },
+  bollinger: {
+    params: { period: 20, stdDevMult: 2 },
+    warmup: ({ period }) => period,
+    output: {
+      upper: 'number', middle: 'number', lower: 'number', bandwidth: 'number?', squeeze: 'boolean',
+      nearUpperBand: 'boolean', nearLowerBand: 'boolean', percentB: 'number?',
+    },
+    compute: (candles, { period, stdDevMult }) => calculateBollingerBands(candles, period, stdDevMult),
+  },
+  adx: {
+    params: { period: 14 },
+    warmup: ({ period }) => period * 2 + 1,
+    output: {
+      adx: 'number', plusDI: 'number', minusDI: 'number', trending: 'boolean', strongTrend: 'boolean',
+      direction: ['bullish', 'bearish'],
+    },
+    compute: (candles, { period }) => calculateADX(candles, period),
+  },
+  supertrend: {
+    params: { atrPeriod: 10, multiplier: 3 },
+    warmup: ({ atrPeriod }) => atrPeriod + 2,
+    output: {
+      trend: ['up', 'down'], supertrendLine: 'number?', crossUp: 'boolean', crossDown: 'boolean',
+      distancePct: 'number?',
+    },
+    compute: (candles, { atrPeriod, multiplier }) => calculateSupertrend(candles, atrPeriod, multiplier),
+  },
+
+  /* =====================
+     VOLUME
+  ====================== */
+  obv: {
+    params: {},
+    warmup: () => 6,
+    output: { obv: 'number', obvMA: 'number', rising: 'boolean', divergence: ['bullish', 'bearish', 'none'] },
+    compute: (candles) => calculateOBV(candles),
+  },
+  vwapBands: {
+    params: {},
+    warmup: () => 1,
+    output: {
+      vwap: 'number', sd1Upper: 'number', sd1Lower: 'number', sd2Upper: 'number', sd2Lower: 'number',
+      stdDev: 'number', aboveSD2: 'boolean', belowSD2: 'boolean', aboveSD1: 'boolean', belowSD1: 'boolean',
+    },
+    compute: (candles) => calculateVWAPBands(candles),
+  },
+
+  /* =====================
+     OPT-IN EXTRAS
+  ====================== */
+  stochRsi: {
+    optIn: true,
+    params: { rsiPeriod: 14, stochPeriod: 14, kPeriod: 3, dPeriod: 3 },
+    warmup: ({ rsiPeriod, stochPeriod, kPeriod, dPeriod }) => rsiPeriod + stochPeriod + kPeriod + dPeriod - 2,
+    output: {
+      stochRsi: 'number', k: 'number', d: 'number', ...SIGNAL_FLAGS,
+      bullishCross: 'boolean', bearishCross: 'boolean',
+    },
+    compute: (candles, { rsiPeriod, stochPeriod, kPeriod, dPeriod }) =>
+      calculateStochasticRSI(candles, rsiPeriod, stochPeriod, kPeriod, dPeriod),
+  },
+  ichimoku: {
+    optIn: true,
+    params: { conversionPeriod: 9, basePeriod: 26, spanPeriod: 52, displacement: 26 },
+    // Lines only; the cloud under today's bar needs spanPeriod + displacement
+    warmup: ({ conversionPeriod, basePeriod, spanPeriod }) => Math.max(conversionPeriod, basePeriod, spanPeriod),
+    output: {
+      conversionLine: 'number', baseLine: 'number', leadingSpanA: 'number', leadingSpanB: 'number',
+      cloudTop: 'number?', cloudBottom: 'number?', priceVsCloud: ['above', 'below', 'inside', null],
+      bullishCloud: 'boolean', tkCross: ['bullish', 'bearish', 'none'],
+    },
+    compute: (candles, { conversionPeriod, basePeriod, spanPeriod, displacement }) =>
+      calculateIchimoku(candles, conversionPeriod, basePeriod, spanPeriod, displacement),
+  },
+  keltner: {
+    optIn: true,
+    params: { emaPeriod: 20, atrPeriod: 10, multiplier: 2 },
+    warmup: ({ emaPeriod, atrPeriod }) => Math.max(emaPeriod, atrPeriod + 1),
+    output: {
+      upper: 'number', middle: 'number', lower: 'number', widthPct: 'number?',
+      aboveUpper: 'boolean', belowLower: 'boolean', squeeze: 'boolean',
+    },
+    compute: (candles, { emaPeriod, atrPeriod, multiplier }) =>
+      calculateKeltnerChannels(candles, emaPeriod, atrPeriod, multiplier),
+  },
+  donchian: {
+    optIn: true,
+    params: { period: 20 },
+    warmup: ({ period }) => period,
+    output: {
+      upper: 'number', middle: 'number', lower: 'number', widthPct: 'number?',
+      breakoutUp: 'boolean', breakdown: 'boolean',
+    },
+    compute: (candles, { period }) => calculateDonchianChannels(candles, period),
+  },
+  cci: {
+    optIn: true,
+    params: { period: 20 },
+    warmup: ({ period }) => period,
+    output: { cci: 'number', ...SIGNAL_FLAGS },
+    compute: (candles, { period }) => calculateCCI(candles, period),
+  },
+  williamsR: {
+    optIn: true,
+    params: { period: 14 },
+    warmup: ({ period }) => period,
+    output: { williamsR: 'number', ...SIGNAL_FLAGS },
+    compute: (candles, { period }) => calculateWilliamsR(candles, period),
+  },
+  mfi: {
+    optIn: true,
+    params: { period: 14 },
+    warmup: ({ period }) => period + 1,
+    output: { mfi: 'number', ...SIGNAL_FLAGS },
+    compute: (candles, { period }) => calculateMFI(candles, period),
+  },
+  chaikinMoneyFlow: {
+    optIn: true,
+    params: { period: 20 },
+    warmup: ({ period }) => period,
+    output: { cmf: 'number', accumulation: 'boolean', distribution: 'boolean' },
+    compute: (candles, { period }) => calculateChaikinMoneyFlow(candles, period),
+  },
+  parabolicSar: {
+    optIn: true,
+    params: { step: 0.02, maxStep: 0.2 },
+    warmup: () => 5,
+    output: { sar: 'number', trend: ['up', 'down'], flipped: 'boolean', distancePct: 'number?' },
+    compute: (candles, { step, maxStep }) => calculateParabolicSAR(candles, step, maxStep),
+  },
+};
+
+// What evaluateSwing() reads off daily candles.  The backtest replays only
+// these per bar, so a replayed signal sees exactly the live numbers.
+export const SWING_EVALUATION_INDICATORS = {
+  rsi: {}, atrPercent: {}, emaStack: {}, adx: {}, supertrend: {}, obv: {},
+};
+
+// The live swing scan also reports MACD and Bollinger for quality ranking and display
+export const SWING_INDICATORS = { ...SWING_EVALUATION_INDICATORS, macd: {}, bollinger: {} };
+
+// Defaults overlaid with the caller's finite numeric overrides; unknown keys are ignored
+function resolveParams(definition, params = {}) {
+  const resolved = { ...definition.params };
+  for (const key of Object.keys(definition.params)) {
+    const value = Number(params?.[key]);
+    if (params?.[key] != null && Number.isFinite(value)) resolved[key] = value;
+  }
+  return resolved;
+}
+
+/* =====================
+   LOOKUP
+====================== */
+export function getIndicator(name) {
+  return Object.hasOwn(INDICATORS, name) ? INDICATORS[name] : null;
+}
+
+/**
+ * Name, default params, warm-up and output schema of every indicator.
+ */
+export function listIndicators() {
+  return Object.entries(INDICATORS).map(([name, definition]) => ({
+    name,
+    optIn: Boolean(definition.optIn),
+    params: { ...definition.params },
+    warmup: definition.warmup(definition.params),
+    output: definition.output,
+  }));
+}
+
+/**
+ * Candles an indicator needs before it returns a value, for the given
+ * params (defaults when omitted).  Null for an unknown name.
+ */
+export function indicatorWarmup(name, params) {
+  const definition = getIndicator(name);
+  return definition ? definition.warmup(resolveParams(definition, params)) : null;
+}
+
+/* =====================
+   COMPUTE
+====================== */
+/**
+ * One indicator's terminal value over `candles`.  Null when the name is
+ * unknown, the warm-up is not met or the data is too dirty to compute on —
+ * a missing indicator never fails a scan.
+ */
+export function computeIndicator(name, candles, params) {
+  const definition = getIndicator(name);
+  if (!definition || !Array.isArray(candles)) return null;
+  const resolved = resolveParams(definition, params);
+  if (candles.length < definition.warmup(resolved)) return null;
+  try {
+    return definition.compute(candles, resolved) ?? null;
+  } catch (err) {
+    console.warn(`⚠️ Indicator ${name} failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Several indicators over the same candles.  `requests` is a list of names,
+ * or an object of name → params overrides (`{ rsi: { period: 9 }, adx: {} }`).
+ * Returns name → value (null where unavailable).
+ */
+export function computeIndicators(candles, requests = []) {
+  const entries = Array.isArray(requests)
+    ? requests.map(name => [name, undefined])
+    : Object.entries(requests || {});
+  const result = {};
+  for (const [name, params] of entries) {
+    result[name] = computeIndicator(name, candles, params);
+  }
+  return result;
+}
+
+/**
+ * Parses a scan request's `indicators` field: an array or comma list of
+ * registered names, or 'all' / true for every opt-in indicator.  Returns
+ * { names } (empty when nothing was asked for) or { error } naming the
+ * unknown entries.
+ */
+export function parseIndicatorRequest(input) {
+  const optIn = Object.keys(INDICATORS).filter(name => INDICATORS[name].optIn);
+  if (input == null || input === false || input === '') return { names: [] };
+  if (input === true || input === 'all') return { names: optIn };
+  const list = Array.isArray(input) ? input : typeof input === 'string' ? input.split(',') : null;
+  if (!list) return { error: 'indicators must be an array of indicator names or "all"' };
+
+  const names = [...new Set(list.map(name => String(name).trim()).filter(Boolean))];
+  const unknown = names.filter(name => !getIndicator(name));
+  if (unknown.length) {
+    return { error: `Unknown indicators: ${unknown.join(', ')}. Opt-in indicators: ${optIn.join(', ')}` };
+  }
+  return { names };
+}
@@ -0,0 +1,430 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SNAPSHOT_PATH = path.resolve(__dirname, '..', 'data', 'instrumentMaster.json');
+
+const REFRESH_INTERVAL_MS = (Number(process.env.INSTRUMENT_MASTER_REFRESH_HOURS) || 24) * 60 * 60 * 1000;
+
+const EQUITY_LIST_PATHS = [
+  '/content/equities/EQUITY_L.csv',
+  '/content/equities/SME_EQUITY_L.csv',
+];
+const FNO_LOTS_PATH = '/content/fo/fo_mktlots.csv';
+
+// Constituent files published by NSE Indices; each also carries the
+// industry classification used to fill `industry` on the instrument.
+export const INDEX_CONSTITUENT_FILES = {
+  'NIFTY 50': '/content/indices/ind_nifty50list.csv',
+  'NIFTY NEXT 50': '/content/indices/ind_niftynext50list.csv',
+  'NIFTY 100': '/content/indices/ind_nifty100list.csv',
+  'NIFTY 200': '/content/indices/ind_nifty200list.csv',
+  'NIFTY 500': '/content/indices/ind_nifty500list.csv',
+  'NIFTY MIDCAP 150': '/content/indices/ind_niftymidcap150list.csv',
+  'NIFTY SMALLCAP 250': '/content/indices/ind_niftysmallcap250list.csv',
+  'NIFTY BANK': '/content/indices/ind_niftybanklist.csv',
+  'NIFTY PSU BANK': '/content/indices/ind_niftypsubanklist.csv',
+};
+
+// Which series a scan mode may trade.  BE/BZ are trade-for-trade (no intraday
+// square-off), SM/ST are SME lots — fine to hold for a swing, not to scalp.
+const ALLOWED_SERIES = {
+  intraday: new Set(['EQ']),
+  swing: new Set(['EQ', 'BE', 'SM', 'ST']),
+  default: new Set(['EQ', 'BE', 'SM', 'ST']),
+};
+
+// How headlines and users refer to the large caps — names the exchange files
+// don't carry.  `aliases` feed symbol search; entries with `headlines` make up
+// the news watchlist, matched against those spellings.
+const STREET_NAMES = [
+  { symbol: 'RELIANCE',   name: 'Reliance Industries',       aliases: ['RIL', 'Reliance'],          headlines: ['Reliance Industries', 'Reliance Industries Ltd', 'RIL'] },
+  { symbol: 'TCS',        name: 'Tata Consultancy Services', aliases: ['Tata Consultancy'],         headlines: ['Tata Consultancy Services', 'TCS'] },
+  { symbol: 'HDFCBANK',   name: 'HDFC Bank',                 aliases: ['HDFC'],                     headlines: ['HDFC Bank', 'HDFC Bank Ltd'] },
+  { symbol: 'ICICIBANK',  name: 'ICICI Bank',                aliases: ['ICICI'],                    headlines: ['ICICI Bank', 'ICICI Bank Ltd'] },
+  { symbol: 'INFY',       name: 'Infosys',                   aliases: ['Infosys'],                  headlines: ['Infosys', 'Infosys Ltd'] },
+  { symbol: 'SBIN',       name: 'State Bank of India',       aliases: ['SBI'],                      headlines: ['State Bank of India', 'SBI'] },
+  { symbol: 'BHARTIARTL', name: 'Bharti Airtel',             aliases: ['Airtel'],                   headlines: ['Bharti Airtel', 'Airtel'] },
+  { symbol: 'LT',         name: 'Larsen & Toubro',           aliases: ['L&T', 'Larsen'],            headlines: ['Larsen & Toubro', 'L&T'] },
+  { symbol: 'AXISBANK',   name: 'Axis Bank',                 aliases: ['Axis'],                     headlines: ['Axis Bank', 'Axis Bank Ltd'] },
+  { symbol: 'ITC',        name: 'ITC',                       aliases: [],                           headlines: ['ITC', 'ITC Ltd'] },
+  { symbol: 'HINDUNILVR', name: 'Hindustan Unilever',        aliases: ['HUL', 'Unilever'] },
+  { symbol: 'MARUTI',     name: 'Maruti Suzuki',             aliases: ['Maruti Suzuki'],            headlines: ['Maruti Suzuki', 'Maruti Suzuki India'] },
+  { symbol: 'SUNPHARMA',  name: 'Sun Pharmaceutical',        aliases: ['Sun Pharma'],               headlines: ['Sun Pharmaceutical', 'Sun Pharma', 'Sun Pharmaceutical Industries'] },
+  { symbol: 'BAJFINANCE', name: 'Bajaj Finance',             aliases: [],                           headlines: ['Bajaj Finance', 'Bajaj Finance Ltd'] },
+  { symbol: 'HCLTECH',    name: 'HCL Technologies',          aliases: ['HCL Tech', 'HCL'],          headlines: ['HCL Technologies', 'HCL Tech'] },
+  { symbol: 'TATAMOTORS', name: 'Tata Motors',               aliases: [],                           headlines: ['Tata Motors', 'Tata Motors Ltd'] },
+  { symbol: 'WIPRO',      name: 'Wipro',                     aliases: [],                           headlines: ['Wipro', 'Wipro Ltd'] },
+  { symbol: 'KOTAKBANK',  name: 'Kotak Mahindra Bank',       aliases: ['Kotak Bank', 'Kotak'],      headlines: ['Kotak Mahindra Bank', 'Kotak Bank'] },
+  { symbol: 'TATASTEEL',  name: 'Tata Steel',                aliases: [],                           headlines: ['Tata Steel', 'Tata Steel Ltd'] },
+  { symbol: 'NTPC',       name: 'NTPC',                      aliases: [],                           headlines: ['NTPC', 'NTPC Ltd'] },
+  { symbol: 'ADANIPORTS', name: 'Adani Ports',               aliases: ['Adani Ports'],              headlines: ['Adani Ports', 'Adani Ports and Special Economic Zone'] },
+  { symbol: 'M&M',        name: 'Mahindra & Mahindra',       aliases: ['Mahindra', 'M and M'] },
+  { symbol: 'ULTRACEMCO', name: 'UltraTech Cement',          aliases: ['UltraTech'] },
+  { symbol: 'DMART',      name: 'Avenue Supermarts',         aliases: ['D-Mart', 'DMart'] },
+  { symbol: 'ONGC',       name: 'Oil & Natural Gas Corporation', aliases: [] },
+  { symbol: 'COALINDIA',  name: 'Coal India',                aliases: [] },
+];
+
+// Indices on the market ticker, in display order.  SENSEX is quoted from BSE;
+// the rest come from NSE's allIndices feed.
+const TICKER_INDICES = [
+  'NIFTY 50',
+  'SENSEX',
+  'NIFTY BANK',
+  'NIFTY FINANCIAL SERVICES',
+  'NIFTY MIDCAP SELECT',
+  'INDIA VIX',
+  'NIFTY TOTAL MARKET',
+  'NIFTY NEXT 50',
+  'NIFTY 100',
+  'NIFTY MIDCAP 100',
+  'NIFTY AUTO',
+  'NIFTY SMALLCAP 100',
+  'NIFTY FMCG',
+  'NIFTY METAL',
+  'NIFTY PSU BANK',
+  'NIFTY PHARMA',
+  'NIFTY SMALLCAP 250',
+  'NIFTY MIDCAP 150',
+  'NIFTY COMMODITIES',
+];
+
+let master = null; // { updatedAt, source, instruments: Map, indices: { name: [symbols] } }
+let loadPromise = null;
+let refreshTimer = null;
+
+function baseSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+function toFinite(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Minimal RFC-4180 parser — NSE quotes company names that contain commas
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 1; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field); field = '';
+      if (row.some((cell) => cell.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((cell) => cell.trim() !== '')) rows.push(row);
+
+  if (rows.length === 0) return [];
+  // Headers differ between files ("NAME OF COMPANY" vs "NAME_OF_COMPANY", stray spaces)
+  const headers = rows[0].map((h) => h.trim().toUpperCase().replace(/_/g, ' '));
+  return rows.slice(1).map((cells) => {
+    const record = {};
+    headers.forEach((header, idx) => {
+      record[header] = String(cells[idx] ?? '').trim();
+    });
+    return record;
+  });
+}
+
+function parseListingDate(value) {
+  const d = new Date(`${value} UTC`);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+function instrumentFromEquityRow(row) {
+  const symbol = baseSymbol(row.SYMBOL);
+  if (!symbol) return null;
+  return {
+    symbol,
+    name: row['NAME OF COMPANY'] || symbol,
+    series: (row.SERIES || '').toUpperCase() || null,
+    isin: row['ISIN NUMBER'] || null,
+    faceValue: toFinite(row['FACE VALUE']),
+    marketLot: toFinite(row['MARKET LOT']),
+    listingDate: parseListingDate(row['DATE OF LISTING']),
+    industry: null,
+    fnoEligible: false,
+    indices: [],
+  };
+}
+
+async function fetchArchiveRows(archivePath) {
+  return parseCsv(await getMarketDataProvider().nseArchive(archivePath));
+}
+
+/**
+ * Builds the master from NSE archive files: equity + SME lists give symbol,
+ * ISIN, series, face value and lot; index constituent lists give membership
+ * and industry; the F&O lot file gives derivatives eligibility.  Only the
+ * equity list is required — every other file degrades to missing fields.
+ */
+async function buildFromArchives() {
+  const instruments = new Map();
+
+  const equityLists = await Promise.allSettled(EQUITY_LIST_PATHS.map(fetchArchiveRows));
+  for (const list of equityLists) {
+    if (list.status !== 'fulfilled') continue;
+    for (const row of list.value) {
+      const instrument = instrumentFromEquityRow(row);
+      if (instrument) instruments.set(instrument.symbol, instrument);
+    }
+  }
+  if (instruments.size === 0) {
+    const reason = equityLists.find((list) => list.status === 'rejected')?.reason;
+    throw new Error(`NSE equity list unavailable${reason ? `: ${reason.message}` : ''}`);
+  }
+
+  const indices = {};
+  const indexNames = Object.keys(INDEX_CONSTITUENT_FILES);
+  const indexLists = await Promise.allSettled(
+    indexNames.map((name) => fetchArchiveRows(INDEX_CONSTITUENT_FILES[name]))
+  );
+  indexLists.forEach((list, idx) => {
+    if (list.status !== 'fulfilled') return;
+    const name = indexNames[idx];
+    indices[name] = [];
+    for (const row of list.value) {
+      const symbol = baseSymbol(row.SYMBOL);
+      const instrument = instruments.get(symbol);
+      if (!instrument) continue;
+      indices[name].push(symbol);
+      instrument.indices.push(name);
+      if (!instrument.industry && row.INDUSTRY) instrument.industry = row.INDUSTRY;
+    }
+  });
+
+  try {
+    for (const row of await fetchArchiveRows(FNO_LOTS_PATH)) {
+      const instrument = instruments.get(baseSymbol(row.SYMBOL));
+      if (instrument) instrument.fnoEligible = true;
+    }
+  } catch (error) {
+    console.warn(`⚠️ F&O lot list unavailable: ${error.message}`);
+  }
+
+  return {
+    updatedAt: new Date().toISOString(),
+    source: 'nse-archives',
+    instruments,
+    indices,
+  };
+}
+
+function toSnapshot(data) {
+  return { ...data, instruments: Array.from(data.instruments.values()) };
+}
+
+function fromSnapshot(snapshot) {
+  if (!snapshot || !Array.isArray(snapshot.instruments)) return null;
+  return {
+    updatedAt: snapshot.updatedAt || null,
+    source: snapshot.source || 'snapshot',
+    instruments: new Map(snapshot.instruments.map((item) => [item.symbol, item])),
+    indices: snapshot.indices && typeof snapshot.indices === 'object' ? snapshot.indices : {},
+  };
+}
+
+// INSTRUMENT_MASTER_FILE may point at an NSE EQUITY_L.csv or a JSON snapshot
+async function loadFromFile(file) {
+  const raw = await readFile(file, 'utf8');
+  if (/\.csv$/i.test(file)) {
+    const instruments = new Map();
+    for (const row of parseCsv(raw)) {
+      const instrument = instrumentFromEquityRow(row);
+      if (instrument) instruments.set(instrument.symbol, instrument);
+    }
+    return { updatedAt: null, source: path.basename(file), instruments, indices: {} };
+  }
+  return fromSnapshot(JSON.parse(raw));
+}
+
+async function saveSnapshot(data) {
+  try {
+    await writeJsonAtomic(SNAPSHOT_PATH, toSnapshot(data));
+  } catch (error) {
+    console.warn(`⚠️ Instrument master snapshot write failed: ${error.message}`);
+  }
+}
+
+function isStale(data) {
+  const updated = Date.parse(data?.updatedAt || '');
+  return !Number.isFinite(updated) || Date.now() - updated > REFRESH_INTERVAL_MS;
+}
+
+export async function refreshInstrumentMaster() {
+  const data = await buildFromArchives();
+  master = data;
+  // Offline providers rebuild from fixtures every run — never persist those
+  if (!getMarketDataProvider().offline) await saveSnapshot(data);
+  console.log(`📇 Instrument master refreshed: ${data.instruments.size} instruments`);
+  return data;
+}
+
+async function loadInstrumentMaster() {
+  if (process.env.INSTRUMENT_MASTER_FILE) {
+    try {
+      master = await loadFromFile(path.resolve(process.env.INSTRUMENT_MASTER_FILE));
+      return master;
+    } catch (error) {
+      console.warn(`⚠️ INSTRUMENT_MASTER_FILE unreadable: ${error.message}`);
+    }
+  }
+
+  if (!getMarketDataProvider().offline) {
+    try {
+      master = fromSnapshot(JSON.parse(await readFile(SNAPSHOT_PATH, 'utf8')));
+    } catch {
+      master = null;
+    }
+    if (master && !isStale(master)) return master;
+  }
+
+  try {
+    return await refreshInstrumentMaster();
+  } catch (error) {
+    // A stale snapshot beats no master at all
+    console.warn(`⚠️ Instrument master refresh failed: ${error.message}`);
+    return master;
+  }
+}
+
+/**
+ * Loads the master once (file → snapshot → download).  Routes await this
+ * before validating; afterwards it resolves immediately.  Never rejects —
+ * without a master, validation simply passes symbols through.
+ */
+export function ensureInstrumentMaster() {
+  if (!loadPromise) {
+    loadPromise = loadInstrumentMaster().catch(() => null);
+  }
+  return loadPromise;
+}
+
+export function startInstrumentMasterRefresh() {
+  ensureInstrumentMaster();
+  if (refreshTimer) return;
+  refreshTimer = setInterval(() => {
+    refreshInstrumentMaster().catch((error) =>
+      console.warn(`⚠️ Scheduled instrument master refresh failed: ${error.message}`)
+    );
+  }, REFRESH_INTERVAL_MS);
+  refreshTimer.unref?.();
+}
+
+export function isInstrumentMasterLoaded() {
+  return Boolean(master);
+}
+
+export function getInstrument(symbol) {
+  return master?.instruments.get(baseSymbol(symbol)) || null;
+}
+
+export function listInstruments() {
+  return master ? Array.from(master.instruments.values()) : [];
+}
+
+export function getIndexConstituents(indexName) {
+  const key = String(indexName || '').trim().toUpperCase();
+  return master?.indices?.[key] ? [...master.indices[key]] : [];
+}
+
+/**
+ * Street names with their search aliases.  `name` is the short form
+ * headlines use, not the exchange's registered name.
+ */
+export function listStreetNames() {
+  return STREET_NAMES.map((item) => ({ symbol: item.symbol, name: item.name, aliases: [...item.aliases] }));
+}
+
+/**
+ * Companies the news watchlist follows, as { symbol, companyName, aliases }.
+ * Once the master is loaded, symbols it no longer lists drop out.
+ */
+export function listNewsWatchlist() {
+  return STREET_NAMES
+    .filter((item) => item.headlines && (!master || master.instruments.has(item.symbol)))
+    .map((item) => ({ symbol: item.symbol, companyName: item.name, aliases: [...item.headlines] }));
+}
+
+export function listTickerIndices() {
+  return [...TICKER_INDICES];
+}
+
+export function getInstrumentMasterStatus() {
+  return {
+    loaded: Boolean(master),
+    source: master?.source ?? null,
+    updatedAt: master?.updatedAt ?? null,
+    instruments: master?.instruments.size ?? 0,
+    indices: Object.fromEntries(
+      Object.entries(master?.indices || {}).map(([name, symbols]) => [name, symbols.length])
+    ),
+  };
+}
+
+export function describeInstrument(instrument) {
+  if (!instrument) return null;
+  return {
+    name: instrument.name,
+    isin: instrument.isin,
+    series: instrument.series,
+    faceValue: instrument.faceValue,
+    industry: instrument.industry,
+    fnoEligible: instrument.fnoEligible,
+    indices: instrument.indices,
+  };
+}
+
+/**
+ * Checks a user/scan symbol against the master.  `mode` selects the series
+ * policy (intraday = EQ only).  BSE (.BO) symbols and a missing master pass
+ * through unchanged so validation never blocks on our own outage.
+ */
+export function validateInstrument(symbol, { mode = 'default' } = {}) {
+  const raw = String(symbol || '').trim().toUpperCase();
+  if (!master || raw.endsWith('.BO')) {
+    return { valid: true, instrument: null, reason: null };
+  }
+
+  const instrument = getInstrument(raw);
+  if (!instrument) {
+    return {
+      valid: false,
+      instrument: null,
+      reason: `${baseSymbol(raw)} is not an active NSE equity (unknown or delisted symbol)`,
+    };
+  }
+
+  const allowed = ALLOWED_SERIES[mode] || ALLOWED_SERIES.default;
+  if (instrument.series && !allowed.has(instrument.series)) {
+    return {
+      valid: false,
+      instrument: describeInstrument(instrument),
+      reason: `${instrument.symbol} trades in ${instrument.series} series — not eligible for ${mode} scans`,
+    };
+  }
+
+  return { valid: true, instrument: describeInstrument(instrument), reason: null };
+}
@@ -1,4 +1,4 @@
-import fetch from 'node-fetch'
+import fetch from './httpClient.js'
 
 const ZERODHA_EQUITY_MARGIN_URL = 'https://zerodha.com/margin-calculator/Equity/'
 const CACHE_TTL_MS = Math.max(60_000, Number(process.env.ZERODHA_LEVERAGE_CACHE_TTL_MS || 15 * 60 * 1000))
@@ -1,4 +1,5 @@
 import { fetchNSE } from './marketData.js';
+import { BUILD_UP_LABELS, fetchFuturesProfile } from './futuresService.js';
 
 function toNumber(value) {
   const n = Number(value);
@@ -16,7 +17,16 @@ function normalizeSymbol(symbol) {
   return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
 }
 
-export function classifyMarketActivitySignal({ flow = null, deals = null, biasDirection = 'long' } = {}) {
+// Bullish (+) / bearish (−) weight of each futures build-up; fresh positions
+// count for more than covering or unwinding of old ones
+const BUILD_UP_BIAS = {
+  long_buildup: 2,
+  short_covering: 1,
+  long_unwinding: -1,
+  short_buildup: -2,
+};
+
+export function classifyMarketActivitySignal({ flow = null, deals = null, futures = null, biasDirection = 'long' } = {}) {
   const direction = biasDirection === 'short' ? 'short' : 'long';
   const reasons = [];
   let score = 0;
@@ -65,6 +75,25 @@ export function classifyMarketActivitySignal({ flow = null, deals = null, biasDi
     }
   }
 
+  const buildUp = futures?.buildUp?.type;
+  if (BUILD_UP_BIAS[buildUp]) {
+    const bias = direction === 'long' ? BUILD_UP_BIAS[buildUp] : -BUILD_UP_BIAS[buildUp];
+    const sign = Math.sign(bias);
+    const streak = futures.buildUp.streak || 0;
+    score += bias;
+    reasons.push(
+      `Futures ${BUILD_UP_LABELS[buildUp].toLowerCase()}${streak > 1 ? ` (${streak} sessions)` : ''} ` +
+      `${sign > 0 ? 'supports' : 'conflicts with'} the ${direction} setup`
+    );
+    if (streak >= 3) score += sign;
+
+    const rolloverPct = toNumber(futures.rollover?.pct);
+    if (futures.rollover?.inWindow && rolloverPct != null && rolloverPct >= 75) {
+      score += sign;
+      reasons.push(`Strong rollover (${rolloverPct}%) carries the positioning into the next series`);
+    }
+  }
+
   let status = 'neutral';
   if (score >= 3) status = 'supportive';
   else if (score <= -3) status = 'adverse';
@@ -162,15 +191,17 @@ export async function fetchRecentDealActivity(symbol, options = {}) {
 
 export async function fetchMarketActivityProfile(symbol, options = {}) {
   const biasDirection = options.biasDirection === 'short' ? 'short' : 'long';
-  const [flow, deals] = await Promise.all([
+  const [flow, deals, futures] = await Promise.all([
     fetchInstitutionalFlowSnapshot().catch(() => null),
     fetchRecentDealActivity(symbol, options).catch(() => null),
+    fetchFuturesProfile(symbol).catch(() => null),
   ]);
 
   return {
     symbol: normalizeSymbol(symbol),
     flow,
     deals,
-    signal: classifyMarketActivitySignal({ flow, deals, biasDirection }),
+    futures,
+    signal: classifyMarketActivitySignal({ flow, deals, futures, biasDirection }),
   };
 }
@@ -0,0 +1,455 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { coalesce } from './requestCoalescer.js';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_CALENDAR_FILE = path.resolve(__dirname, '..', 'data', 'marketCalendar.json');
+
+/**
+ * The NSE cash-market calendar: which days trade, and when.
+ *
+ * Holidays come from NSE's holiday master (CM segment) and are kept in
+ * data/marketCalendar.json — the API only lists the current year, so past
+ * years accumulate in the file.  NSE_HOLIDAYS (comma-separated dates) adds
+ * holidays by hand.  Special sessions — Muhurat trading on Diwali, a budget
+ * day that falls on a weekend — make an otherwise closed day a trading day
+ * with its own hours; they come from NSE_SPECIAL_SESSIONS
+ * ("2026-11-08 18:00-19:00 Muhurat trading;...") or addSpecialSession().
+ */
+const HOLIDAY_MASTER_PATH = '/holiday-master?type=trading';
+const REFRESH_INTERVAL_MS = (Number(process.env.MARKET_CALENDAR_REFRESH_HOURS) || 12) * 60 * 60 * 1000;
+// A failed holiday download is not retried on every request
+const RETRY_INTERVAL_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest run of closed days the next/previous search will step over
+const MAX_CLOSED_RUN = 30;
+
+// Regular session, minutes after midnight IST.  Pre-open order entry runs
+// 09:00–09:08, matching and the buffer to 09:15; the closing price is worked
+// out 15:30–15:40 and the closing session trades at it until 16:00.
+export const REGULAR_SESSION = {
+  preOpenStart: 9 * 60,
+  orderEntryEnd: 9 * 60 + 8,
+  open: 9 * 60 + 15,
+  close: 15 * 60 + 30,
+  closingSessionStart: 15 * 60 + 40,
+  closingSessionEnd: 16 * 60,
+};
+// Special sessions carry the same pre-open in front of their own open
+const PRE_OPEN_MINUTES = REGULAR_SESSION.open - REGULAR_SESSION.preOpenStart;
+const ORDER_ENTRY_MINUTES = REGULAR_SESSION.orderEntryEnd - REGULAR_SESSION.preOpenStart;
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+const IST_PARTS_FORMATTER = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'Asia/Kolkata',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23',
+});
+
+// { updatedAt, source, holidays: { date: description }, specialSessions: { date: session } }
+let calendar = null;
+let lastAttemptAt = 0;
+let refreshTimer = null;
+let envCache = { holidaysRaw: null, holidays: new Set(), sessionsRaw: null, sessions: {} };
+
+function calendarPath() {
+  return process.env.MARKET_CALENDAR_FILE
+    ? path.resolve(process.env.MARKET_CALENDAR_FILE)
+    : DEFAULT_CALENDAR_FILE;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/* =====================
+   DATES AND CLOCK
+====================== */
+function isDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) && Number.isFinite(Date.parse(value));
+}
+
+function parseClock(value) {
+  const m = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+export function formatClock(minutes) {
+  if (minutes == null) return null;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// "26-Jan-2026" → "2026-01-26"
+function parseTradingDate(label) {
+  const m = String(label || '').trim().match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (!m || MONTHS[m[2].toUpperCase()] == null) return null;
+  return new Date(Date.UTC(Number(m[3]), MONTHS[m[2].toUpperCase()], Number(m[1]))).toISOString().slice(0, 10);
+}
+
+/** IST calendar date, weekday and minutes after midnight for an instant. */
+export function getISTClock(now = new Date()) {
+  const map = Object.fromEntries(IST_PARTS_FORMATTER.formatToParts(now).map((p) => [p.type, p.value]));
+  const minutes = Number(map.hour) * 60 + Number(map.minute);
+  return { date: `${map.year}-${map.month}-${map.day}`, minutes, time: formatClock(minutes) };
+}
+
+export function getISTDate(now = new Date()) {
+  return getISTClock(now).date;
+}
+
+export function isWeekend(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/* =====================
+   HOLIDAYS AND SPECIAL SESSIONS
+====================== */
+function parseSpecialSession({ date, open, close, label } = {}) {
+  const openMinutes = parseClock(open);
+  const closeMinutes = parseClock(close);
+  if (!isDateString(date)) return { error: 'date must be YYYY-MM-DD' };
+  if (openMinutes == null || closeMinutes == null) return { error: 'open and close must be HH:MM (IST)' };
+  if (closeMinutes <= openMinutes) return { error: 'close must be after open' };
+  if (openMinutes < PRE_OPEN_MINUTES) return { error: `open must leave room for the ${PRE_OPEN_MINUTES}-minute pre-open` };
+  return {
+    session: {
+      date,
+      open: formatClock(openMinutes),
+      close: formatClock(closeMinutes),
+      label: String(label || '').trim() || 'Special session',
+    },
+  };
+}
+
+// NSE_HOLIDAYS / NSE_SPECIAL_SESSIONS, re-parsed only when the value changes
+function envCalendar() {
+  const holidaysRaw = String(process.env.NSE_HOLIDAYS || '');
+  const sessionsRaw = String(process.env.NSE_SPECIAL_SESSIONS || '');
+  if (holidaysRaw !== envCache.holidaysRaw) {
+    envCache.holidaysRaw = holidaysRaw;
+    envCache.holidays = new Set(holidaysRaw.split(',').map((s) => s.trim()).filter(isDateString));
+  }
+  if (sessionsRaw !== envCache.sessionsRaw) {
+    envCache.sessionsRaw = sessionsRaw;
+    envCache.sessions = {};
+    for (const entry of sessionsRaw.split(';').map((s) => s.trim()).filter(Boolean)) {
+      const m = entry.match(/^(\S+)\s+(\d{1,2}:\d{2})-(\d{1,2}:\d{2})\s*(.*)$/);
+      const parsed = m ? parseSpecialSession({ date: m[1], open: m[2], close: m[3], label: m[4] }) : null;
+      if (parsed?.session) envCache.sessions[parsed.session.date] = parsed.session;
+      else console.warn(`⚠️ Ignoring NSE_SPECIAL_SESSIONS entry "${entry}"`);
+    }
+  }
+  return envCache;
+}
+
+export function getHoliday(date) {
+  if (getSpecialSession(date)) return null;
+  if (envCalendar().holidays.has(date)) return calendar?.holidays?.[date] || 'Exchange holiday';
+  return calendar?.holidays?.[date] ?? null;
+}
+
+export function getSpecialSession(date) {
+  return calendar?.specialSessions?.[date] || envCalendar().sessions[date] || null;
+}
+
+export function isTradingDay(date) {
+  if (!isDateString(date)) return false;
+  if (getSpecialSession(date)) return true;
+  return !isWeekend(date) && getHoliday(date) == null;
+}
+
+/**
+ * The day's windows in IST ("HH:MM"), or null when it does not trade.
+ * Special sessions have no closing session.
+ */
+export function getSessionWindows(date) {
+  if (!isTradingDay(date)) return null;
+  const special = getSpecialSession(date);
+  const minutes = special
+    ? {
+        preOpenStart: parseClock(special.open) - PRE_OPEN_MINUTES,
+        orderEntryEnd: parseClock(special.open) - PRE_OPEN_MINUTES + ORDER_ENTRY_MINUTES,
+        open: parseClock(special.open),
+        close: parseClock(special.close),
+        closingSessionStart: null,
+        closingSessionEnd: null,
+      }
+    : REGULAR_SESSION;
+  return {
+    date,
+    special: special?.label ?? null,
+    minutes,
+    preOpen: { start: formatClock(minutes.preOpenStart), orderEntryEnd: formatClock(minutes.orderEntryEnd), end: formatClock(minutes.open) },
+    open: formatClock(minutes.open),
+    close: formatClock(minutes.close),
+    closingSession: minutes.closingSessionStart != null
+      ? { start: formatClock(minutes.closingSessionStart), end: formatClock(minutes.closingSessionEnd) }
+      : null,
+  };
+}
+
+function stepTradingDay(date, step) {
+  let cursor = date;
+  for (let i = 0; i < MAX_CLOSED_RUN; i += 1) {
+    cursor = shiftDate(cursor, step);
+    if (isTradingDay(cursor)) return cursor;
+  }
+  return null;
+}
+
+/**
+ * True once `date`'s session has closed and `settleMinutes` more have passed.
+ * Past dates and days that do not trade count as closed.
+ */
+export function hasSessionClosed(date, { settleMinutes = 0, now = new Date() } = {}) {
+  const { date: today, minutes } = getISTClock(now);
+  if (date !== today) return date < today;
+  const windows = getSessionWindows(date);
+  return !windows || minutes >= windows.minutes.close + settleMinutes;
+}
+
+/** First trading day strictly after `date`. */
+export function nextTradingDay(date = getISTDate()) {
+  return isDateString(date) ? stepTradingDay(date, 1) : null;
+}
+
+/** Last trading day strictly before `date`. */
+export function previousTradingDay(date = getISTDate()) {
+  return isDateString(date) ? stepTradingDay(date, -1) : null;
+}
+
+/**
+ * Trading days from `startDate` to `endDate`, both ends counted; with
+ * `inclusive: false` only the days strictly between them.  0 when the range
+ * is empty or either date is invalid.
+ */
+export function tradingDaysBetween(startDate, endDate, { inclusive = true } = {}) {
+  if (!isDateString(startDate) || !isDateString(endDate) || startDate > endDate) return 0;
+  let count = 0;
+  for (let cursor = startDate; cursor <= endDate; cursor = shiftDate(cursor, 1)) {
+    if (!inclusive && (cursor === startDate || cursor === endDate)) continue;
+    if (isTradingDay(cursor)) count += 1;
+  }
+  return count;
+}
+
+/* =====================
+   MARKET STATE
+====================== */
+/**
+ * Where the cash market stands at `now`:
+ *   closed       not a trading day (weekend / holiday)
+ *   pre_market   trading day, before the pre-open
+ *   pre_open     order entry, then matching (preOpenPhase)
+ *   open         continuous trading
+ *   closing      closing price calculation and closing session
+ *   post_market  after the day's last session
+ */
+export function getMarketState(now = new Date()) {
+  const { date, minutes, time } = getISTClock(now);
+  const windows = getSessionWindows(date);
+  const holiday = getHoliday(date);
+  const base = {
+    istDate: date,
+    istTime: time,
+    isTradingDay: Boolean(windows),
+    holiday,
+    specialSession: windows?.special ?? null,
+    previousTradingDay: previousTradingDay(date),
+    nextTradingDay: nextTradingDay(date),
+  };
+
+  if (!windows) {
+    return { ...base, isOpen: false, session: 'closed', preOpenPhase: null, reason: holiday ? 'holiday' : 'weekend' };
+  }
+  const w = windows.minutes;
+  let session = 'post_market';
+  let preOpenPhase = null;
+  if (minutes < w.preOpenStart) session = 'pre_market';
+  else if (minutes < w.open) {
+    session = 'pre_open';
+    preOpenPhase = minutes < w.orderEntryEnd ? 'order_entry' : 'matching';
+  } else if (minutes <= w.close) session = 'open';
+  else if (w.closingSessionEnd != null && minutes <= w.closingSessionEnd) session = 'closing';
+
+  const reason = {
+    pre_market: 'before_session',
+    pre_open: 'pre_open',
+    open: 'market_open',
+    closing: 'closing_session',
+    post_market: 'post_market',
+  }[session];
+  return {
+    ...base,
+    isOpen: session === 'open',
+    session,
+    preOpenPhase,
+    reason,
+    opensAt: windows.open,
+    closesAt: windows.close,
+  };
+}
+
+// The scan, intraday and news routes each had their own reason codes before
+// the calendar service; their responses keep them so existing clients don't
+// break.  `session` carries the finer state.  Holidays are new to news.
+const LEGACY_REASONS = {
+  intraday: {
+    holiday: 'configured_holiday',
+    before_session: 'outside_trading_hours_ist',
+    pre_open: 'outside_trading_hours_ist',
+    closing_session: 'outside_trading_hours_ist',
+    post_market: 'outside_trading_hours_ist',
+  },
+  scan: {
+    before_session: 'pre_open_or_before_session',
+    pre_open: 'pre_open_or_before_session',
+    closing_session: 'post_market',
+  },
+  news: {
+    before_session: 'pre_open',
+    closing_session: 'post_market',
+  },
+};
+
+/** getMarketState() with the reason code `route` has always returned. */
+export function getLegacyMarketState(route, now = new Date()) {
+  const state = getMarketState(now);
+  return { ...state, reason: LEGACY_REASONS[route]?.[state.reason] ?? state.reason };
+}
+
+/* =====================
+   PERSISTENCE
+====================== */
+async function loadCalendar() {
+  calendar ??= await readJson(calendarPath(), null) || { updatedAt: null, source: null, holidays: {}, specialSessions: {} };
+  calendar.holidays ||= {};
+  calendar.specialSessions ||= {};
+  return calendar;
+}
+
+async function saveCalendar() {
+  await writeJsonAtomic(calendarPath(), calendar, { pretty: true }).catch((err) =>
+    console.warn(`⚠️ Market calendar write failed: ${err.message}`)
+  );
+}
+
+/**
+ * Downloads the holiday master and merges it into the stored calendar.
+ * Earlier years stay; the current list replaces its own year.
+ */
+export async function refreshMarketCalendar() {
+  await loadCalendar();
+  const raw = await getMarketDataProvider().nseJson(HOLIDAY_MASTER_PATH);
+  // CM = capital market segment, the one that governs equity trading
+  const rows = (Array.isArray(raw?.CM) ? raw.CM : [])
+    .map((row) => ({ date: parseTradingDate(row?.tradingDate), description: String(row?.description || '').trim() }))
+    .filter((row) => row.date);
+  if (!rows.length) throw new Error('Holiday master has no CM holidays');
+
+  const years = new Set(rows.map((row) => row.date.slice(0, 4)));
+  const holidays = Object.fromEntries(
+    Object.entries(calendar.holidays).filter(([date]) => !years.has(date.slice(0, 4)))
+  );
+  for (const row of rows) holidays[row.date] = row.description || 'Exchange holiday';
+
+  calendar = { ...calendar, holidays, updatedAt: new Date().toISOString(), source: 'nse' };
+  await saveCalendar();
+  console.log(`📅 Market calendar refreshed: ${rows.length} holidays for ${[...years].sort().join(', ')}`);
+  return calendar;
+}
+
+function isStale(data) {
+  const updated = Date.parse(data?.updatedAt || '');
+  return !Number.isFinite(updated) || Date.now() - updated > REFRESH_INTERVAL_MS;
+}
+
+/**
+ * Loads the stored calendar and refreshes the holidays when stale.  Never
+ * rejects — without NSE the stored list (or just weekends and NSE_HOLIDAYS)
+ * keeps answering.  A stale calendar is refreshed in the background so
+ * request handlers never wait on NSE; only a calendar that has never been
+ * downloaded waits for its first list.
+ */
+export async function ensureMarketCalendar({ refresh = true } = {}) {
+  await loadCalendar();
+  if (!refresh || !isStale(calendar) || Date.now() - lastAttemptAt < RETRY_INTERVAL_MS) return calendar;
+  const refreshing = coalesce('marketCalendar', 'holidays', () => {
+    lastAttemptAt = Date.now();
+    return refreshMarketCalendar();
+  }, { ttlMs: RETRY_INTERVAL_MS }).catch((err) => {
+    console.warn(`⚠️ Market calendar refresh failed: ${err.message}`);
+    return calendar;
+  });
+  return calendar.updatedAt ? calendar : refreshing;
+}
+
+export function startMarketCalendarRefresh() {
+  ensureMarketCalendar();
+  if (refreshTimer) return;
+  refreshTimer = setInterval(() => {
+    refreshMarketCalendar().catch((err) =>
+      console.warn(`⚠️ Scheduled market calendar refresh failed: ${err.message}`)
+    );
+  }, REFRESH_INTERVAL_MS);
+  refreshTimer.unref?.();
+}
+
+/**
+ * Adds (or replaces) a special session and persists it.  Returns
+ * { session } or { error } for invalid input.
+ */
+export async function addSpecialSession(input) {
+  const parsed = parseSpecialSession(input);
+  if (parsed.error) return parsed;
+  await loadCalendar();
+  calendar.specialSessions = { ...calendar.specialSessions, [parsed.session.date]: parsed.session };
+  await saveCalendar();
+  return parsed;
+}
+
+/** Removes a stored special session; false when there was none. */
+export async function removeSpecialSession(date) {
+  await loadCalendar();
+  if (!calendar.specialSessions[date]) return false;
+  const { [date]: _removed, ...rest } = calendar.specialSessions;
+  calendar.specialSessions = rest;
+  await saveCalendar();
+  return true;
+}
+
+/** Holidays and special sessions (stored and configured), oldest first. */
+export function getMarketCalendar({ year = null } = {}) {
+  const env = envCalendar();
+  const holidays = { ...(calendar?.holidays || {}) };
+  for (const date of env.holidays) holidays[date] ??= 'Exchange holiday';
+  const sessions = { ...env.sessions, ...(calendar?.specialSessions || {}) };
+  const inYear = (date) => !year || date.startsWith(String(year));
+  return {
+    updatedAt: calendar?.updatedAt ?? null,
+    source: calendar?.source ?? null,
+    holidays: Object.keys(holidays).filter(inYear).sort()
+      .filter((date) => !sessions[date])
+      .map((date) => ({ date, description: holidays[date] })),
+    specialSessions: Object.keys(sessions).filter(inYear).sort().map((date) => sessions[date]),
+  };
+}
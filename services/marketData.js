@@ -1,9 +1,14 @@
-import fetch from 'node-fetch';
+import { getMarketDataProvider } from './providers/index.js';
+import { getStoredBars } from './candleStore.js';
+import { coalesce } from './requestCoalescer.js';
+import { adjustCandlesForCorporateActions, fetchCorporateActions } from './corporateActionsService.js';
+import { getIndexConstituents, getInstrument, isInstrumentMasterLoaded } from './instrumentMaster.js';
+import { searchSymbols } from './symbolSearch.js';
+import { resolveScanUniverseRows } from './scanUniverseService.js';
+import { fundamentalsForScoring, getFundamentals } from './fundamentalsService.js';
+import { getISTClock, getSessionWindows } from './marketCalendarService.js';
+import { ensureSurveillance, getSurveillanceStatus } from './surveillanceService.js';
 
-const YF_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart';
-const YF_QUOTE = 'https://query1.finance.yahoo.com/v7/finance/quote';
-const NSE_HOME = 'https://www.nseindia.com';
-const NSE_API = 'https://www.nseindia.com/api';
 const IST_DATE_FORMATTER = new Intl.DateTimeFormat('en-CA', {
   timeZone: 'Asia/Kolkata',
   year: 'numeric',
@@ -11,92 +16,42 @@ const IST_DATE_FORMATTER = new Intl.DateTimeFormat('en-CA', {
   day: '2-digit',
 });
 
-const IST_WEEKDAY_FORMATTER = new Intl.DateTimeFormat('en-US', {
-  timeZone: 'Asia/Kolkata',
-  weekday: 'short',
-});
+// NSE's live API answers from an hour before the pre-open to an hour after
+// the close; outside that it returns 403s or stale data
+const NSE_API_LEAD_MINUTES = 60;
+const NSE_API_TRAIL_MINUTES = 60;
 
 /**
- * Returns true only when NSE's live API is expected to be reachable:
- * a weekday that is not in NSE_HOLIDAYS and is within a loose window
- * around market hours (08:00–16:30 IST). Outside this window the API
- * either returns 403 or stale data, so we skip straight to Yahoo.
+ * Returns true only when NSE's live API is expected to be reachable: a
+ * trading day on the market calendar, within a loose window around that
+ * day's sessions (08:00–16:30 IST on a regular day).  Outside it we skip
+ * straight to Yahoo.  Always true for offline providers.
  */
-function isNSELikelyAvailable() {
-  const now = new Date();
-  const weekday = IST_WEEKDAY_FORMATTER.format(now);
-  if (weekday === 'Sat' || weekday === 'Sun') return false;
-
-  const istDate = IST_DATE_FORMATTER.format(now);
-  const NSE_HOLIDAYS = new Set(
-    String(process.env.NSE_HOLIDAYS || '').split(',').map(s => s.trim()).filter(Boolean)
-  );
-  if (NSE_HOLIDAYS.has(istDate)) return false;
-
-  // Accept a wider window than the trading session so pre-open and
-  // post-close data calls also use NSE (08:00–16:30 IST)
-  const hourMin = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
-  }).format(now);
-  const [h, m] = hourMin.split(':').map(Number);
-  const mins = h * 60 + m;
-  return mins >= 8 * 60 && mins <= 16 * 60 + 30;
+export function isNSELikelyAvailable() {
+  // Offline providers (fixtures) answer at any hour — keep runs deterministic
+  if (getMarketDataProvider().offline) return true;
+
+  const { date, minutes } = getISTClock();
+  const windows = getSessionWindows(date);
+  if (!windows) return false;
+  return minutes >= windows.minutes.preOpenStart - NSE_API_LEAD_MINUTES
+    && minutes <= windows.minutes.close + NSE_API_TRAIL_MINUTES;
 }
 /* =====================
-   YAHOO CHART FETCH
+   PROVIDER ACCESS
+   Upstream calls go through the configured provider chain
+   (services/providers) so vendors can be swapped without touching callers.
 ====================== */
-// Keep headers minimal — Origin/Referer trigger Yahoo's browser auth/CSRF
-// checks on the v8 chart API and cause all requests to fail.  A plain
-// User-Agent is enough to avoid the bot-rejection 403 on index tickers.
-const YAHOO_HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Accept': 'application/json, text/plain, */*',
-};
-
-async function yahooChart(symbol, params) {
-  const usp = new URLSearchParams(params);
-  const url = `${YF_BASE}/${encodeURIComponent(symbol)}?${usp.toString()}`;
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
+function fetchChart(symbol, params) {
+  return getMarketDataProvider().chart(symbol, params);
+}
 
-  try {
-    const res = await fetch(url, { signal: controller.signal, headers: YAHOO_HEADERS });
-    clearTimeout(timeout);
-    if (!res.ok) throw new Error(`Yahoo fetch failed for ${symbol} (HTTP ${res.status})`);
-    const data = await res.json();
-    const result = data?.chart?.result?.[0];
-    if (!result) throw new Error(`No chart data for ${symbol}`);
-    return result;
-  } catch (err) {
-    clearTimeout(timeout);
-    if (err.name === 'AbortError') throw new Error(`Yahoo fetch timeout for ${symbol}`);
-    throw err;
-  }
+function fetchQuoteFallback(symbol) {
+  return getMarketDataProvider().quoteFallback(symbol);
 }
 
-// Lightweight quote fetch — tries v8 chart with range=1d then falls back to
-// the v7 quote endpoint.  Returns { last, changePct, prevClose } or null.
-async function yahooQuoteFallback(symbol) {
-  try {
-    // Try v7 quote API — different endpoint, sometimes succeeds when chart doesn't
-    const url = `${YF_QUOTE}?symbols=${encodeURIComponent(symbol)}&fields=regularMarketPrice,regularMarketChangePercent,regularMarketPreviousClose`;
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000);
-    const res = await fetch(url, { signal: controller.signal, headers: YAHOO_HEADERS });
-    clearTimeout(timeout);
-    if (!res.ok) return null;
-    const data = await res.json();
-    const q = data?.quoteResponse?.result?.[0];
-    if (!q) return null;
-    return {
-      last: q.regularMarketPrice ?? null,
-      changePct: q.regularMarketChangePercent ?? null,
-      prevClose: q.regularMarketPreviousClose ?? null,
-      source: 'YAHOO-QUOTE'
-    };
-  } catch {
-    return null;
-  }
+function fetchProviderQuote(symbolBase) {
+  return getMarketDataProvider().quote(symbolBase);
 }
 
 /* =====================
@@ -104,15 +59,20 @@ async function yahooQuoteFallback(symbol) {
 ====================== */
 export async function fetchCompanyMeta(symbol) {
   const base = baseIndianSymbol(symbol);
-  const data = await fetchNSE(`/quote-equity?symbol=${encodeURIComponent(base)}`);
-  const info = data?.info || data?.metadata || {};
-  const securityInfo = data?.securityInfo || {};
+  const quote = await fetchProviderQuote(base);
   return {
-    companyName: info.companyName || info.symbol || base,
-    industry: info.industry || securityInfo.industry || info.sector,
+    companyName: quote?.companyName || base,
+    industry: quote?.industry,
   };
 }
 
+/* =====================
+   ORDER BOOK (NSE)
+====================== */
+export async function fetchOrderBook(symbol) {
+  return getMarketDataProvider().orderBook(baseIndianSymbol(symbol));
+}
+
 /* =====================
    SYMBOL NORMALIZATION
 ====================== */
@@ -135,7 +95,7 @@ export async function fetchGapDataFromYahoo(symbol) {
   const norm = normalizeIndianSymbol(symbol);  // e.g. HDFCBANK.NS
 
   // Fetch 5-day daily chart — gives us meta fields and recent OHLCV
-  const result = await yahooChart(norm, { range: '5d', interval: '1d' });
+  const result = await fetchChart(norm, { range: '5d', interval: '1d' });
   const meta = result?.meta;
   if (!meta) throw new Error('Yahoo Finance chart returned no meta');
 
@@ -186,7 +146,26 @@ export async function fetchGapDataFromYahoo(symbol) {
   };
 }
 
-export async function fetchGapData(symbol) {
+// Quotes move, so the shared result is only reused for a few seconds — long
+// enough for a manual scan and the background scan to share one NSE call.
+const GAP_DATA_TTL_MS = 20_000;
+const OHLCV_TTL_MS = 30_000;
+const CORPORATE_ACTIONS_TTL_MS = 12 * 60 * 60 * 1000;
+// Off-hours lists are rebuilt sooner so they pick up the next NSE answer
+const OFF_HOURS_ACTIONS_TTL_MS = 10 * 60 * 1000;
+const DAILY_OR_LONGER_INTERVAL = /^\d*(d|wk|mo)$/;
+
+export function fetchGapData(symbol) {
+  return coalesce('gapData', baseIndianSymbol(symbol), () => loadGapData(symbol), { ttlMs: GAP_DATA_TTL_MS });
+}
+
+// The quote stream polls faster than GAP_DATA_TTL_MS, so it bypasses the
+// result cache and only shares a call that is already in flight.
+export function fetchLiveGapData(symbol) {
+  return coalesce('liveGapData', baseIndianSymbol(symbol), () => loadGapData(symbol));
+}
+
+async function loadGapData(symbol) {
   const base = baseIndianSymbol(symbol);
   let nseError = null;
 
@@ -197,7 +176,7 @@ export async function fetchGapData(symbol) {
   }
 
   try {
-    const q = await fetchNSEQuote(base);
+    const q = await fetchProviderQuote(base);
 
     const prevClose    = q?.previousClose ?? null;
     const open         = q?.open ?? null;
@@ -226,13 +205,13 @@ export async function fetchGapData(symbol) {
     // Market-cap fallbacks (non-blocking — don't let these fail the whole call)
     if (!marketCap) {
       try {
-        marketCap = await fetchScreenerMarketCap(base);
+        marketCap = await getMarketDataProvider().marketCap(base);
         marketCapSource = marketCap ? 'Screener' : null;
       } catch { /* ignore */ }
     }
     if (!marketCap) {
       try {
-        const yResult = await yahooChart(normalizeIndianSymbol(symbol), { range: '1d', interval: '1d' });
+        const yResult = await fetchChart(normalizeIndianSymbol(symbol), { range: '1d', interval: '1d' });
         marketCap = yResult?.meta?.marketCap ?? null;
         marketCapSource = marketCap ? 'Yahoo' : null;
       } catch { /* ignore */ }
@@ -259,40 +238,55 @@ function getISTDateFromEpoch(epochSeconds) {
   return IST_DATE_FORMATTER.format(new Date(epochSeconds * 1000));
 }
 
-export async function fetchOHLCV(symbol, minPeriods = 60, options = {}) {
+export function fetchOHLCV(symbol, minPeriods = 60, options = {}) {
   const interval = options.interval || '1d';
   const range = options.range || (interval === '1d' ? '6mo' : '5d');
   const norm = normalizeIndianSymbol(symbol);
-  const result = await yahooChart(norm, { range, interval });
-
-  const q = result?.indicators?.quote?.[0];
-  const t = result?.timestamp; // ✅ FIX: timestamp is at root level, not in indicators
-  if (!q) throw new Error(`No OHLC data for ${symbol}`);
-
-  const candles = q.close.map((_, i) => ({
-    timestamp: t?.[i]
-      ? (interval === '1d'
-          ? new Date(t[i] * 1000).toISOString().slice(0, 10)
-          : new Date(t[i] * 1000).toISOString())
-      : null,
-    tradeDateIST: t?.[i] ? getISTDateFromEpoch(t[i]) : null,
-    open: q.open[i],
-    high: q.high[i],
-    low: q.low[i],
-    close: q.close[i],
-    volume: q.volume[i],
-    isGreen: q.close[i] > q.open[i],
-    isRed: q.close[i] < q.open[i],
-  }))
-
-    .filter(
-      c =>
-        c.open != null &&
-        c.high != null &&
-        c.low != null &&
-        c.close != null &&
-        c.volume != null
-    );
+  return coalesce(
+    'ohlcv',
+    `${norm}|${interval}|${range}|${minPeriods}`,
+    () => loadOHLCV(symbol, norm, minPeriods, interval, range),
+    { ttlMs: OHLCV_TTL_MS }
+  );
+}
+
+// Corporate actions change a few times a year — one lookup per symbol per
+// half-day.  NSE is only asked inside its window; outside it the last list
+// it returned (or just the override file) stands in.
+function fetchAdjustmentActions(norm) {
+  const exchange = isNSELikelyAvailable();
+  return coalesce(
+    'adjustmentActions',
+    `${norm}|${exchange ? 'nse' : 'cached'}`,
+    () => fetchCorporateActions(norm, { exchange }),
+    { ttlMs: exchange ? CORPORATE_ACTIONS_TTL_MS : OFF_HOURS_ACTIONS_TTL_MS }
+  );
+}
+
+async function loadOHLCV(symbol, norm, minPeriods, interval, range) {
+  // Served from the local candle store — only the missing tail goes upstream
+  const bars = await getStoredBars(norm, { range, interval });
+  if (!bars.length) throw new Error(`No OHLC data for ${symbol}`);
+
+  const rawCandles = bars.map((bar) => ({
+    timestamp: interval === '1d'
+      ? new Date(bar.t * 1000).toISOString().slice(0, 10)
+      : new Date(bar.t * 1000).toISOString(),
+    tradeDateIST: getISTDateFromEpoch(bar.t),
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    volume: bar.volume,
+    isGreen: bar.close > bar.open,
+    isRed: bar.close < bar.open,
+  }));
+
+  // Splits, bonuses and large dividends would otherwise show up as fake gaps
+  // in levels, VWAP and ATR — back-adjust history; each candle says if it was.
+  // Intraday series are left raw: a few weeks of bars rarely span an ex-date.
+  const actions = DAILY_OR_LONGER_INTERVAL.test(interval) ? await fetchAdjustmentActions(norm) : [];
+  const candles = adjustCandlesForCorporateActions(rawCandles, actions);
 
   if (candles.length < minPeriods) {
     throw new Error(`Insufficient OHLC data for ${symbol}`);
@@ -351,7 +345,7 @@ export async function fetchIndexOHLC(indexName) {
           ? '^NSEBANK'
           : '^NSEI'
 
-      const chart = await yahooChart(yahooSymbol, {
+      const chart = await fetchChart(yahooSymbol, {
         range: '1d',
         interval: '5m'
       })
@@ -384,7 +378,7 @@ export async function fetchIndexOHLC(indexName) {
 
     // 1️⃣  Yahoo chart API (v8) with browser headers
     try {
-      const chart = await yahooChart('^BSESN', { range: '1d', interval: '5m' });
+      const chart = await fetchChart('^BSESN', { range: '1d', interval: '5m' });
       const meta  = chart?.meta;
       const q     = chart?.indicators?.quote?.[0];
       if (meta && q) {
@@ -414,7 +408,7 @@ export async function fetchIndexOHLC(indexName) {
     }
 
     // 2️⃣  Yahoo v7 quote API (different endpoint, often works when chart fails)
-    const q2 = await yahooQuoteFallback('^BSESN');
+    const q2 = await fetchQuoteFallback('^BSESN');
     if (q2 && q2.last != null) {
       const result2 = {
         open: q2.prevClose ?? null,
@@ -443,17 +437,6 @@ export async function fetchIndexOHLC(indexName) {
 
 
 
-/* =====================
-   YAHOO QUOTE (FALLBACK)
-====================== */
-async function fetchQuote(symbol) {
-  const url = `${YF_QUOTE}?symbols=${encodeURIComponent(symbol)}`;
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
-  return data?.quoteResponse?.result?.[0] || null;
-}
-
 /* =====================
    ALLINDICES CACHE
    Both fetchIndexOHLC (NIFTY/BANKBNIFTY) and tickerService.fetchIndicesSnapshot
@@ -475,7 +458,7 @@ export async function fetchAllIndicesCached() {
     return _allIndicesPromise
   }
 
-  _allIndicesPromise = fetchNSE('/allIndices')
+  _allIndicesPromise = getMarketDataProvider().allIndices()
     .then((data) => {
       _allIndicesCache = { data, fetchedAt: Date.now() }
       return data
@@ -490,205 +473,19 @@ export async function fetchAllIndicesCached() {
 /* =====================
    NSE HELPERS
 ====================== */
-let nseCookie = null;
-let nseCookieTime = 0;
-let nseLock = Promise.resolve(); // 🔒 Mutex lock for NSE calls
-
-// Browser-like UA used across all NSE requests
-const NSE_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
-
-async function withNSELock(fn) {
-  const release = nseLock;
-  let unlock;
-  nseLock = new Promise(r => (unlock = r));
-  await release;
-  try {
-    return await fn();
-  } finally {
-    unlock();
-  }
-}
-
-function baseIndianSymbol(symbol) {
-  if (!symbol) return symbol;
-  return String(symbol).trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
-}
-
-/**
- * Establish an NSE session by visiting the home page and then the
- * live-equity-market data page. NSE/Cloudflare expects at least two
- * page visits before accepting API calls; visiting only the home page
- * often results in 404 on the first API request.
- */
-async function refreshNSESession() {
-  const now = Date.now()
-  const htmlHeaders = {
-    'User-Agent': NSE_UA,
-    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-    'Accept-Language': 'en-IN,en;q=0.9',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'Cache-Control': 'no-cache',
-    Connection: 'keep-alive',
-    'Upgrade-Insecure-Requests': '1',
-    'sec-ch-ua': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
-    'sec-ch-ua-mobile': '?0',
-    'sec-ch-ua-platform': '"Windows"',
-    'sec-fetch-dest': 'document',
-    'sec-fetch-mode': 'navigate',
-    'sec-fetch-site': 'none',
-    'sec-fetch-user': '?1',
-  }
-
-  // Step 1 — home page (gets the initial nsit / nseappid cookies)
-  const homeRes = await fetch(NSE_HOME, { headers: htmlHeaders })
-  const rawHome = homeRes.headers.raw ? homeRes.headers.raw() : {}
-  const homeCookies = rawHome['set-cookie'] || []
-
-  // Step 2 — equity market page (deepens the session, required by NSE)
-  const warmupRes = await fetch(`${NSE_HOME}/market-data/live-equity-market`, {
-    headers: {
-      ...htmlHeaders,
-      Referer: NSE_HOME + '/',
-      'sec-fetch-site': 'same-origin',
-      'sec-fetch-mode': 'navigate',
-      Cookie: homeCookies.map(c => c.split(';')[0]).join('; '),
-    }
-  })
-  const rawWarmup = warmupRes.headers.raw ? warmupRes.headers.raw() : {}
-  const warmupCookies = rawWarmup['set-cookie'] || []
-
-  // Merge cookies: later Set-Cookie headers override earlier ones by name
-  const cookieMap = new Map()
-  for (const c of [...homeCookies, ...warmupCookies]) {
-    const pair = c.split(';')[0].trim()
-    const eqIdx = pair.indexOf('=')
-    if (eqIdx > 0) cookieMap.set(pair.slice(0, eqIdx), pair)
-  }
-
-  if (cookieMap.size > 0) {
-    nseCookie = Array.from(cookieMap.values()).join('; ')
-    nseCookieTime = now
-  }
-}
-
-async function getNSEHeaders(forceRefresh = false) {
-  const now = Date.now()
-  const stale = !nseCookie || now - nseCookieTime > 5 * 60 * 1000
-
-  if (forceRefresh || stale) {
-    try {
-      await refreshNSESession()
-    } catch {
-      // Non-fatal: proceed with whatever cookies we have (or none)
-    }
-  }
-
-  return {
-    'User-Agent': NSE_UA,
-    Accept: 'application/json, text/plain, */*',
-    'Accept-Language': 'en-IN,en;q=0.9',
-    'Accept-Encoding': 'gzip, deflate, br',
-    Referer: `${NSE_HOME}/`,
-    'X-Requested-With': 'XMLHttpRequest',
-    'sec-ch-ua': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
-    'sec-ch-ua-mobile': '?0',
-    'sec-ch-ua-platform': '"Windows"',
-    'sec-fetch-dest': 'empty',
-    'sec-fetch-mode': 'cors',
-    'sec-fetch-site': 'same-origin',
-    Connection: 'keep-alive',
-    Cookie: nseCookie || '',
-  }
+// Raw NSE access for endpoints without a typed provider capability
+// (holidays, FII/DII flows, deals, event calendar, movers).
+export async function fetchNSE(path, retries = 5) {
+  return getMarketDataProvider().nseJson(path, retries);
 }
 
 export async function fetchNSEPage(path, retries = 3) {
-  return withNSELock(async () => {
-    let lastError
-    for (let i = 0; i < retries; i++) {
-      try {
-        const headers = await getNSEHeaders(i > 0)
-        const res = await fetch(`${NSE_HOME}${path}`, {
-          headers: {
-            ...headers,
-            Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'sec-fetch-dest': 'document',
-            'sec-fetch-mode': 'navigate',
-          }
-        })
-
-        if (res.ok) return res.text()
-
-        lastError = new Error(`NSE page request failed (${res.status})`)
-        nseCookie = null
-        nseCookieTime = 0
-        if (i < retries - 1) {
-          await new Promise(r => setTimeout(r, 1000 * (i + 1)))
-        }
-      } catch (error) {
-        lastError = error
-        nseCookie = null
-        nseCookieTime = 0
-        if (i < retries - 1) {
-          await new Promise(r => setTimeout(r, 1000 * (i + 1)))
-        }
-      }
-    }
-    throw lastError
-  })
-}
-
-export async function fetchNSE(path, retries = 5) {
-  return withNSELock(async () => {
-    let lastError
-    for (let i = 0; i < retries; i++) {
-      try {
-        // Force-refresh session on every retry after the first attempt
-        const headers = await getNSEHeaders(i > 0)
-
-        // On first attempt give the freshly established session a moment to
-        // be recognised by NSE's Cloudflare layer before the API call goes out.
-        // On retries the back-off below already provides the breathing room.
-        if (i === 0) await new Promise(r => setTimeout(r, 1500))
-
-        const res = await fetch(`${NSE_API}${path}`, { headers })
-
-        if (res.ok) return res.json()
-
-        // 401/403/404 all indicate a session/bot-protection issue — reset and retry
-        const status = res.status
-        lastError = new Error(`NSE request failed (${status})`)
-        nseCookie = null
-        nseCookieTime = 0
-
-        if (i < retries - 1) {
-          await new Promise(r => setTimeout(r, 2000 * (i + 1))) // 2s, 4s, 6s, 8s back-off
-        }
-      } catch (err) {
-        lastError = err
-        nseCookie = null
-        nseCookieTime = 0
-        if (i < retries - 1) {
-          await new Promise(r => setTimeout(r, 2000 * (i + 1)))
-        }
-      }
-    }
-    throw lastError
-  });
+  return getMarketDataProvider().nsePage(path, retries);
 }
 
-async function fetchNSEQuote(symbolBase) {
-  const data = await fetchNSE(`/quote-equity?symbol=${encodeURIComponent(symbolBase)}`);
-  const p = data?.priceInfo || {};
-  const s = data?.securityInfo || {};
-  const info = data?.info || {};
-  return {
-    lastPrice: p.lastPrice,
-    previousClose: p.previousClose,
-    open: p.open,
-    marketCap: s.marketCap ?? p.totalMarketCap,
-    issuedSize: s.issuedSize,
-    companyName: info.companyName || symbolBase,
-  };
+function baseIndianSymbol(symbol) {
+  if (!symbol) return symbol;
+  return String(symbol).trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
 }
 
 /**
@@ -703,7 +500,7 @@ export async function fetchQuoteBasic(symbol) {
   // Skip NSE outside trading window to avoid guaranteed 403s
   if (!isNSELikelyAvailable()) {
     try {
-      const result = await yahooChart(norm, { range: '2d', interval: '1d' });
+      const result = await fetchChart(norm, { range: '2d', interval: '1d' });
       const meta = result?.meta;
       if (!meta) return { currentPrice: null, previousClose: null, dayChangePct: null };
       const currentPrice  = meta.regularMarketPrice ?? null;
@@ -721,7 +518,7 @@ export async function fetchQuoteBasic(symbol) {
 
   // Primary: NSE (trading days only)
   try {
-    const q = await fetchNSEQuote(base);
+    const q = await fetchProviderQuote(base);
     const currentPrice  = q?.lastPrice ?? null;
     const previousClose = q?.previousClose ?? null;
     const dayChangePct  =
@@ -733,7 +530,7 @@ export async function fetchQuoteBasic(symbol) {
     // Fallback: Yahoo Finance chart API (v8 — more reliable than v7/quote)
     try {
       const norm = normalizeIndianSymbol(symbol);
-      const result = await yahooChart(norm, { range: '2d', interval: '1d' });
+      const result = await fetchChart(norm, { range: '2d', interval: '1d' });
       const meta = result?.meta;
       if (!meta) return { currentPrice: null, previousClose: null, dayChangePct: null };
       const currentPrice  = meta.regularMarketPrice ?? null;
@@ -750,90 +547,75 @@ export async function fetchQuoteBasic(symbol) {
   }
 }
 
-/* =====================
-   SCREENER FALLBACK
-====================== */
-async function fetchScreenerMarketCap(symbolBase) {
-  try {
-    const res = await fetch(`https://www.screener.in/company/${symbolBase}/`, {
-      headers: { 'User-Agent': 'Mozilla/5.0' },
-    });
-    if (!res.ok) return null;
-    const html = await res.text();
-    const m = html.match(/Market\s*Cap[^\d]*([\d,.]+)\s*Cr/i);
-    if (!m) return null;
-    return Math.round(parseFloat(m[1].replace(/,/g, '')) * 1e7);
-  } catch {
-    return null;
-  }
+// Taken without asking: the symbol itself, or the one company whose street
+// alias or full name is exactly what was typed.  "TATA" or "ADANI" prefix
+// several listings and must be picked, not guessed.
+const EXACT_NAME_MATCHES = new Set(['alias', 'name'])
+
+function unresolvedSymbolError(query, candidates) {
+  const list = candidates.map((c) => c.symbol).join(', ')
+  return Object.assign(
+    new Error(`"${query}" is not an exact NSE symbol or company name — did you mean ${list}?`),
+    { code: 'AMBIGUOUS_SYMBOL', candidates }
+  )
 }
 
+/**
+ * Free text → NSE symbol.  Throws (code AMBIGUOUS_SYMBOL, with the local
+ * `candidates`) when the text only partly matches listings; unknown text is
+ * passed through so validateInstrument can reject it, or — before the master
+ * has ever loaded — fetchGapData can still try Yahoo.
+ */
 export async function resolveNSESymbol(query) {
   const q = query.trim().toUpperCase()
 
-  // Skip NSE entirely outside trading window — avoids guaranteed 403s
-  if (!isNSELikelyAvailable()) return q
-
-  // If already valid NSE symbol, try directly
-  try {
-    await fetchNSEQuote(q)
-    return q
-  } catch (_) {}
+  // BSE (.BO) symbols are taken as typed; the master only lists NSE
+  const listed = !q.endsWith('.BO') && getInstrument(q)
+  if (listed) return listed.symbol
 
-  // 🔍 NSE search API (official)
-  try {
-    const data = await fetchNSE(
-      `/search/autocomplete?q=${encodeURIComponent(q)}`
-    )
-
-    const best = data?.symbols?.[0]
-    if (best?.symbol) return best.symbol
-  } catch (_) {
-    // NSE may be unavailable (e.g. rate-limited) — fall through to symbol passthrough
-  }
+  const candidates = searchSymbols(q, { limit: 5 })
+  if (candidates[0]?.matchType === 'symbol') return candidates[0].symbol
+  const exact = candidates.filter((c) => EXACT_NAME_MATCHES.has(c.matchType))
+  if (exact.length === 1) return exact[0].symbol
 
-  // NSE couldn't confirm — return the raw symbol so fetchGapData falls back to Yahoo.
-  return q
-}
-
-async function fetchNSEStockIndexRows(indexName, retries = 3) {
-  const encodedIndex = encodeURIComponent(indexName)
-  const apiPath = `/equity-stock-indices?index=${encodedIndex}`
-  const warmupPath = `/market-data/live-equity-market?symbol=${encodedIndex}`
-
-  let lastError = null
-  for (let attempt = 0; attempt < retries; attempt++) {
+  // A loaded master already lists every active equity: a code missing from it
+  // is delisted or unknown, and probing NSE would only queue retries under the
+  // NSE lock before validateInstrument rejects it.  Probe on a cold start only.
+  // Skip NSE entirely outside trading window — avoids guaranteed 403s
+  if (!isInstrumentMasterLoaded() && isNSELikelyAvailable()) {
+    // A listed symbol the local master hasn't picked up yet
     try {
-      await fetchNSEPage(warmupPath, 2)
-      await new Promise(r => setTimeout(r, 1500))
-      const data = await fetchNSE(apiPath, 5)
-      const rows = Array.isArray(data?.data) ? data.data : []
-      if (rows.length > 0) return rows
-      lastError = new Error(`NSE stock index payload empty for ${indexName}`)
-    } catch (error) {
-      lastError = error
-      console.warn(
-        `[scan-universe] ${indexName} attempt ${attempt + 1}/${retries} failed: ${error.message}`
-      )
-    }
+      await fetchProviderQuote(q)
+      return q
+    } catch (_) {}
 
-    if (attempt < retries - 1) {
+    // 🔍 NSE search API (official) — only when nothing local matched; with
+    // local candidates its first hit would be as much a guess as ours
+    if (!candidates.length) {
       try {
-        await fetchNSEPage(warmupPath, 2)
-      } catch (warmupError) {
-        console.warn(`[scan-universe] warmup page failed: ${warmupError.message}`)
+        const data = await fetchNSE(
+          `/search/autocomplete?q=${encodeURIComponent(q)}`
+        )
+
+        const best = data?.symbols?.[0]
+        if (best?.symbol) return best.symbol
+      } catch (_) {
+        // NSE may be unavailable (e.g. rate-limited) — fall through to symbol passthrough
       }
-      await new Promise(r => setTimeout(r, 2500 * (attempt + 1)))
     }
   }
 
-  throw lastError || new Error(`NSE stock index fetch failed for ${indexName}`)
+  if (candidates.length) throw unresolvedSymbolError(q, exact.length ? exact : candidates)
+  // Nothing local matched — pass the raw symbol on so fetchGapData falls back to Yahoo
+  return q
 }
 
 /* =====================
    FAST SCAN (Stage 1)
 ====================== */
-// Fallback symbol list for when NSE is unavailable (market closed/holidays)
+// Fallback symbol list for when NSE is unavailable (market closed/holidays).
+// The instrument master's NIFTY 50 list is preferred; this static list only
+// covers a cold start before the master has ever loaded.
 const FALLBACK_SYMBOLS = [
   'RELIANCE', 'TCS', 'HDFCBANK', 'INFY', 'ICICIBANK', 'SBIN', 'BHARTIARTL',
   'ITC', 'KOTAKBANK', 'LT', 'HINDUNILVR', 'AXISBANK', 'BAJFINANCE', 'MARUTI',
@@ -842,24 +624,47 @@ const FALLBACK_SYMBOLS = [
   'NESTLEIND', 'ONGC', 'JSWSTEEL', 'M&M', 'CIPLA', 'COALINDIA'
 ];
 
-export async function fastMarketScan() {
+/**
+ * Stage 1 of the two-stage scan: ranks a universe's live rows by movement,
+ * liquidity and participation.  `universe` is any spec parseScanUniverse
+ * accepts (index, sector, FNO, custom list or a union) — default NIFTY 500.
+ * GSM names, and for `mode: 'intraday'` trade-for-trade ones, are dropped
+ * before ranking since the stage-2 gate would block them anyway.
+ */
+export async function fastMarketScan({ universe, mode = 'intraday' } = {}) {
   let stocks;
   try {
-    // Add timeout to prevent NSE retry delays from hanging the scan
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('NSE stock index fetch timeout')), 10000)
-    );
-    stocks = await Promise.race([
-      fetchNSEStockIndexRows('NIFTY 500', 2), // Reduce retries from 4 to 2
-      timeoutPromise
-    ]);
+    // Per-part timeout keeps NSE retry delays from hanging the scan
+    const resolved = await resolveScanUniverseRows(universe, { retries: 2, timeoutMs: 10000 });
+    stocks = resolved.rows;
   } catch (err) {
-    console.warn(`[fastMarketScan] NSE fetch failed: ${err.message}`);
+    console.warn(`[fastMarketScan] universe fetch failed: ${err.message}`);
+    stocks = [];
+  }
+
+  if (!stocks.length) {
     // Fallback: use cached symbol list when NSE is unavailable
     console.log('[fastMarketScan] Using fallback symbol list');
     // pChange must be non-zero to pass the movement >= 0.3 filter below.
     // Use a nominal 1% so fallback symbols aren't silently dropped.
-    stocks = FALLBACK_SYMBOLS.map(symbol => ({ symbol, lastPrice: 1000, pChange: 1.0, totalTradedVolume: 5000000 }));
+    const masterSymbols = getIndexConstituents('NIFTY 50');
+    stocks = (masterSymbols.length ? masterSymbols : FALLBACK_SYMBOLS).map(symbol => ({ symbol, lastPrice: 1000, pChange: 1.0, totalTradedVolume: 5000000 }));
+  }
+
+  // Cached surveillance snapshot only — stage 1 never waits on NSE for it
+  const surveillanceBySymbol = new Map()
+  if (await ensureSurveillance({ refresh: false })) {
+    for (const s of stocks) {
+      if (!s?.symbol) continue
+      const status = await getSurveillanceStatus(s.symbol, {
+        price: Number(s.lastPrice),
+        prevClose: Number(s.previousClose),
+        refresh: false,
+      })
+      if (status?.gsmStage != null || (mode === 'intraday' && status?.tradeForTrade)) continue
+      surveillanceBySymbol.set(s.symbol, status)
+    }
+    stocks = stocks.filter(s => surveillanceBySymbol.has(s?.symbol))
   }
 
   const stage1Limit = Math.max(
@@ -993,12 +798,13 @@ export async function fastMarketScan() {
       intradayMoveFromOpen: Number(s.intradayMoveFromOpen.toFixed(2)),
       dayRangePct: Number(s.dayRangePct.toFixed(2)),
       gapPct: s.gapPct == null ? null : Number(s.gapPct.toFixed(2)),
-      compositeScore: Number(s.compositeScore.toFixed(2))
+      compositeScore: Number(s.compositeScore.toFixed(2)),
+      surveillance: surveillanceBySymbol.get(s.symbol) ?? null
     }))
 }
 
-export async function fetchMarketMovers() {
-  const stocks = await fetchNSEStockIndexRows('NIFTY 500', 4)
+export async function fetchMarketMovers({ universe } = {}) {
+  const { rows: stocks } = await resolveScanUniverseRows(universe, { retries: 4, allowFallback: false })
 
   return stocks
     .filter(s => {
@@ -1025,30 +831,7 @@ export async function fetchMarketMovers() {
 }
 export async function fetchFundamentals(symbolBase) {
   try {
-    const res = await fetch(`https://www.screener.in/company/${symbolBase}/`, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    })
-    if (!res.ok) return null
-    const html = await res.text()
-
-    const extract = (regex) => {
-      const raw = html.match(regex)?.[1]
-      if (!raw) return null
-
-      const cleaned = raw.replace(/,/g, '').trim()
-      const isParenNegative = cleaned.startsWith('(') && cleaned.endsWith(')')
-      const numeric = Number(cleaned.replace(/[()]/g, ''))
-      if (!Number.isFinite(numeric)) return null
-
-      return isParenNegative ? -Math.abs(numeric) : numeric
-    }
-
-    return {
-      revenueGrowth: extract(/Sales Growth[^%]*([+-]?\(?[\d.]+\)?)[\s%]/i),
-      profitGrowth: extract(/Profit Growth[^%]*([+-]?\(?[\d.]+\)?)[\s%]/i),
-      roe: extract(/ROE[^%]*([+-]?\(?[\d.]+\)?)[\s%]/i),
-      debtToEquity: extract(/Debt to Equity[^:]*([+-]?\(?[\d.]+\)?)/i)
-    }
+    return fundamentalsForScoring(await getFundamentals(baseIndianSymbol(symbolBase)))
   } catch {
     return null
   }
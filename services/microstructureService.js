@@ -1,4 +1,8 @@
-import { fetchNSE } from './marketData.js';
+import { fetchOrderBook } from './marketData.js';
+import { coalesce } from './requestCoalescer.js';
+
+// Order book is live data — share it across concurrent scans only briefly
+const MICROSTRUCTURE_TTL_MS = 15_000;
 
 function toNumber(value) {
   const n = Number(value);
@@ -89,13 +93,15 @@ export function classifyMicrostructureSignal(data = {}) {
   return { status, bias, score, reasons };
 }
 
-export async function fetchMicrostructureSnapshot(symbol) {
+export function fetchMicrostructureSnapshot(symbol) {
   const base = baseIndianSymbol(symbol);
+  return coalesce('microstructure', base, () => loadMicrostructureSnapshot(base), { ttlMs: MICROSTRUCTURE_TTL_MS });
+}
+
+async function loadMicrostructureSnapshot(base) {
 
   try {
-    const data = await fetchNSE(`/quote-equity?symbol=${encodeURIComponent(base)}`);
-    const book = data?.marketDeptOrderBook || {};
-    const tradeInfo = book?.tradeInfo || {};
+    const book = await fetchOrderBook(base);
     const bid = Array.isArray(book?.bid) ? book.bid : [];
     const ask = Array.isArray(book?.ask) ? book.ask : [];
 
@@ -107,12 +113,8 @@ export async function fetchMicrostructureSnapshot(symbol) {
 
     const bidDepthQty = sumDepthQty(bid);
     const askDepthQty = sumDepthQty(ask);
-    const totalBuyQuantity = toNumber(
-      book?.totalBuyQuantity ?? tradeInfo?.totalBuyQuantity ?? tradeInfo?.buyQuantity
-    );
-    const totalSellQuantity = toNumber(
-      book?.totalSellQuantity ?? tradeInfo?.totalSellQuantity ?? tradeInfo?.sellQuantity
-    );
+    const totalBuyQuantity = toNumber(book?.totalBuyQuantity);
+    const totalSellQuantity = toNumber(book?.totalSellQuantity);
 
     const buyPressure = totalBuyQuantity ?? bidDepthQty;
     const sellPressure = totalSellQuantity ?? askDepthQty;
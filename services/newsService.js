@@ -1,4 +1,4 @@
-import fetch from 'node-fetch';
+import fetch from './httpClient.js';
 import { fetchCompanyMeta } from './marketData.js';
 
 // Canonical fragments — a source is trusted if its name contains ANY of these (case-insensitive).
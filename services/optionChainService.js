@@ -0,0 +1,292 @@
+import { fetchNSE } from './marketData.js';
+import { coalesce } from './requestCoalescer.js';
+import { getInstrument } from './instrumentMaster.js';
+
+// Option OI moves through the session; share the chain across concurrent
+// scans for a minute, which is also roughly how often NSE refreshes it
+const OPTION_CHAIN_TTL_MS = Number(process.env.OPTION_CHAIN_TTL_MS) || 60_000;
+
+// Index symbols use a separate NSE endpoint
+export const OPTION_INDEX_SYMBOLS = ['NIFTY', 'BANKNIFTY', 'FINNIFTY', 'MIDCPNIFTY', 'NIFTYNXT50'];
+
+// A strike is a "wall" when its OI is this many times the median OI on its
+// side of the chain; the wall matters when price sits within the proximity
+// band of it
+const WALL_DOMINANCE = 1.5;
+const WALL_PROXIMITY_PCT = { intraday: 1.5, swing: 3 };
+// Strikes ~5% away from spot are used for the IV skew
+const SKEW_DISTANCE = 0.05;
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function baseIndianSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+// "28-Nov-2026" → epoch ms (UTC midnight)
+function parseExpiry(label) {
+  const m = String(label || '').match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (!m || MONTHS[m[2].toUpperCase()] == null) return null;
+  return Date.UTC(Number(m[3]), MONTHS[m[2].toUpperCase()], Number(m[1]));
+}
+
+function median(values) {
+  const sorted = values.filter((v) => v > 0).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function nearestStrike(strikes, target) {
+  return strikes.reduce(
+    (best, row) => (best == null || Math.abs(row.strike - target) < Math.abs(best.strike - target) ? row : best),
+    null
+  );
+}
+
+export function isOptionable(symbol) {
+  const base = baseIndianSymbol(symbol);
+  return OPTION_INDEX_SYMBOLS.includes(base) || getInstrument(base)?.fnoEligible === true;
+}
+
+/**
+ * Raw NSE option chain ({ records: { expiryDates, data, underlyingValue,
+ * timestamp } }) for an index or F&O stock, coalesced per symbol.
+ */
+export function fetchOptionChain(symbol) {
+  const base = baseIndianSymbol(symbol);
+  const path = OPTION_INDEX_SYMBOLS.includes(base)
+    ? `/option-chain-indices?symbol=${encodeURIComponent(base)}`
+    : `/option-chain-equities?symbol=${encodeURIComponent(base)}`;
+  return coalesce('optionChain', base, () => fetchNSE(path, 3), { ttlMs: OPTION_CHAIN_TTL_MS });
+}
+
+/**
+ * Positioning summary for one expiry of a chain (nearest by default):
+ *   pcr           put OI / call OI (and the same on volume)
+ *   maxPain       strike at which option writers pay out the least
+ *   callWall      heaviest call-OI strike at or above spot — resistance
+ *   putWall       heaviest put-OI strike at or below spot — support
+ *   topCallOi / topPutOi   three largest OI strikes on each side
+ *   oiChange      today's OI added on each side and where it was added most
+ *   ivSkew        ATM IV and OTM put IV − OTM call IV (~5% either side);
+ *                 positive skew = downside protection in demand
+ */
+export function analyzeOptionChain(payload, { expiry = null } = {}) {
+  const records = payload?.records || {};
+  const rows = Array.isArray(records.data) ? records.data : [];
+  const expiries = (Array.isArray(records.expiryDates) ? records.expiryDates : [])
+    .filter((label) => parseExpiry(label) != null)
+    .sort((a, b) => parseExpiry(a) - parseExpiry(b));
+  const selectedExpiry = expiry && expiries.includes(expiry) ? expiry : expiries[0] ?? null;
+  if (!selectedExpiry) return null;
+
+  const strikes = rows
+    .filter((row) => row?.expiryDate === selectedExpiry && toNumber(row?.strikePrice) != null)
+    .map((row) => ({
+      strike: toNumber(row.strikePrice),
+      callOi: toNumber(row.CE?.openInterest) ?? 0,
+      putOi: toNumber(row.PE?.openInterest) ?? 0,
+      callOiChange: toNumber(row.CE?.changeinOpenInterest) ?? 0,
+      putOiChange: toNumber(row.PE?.changeinOpenInterest) ?? 0,
+      callVolume: toNumber(row.CE?.totalTradedVolume) ?? 0,
+      putVolume: toNumber(row.PE?.totalTradedVolume) ?? 0,
+      callIv: toNumber(row.CE?.impliedVolatility) || null,
+      putIv: toNumber(row.PE?.impliedVolatility) || null,
+    }))
+    .sort((a, b) => a.strike - b.strike);
+  if (!strikes.length) return null;
+
+  const spot = toNumber(records.underlyingValue)
+    ?? toNumber(rows.find((row) => row?.CE?.underlyingValue)?.CE?.underlyingValue);
+  const total = (field) => strikes.reduce((sum, row) => sum + row[field], 0);
+  const callOi = total('callOi');
+  const putOi = total('putOi');
+  const callVolume = total('callVolume');
+  const putVolume = total('putVolume');
+
+  // Writers' payout if the underlying settles at each listed strike
+  let maxPain = null;
+  let minPayout = Infinity;
+  for (const { strike: settle } of strikes) {
+    let payout = 0;
+    for (const row of strikes) {
+      if (settle > row.strike) payout += row.callOi * (settle - row.strike);
+      if (settle < row.strike) payout += row.putOi * (row.strike - settle);
+    }
+    if (payout < minPayout) {
+      minPayout = payout;
+      maxPain = settle;
+    }
+  }
+
+  const wall = (side, candidates) => {
+    const field = side === 'call' ? 'callOi' : 'putOi';
+    const top = candidates.reduce((best, row) => (!best || row[field] > best[field] ? row : best), null);
+    if (!top || !(top[field] > 0)) return null;
+    const typical = median(candidates.map((row) => row[field]));
+    return {
+      strike: top.strike,
+      openInterest: top[field],
+      dominance: typical ? round(top[field] / typical) : null,
+      distancePct: spot ? round(((top.strike - spot) / spot) * 100) : null,
+    };
+  };
+  const topBy = (field) => [...strikes]
+    .sort((a, b) => b[field] - a[field])
+    .slice(0, 3)
+    .filter((row) => row[field] > 0)
+    .map((row) => ({ strike: row.strike, openInterest: row[field] }));
+  const maxChange = (field) => strikes.reduce((best, row) => (!best || row[field] > best[field] ? row : best), null);
+
+  const withIv = strikes.filter((row) => row.callIv || row.putIv);
+  const atm = spot ? nearestStrike(withIv, spot) : null;
+  const otmPut = spot ? nearestStrike(withIv.filter((row) => row.putIv && row.strike <= spot), spot * (1 - SKEW_DISTANCE)) : null;
+  const otmCall = spot ? nearestStrike(withIv.filter((row) => row.callIv && row.strike >= spot), spot * (1 + SKEW_DISTANCE)) : null;
+  const atmIvs = [atm?.callIv, atm?.putIv].filter(Boolean);
+
+  return {
+    expiry: selectedExpiry,
+    expiries,
+    underlying: spot,
+    asOf: records.timestamp || null,
+    strikes: strikes.length,
+    totals: { callOi, putOi, callVolume, putVolume },
+    pcr: callOi > 0 ? round(putOi / callOi) : null,
+    pcrVolume: callVolume > 0 ? round(putVolume / callVolume) : null,
+    maxPain,
+    maxPainDistancePct: spot && maxPain ? round(((maxPain - spot) / spot) * 100) : null,
+    callWall: wall('call', spot ? strikes.filter((row) => row.strike >= spot) : strikes),
+    putWall: wall('put', spot ? strikes.filter((row) => row.strike <= spot) : strikes),
+    topCallOi: topBy('callOi'),
+    topPutOi: topBy('putOi'),
+    oiChange: {
+      callAdded: total('callOiChange'),
+      putAdded: total('putOiChange'),
+      topCallAddition: maxChange('callOiChange')?.callOiChange > 0 ? maxChange('callOiChange').strike : null,
+      topPutAddition: maxChange('putOiChange')?.putOiChange > 0 ? maxChange('putOiChange').strike : null,
+    },
+    ivSkew: {
+      atmStrike: atm?.strike ?? null,
+      atmIv: atmIvs.length ? round(atmIvs.reduce((a, b) => a + b, 0) / atmIvs.length) : null,
+      otmPutStrike: otmPut?.strike ?? null,
+      otmPutIv: otmPut?.putIv ?? null,
+      otmCallStrike: otmCall?.strike ?? null,
+      otmCallIv: otmCall?.callIv ?? null,
+      skew: otmPut?.putIv && otmCall?.callIv ? round(otmPut.putIv - otmCall.callIv) : null,
+    },
+  };
+}
+
+/**
+ * Reads the chain against a directional setup.  The key check is a wall of
+ * option writers just beyond price — call OI overhead for a long, put OI
+ * underneath for a short — which tends to cap the move into expiry.
+ */
+export function classifyOptionsSignal(analysis, { biasDirection = 'long', mode = 'swing', price = null } = {}) {
+  if (!analysis) {
+    return { status: 'unavailable', score: 0, flags: [], reasons: ['Option chain unavailable'] };
+  }
+
+  const direction = biasDirection === 'short' ? 'short' : 'long';
+  const proximity = WALL_PROXIMITY_PCT[mode] ?? WALL_PROXIMITY_PCT.swing;
+  const spot = toNumber(price) ?? analysis.underlying;
+  const reasons = [];
+  const flags = [];
+  let score = 0;
+
+  const distanceFromSpot = (strike) => (spot ? ((strike - spot) / spot) * 100 : null);
+  const isWall = (w) => w && (w.dominance == null || w.dominance >= WALL_DOMINANCE);
+
+  if (direction === 'long' && isWall(analysis.callWall)) {
+    const distance = distanceFromSpot(analysis.callWall.strike);
+    if (distance != null && distance >= 0 && distance <= proximity) {
+      score -= 3;
+      flags.push('call_oi_wall_overhead');
+      reasons.push(`Long setup under call OI wall at ${analysis.callWall.strike} (${distance.toFixed(1)}% above)`);
+    }
+  }
+  if (direction === 'short' && isWall(analysis.putWall)) {
+    const distance = distanceFromSpot(analysis.putWall.strike);
+    if (distance != null && distance <= 0 && Math.abs(distance) <= proximity) {
+      score -= 3;
+      flags.push('put_oi_wall_below');
+      reasons.push(`Short setup above put OI wall at ${analysis.putWall.strike} (${Math.abs(distance).toFixed(1)}% below)`);
+    }
+  }
+
+  // Put writing (high PCR) is support under longs; call writing caps them
+  if (analysis.pcr != null) {
+    if (analysis.pcr >= 1.3) {
+      score += direction === 'long' ? 2 : -2;
+      reasons.push(`Put-call ratio ${analysis.pcr} — put writers defending lower levels`);
+    } else if (analysis.pcr <= 0.7) {
+      score += direction === 'short' ? 2 : -2;
+      reasons.push(`Put-call ratio ${analysis.pcr} — call writers capping upside`);
+    }
+  }
+
+  const { callAdded, putAdded } = analysis.oiChange || {};
+  if (callAdded > 0 && putAdded > 0) {
+    if (direction === 'long' && putAdded >= callAdded * 1.5) {
+      score += 1;
+      reasons.push('Fresh put writing outpacing calls today');
+    } else if (direction === 'long' && callAdded >= putAdded * 1.5) {
+      score -= 1;
+      reasons.push('Fresh call writing outpacing puts today');
+    } else if (direction === 'short' && callAdded >= putAdded * 1.5) {
+      score += 1;
+      reasons.push('Fresh call writing outpacing puts today');
+    } else if (direction === 'short' && putAdded >= callAdded * 1.5) {
+      score -= 1;
+      reasons.push('Fresh put writing outpacing calls today');
+    }
+  }
+
+  const skew = analysis.ivSkew?.skew;
+  if (skew != null && skew >= 5 && direction === 'long') {
+    score -= 1;
+    reasons.push(`Steep put skew (${skew} IV pts) — market paying up for downside`);
+  }
+
+  let status = 'neutral';
+  if (score >= 2) status = 'supportive';
+  else if (score <= -3) status = 'adverse';
+  if (!reasons.length) reasons.push('Option positioning gives no clear edge');
+
+  return { status, score, flags, reasons };
+}
+
+/**
+ * Chain analytics + directional signal for the professional gate.  Returns
+ * null for symbols without listed options so cash-only stocks are not
+ * penalised as "unavailable".
+ */
+export async function fetchOptionsProfile(symbol, { biasDirection = 'long', mode = 'swing', price = null, expiry = null } = {}) {
+  const base = baseIndianSymbol(symbol);
+  if (!isOptionable(base)) return null;
+
+  let analysis = null;
+  try {
+    analysis = analyzeOptionChain(await fetchOptionChain(base), { expiry });
+  } catch {
+    analysis = null;
+  }
+  return {
+    symbol: base,
+    analysis,
+    signal: classifyOptionsSignal(analysis, { biasDirection, mode, price }),
+  };
+}
@@ -9,7 +9,7 @@
  * - Avoid crowded & low-quality moves
  * ==================================================
  */
-export function evaluateSwing({
+function evaluateSwingDaily({
   rsi,
   gapOpenPct,
   gapNowPct,
@@ -24,6 +24,7 @@ export function evaluateSwing({
   candlePattern = null,  // detectCandlePattern() — candlestick signal
   obvData       = null,  // calculateOBV() — volume divergence
   volatilityPct = null,  // estimateATRPercent() — for gap significance normalization
+  delivery      = null,  // getDeliveryProfile() — delivery % vs its 20-day average
   thresholds    = {}
 }) {
   // 🛡️ DEFENSIVE GUARD: Check swingVWAP availability
@@ -41,7 +42,13 @@ export function evaluateSwing({
   const breakoutConfirmed = getBreakoutConfirmation(resistance, price, volumeSpike)
   const nearSupport = support && price <= support * 1.05
   const nearResistance = resistance && price >= resistance * 0.985
-  const volumeOK = volumeSpike || (price > swingVWAP && rsi > 50)
+  // Delivery separates accumulation from intraday churn: a volume spike that
+  // was mostly squared off the same day does not confirm a swing, while
+  // delivery well above its own average confirms one without a spike.
+  const deliveryAccumulation = delivery?.signal === 'accumulation'
+  const deliveryChurn = delivery?.signal === 'churn'
+  const volumeConfirmed = (volumeSpike && !deliveryChurn) || deliveryAccumulation
+  const volumeOK = volumeConfirmed || (price > swingVWAP && rsi > 50)
   const effectiveGap = Number.isFinite(gapNowPct)
     ? gapNowPct
     : (Number.isFinite(gapOpenPct) ? gapOpenPct : 0)
@@ -167,7 +174,9 @@ export function evaluateSwing({
   ) {
     reasons.push('Momentum in favorable RSI zone')
     reasons.push('Price above swing VWAP indicates bullish structure')
-    reasons.push(volumeSpike ? 'Volume confirms participation' : 'Building momentum')
+    reasons.push(volumeConfirmed ? 'Volume confirms participation' : 'Building momentum')
+    if (deliveryAccumulation) reasons.push(`📦 Delivery ${delivery.deliveryPct}% vs ${delivery.avgDeliveryPct20}% 20-day average — positions are being carried, not churned`)
+    if (deliveryChurn && volumeSpike) reasons.push(`⚠️ Volume spike on ${delivery.deliveryPct}% delivery — mostly intraday churn`)
     if (swingEmaBullish)     reasons.push('Daily EMA stack bullish — trend fully aligned')
     if (swingEmaBearish)     reasons.push('⚠️ Daily EMA stack bearish — swing against medium-term trend')
     if (swingAdxStrong)      reasons.push(`ADX ${swingAdxValue} — strong confirmed trend, swing has institutional backing`)
@@ -210,7 +219,7 @@ export function evaluateSwing({
   ) {
     reasons.push('Early momentum emerging')
     reasons.push(aboveStructure ? 'Price above swing VWAP is bullish' : 'Building base below swing VWAP')
-    reasons.push(volumeSpike ? 'Volume pickup suggests accumulation' : 'Watch for volume confirmation')
+    reasons.push(volumeConfirmed ? 'Volume pickup suggests accumulation' : 'Watch for volume confirmation')
 
     return {
       label: 'Potential Swing – Needs Confirmation',
@@ -324,6 +333,81 @@ export function evaluateSwing({
   }
 }
 
+/**
+ * Swing evaluation with weekly trend confirmation.
+ *
+ * The daily read above decides the setup; the weekly trend (computeWeeklyTrend()
+ * — weekly EMA stack, Supertrend, ADX) then confirms or vetoes it.  A daily
+ * breakout straight into a weekly downtrend is the classic failed-swing
+ * pattern, so it is downgraded to a non-actionable label; other bullish
+ * setups against the weekly trend keep their label but carry a blocker.
+ * Every result reports `timeframeAlignment` so callers can see whether
+ * daily and weekly agree.
+ */
+export function evaluateSwing({ weeklyTrend = null, ...dailyInputs }) {
+  const result = evaluateSwingDaily(dailyInputs)
+
+  const dailyBias = result.sentiment === 'positive'
+    ? 'bullish'
+    : result.sentiment === 'negative'
+    ? 'bearish'
+    : 'neutral'
+  const weeklyBias = weeklyTrend?.bias ?? 'unavailable'
+
+  const agreement = weeklyBias === 'unavailable'
+    ? 'unavailable'
+    : dailyBias === 'neutral' || weeklyBias === 'mixed'
+    ? 'mixed'
+    : dailyBias === weeklyBias
+    ? 'aligned'
+    : 'conflict'
+
+  const timeframeAlignment = {
+    daily: dailyBias,
+    weekly: weeklyBias,
+    agree: agreement === 'aligned',
+    agreement,
+    weeklyEmaTrend: weeklyTrend?.emaStack?.regime ?? null,
+    weeklySupertrend: weeklyTrend?.supertrend?.trend ?? null,
+    weeklyAdx: weeklyTrend?.adx?.adx ?? null,
+  }
+
+  if (dailyBias !== 'bullish' || weeklyBias !== 'bearish') {
+    if (agreement === 'aligned' && dailyBias === 'bullish') {
+      return {
+        ...result,
+        reasons: [...(result.reasons || []), 'Weekly trend confirms the daily setup'],
+        timeframeAlignment
+      }
+    }
+    return { ...result, timeframeAlignment }
+  }
+
+  if (result.label === 'Breakout Swing Setup') {
+    return {
+      label: 'Breakout Into Weekly Downtrend – Avoid',
+      sentiment: 'neutral',
+      emaTrend: result.emaTrend,
+      blockerReason: 'weekly_downtrend',
+      reasons: [
+        'Daily breakout is running into a weekly downtrend — overhead supply usually caps it',
+        ...(result.reasons || [])
+      ],
+      timeframeAlignment
+    }
+  }
+
+  return {
+    ...result,
+    blockerReason: result.blockerReason || 'counter_trend_weekly',
+    reasons: [
+      ...(result.reasons || []),
+      '⚠️ Weekly trend bearish — daily setup is counter-trend on the higher timeframe'
+    ],
+    timeframeAlignment
+  }
+}
+
 
 /**
  * ==================================================
@@ -408,13 +492,17 @@ const MAX_POSITION_PCT       = Number(process.env.MAX_POSITION_PCT        || 0.2
  *  2. suggestedQty = floor(risk budget / risk-per-share)
  *  3. Hard cap:    positionValue must not exceed TRADING_CAPITAL × MAX_POSITION_PCT
  *  4. Floor:       at least 1 share if the stock is within capital
+ *
+ * sizeMultiplier scales the risk budget down in high-volatility regimes
+ * (volatilityRegimeService) so a wider stop does not keep the same ₹ risk.
  */
-function suggestPositionSize(entryPrice, riskPerShare) {
+function suggestPositionSize(entryPrice, riskPerShare, sizeMultiplier = 1) {
   if (!Number.isFinite(entryPrice) || entryPrice <= 0 ||
       !Number.isFinite(riskPerShare) || riskPerShare <= 0) {
     return { suggestedQty: null, suggestedPositionValue: null, capitalUtilizationPct: null }
   }
-  const riskBudget   = TRADING_CAPITAL * MAX_RISK_PER_TRADE_PCT
+  const riskScale    = Number.isFinite(sizeMultiplier) && sizeMultiplier > 0 ? Math.min(sizeMultiplier, 1) : 1
+  const riskBudget   = TRADING_CAPITAL * MAX_RISK_PER_TRADE_PCT * riskScale
   const maxCapDeploy = TRADING_CAPITAL * MAX_POSITION_PCT
   const qtyByRisk    = Math.floor(riskBudget / riskPerShare)
   const qtyByCap     = Math.floor(maxCapDeploy / entryPrice)
@@ -436,6 +524,17 @@ function suggestPositionSize(entryPrice, riskPerShare) {
   }
 }
 
+// Stop-width and sizing multipliers for the active VIX regime (see
+// volatilityRegimeService).  No regime plans as a normal market.
+function regimePlanAdjustments(volatilityRegime) {
+  const stop = Number(volatilityRegime?.stopMultiplier)
+  const size = Number(volatilityRegime?.sizeMultiplier)
+  return {
+    stopScale: Number.isFinite(stop) && stop > 0 ? stop : 1,
+    sizeMultiplier: Number.isFinite(size) && size > 0 ? size : 1
+  }
+}
+
 function calculateRiskReward(entryPrice, stopLoss, target1, direction = 'long') {
   const safeDirection = direction === 'short' ? 'short' : 'long'
   const risk = safeDirection === 'short' ? stopLoss - entryPrice : entryPrice - stopLoss
@@ -703,10 +802,24 @@ export function evaluateLongTerm({ rsi, marketCap, fundamentals }) {
     }
   }
 
-  const { score, reasons } = evaluateFundamentals({
+  const { score, reasons, evidence } = evaluateFundamentals({
     marketCap,
     ...fundamentals
   })
+  if (fundamentals.stale) {
+    reasons.push('Fundamentals served from an older snapshot — live source unavailable')
+  }
+
+  // A heavily pledged promoter stake can be dumped by lenders on any fall;
+  // no valuation or timing argument outweighs that
+  if (fundamentals.promoterPledge > 50) {
+    return {
+      label: 'High Promoter Pledge – Avoid',
+      sentiment: 'negative',
+      reasons,
+      evidence
+    }
+  }
 
   // RSI timing zones — AMC / HNI accumulation logic:
   //
@@ -738,7 +851,8 @@ export function evaluateLongTerm({ rsi, marketCap, fundamentals }) {
     return {
       label: 'High-Conviction Long-Term Accumulation',
       sentiment: 'positive',
-      reasons
+      reasons,
+      evidence
     }
   }
 
@@ -750,7 +864,8 @@ export function evaluateLongTerm({ rsi, marketCap, fundamentals }) {
     return {
       label: 'Quality Business – Accumulate on Dips',
       sentiment: 'positive',
-      reasons
+      reasons,
+      evidence
     }
   }
 
@@ -761,7 +876,8 @@ export function evaluateLongTerm({ rsi, marketCap, fundamentals }) {
     return {
       label: 'Quality Business – Wait for Better Entry',
       sentiment: 'neutral',
-      reasons
+      reasons,
+      evidence
     }
   }
 
@@ -773,7 +889,8 @@ export function evaluateLongTerm({ rsi, marketCap, fundamentals }) {
     return {
       label: 'High-Quality Business – Capitulation Zone',
       sentiment: 'neutral',
-      reasons
+      reasons,
+      evidence
     }
   }
 
@@ -782,7 +899,8 @@ export function evaluateLongTerm({ rsi, marketCap, fundamentals }) {
     return {
       label: 'Fundamentals Good, Timing Risky',
       sentiment: 'neutral',
-      reasons
+      reasons,
+      evidence
     }
   }
 
@@ -791,7 +909,8 @@ export function evaluateLongTerm({ rsi, marketCap, fundamentals }) {
     return {
       label: 'Strong Business, Overheated Zone – Avoid Fresh Buying',
       sentiment: 'neutral',
-      reasons
+      reasons,
+      evidence
     }
   }
 
@@ -799,7 +918,8 @@ export function evaluateLongTerm({ rsi, marketCap, fundamentals }) {
   return {
     label: 'Weak Long-Term Setup',
     sentiment: 'negative',
-    reasons
+    reasons,
+    evidence
   }
 }
 
@@ -820,7 +940,8 @@ export function calculateSwingEntryPrice({
   gapOpenPct,
   gapNowPct,
   volumeSpike,
-  volatilityPct
+  volatilityPct,
+  volatilityRegime = null
 }) {
   const currentPrice = Number(price)
   if (!Number.isFinite(currentPrice) || currentPrice <= 0) {
@@ -862,6 +983,7 @@ export function calculateSwingEntryPrice({
     7.5
   )
   const atrMove = currentPrice * (atrPct / 100)
+  const { stopScale, sizeMultiplier } = regimePlanAdjustments(volatilityRegime)
 
   let entryPrice = currentPrice
   let entryReason = 'Swing market entry - immediate position'
@@ -932,8 +1054,8 @@ export function calculateSwingEntryPrice({
 
   entryPrice = roundToPaise(Math.min(entryPrice, currentPrice))
 
-  const minStopDistancePct = clamp(atrPct * 0.85, 1.2, 3.0)
-  const maxStopDistancePct = clamp(atrPct * 1.9, 2.8, 7.5)
+  const minStopDistancePct = clamp(atrPct * 0.85, 1.2, 3.0) * stopScale
+  const maxStopDistancePct = clamp(atrPct * 1.9, 2.8, 7.5) * stopScale
 
   const stopAtrMultipleByType = {
     swing_vwap: 1.1,
@@ -944,7 +1066,7 @@ export function calculateSwingEntryPrice({
     swing_market: 1.15
   }
   const stopAtrMultiple = stopAtrMultipleByType[entryType] ?? 1.15
-  const atrStopPct = clamp(atrPct * stopAtrMultiple, minStopDistancePct, maxStopDistancePct)
+  const atrStopPct = clamp(atrPct * stopAtrMultiple * stopScale, minStopDistancePct, maxStopDistancePct)
   const atrStop = entryPrice * (1 - atrStopPct / 100)
 
   const structureStops = []
@@ -970,8 +1092,8 @@ export function calculateSwingEntryPrice({
   stopLoss = Math.max(stopLoss, farthestAllowedStop)
 
   let riskPerShare = entryPrice - stopLoss
-  const minRiskPct = clamp(atrPct * 0.55, 1.0, 2.8)
-  const maxRiskPct = clamp(atrPct * 2.0, 2.5, 7.8)
+  const minRiskPct = clamp(atrPct * 0.55, 1.0, 2.8) * stopScale
+  const maxRiskPct = clamp(atrPct * 2.0, 2.5, 7.8) * stopScale
   const minRiskPerShare = entryPrice * (minRiskPct / 100)
   const maxRiskPerShare = entryPrice * (maxRiskPct / 100)
   riskPerShare = clamp(riskPerShare, minRiskPerShare, maxRiskPerShare)
@@ -1100,7 +1222,7 @@ export function calculateSwingEntryPrice({
     effectiveGapPct: effectiveGap
   })
 
-  const sizing = suggestPositionSize(entryPrice, riskPerShare)
+  const sizing = suggestPositionSize(entryPrice, riskPerShare, sizeMultiplier)
 
   return {
     entryPrice,
@@ -1120,7 +1242,8 @@ export function calculateSwingEntryPrice({
     // ── Position sizing (based on configured TRADING_CAPITAL) ──────────────
     suggestedQty:           sizing.suggestedQty,
     suggestedPositionValue: sizing.suggestedPositionValue,
-    capitalUtilizationPct:  sizing.capitalUtilizationPct
+    capitalUtilizationPct:  sizing.capitalUtilizationPct,
+    volatilityRegime:       volatilityRegime?.regime ?? null
   };
 }
 
@@ -1140,7 +1263,8 @@ export function calculateIntradayEntryPrice({
   gapOpenPct,
   volumeSpike,
   volatilityPct,
-  direction = 'long'
+  direction = 'long',
+  volatilityRegime = null
 }) {
   const currentPrice = Number(price)
   const safeDirection = direction === 'short' ? 'short' : 'long'
@@ -1177,6 +1301,7 @@ export function calculateIntradayEntryPrice({
   const normalizedRSI = Number.isFinite(rsi) ? rsi : 50
   const atrPct = clamp(Number.isFinite(volatilityPct) ? volatilityPct : 1.1, 0.45, 3.8)
   const atrMove = currentPrice * (atrPct / 100)
+  const { stopScale, sizeMultiplier } = regimePlanAdjustments(volatilityRegime)
   const structureExtensionPct = hasVwap
     ? (safeDirection === 'short' ? ((vwap - currentPrice) / vwap) * 100 : ((currentPrice - vwap) / vwap) * 100)
     : null
@@ -1360,8 +1485,8 @@ export function calculateIntradayEntryPrice({
 
   entryPrice = roundToPaise(safeDirection === 'short' ? Math.max(entryPrice, currentPrice) : Math.min(entryPrice, currentPrice))
 
-  const minStopDistancePct = clamp(atrPct * 0.65, 0.45, 1.2)
-  const maxStopDistancePct = clamp(atrPct * 1.7, 1.0, 2.8)
+  const minStopDistancePct = clamp(atrPct * 0.65, 0.45, 1.2) * stopScale
+  const maxStopDistancePct = clamp(atrPct * 1.7, 1.0, 2.8) * stopScale
   const stopAtrMultipleByType = {
     vwap_pullback: 0.85,
     trend_continuation: 1.05,
@@ -1381,7 +1506,7 @@ export function calculateIntradayEntryPrice({
     market_level_short: 1.0
   }
   const stopAtrMultiple = stopAtrMultipleByType[entryType] ?? 1.0
-  const atrStopPct = clamp(atrPct * stopAtrMultiple, minStopDistancePct, maxStopDistancePct)
+  const atrStopPct = clamp(atrPct * stopAtrMultiple * stopScale, minStopDistancePct, maxStopDistancePct)
   const atrStop = safeDirection === 'short'
     ? entryPrice * (1 + atrStopPct / 100)
     : entryPrice * (1 - atrStopPct / 100)
@@ -1415,8 +1540,8 @@ export function calculateIntradayEntryPrice({
   }
 
   let riskPerShare = safeDirection === 'short' ? stopLoss - entryPrice : entryPrice - stopLoss
-  const minRiskPerShare = entryPrice * (clamp(atrPct * 0.6, 0.35, 1.1) / 100)
-  const maxRiskPerShare = entryPrice * (clamp(atrPct * 1.9, 1.2, 3.0) / 100)
+  const minRiskPerShare = entryPrice * (clamp(atrPct * 0.6, 0.35, 1.1) * stopScale / 100)
+  const maxRiskPerShare = entryPrice * (clamp(atrPct * 1.9, 1.2, 3.0) * stopScale / 100)
   riskPerShare = clamp(riskPerShare, minRiskPerShare, maxRiskPerShare)
   stopLoss = safeDirection === 'short' ? entryPrice + riskPerShare : entryPrice - riskPerShare
 
@@ -1569,7 +1694,7 @@ export function calculateIntradayEntryPrice({
     effectiveGapPct: gapOpenPct
   })
 
-  const intradaySizing = suggestPositionSize(entryPrice, riskPerShare)
+  const intradaySizing = suggestPositionSize(entryPrice, riskPerShare, sizeMultiplier)
 
   if ((rrNet ?? 0) < 1) {
     return {
@@ -1616,7 +1741,8 @@ export function calculateIntradayEntryPrice({
     // ── Position sizing ────────────────────────────────────────────────────
     suggestedQty:           intradaySizing.suggestedQty,
     suggestedPositionValue: intradaySizing.suggestedPositionValue,
-    capitalUtilizationPct:  intradaySizing.capitalUtilizationPct
+    capitalUtilizationPct:  intradaySizing.capitalUtilizationPct,
+    volatilityRegime:       volatilityRegime?.regime ?? null
   }
 }
 
@@ -0,0 +1,205 @@
+import { getMarketDataProvider } from './providers/index.js';
+import { coalesce } from './requestCoalescer.js';
+import { fetchOHLCV } from './marketData.js';
+import { computeIndicator } from './indicatorRegistry.js';
+import { categorizeRSI } from './rsiCalculator.js';
+import { makeDecision } from './decisionEngine.js';
+import { describeInstrument, getInstrument, validateInstrument } from './instrumentMaster.js';
+import { getMarketState } from './marketCalendarService.js';
+import { getSurveillanceStatus } from './surveillanceService.js';
+
+// NSE pre-open "key" values accepted by /market-data-pre-open
+export const PRE_OPEN_KEYS = ['ALL', 'NIFTY', 'BANKNIFTY', 'FO', 'SME', 'OTHERS'];
+
+const PRE_OPEN_TTL_MS = 15 * 1000;
+
+// One side must carry this share of the pre-open book before the imbalance
+// counts as confirmation of the gap
+const IMBALANCE_CONFIRM = Number(process.env.PREOPEN_IMBALANCE_CONFIRM || 0.2);
+const RSI_ENRICH_LIMIT = Number(process.env.PREOPEN_RSI_ENRICH_LIMIT || 30);
+
+// Same order the gap decision engine implies: act, watch, short-side, ignore
+const DECISION_RANK = { Tradeable: 0, Cautious: 1, Avoid: 2, 'No Trade': 3 };
+
+function toFinite(value) {
+  if (value == null || value === '' || value === '-') return null;
+  const n = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value == null) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += concurrency) {
+    const batch = items.slice(i, i + concurrency);
+    results.push(...await Promise.all(batch.map(fn)));
+  }
+  return results;
+}
+
+/**
+ * Where the pre-open session stands right now (IST), from the market
+ * calendar (special sessions carry their own pre-open):
+ *   order_entry  09:00–09:08  IEP moves as orders arrive
+ *   matching     09:08–09:15  IEP is final, normal market yet to open
+ *   open / closed             outside the pre-open window
+ */
+export function getPreOpenPhase(now = new Date()) {
+  const state = getMarketState(now);
+  if (state.preOpenPhase) return { phase: state.preOpenPhase, istTime: state.istTime, live: true };
+  return { phase: state.isOpen ? 'open' : 'closed', istTime: state.istTime, live: false };
+}
+
+function normalizePreOpenRow(row) {
+  const meta = row?.metadata || {};
+  const book = row?.detail?.preOpenMarket || {};
+  const symbol = String(meta.symbol || '').trim().toUpperCase();
+  if (!symbol) return null;
+
+  const previousClose = toFinite(meta.previousClose ?? book.prevClose);
+  const iep = toFinite(book.IEP ?? meta.iep ?? meta.lastPrice);
+  if (!(iep > 0) || !(previousClose > 0)) return null;
+
+  const totalBuyQuantity = toFinite(book.totalBuyQuantity) ?? 0;
+  const totalSellQuantity = toFinite(book.totalSellQuantity) ?? 0;
+  const bookQuantity = totalBuyQuantity + totalSellQuantity;
+  // −1 (all sellers) … +1 (all buyers)
+  const imbalance = bookQuantity > 0 ? (totalBuyQuantity - totalSellQuantity) / bookQuantity : null;
+
+  return {
+    symbol,
+    iep,
+    previousClose,
+    indicativeGapPct: round(((iep - previousClose) / previousClose) * 100),
+    indicativeChange: round(iep - previousClose),
+    finalQuantity: toFinite(book.finalQuantity ?? meta.finalQuantity) ?? 0,
+    indicativeTurnover: toFinite(meta.totalTurnover) ?? null,
+    totalBuyQuantity,
+    totalSellQuantity,
+    atoBuyQuantity: toFinite(book.atoBuyQty) ?? 0,
+    atoSellQuantity: toFinite(book.atoSellQty) ?? 0,
+    imbalance: round(imbalance, 3),
+    buySellRatio: totalSellQuantity > 0 ? round(totalBuyQuantity / totalSellQuantity) : null,
+    lastUpdateTime: book.lastUpdateTime || null,
+  };
+}
+
+/**
+ * Raw NSE pre-open book for one key, normalised.  Coalesced so several
+ * traders refreshing at 09:05 share a single exchange call.
+ */
+export async function fetchPreOpenSnapshot({ key = 'ALL' } = {}) {
+  const upperKey = PRE_OPEN_KEYS.includes(String(key).toUpperCase()) ? String(key).toUpperCase() : 'ALL';
+  const payload = await coalesce(
+    'preOpen',
+    upperKey,
+    () => getMarketDataProvider().nseJson(`/market-data-pre-open?key=${upperKey}`, 3),
+    { ttlMs: PRE_OPEN_TTL_MS }
+  );
+  const rows = Array.isArray(payload?.data) ? payload.data : [];
+  return {
+    key: upperKey,
+    advances: toFinite(payload?.advances),
+    declines: toFinite(payload?.declines),
+    unchanged: toFinite(payload?.unchanged),
+    rows: rows.map(normalizePreOpenRow).filter(Boolean),
+  };
+}
+
+async function fetchDailyRSI(symbol) {
+  try {
+    const candles = await fetchOHLCV(symbol, 20, { interval: '1d', range: '3mo' });
+    return computeIndicator('rsi', candles);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Runs a pre-open row through the gap decision engine.  There is no candle
+ * before 09:15, so the pre-open book stands in for it: the side holding more
+ * quantity gives the "candle colour", and a decisive imbalance in the gap's
+ * direction counts as confirmation.
+ */
+function decidePreOpen(item, rsi) {
+  const gapUp = item.indicativeGapPct >= 0;
+  const imbalance = item.imbalance ?? 0;
+  const confirmation = gapUp ? imbalance >= IMBALANCE_CONFIRM : imbalance <= -IMBALANCE_CONFIRM;
+  return makeDecision({
+    gapPct: item.indicativeGapPct,
+    rsi,
+    rsiCategory: null,
+    confirmation,
+    rsiBias: categorizeRSI(rsi),
+    candleColor: imbalance > 0 ? 'green' : imbalance < 0 ? 'red' : null,
+  });
+}
+
+/**
+ * Gap list built from the pre-open session: every intraday-eligible stock
+ * with an indicative gap of at least `minGapPct`, scored by the gap decision
+ * engine and ranked Tradeable → Cautious → Avoid → No Trade, then by gap size
+ * and pre-open turnover.  The largest gaps are enriched with daily RSI so
+ * the engine's overbought/oversold checks apply.  Each row carries its
+ * surveillance stage and circuit distance from the IEP; GSM and
+ * trade-for-trade names can't be traded intraday and are left out.
+ */
+export async function buildPreOpenGapList({ key = 'ALL', minGapPct = 0.8, limit = 50 } = {}) {
+  const snapshot = await fetchPreOpenSnapshot({ key });
+  const session = getPreOpenPhase();
+
+  const gapped = snapshot.rows
+    .filter((item) => Math.abs(item.indicativeGapPct) >= minGapPct)
+    .filter((item) => validateInstrument(item.symbol, { mode: 'intraday' }).valid);
+  const surveillanceBySymbol = new Map();
+  for (const item of gapped) {
+    surveillanceBySymbol.set(item.symbol, await getSurveillanceStatus(item.symbol, { price: item.iep, prevClose: item.previousClose }));
+  }
+  const candidates = gapped
+    .filter((item) => surveillanceBySymbol.get(item.symbol)?.intradayAllowed !== false)
+    .sort((a, b) => Math.abs(b.indicativeGapPct) - Math.abs(a.indicativeGapPct));
+
+  const enrichSymbols = new Set(candidates.slice(0, RSI_ENRICH_LIMIT).map((item) => item.symbol));
+  const rsiBySymbol = new Map(
+    await mapWithConcurrency([...enrichSymbols], 5, async (symbol) => [symbol, await fetchDailyRSI(symbol)])
+  );
+
+  const ranked = candidates
+    .map((item) => {
+      const rsi = rsiBySymbol.get(item.symbol) ?? null;
+      const decision = decidePreOpen(item, rsi);
+      return {
+        ...item,
+        rsi,
+        decision,
+        direction: item.indicativeGapPct >= 0 ? 'gap_up' : 'gap_down',
+        instrument: describeInstrument(getInstrument(item.symbol)),
+        surveillance: surveillanceBySymbol.get(item.symbol),
+      };
+    })
+    .sort((a, b) => {
+      const rankDiff = (DECISION_RANK[a.decision.label] ?? 9) - (DECISION_RANK[b.decision.label] ?? 9);
+      if (rankDiff !== 0) return rankDiff;
+      const gapDiff = Math.abs(b.indicativeGapPct) - Math.abs(a.indicativeGapPct);
+      if (gapDiff !== 0) return gapDiff;
+      return (b.indicativeTurnover ?? 0) - (a.indicativeTurnover ?? 0);
+    });
+
+  return {
+    key: snapshot.key,
+    session,
+    breadth: {
+      advances: snapshot.advances,
+      declines: snapshot.declines,
+      unchanged: snapshot.unchanged,
+    },
+    totalInPreOpen: snapshot.rows.length,
+    gapCount: ranked.length,
+    stocks: ranked.slice(0, limit),
+  };
+}
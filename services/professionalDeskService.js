@@ -4,8 +4,13 @@ export function buildProfessionalGate({
   eventRisk = null,
   microstructure = null,
   marketActivity = null,
+  dataQuality = null,
+  optionsActivity = null,
+  breadth = null,
+  surveillance = null,
 } = {}) {
   const reasons = [];
+  const flags = [];
   let blocked = false;
   let scorePenalty = 0;
   let blockerReason = null;
@@ -45,10 +50,96 @@ export function buildProfessionalGate({
     reasons.push(...(marketActivity?.signal?.reasons || []));
   }
 
+  // Suspect candles: indicators may be reading a bad tick, so trust the
+  // signal less; an unverifiable spike on the latest bar blocks it outright.
+  if (dataQuality?.status === 'suspect') {
+    scorePenalty += Math.max(0, Number(dataQuality.confidencePenalty) || 0);
+    reasons.push(`Candle data suspect (quality ${dataQuality.score}/100)`);
+    if (dataQuality.issues?.unconfirmedSpike && ['positive', 'negative'].includes(signalView?.sentiment)) {
+      blocked = true;
+      blockerReason = blockerReason || 'data_quality_suspect';
+    }
+  } else if (dataQuality?.status === 'repaired') {
+    scorePenalty += Math.max(0, Number(dataQuality.confidencePenalty) || 0);
+  }
+
+  // Option writers' positioning: a setup running into a wall of OI is
+  // flagged and marked down, not blocked — walls do get taken out
+  const optionsStatus = optionsActivity?.signal?.status;
+  if (optionsStatus === 'adverse') {
+    scorePenalty += mode === 'intraday' ? 8 : 6;
+    reasons.push(...(optionsActivity.signal.reasons || []));
+  } else if (optionsStatus === 'supportive') {
+    reasons.push(...(optionsActivity.signal.reasons || []));
+  }
+  flags.push(...(optionsActivity?.signal?.flags || []));
+
+  // Fresh longs against a narrowing market: fewer stocks are carrying the
+  // index, so breakouts fail more often
+  if (signalView?.sentiment === 'positive' && ['weak', 'deteriorating'].includes(breadth?.status)) {
+    const weak = breadth.status === 'weak';
+    scorePenalty += mode === 'intraday' ? (weak ? 6 : 4) : (weak ? 10 : 7);
+    flags.push(`breadth_${breadth.status}`);
+    const detail = [
+      breadth.pctAboveEma?.['50'] != null ? `${breadth.pctAboveEma['50']}% of stocks above 50 EMA` : null,
+      breadth.mcclellan != null ? `McClellan ${breadth.mcclellan}` : null,
+    ].filter(Boolean).join(', ');
+    reasons.push(`Market breadth ${breadth.status}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Exchange surveillance: GSM and 100%-margin ASM stages are not tradeable
+  // on our sizing, trade-for-trade stocks cannot be squared off intraday, and
+  // a stock pinned to its circuit has no counterparty in the signal's direction
+  if (surveillance?.gsmStage != null) {
+    blocked = true;
+    blockerReason = blockerReason || 'surveillance_gsm';
+    scorePenalty += 20;
+    flags.push('surveillance_gsm');
+    reasons.push(...surveillance.restrictions.slice(0, 1));
+  } else if (surveillance?.asmStage) {
+    flags.push(`surveillance_asm_${surveillance.asmStage.term}`);
+    reasons.push(...surveillance.restrictions.slice(0, 1));
+    if (surveillance.asmStage.fullMargin) {
+      blocked = true;
+      blockerReason = blockerReason || 'surveillance_asm';
+      scorePenalty += 16;
+    } else {
+      scorePenalty += mode === 'intraday' ? 8 : 5;
+    }
+  }
+  if (surveillance?.tradeForTrade) {
+    flags.push('trade_for_trade');
+    if (mode === 'intraday') {
+      blocked = true;
+      blockerReason = blockerReason || 'trade_for_trade';
+      scorePenalty += 16;
+      reasons.push(`Trade-for-trade segment (${surveillance.series}): no intraday square-off`);
+    } else {
+      scorePenalty += 6;
+    }
+  }
+  const bandSide = signalView?.sentiment === 'positive' ? 'upper' : signalView?.sentiment === 'negative' ? 'lower' : null;
+  if (bandSide && surveillance?.priceBand != null) {
+    const upper = bandSide === 'upper';
+    const distance = upper ? surveillance.upperBandDistancePct : surveillance.lowerBandDistancePct;
+    if (upper ? surveillance.atUpperBand : surveillance.atLowerBand) {
+      blocked = true;
+      blockerReason = blockerReason || 'circuit_band';
+      scorePenalty += 14;
+      flags.push(`at_${bandSide}_circuit`);
+      reasons.push(`Pinned to the ${surveillance.priceBand}% ${bandSide} circuit (${distance}% away)`);
+    } else if (upper ? surveillance.nearUpperBand : surveillance.nearLowerBand) {
+      scorePenalty += mode === 'intraday' ? 8 : 5;
+      flags.push(`near_${bandSide}_circuit`);
+      reasons.push(`${distance}% from the ${surveillance.priceBand}% ${bandSide} circuit`);
+    }
+  }
+
   return {
     blocked,
     blockerReason,
     scorePenalty,
+    flags,
     reasons: Array.from(new Set(reasons)).slice(0, 6),
   };
 }
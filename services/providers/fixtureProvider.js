@@ -0,0 +1,85 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_FIXTURE_DIR = path.resolve(__dirname, '..', '..', 'fixtures', 'market');
+
+/**
+ * File-backed market-data adapter for offline / CI runs.
+ *
+ * Layout under MARKET_DATA_FIXTURE_DIR (default fixtures/market):
+ *   quotes/<SYMBOL>.json             normalised quote ({ lastPrice, previousClose, open, ... })
+ *   orderbook/<SYMBOL>.json          { bid, ask, totalBuyQuantity, totalSellQuantity }
+ *   charts/<YAHOO_SYMBOL>__<interval>.json   Yahoo v8 chart `result` object
+ *   indices/<INDEX_NAME>.json        NSE equity-stock-indices rows (array or { data })
+ *   allIndices.json                  NSE /allIndices payload
+ *   fundamentals/<SYMBOL>.json       company page ({ ratios, quarters, balanceSheet, shareholding, growth })
+ *   nse/<PATH>.json                  any other NSE API path, slugged
+ *   archives/<PATH>                  raw archives.nseindia.com files (CSV), slugged
+ *
+ * File names are the key with every character outside [A-Za-z0-9._-] replaced
+ * by "_", so "NIFTY 500" → indices/NIFTY_500.json and "^NSEI" → charts/_NSEI__1d.json.
+ * A missing fixture throws, exactly like an upstream failure would.
+ */
+function fixtureDir() {
+  return process.env.MARKET_DATA_FIXTURE_DIR
+    ? path.resolve(process.env.MARKET_DATA_FIXTURE_DIR)
+    : DEFAULT_FIXTURE_DIR;
+}
+
+export function fixtureKey(value) {
+  return String(value || '').trim().replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+async function readFixture(...segments) {
+  const file = path.join(fixtureDir(), ...segments);
+  let raw;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch {
+    throw new Error(`No market-data fixture at ${path.relative(process.cwd(), file)}`);
+  }
+  return JSON.parse(raw);
+}
+
+async function readTextFixture(...segments) {
+  const file = path.join(fixtureDir(), ...segments);
+  try {
+    return await readFile(file, 'utf8');
+  } catch {
+    throw new Error(`No market-data fixture at ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+async function readOptionalFixture(...segments) {
+  try {
+    return await readFixture(...segments);
+  } catch {
+    return null;
+  }
+}
+
+export const fixtureProvider = {
+  name: 'fixture',
+  offline: true,
+  quote: (symbolBase) => readFixture('quotes', `${fixtureKey(symbolBase)}.json`),
+  orderBook: (symbolBase) => readFixture('orderbook', `${fixtureKey(symbolBase)}.json`),
+  chart: (symbol, params = {}) =>
+    readFixture('charts', `${fixtureKey(symbol)}__${fixtureKey(params.interval || '1d')}.json`),
+  quoteFallback: async () => null,
+  indexRows: async (indexName) => {
+    const payload = await readFixture('indices', `${fixtureKey(indexName)}.json`);
+    return Array.isArray(payload) ? payload : (Array.isArray(payload?.data) ? payload.data : []);
+  },
+  allIndices: () => readFixture('allIndices.json'),
+  fundamentals: (symbolBase) => readOptionalFixture('fundamentals', `${fixtureKey(symbolBase)}.json`),
+  marketCap: async (symbolBase) => {
+    const quote = await readOptionalFixture('quotes', `${fixtureKey(symbolBase)}.json`);
+    return Number.isFinite(Number(quote?.marketCap)) ? Number(quote.marketCap) : null;
+  },
+  nseJson: (apiPath) => readFixture('nse', `${fixtureKey(apiPath.replace(/^\//, ''))}.json`),
+  nsePage: async () => '',
+  nseArchive: (archivePath) => readTextFixture('archives', fixtureKey(archivePath.replace(/^\//, ''))),
+};
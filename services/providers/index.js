@@ -0,0 +1,97 @@
+import { nseProvider } from './nseProvider.js';
+import { yahooProvider } from './yahooProvider.js';
+import { screenerProvider } from './screenerProvider.js';
+import { fixtureProvider } from './fixtureProvider.js';
+
+/**
+ * Market-data provider registry.
+ *
+ * A provider is a plain object implementing any subset of these capabilities
+ * (all async):
+ *   quote(symbolBase)          → { lastPrice, previousClose, open, marketCap, issuedSize, companyName, industry }
+ *   orderBook(symbolBase)      → { bid, ask, totalBuyQuantity, totalSellQuantity }
+ *   chart(symbol, params)      → Yahoo v8 chart `result` (meta, timestamp, indicators.quote[0])
+ *   quoteFallback(symbol)      → { last, changePct, prevClose, source } | null
+ *   indexRows(indexName)       → NSE equity-stock-indices rows
+ *   allIndices()               → NSE /allIndices payload ({ data: [...] })
+ *   fundamentals(symbolBase)   → { source, fetchedAt, ratios, quarters, balanceSheet, shareholding, growth } | null
+ *   marketCap(symbolBase)      → number | null
+ *   nseJson(path, retries)     → raw NSE API JSON for endpoints without a typed capability
+ *   nsePage(path, retries)     → raw NSE HTML (session warm-up)
+ *   nseArchive(path)           → raw text of an archives.nseindia.com file (CSV lists)
+ *
+ * MARKET_DATA_PROVIDER is a comma-separated chain of registered names.  For
+ * each capability the first provider in the chain that implements it wins, so
+ * a new vendor only has to implement what it does better and can be placed in
+ * front of the defaults.  Set MARKET_DATA_PROVIDER=fixture for offline runs.
+ */
+const DEFAULT_CHAIN = 'nse,yahoo,screener';
+
+const CAPABILITIES = [
+  'quote',
+  'orderBook',
+  'chart',
+  'quoteFallback',
+  'indexRows',
+  'allIndices',
+  'fundamentals',
+  'marketCap',
+  'nseJson',
+  'nsePage',
+  'nseArchive',
+];
+
+const registry = new Map([
+  [nseProvider.name, nseProvider],
+  [yahooProvider.name, yahooProvider],
+  [screenerProvider.name, screenerProvider],
+  [fixtureProvider.name, fixtureProvider],
+]);
+
+let activeProvider = null;
+let activeChainKey = null;
+
+export function registerMarketDataProvider(provider) {
+  const name = String(provider?.name || '').trim().toLowerCase();
+  if (!name) throw new Error('Market data provider must have a name');
+  registry.set(name, provider);
+  activeProvider = null;
+}
+
+function composeProvider(chain) {
+  const members = chain.map((name) => {
+    const provider = registry.get(name);
+    if (!provider) throw new Error(`Unknown market data provider "${name}"`);
+    return provider;
+  });
+
+  const composed = {
+    name: chain.join(','),
+    offline: members.every((provider) => provider.offline === true),
+  };
+
+  for (const capability of CAPABILITIES) {
+    const owner = members.find((provider) => typeof provider[capability] === 'function');
+    composed[capability] = owner
+      ? (...args) => owner[capability](...args)
+      : async () => {
+          throw new Error(`Market data provider "${composed.name}" does not support ${capability}`);
+        };
+  }
+
+  return composed;
+}
+
+export function getMarketDataProvider() {
+  const chainKey = String(process.env.MARKET_DATA_PROVIDER || DEFAULT_CHAIN)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .join(',') || DEFAULT_CHAIN;
+
+  if (!activeProvider || activeChainKey !== chainKey) {
+    activeProvider = composeProvider(chainKey.split(','));
+    activeChainKey = chainKey;
+  }
+  return activeProvider;
+}
@@ -0,0 +1,309 @@
+import fetch from '../httpClient.js';
+import { coalesce } from '../requestCoalescer.js';
+
+const NSE_HOME = 'https://www.nseindia.com';
+const NSE_API = 'https://www.nseindia.com/api';
+const NSE_ARCHIVES = 'https://archives.nseindia.com';
+
+/* =====================
+   NSE SESSION + LOCK
+====================== */
+let nseCookie = null;
+let nseCookieTime = 0;
+let nseLock = Promise.resolve(); // 🔒 Mutex lock for NSE calls
+
+// Browser-like UA used across all NSE requests
+const NSE_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+async function withNSELock(fn) {
+  const release = nseLock;
+  let unlock;
+  nseLock = new Promise(r => (unlock = r));
+  await release;
+  try {
+    return await fn();
+  } finally {
+    unlock();
+  }
+}
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Establish an NSE session by visiting the home page and then the
+ * live-equity-market data page. NSE/Cloudflare expects at least two
+ * page visits before accepting API calls; visiting only the home page
+ * often results in 404 on the first API request.
+ */
+async function refreshNSESession() {
+  const now = Date.now()
+  const htmlHeaders = {
+    'User-Agent': NSE_UA,
+    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-IN,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Upgrade-Insecure-Requests': '1',
+    'sec-ch-ua': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"Windows"',
+    'sec-fetch-dest': 'document',
+    'sec-fetch-mode': 'navigate',
+    'sec-fetch-site': 'none',
+    'sec-fetch-user': '?1',
+  }
+
+  // Step 1 — home page (gets the initial nsit / nseappid cookies)
+  const homeRes = await fetch(NSE_HOME, { headers: htmlHeaders })
+  const rawHome = homeRes.headers.raw ? homeRes.headers.raw() : {}
+  const homeCookies = rawHome['set-cookie'] || []
+
+  // Step 2 — equity market page (deepens the session, required by NSE)
+  const warmupRes = await fetch(`${NSE_HOME}/market-data/live-equity-market`, {
+    headers: {
+      ...htmlHeaders,
+      Referer: NSE_HOME + '/',
+      'sec-fetch-site': 'same-origin',
+      'sec-fetch-mode': 'navigate',
+      Cookie: homeCookies.map(c => c.split(';')[0]).join('; '),
+    }
+  })
+  const rawWarmup = warmupRes.headers.raw ? warmupRes.headers.raw() : {}
+  const warmupCookies = rawWarmup['set-cookie'] || []
+
+  // Merge cookies: later Set-Cookie headers override earlier ones by name
+  const cookieMap = new Map()
+  for (const c of [...homeCookies, ...warmupCookies]) {
+    const pair = c.split(';')[0].trim()
+    const eqIdx = pair.indexOf('=')
+    if (eqIdx > 0) cookieMap.set(pair.slice(0, eqIdx), pair)
+  }
+
+  if (cookieMap.size > 0) {
+    nseCookie = Array.from(cookieMap.values()).join('; ')
+    nseCookieTime = now
+  }
+}
+
+async function getNSEHeaders(forceRefresh = false) {
+  const now = Date.now()
+  const stale = !nseCookie || now - nseCookieTime > 5 * 60 * 1000
+
+  if (forceRefresh || stale) {
+    try {
+      await refreshNSESession()
+    } catch {
+      // Non-fatal: proceed with whatever cookies we have (or none)
+    }
+  }
+
+  return {
+    'User-Agent': NSE_UA,
+    Accept: 'application/json, text/plain, */*',
+    'Accept-Language': 'en-IN,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    Referer: `${NSE_HOME}/`,
+    'X-Requested-With': 'XMLHttpRequest',
+    'sec-ch-ua': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"Windows"',
+    'sec-fetch-dest': 'empty',
+    'sec-fetch-mode': 'cors',
+    'sec-fetch-site': 'same-origin',
+    Connection: 'keep-alive',
+    Cookie: nseCookie || '',
+  }
+}
+
+async function fetchNSEPage(path, retries = 3) {
+  return withNSELock(async () => {
+    let lastError
+    for (let i = 0; i < retries; i++) {
+      try {
+        const headers = await getNSEHeaders(i > 0)
+        const res = await fetch(`${NSE_HOME}${path}`, {
+          headers: {
+            ...headers,
+            Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'sec-fetch-dest': 'document',
+            'sec-fetch-mode': 'navigate',
+          }
+        })
+
+        if (res.ok) return res.text()
+
+        lastError = new Error(`NSE page request failed (${res.status})`)
+        nseCookie = null
+        nseCookieTime = 0
+        if (i < retries - 1) {
+          await new Promise(r => setTimeout(r, 1000 * (i + 1)))
+        }
+      } catch (error) {
+        lastError = error
+        nseCookie = null
+        nseCookieTime = 0
+        if (i < retries - 1) {
+          await new Promise(r => setTimeout(r, 1000 * (i + 1)))
+        }
+      }
+    }
+    throw lastError
+  })
+}
+
+// Identical NSE paths already queued behind the lock share the one request
+// instead of each waiting their turn and re-downloading the same payload.
+const NSE_RESULT_TTL_MS = 5_000;
+
+function fetchNSE(path, retries = 5) {
+  return coalesce('nse', path, () => fetchNSEUnshared(path, retries), { ttlMs: NSE_RESULT_TTL_MS });
+}
+
+async function fetchNSEUnshared(path, retries) {
+  return withNSELock(async () => {
+    let lastError
+    for (let i = 0; i < retries; i++) {
+      try {
+        // Force-refresh session on every retry after the first attempt
+        const headers = await getNSEHeaders(i > 0)
+
+        // On first attempt give the freshly established session a moment to
+        // be recognised by NSE's Cloudflare layer before the API call goes out.
+        // On retries the back-off below already provides the breathing room.
+        if (i === 0) await new Promise(r => setTimeout(r, 1500))
+
+        const res = await fetch(`${NSE_API}${path}`, { headers })
+
+        if (res.ok) return res.json()
+
+        // 401/403/404 all indicate a session/bot-protection issue — reset and retry
+        const status = res.status
+        lastError = new Error(`NSE request failed (${status})`)
+        nseCookie = null
+        nseCookieTime = 0
+
+        if (i < retries - 1) {
+          await new Promise(r => setTimeout(r, 2000 * (i + 1))) // 2s, 4s, 6s, 8s back-off
+        }
+      } catch (err) {
+        lastError = err
+        nseCookie = null
+        nseCookieTime = 0
+        if (i < retries - 1) {
+          await new Promise(r => setTimeout(r, 2000 * (i + 1)))
+        }
+      }
+    }
+    throw lastError
+  });
+}
+
+/* =====================
+   ARCHIVES (static CSV files)
+====================== */
+// archives.nseindia.com serves plain files (equity list, index constituents,
+// F&O lots) without the cookie dance, so it bypasses the session lock.
+async function fetchNSEArchive(path) {
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), 20000)
+  try {
+    const res = await fetch(`${NSE_ARCHIVES}${path}`, {
+      signal: controller.signal,
+      headers: { 'User-Agent': NSE_UA, Accept: 'text/csv,text/plain,*/*' },
+    })
+    if (!res.ok) throw new Error(`NSE archive request failed (${res.status}) for ${path}`)
+    return await res.text()
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`NSE archive timeout for ${path}`)
+    throw err
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+/* =====================
+   QUOTE + ORDER BOOK
+====================== */
+async function fetchNSEQuote(symbolBase) {
+  const data = await fetchNSE(`/quote-equity?symbol=${encodeURIComponent(symbolBase)}`);
+  const p = data?.priceInfo || {};
+  const s = data?.securityInfo || {};
+  const info = data?.info || data?.metadata || {};
+  return {
+    lastPrice: p.lastPrice,
+    previousClose: p.previousClose,
+    open: p.open,
+    marketCap: s.marketCap ?? p.totalMarketCap,
+    issuedSize: s.issuedSize,
+    companyName: info.companyName || symbolBase,
+    industry: info.industry || s.industry || info.sector,
+  };
+}
+
+async function fetchNSEOrderBook(symbolBase) {
+  const data = await fetchNSE(`/quote-equity?symbol=${encodeURIComponent(symbolBase)}`);
+  const book = data?.marketDeptOrderBook || {};
+  const tradeInfo = book?.tradeInfo || {};
+  return {
+    bid: Array.isArray(book?.bid) ? book.bid : [],
+    ask: Array.isArray(book?.ask) ? book.ask : [],
+    totalBuyQuantity: toNumber(
+      book?.totalBuyQuantity ?? tradeInfo?.totalBuyQuantity ?? tradeInfo?.buyQuantity
+    ),
+    totalSellQuantity: toNumber(
+      book?.totalSellQuantity ?? tradeInfo?.totalSellQuantity ?? tradeInfo?.sellQuantity
+    ),
+  };
+}
+
+/* =====================
+   INDEX CONSTITUENTS
+====================== */
+async function fetchNSEStockIndexRows(indexName, retries = 3) {
+  const encodedIndex = encodeURIComponent(indexName)
+  const apiPath = `/equity-stock-indices?index=${encodedIndex}`
+  const warmupPath = `/market-data/live-equity-market?symbol=${encodedIndex}`
+
+  let lastError = null
+  for (let attempt = 0; attempt < retries; attempt++) {
+    try {
+      await fetchNSEPage(warmupPath, 2)
+      await new Promise(r => setTimeout(r, 1500))
+      const data = await fetchNSE(apiPath, 5)
+      const rows = Array.isArray(data?.data) ? data.data : []
+      if (rows.length > 0) return rows
+      lastError = new Error(`NSE stock index payload empty for ${indexName}`)
+    } catch (error) {
+      lastError = error
+      console.warn(
+        `[scan-universe] ${indexName} attempt ${attempt + 1}/${retries} failed: ${error.message}`
+      )
+    }
+
+    if (attempt < retries - 1) {
+      try {
+        await fetchNSEPage(warmupPath, 2)
+      } catch (warmupError) {
+        console.warn(`[scan-universe] warmup page failed: ${warmupError.message}`)
+      }
+      await new Promise(r => setTimeout(r, 2500 * (attempt + 1)))
+    }
+  }
+
+  throw lastError || new Error(`NSE stock index fetch failed for ${indexName}`)
+}
+
+export const nseProvider = {
+  name: 'nse',
+  quote: fetchNSEQuote,
+  orderBook: fetchNSEOrderBook,
+  indexRows: fetchNSEStockIndexRows,
+  allIndices: () => fetchNSE('/allIndices'),
+  nseJson: fetchNSE,
+  nsePage: fetchNSEPage,
+  nseArchive: fetchNSEArchive,
+};
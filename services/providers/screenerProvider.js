@@ -0,0 +1,186 @@
+import fetch from '../httpClient.js';
+
+async function fetchScreenerPage(symbolBase) {
+  const res = await fetch(`https://www.screener.in/company/${symbolBase}/`, {
+    headers: { 'User-Agent': 'Mozilla/5.0' },
+  });
+  if (!res.ok) return null;
+  return res.text();
+}
+
+async function fetchScreenerMarketCap(symbolBase) {
+  try {
+    const html = await fetchScreenerPage(symbolBase);
+    if (!html) return null;
+    const m = html.match(/Market\s*Cap[^\d]*([\d,.]+)\s*Cr/i);
+    if (!m) return null;
+    return Math.round(parseFloat(m[1].replace(/,/g, '')) * 1e7);
+  } catch {
+    return null;
+  }
+}
+
+/* =====================
+   PAGE PARSING
+====================== */
+function stripTags(fragment) {
+  return String(fragment || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "1,23,456" / "(12.5)" / "12%" → number; blanks and dashes → null
+function parseNumber(text) {
+  const cleaned = stripTags(text).replace(/[,%₹]|Cr\.?/g, '').trim();
+  if (!cleaned || cleaned === '-' || cleaned === '--') return null;
+  const isParenNegative = cleaned.startsWith('(') && cleaned.endsWith(')');
+  const numeric = Number(cleaned.replace(/[()]/g, ''));
+  if (!Number.isFinite(numeric)) return null;
+  return isParenNegative ? -Math.abs(numeric) : numeric;
+}
+
+// Row labels carry an expand "+" and footnote markers: "Sales&nbsp;+" → "sales"
+function rowLabel(cell) {
+  return stripTags(cell).replace(/\+$/, '').trim().toLowerCase();
+}
+
+function sectionHtml(html, id) {
+  const start = html.search(new RegExp(`<section[^>]*id=["']${id}["']`, 'i'));
+  if (start < 0) return null;
+  const end = html.indexOf('</section>', start);
+  return html.slice(start, end < 0 ? undefined : end);
+}
+
+/**
+ * Screener's period tables (quarters, balance sheet, shareholding) share one
+ * layout: a header row of period labels ("Sep 2025") and one row per line
+ * item.  Returns { periods, rows: { label → number[] } }.
+ */
+function parsePeriodTable(section) {
+  const table = section?.match(/<table[^>]*class="[^"]*data-table[^"]*"[^>]*>([\s\S]*?)<\/table>/i)?.[1];
+  if (!table) return null;
+
+  const headCells = table.match(/<thead[\s\S]*?<\/thead>/i)?.[0]?.match(/<th[^>]*>[\s\S]*?<\/th>/gi) || [];
+  const periods = headCells.map(stripTags).slice(1);
+  if (!periods.length) return null;
+
+  const rows = {};
+  const body = table.match(/<tbody[^>]*>([\s\S]*?)<\/tbody>/i)?.[1] || '';
+  for (const row of body.match(/<tr[^>]*>[\s\S]*?<\/tr>/gi) || []) {
+    const cells = row.match(/<td[^>]*>[\s\S]*?<\/td>/gi) || [];
+    if (cells.length < 2) continue;
+    const label = rowLabel(cells[0]);
+    if (label && !(label in rows)) rows[label] = cells.slice(1).map(parseNumber);
+  }
+  return { periods, rows };
+}
+
+function pickRow(table, ...labels) {
+  if (!table) return [];
+  for (const label of labels) {
+    if (table.rows[label]) return table.rows[label];
+  }
+  return [];
+}
+
+// #top-ratios: <li><span class="name">Stock P/E</span> … <span class="number">24.1</span></li>
+function parseTopRatios(html) {
+  const list = html.match(/<ul[^>]*id=["']top-ratios["'][^>]*>([\s\S]*?)<\/ul>/i)?.[1] || '';
+  const ratios = {};
+  for (const item of list.match(/<li[^>]*>[\s\S]*?<\/li>/gi) || []) {
+    const name = stripTags(item.match(/<span[^>]*class="name"[^>]*>([\s\S]*?)<\/span>/i)?.[1]).toLowerCase();
+    const value = parseNumber(item.match(/<span[^>]*class="number"[^>]*>([\s\S]*?)<\/span>/i)?.[1]);
+    if (name) ratios[name] = value;
+  }
+  return ratios;
+}
+
+// "Compounded Sales Growth" / "Compounded Profit Growth" → { 'ttm': 9, '3 years': 12, … }
+function parseGrowthTable(html, title) {
+  const tables = html.match(/<table[^>]*class="[^"]*ranges-table[^"]*"[^>]*>[\s\S]*?<\/table>/gi) || [];
+  const table = tables.find((t) => stripTags(t).toLowerCase().includes(title.toLowerCase()));
+  if (!table) return {};
+  const out = {};
+  for (const row of table.match(/<tr[^>]*>[\s\S]*?<\/tr>/gi) || []) {
+    const cells = row.match(/<td[^>]*>[\s\S]*?<\/td>/gi) || [];
+    if (cells.length !== 2) continue;
+    out[stripTags(cells[0]).replace(/:$/, '').toLowerCase()] = parseNumber(cells[1]);
+  }
+  return out;
+}
+
+/**
+ * Everything the fundamentals service needs from one Screener company page:
+ * headline ratios, the quarterly results table, the latest balance sheet and
+ * the shareholding pattern.  Amounts are in ₹ crore as Screener shows them.
+ */
+export function parseScreenerCompanyPage(html) {
+  const ratios = parseTopRatios(html);
+  const quarters = parsePeriodTable(sectionHtml(html, 'quarters'));
+  const balanceSheet = parsePeriodTable(sectionHtml(html, 'balance-sheet'));
+  const shareholding = parsePeriodTable(sectionHtml(html, 'shareholding'));
+  const salesGrowth = parseGrowthTable(html, 'Compounded Sales Growth');
+  const profitGrowth = parseGrowthTable(html, 'Compounded Profit Growth');
+
+  return {
+    ratios: {
+      marketCapCr: ratios['market cap'] ?? null,
+      price: ratios['current price'] ?? null,
+      pe: ratios['stock p/e'] ?? null,
+      bookValue: ratios['book value'] ?? null,
+      dividendYield: ratios['dividend yield'] ?? null,
+      roce: ratios['roce'] ?? null,
+      roe: ratios['roe'] ?? null,
+    },
+    quarters: quarters && {
+      periods: quarters.periods,
+      sales: pickRow(quarters, 'sales', 'revenue'),
+      operatingProfit: pickRow(quarters, 'operating profit', 'financing profit'),
+      netProfit: pickRow(quarters, 'net profit'),
+      eps: pickRow(quarters, 'eps in rs', 'eps'),
+    },
+    balanceSheet: balanceSheet && {
+      periods: balanceSheet.periods,
+      equityCapital: pickRow(balanceSheet, 'equity capital'),
+      reserves: pickRow(balanceSheet, 'reserves'),
+      borrowings: pickRow(balanceSheet, 'borrowings'),
+    },
+    shareholding: shareholding && {
+      periods: shareholding.periods,
+      promoters: pickRow(shareholding, 'promoters'),
+      fiis: pickRow(shareholding, 'fiis'),
+      diis: pickRow(shareholding, 'diis'),
+      public: pickRow(shareholding, 'public'),
+    },
+    growth: {
+      salesTtm: salesGrowth.ttm ?? null,
+      sales3y: salesGrowth['3 years'] ?? null,
+      profitTtm: profitGrowth.ttm ?? null,
+      profit3y: profitGrowth['3 years'] ?? null,
+    },
+  };
+}
+
+async function fetchScreenerFundamentals(symbolBase) {
+  try {
+    const html = await fetchScreenerPage(symbolBase)
+    if (!html) return null
+    return {
+      source: 'screener',
+      url: `https://www.screener.in/company/${symbolBase}/`,
+      fetchedAt: new Date().toISOString(),
+      ...parseScreenerCompanyPage(html),
+    }
+  } catch {
+    return null
+  }
+}
+
+export const screenerProvider = {
+  name: 'screener',
+  marketCap: fetchScreenerMarketCap,
+  fundamentals: fetchScreenerFundamentals,
+};
@@ -0,0 +1,67 @@
+import fetch from '../httpClient.js';
+
+const YF_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart';
+const YF_QUOTE = 'https://query1.finance.yahoo.com/v7/finance/quote';
+
+/* =====================
+   YAHOO CHART FETCH
+====================== */
+// Keep headers minimal — Origin/Referer trigger Yahoo's browser auth/CSRF
+// checks on the v8 chart API and cause all requests to fail.  A plain
+// User-Agent is enough to avoid the bot-rejection 403 on index tickers.
+const YAHOO_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'application/json, text/plain, */*',
+};
+
+async function yahooChart(symbol, params) {
+  const usp = new URLSearchParams(params);
+  const url = `${YF_BASE}/${encodeURIComponent(symbol)}?${usp.toString()}`;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 15000);
+
+  try {
+    const res = await fetch(url, { signal: controller.signal, headers: YAHOO_HEADERS });
+    clearTimeout(timeout);
+    if (!res.ok) throw new Error(`Yahoo fetch failed for ${symbol} (HTTP ${res.status})`);
+    const data = await res.json();
+    const result = data?.chart?.result?.[0];
+    if (!result) throw new Error(`No chart data for ${symbol}`);
+    return result;
+  } catch (err) {
+    clearTimeout(timeout);
+    if (err.name === 'AbortError') throw new Error(`Yahoo fetch timeout for ${symbol}`);
+    throw err;
+  }
+}
+
+// Lightweight quote fetch via the v7 quote endpoint — a different endpoint
+// that sometimes succeeds when the chart API doesn't.
+// Returns { last, changePct, prevClose, source } or null.
+async function yahooQuoteFallback(symbol) {
+  try {
+    const url = `${YF_QUOTE}?symbols=${encodeURIComponent(symbol)}&fields=regularMarketPrice,regularMarketChangePercent,regularMarketPreviousClose`;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000);
+    const res = await fetch(url, { signal: controller.signal, headers: YAHOO_HEADERS });
+    clearTimeout(timeout);
+    if (!res.ok) return null;
+    const data = await res.json();
+    const q = data?.quoteResponse?.result?.[0];
+    if (!q) return null;
+    return {
+      last: q.regularMarketPrice ?? null,
+      changePct: q.regularMarketChangePercent ?? null,
+      prevClose: q.regularMarketPreviousClose ?? null,
+      source: 'YAHOO-QUOTE'
+    };
+  } catch {
+    return null;
+  }
+}
+
+export const yahooProvider = {
+  name: 'yahoo',
+  chart: yahooChart,
+  quoteFallback: yahooQuoteFallback,
+};
@@ -0,0 +1,174 @@
+import { createHash } from 'crypto';
+import { fetchLiveGapData } from './marketData.js';
+import { getMarketState } from './marketCalendarService.js';
+
+/**
+ * Shared upstream pollers for the SSE quote stream.
+ *
+ * Every symbol has at most one poller no matter how many clients watch it;
+ * each tick calls fetchLiveGapData once and fans the result out to all
+ * subscribers.  Pollers stop as soon as their last subscriber leaves and are
+ * forgotten after a short linger.
+ */
+const OPEN_INTERVAL_MS = Number(process.env.QUOTE_STREAM_INTERVAL_MS || 5000);
+const CLOSED_INTERVAL_MS = Number(process.env.QUOTE_STREAM_CLOSED_INTERVAL_MS || 60000);
+// An idle poller keeps its last quote this long, so a client that reconnects
+// after a network blip resumes from Last-Event-ID instead of a fresh snapshot
+const LINGER_MS = Number(process.env.QUOTE_STREAM_LINGER_MS || 30000);
+
+// Event IDs are "<boot>-<seq>-<set>": a client reconnecting after a restart
+// sends an ID from another boot and simply gets a full snapshot again.  <set>
+// tags the symbols the stream was watching — the sequence is global, so it
+// only says which quotes the client saw for that same set of symbols.
+const BOOT_ID = Date.now().toString(36);
+let sequence = 0;
+
+const pollers = new Map(); // symbol → { subscribers, timer, polling, expiry, last, lastError }
+
+// Includes the pre-open so the stream is warm before the open
+function isSessionOpen(now = new Date()) {
+  const { session } = getMarketState(now);
+  return session === 'pre_open' || session === 'open';
+}
+
+function nextEventId() {
+  sequence += 1;
+  return `${BOOT_ID}-${sequence}`;
+}
+
+function subscriptionTag(symbols) {
+  return createHash('sha1').update([...symbols].sort().join(',')).digest('hex').slice(0, 8);
+}
+
+function parseEventId(id) {
+  const [boot, seq, tag] = String(id || '').split('-');
+  return boot === BOOT_ID && Number.isFinite(Number(seq)) ? { seq: Number(seq), tag } : null;
+}
+
+function emit(poller, event) {
+  for (const listener of poller.subscribers) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.warn(`⚠️ Quote stream listener failed: ${error.message}`);
+    }
+  }
+}
+
+async function poll(symbol) {
+  const poller = pollers.get(symbol);
+  if (!poller) return;
+  poller.timer = null;
+  poller.polling = true;
+
+  try {
+    const gap = await fetchLiveGapData(symbol);
+    poller.lastError = null;
+    const previous = poller.last?.data;
+    const changed = !previous
+      || previous.currentPrice !== gap.currentPrice
+      || previous.gapNowPct !== gap.gapNowPct;
+    if (changed) {
+      const id = nextEventId();
+      poller.last = {
+        id,
+        seq: sequence,
+        type: 'quote',
+        data: {
+          symbol,
+          companyName: gap.companyName || symbol,
+          currentPrice: gap.currentPrice,
+          prevClose: gap.prevClose,
+          open: gap.open,
+          gapOpenPct: gap.gapOpenPct,
+          gapNowPct: gap.gapNowPct,
+          priceSource: gap.priceSource,
+          updatedAt: new Date().toISOString(),
+        },
+      };
+      emit(poller, poller.last);
+    }
+  } catch (error) {
+    // Report each distinct failure once; the last good quote stays cached
+    if (poller.lastError !== error.message) {
+      poller.lastError = error.message;
+      emit(poller, {
+        id: nextEventId(),
+        type: 'quote_error',
+        data: { symbol, error: error.message || 'Failed to fetch quote', at: new Date().toISOString() },
+      });
+    }
+  } finally {
+    poller.polling = false;
+    if (pollers.get(symbol) === poller && poller.subscribers.size > 0) {
+      poller.timer = setTimeout(() => poll(symbol), isSessionOpen() ? OPEN_INTERVAL_MS : CLOSED_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Subscribes `listener(event)` to every symbol.  Events are
+ * `{ id, type: 'quote' | 'quote_error', data }`.  The latest cached quote of
+ * each symbol is replayed immediately unless the client already saw it
+ * (`lastEventId` from the SSE Last-Event-ID header).  A client that comes
+ * back with a different set of symbols can't have seen quotes for the new
+ * ones, so it gets every cached quote again.  Returns an unsubscribe
+ * function.
+ */
+export function subscribeQuotes(symbols, listener, { lastEventId = null } = {}) {
+  const tag = subscriptionTag(symbols);
+  const resumeFrom = parseEventId(lastEventId);
+  const seenSeq = resumeFrom?.tag === tag ? resumeFrom.seq : null;
+  const deliver = (event) => listener(event.id ? { ...event, id: `${event.id}-${tag}` } : event);
+  const joined = [];
+
+  for (const symbol of symbols) {
+    let poller = pollers.get(symbol);
+    if (!poller) {
+      poller = { subscribers: new Set(), timer: null, polling: false, expiry: null, last: null, lastError: null };
+      pollers.set(symbol, poller);
+    }
+    clearTimeout(poller.expiry);
+    poller.expiry = null;
+    poller.subscribers.add(deliver);
+    joined.push(symbol);
+
+    if (poller.last && (seenSeq == null || poller.last.seq > seenSeq)) {
+      deliver(poller.last);
+    }
+    // First subscriber starts the poller; later ones ride along
+    if (!poller.timer && !poller.polling) poll(symbol);
+  }
+
+  return () => {
+    for (const symbol of joined) {
+      const poller = pollers.get(symbol);
+      if (!poller) continue;
+      poller.subscribers.delete(deliver);
+      if (poller.subscribers.size === 0) {
+        clearTimeout(poller.timer);
+        poller.timer = null;
+        poller.expiry = setTimeout(() => {
+          if (pollers.get(symbol) === poller && poller.subscribers.size === 0) pollers.delete(symbol);
+        }, LINGER_MS);
+        poller.expiry.unref?.();
+      }
+    }
+  };
+}
+
+export function getQuoteStreamStats() {
+  let subscriptions = 0;
+  let active = 0;
+  for (const poller of pollers.values()) {
+    subscriptions += poller.subscribers.size;
+    if (poller.subscribers.size > 0) active += 1;
+  }
+  return {
+    pollers: active,
+    idle: pollers.size - active,
+    subscriptions,
+    intervalMs: isSessionOpen() ? OPEN_INTERVAL_MS : CLOSED_INTERVAL_MS,
+    lastEventId: sequence ? `${BOOT_ID}-${sequence}` : null,
+  };
+}
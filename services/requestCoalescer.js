@@ -0,0 +1,88 @@
+/**
+ * Single-flight + short-TTL result cache for upstream calls.
+ *
+ * Identical calls (same namespace + key) that overlap share one promise, so
+ * an on-demand scan running alongside the background scan does not fetch the
+ * same symbol twice.  Successful results are then kept for `ttlMs`; failures
+ * are never cached so the next caller retries.  Per-namespace hit/miss
+ * counters are exposed through getCoalescerStats().
+ */
+const MAX_ENTRIES_PER_NAMESPACE = 1000;
+
+const namespaces = new Map();
+
+function getNamespace(name) {
+  let ns = namespaces.get(name);
+  if (!ns) {
+    ns = {
+      inflight: new Map(),
+      cache: new Map(), // key → { value, expiresAt }
+      stats: { hits: 0, shared: 0, misses: 0, errors: 0 },
+    };
+    namespaces.set(name, ns);
+  }
+  return ns;
+}
+
+function remember(ns, key, value, ttlMs) {
+  if (!(ttlMs > 0)) return;
+  // Map keeps insertion order, so the first key is the oldest entry
+  if (ns.cache.size >= MAX_ENTRIES_PER_NAMESPACE) {
+    ns.cache.delete(ns.cache.keys().next().value);
+  }
+  ns.cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+}
+
+export function coalesce(namespace, key, fn, { ttlMs = 0 } = {}) {
+  const ns = getNamespace(namespace);
+
+  const cached = ns.cache.get(key);
+  if (cached) {
+    if (cached.expiresAt > Date.now()) {
+      ns.stats.hits += 1;
+      return Promise.resolve(cached.value);
+    }
+    ns.cache.delete(key);
+  }
+
+  const pending = ns.inflight.get(key);
+  if (pending) {
+    ns.stats.shared += 1;
+    return pending;
+  }
+
+  ns.stats.misses += 1;
+  const promise = (async () => {
+    try {
+      const value = await fn();
+      remember(ns, key, value, ttlMs);
+      return value;
+    } catch (error) {
+      ns.stats.errors += 1;
+      throw error;
+    } finally {
+      ns.inflight.delete(key);
+    }
+  })();
+
+  ns.inflight.set(key, promise);
+  return promise;
+}
+
+export function getCoalescerStats() {
+  const result = {};
+  for (const [name, ns] of namespaces) {
+    const { hits, shared, misses, errors } = ns.stats;
+    const total = hits + shared + misses;
+    result[name] = {
+      hits,
+      shared,
+      misses,
+      errors,
+      hitRate: total > 0 ? Number(((hits + shared) / total).toFixed(3)) : null,
+      cached: ns.cache.size,
+      inflight: ns.inflight.size,
+    };
+  }
+  return result;
+}
@@ -0,0 +1,291 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { getIndexConstituents, listInstruments, validateInstrument } from './instrumentMaster.js';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_STORE_PATH = path.resolve(__dirname, '..', 'data', 'scanUniverses.json');
+
+export const DEFAULT_SCAN_UNIVERSE = 'NIFTY 500';
+
+// NSE publishes live rows for this one under the index endpoint as well
+const FNO_INDEX_NAME = 'SECURITIES IN F&O';
+// Widest live index — custom lists borrow their quote rows from it
+const QUOTE_SOURCE_INDEX = 'NIFTY TOTAL MARKET';
+
+export const SECTOR_INDICES = [
+  'NIFTY AUTO',
+  'NIFTY BANK',
+  'NIFTY CONSUMER DURABLES',
+  'NIFTY FINANCIAL SERVICES',
+  'NIFTY FMCG',
+  'NIFTY HEALTHCARE INDEX',
+  'NIFTY IT',
+  'NIFTY MEDIA',
+  'NIFTY METAL',
+  'NIFTY OIL & GAS',
+  'NIFTY PHARMA',
+  'NIFTY PRIVATE BANK',
+  'NIFTY PSU BANK',
+  'NIFTY REALTY',
+];
+
+export const BROAD_INDICES = [
+  'NIFTY 50',
+  'NIFTY NEXT 50',
+  'NIFTY 100',
+  'NIFTY 200',
+  'NIFTY 500',
+  'NIFTY MIDCAP 150',
+  'NIFTY SMALLCAP 250',
+  'NIFTY TOTAL MARKET',
+];
+
+const MAX_PARTS = 8;
+const MAX_CUSTOM_SYMBOLS = 500;
+const CUSTOM_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const INDEX_NAME_RE = /^[A-Z0-9][A-Z0-9 &%/.-]{1,47}$/;
+
+function storePath() {
+  return process.env.SCAN_UNIVERSES_FILE
+    ? path.resolve(process.env.SCAN_UNIVERSES_FILE)
+    : DEFAULT_STORE_PATH;
+}
+
+function baseSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+async function readStore() {
+  try {
+    const parsed = JSON.parse(await readFile(storePath(), 'utf8'));
+    return parsed?.universes && typeof parsed.universes === 'object' ? parsed.universes : {};
+  } catch {
+    return {};
+  }
+}
+
+// Saves and deletes rewrite the whole file, so they run one at a time —
+// otherwise two concurrent requests read the same store and one change is lost.
+let storeUpdates = Promise.resolve();
+
+function updateStore(change) {
+  const update = storeUpdates.then(async () => {
+    const universes = await readStore();
+    const result = change(universes);
+    if (result !== false) await writeJsonAtomic(storePath(), { universes }, { pretty: true });
+    return result;
+  });
+  storeUpdates = update.catch(() => {});
+  return update;
+}
+
+function universeLabel(parts) {
+  return parts
+    .map((part) => (part.type === 'custom' ? `custom:${part.name}` : part.type === 'fno' ? 'FNO' : part.name))
+    .join('+');
+}
+
+/**
+ * Parses a scan universe spec into its parts.  Accepted forms:
+ *
+ *   "NIFTY 500" / "NIFTY IT"     any NSE index (live rows from the exchange)
+ *   "FNO"                         stocks in the F&O segment
+ *   "custom:my-list"              a list saved through saveCustomUniverse
+ *   "NIFTY BANK+FNO"              union of any of the above (also as an array)
+ *
+ * Returns { ok: true, name, parts } or { ok: false, error }.  Custom names
+ * are checked against the store so a typo fails fast instead of scanning
+ * nothing.
+ */
+export async function parseScanUniverse(input) {
+  const raw = input == null || input === ''
+    ? [process.env.SCAN_UNIVERSE || DEFAULT_SCAN_UNIVERSE]
+    : Array.isArray(input) ? input : String(input).split('+');
+
+  const tokens = raw.map((item) => String(item || '').trim()).filter(Boolean);
+  if (!tokens.length) return { ok: false, error: 'universe is empty' };
+  if (tokens.length > MAX_PARTS) return { ok: false, error: `universe can combine at most ${MAX_PARTS} parts` };
+
+  const saved = await readStore();
+  const parts = [];
+  const seen = new Set();
+  for (const token of tokens) {
+    let part;
+    const customMatch = token.match(/^custom:(.+)$/i);
+    if (customMatch) {
+      const name = customMatch[1].trim().toLowerCase();
+      if (!saved[name]) return { ok: false, error: `Unknown custom universe: ${name}` };
+      part = { type: 'custom', name };
+    } else if (/^(fno|f&o|securities in f&o)$/i.test(token)) {
+      part = { type: 'fno', name: FNO_INDEX_NAME };
+    } else {
+      const name = token.toUpperCase().replace(/\s+/g, ' ');
+      if (!INDEX_NAME_RE.test(name)) return { ok: false, error: `Invalid universe: ${token}` };
+      part = { type: 'index', name };
+    }
+    const key = `${part.type}:${part.name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    parts.push(part);
+  }
+
+  return { ok: true, name: universeLabel(parts), parts };
+}
+
+// Nominal quote row for a symbol the exchange gave us no live data for.
+// pChange must be non-zero to pass the fast scan's movement filter, so use
+// a nominal 1% rather than silently dropping the symbol.
+function nominalRow(symbol) {
+  return { symbol, lastPrice: 1000, pChange: 1.0, totalTradedVolume: 5000000, nominal: true };
+}
+
+// Symbols to fall back on when a part's live rows are unavailable.  NIFTY 50
+// names go first so a capped fallback scan still starts with the leaders.
+function fallbackSymbolsFor(part, saved) {
+  let symbols;
+  if (part.type === 'custom') symbols = saved[part.name]?.symbols || [];
+  else if (part.type === 'fno') symbols = listInstruments().filter((i) => i.fnoEligible).map((i) => i.symbol);
+  else symbols = getIndexConstituents(part.name);
+
+  const leaders = new Set(getIndexConstituents('NIFTY 50'));
+  return [...symbols].sort((a, b) => (leaders.has(b) ? 1 : 0) - (leaders.has(a) ? 1 : 0));
+}
+
+// Every part of a universe shares one deadline (epoch ms) — a five-part
+// universe must not take five timeouts.  Parts reached after it has passed
+// are not fetched at all.
+function beforeDeadline(start, deadline, label) {
+  if (deadline == null) return start();
+  const remainingMs = deadline - Date.now();
+  if (remainingMs <= 0) return Promise.reject(new Error(`${label} fetch timeout`));
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} fetch timeout`)), remainingMs);
+  });
+  return Promise.race([start(), timeout]).finally(() => clearTimeout(timer));
+}
+
+async function fetchPartRows(part, saved, { retries, deadline }) {
+  const provider = getMarketDataProvider();
+  if (part.type !== 'custom') {
+    return beforeDeadline(() => provider.indexRows(part.name, retries), deadline, part.name);
+  }
+
+  const symbols = saved[part.name]?.symbols || [];
+  const wanted = new Set(symbols);
+  let liveRows = [];
+  try {
+    liveRows = await beforeDeadline(() => provider.indexRows(QUOTE_SOURCE_INDEX, retries), deadline, QUOTE_SOURCE_INDEX);
+  } catch (error) {
+    console.warn(`[scan-universe] live rows for custom:${part.name} unavailable: ${error.message}`);
+  }
+  const bySymbol = new Map(liveRows.filter((row) => wanted.has(row?.symbol)).map((row) => [row.symbol, row]));
+  return symbols.map((symbol) => bySymbol.get(symbol) || nominalRow(symbol));
+}
+
+/**
+ * Live NSE-style quote rows ({ symbol, lastPrice, pChange, totalTradedVolume,
+ * ... }) for a parsed universe, de-duplicated across parts.  A part whose
+ * fetch fails is replaced by nominal rows for its known members unless
+ * `allowFallback` is false, in which case the error propagates.  `timeoutMs`
+ * bounds the whole resolution, not each part.
+ */
+export async function resolveScanUniverseRows(universe, { retries = 2, timeoutMs = 0, allowFallback = true } = {}) {
+  const parsed = universe?.parts ? universe : await parseScanUniverse(universe);
+  if (!parsed.ok) throw new Error(parsed.error);
+
+  const saved = await readStore();
+  const bySymbol = new Map();
+  const fallbackParts = [];
+  const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : null;
+
+  for (const part of parsed.parts) {
+    let partRows;
+    try {
+      partRows = await fetchPartRows(part, saved, { retries, deadline });
+      if (!partRows.length) throw new Error(`no rows for ${part.name}`);
+    } catch (error) {
+      if (!allowFallback) throw error;
+      console.warn(`[scan-universe] ${part.name} unavailable, using known members: ${error.message}`);
+      partRows = fallbackSymbolsFor(part, saved).map(nominalRow);
+      fallbackParts.push(part.name);
+    }
+
+    for (const row of partRows) {
+      const symbol = row?.symbol;
+      // Index payloads lead with the index itself as a pseudo-row
+      if (!symbol || symbol === part.name) continue;
+      const existing = bySymbol.get(symbol);
+      // A live row from a later part beats a nominal one from an earlier part
+      if (!existing || (existing.nominal && !row.nominal)) bySymbol.set(symbol, row);
+    }
+  }
+
+  return { name: parsed.name, parts: parsed.parts, rows: Array.from(bySymbol.values()), fallbackParts };
+}
+
+export async function listScanUniverses() {
+  const saved = await readStore();
+  return {
+    default: process.env.SCAN_UNIVERSE || DEFAULT_SCAN_UNIVERSE,
+    broad: BROAD_INDICES,
+    sectors: SECTOR_INDICES,
+    derivatives: ['FNO'],
+    custom: Object.entries(saved)
+      .map(([name, entry]) => ({
+        name: `custom:${name}`,
+        description: entry?.description ?? null,
+        symbols: Array.isArray(entry?.symbols) ? entry.symbols : [],
+        updatedAt: entry?.updatedAt ?? null,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * Saves (or replaces) a named symbol list.  Symbols the instrument master
+ * does not know are left out and reported in `rejected`.
+ */
+export async function saveCustomUniverse(name, { symbols, description } = {}) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!CUSTOM_NAME_RE.test(key)) {
+    return { ok: false, error: 'name must be 1-40 characters of a-z, 0-9, _ or -' };
+  }
+  if (!Array.isArray(symbols) || symbols.length === 0) {
+    return { ok: false, error: 'symbols must be a non-empty array' };
+  }
+
+  const accepted = [];
+  const rejected = [];
+  for (const symbol of new Set(symbols.map(baseSymbol).filter(Boolean))) {
+    const check = validateInstrument(symbol, { mode: 'swing' });
+    if (check.valid) accepted.push(symbol);
+    else rejected.push({ symbol, reason: check.reason });
+  }
+  if (!accepted.length) return { ok: false, error: 'No valid NSE symbols in list', rejected };
+  if (accepted.length > MAX_CUSTOM_SYMBOLS) {
+    return { ok: false, error: `A custom universe can hold at most ${MAX_CUSTOM_SYMBOLS} symbols` };
+  }
+
+  await updateStore((saved) => {
+    saved[key] = {
+      symbols: accepted,
+      description: description ? String(description).slice(0, 200) : null,
+      updatedAt: new Date().toISOString(),
+    };
+  });
+  return { ok: true, name: `custom:${key}`, symbols: accepted, rejected };
+}
+
+export async function deleteCustomUniverse(name) {
+  const key = String(name || '').trim().toLowerCase().replace(/^custom:/, '');
+  return updateStore((saved) => {
+    if (!saved[key]) return false;
+    delete saved[key];
+    return true;
+  });
+}
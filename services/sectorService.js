@@ -0,0 +1,258 @@
+import { getStoredBars } from './candleStore.js';
+import { fetchOHLCV } from './marketData.js';
+import { coalesce } from './requestCoalescer.js';
+import { getInstrument } from './instrumentMaster.js';
+
+// Daily closes only change once a session; one board serves every scan in between
+const SECTOR_BOARD_TTL_MS = Number(process.env.SECTOR_BOARD_TTL_MS) || 15 * 60 * 1000;
+
+export const BENCHMARK_INDEX = { name: 'NIFTY 50', yahoo: '^NSEI' };
+
+// NSE sectoral indices and the NSE industry names (instrument master
+// `industry`) whose stocks are measured against them
+export const SECTOR_INDICES = [
+  // NSE files banks under "Financial Services" too, so the bank indices only
+  // claim their own constituents; the narrower PSU list is checked first.
+  { name: 'NIFTY PSU BANK', yahoo: '^CNXPSUBANK', industries: ['Financial Services'], membersOnly: true },
+  { name: 'NIFTY BANK', yahoo: '^NSEBANK', industries: ['Financial Services'], membersOnly: true },
+  { name: 'NIFTY FINANCIAL SERVICES', yahoo: 'NIFTY_FIN_SERVICE.NS', industries: ['Financial Services'] },
+  { name: 'NIFTY IT', yahoo: '^CNXIT', industries: ['Information Technology'] },
+  { name: 'NIFTY AUTO', yahoo: '^CNXAUTO', industries: ['Automobile and Auto Components'] },
+  { name: 'NIFTY FMCG', yahoo: '^CNXFMCG', industries: ['Fast Moving Consumer Goods'] },
+  { name: 'NIFTY PHARMA', yahoo: '^CNXPHARMA', industries: ['Healthcare'] },
+  { name: 'NIFTY METAL', yahoo: '^CNXMETAL', industries: ['Metals & Mining'] },
+  { name: 'NIFTY REALTY', yahoo: '^CNXREALTY', industries: ['Realty'] },
+  { name: 'NIFTY ENERGY', yahoo: '^CNXENERGY', industries: ['Oil Gas & Consumable Fuels', 'Power'] },
+  { name: 'NIFTY MEDIA', yahoo: '^CNXMEDIA', industries: ['Media Entertainment & Publication'] },
+  {
+    name: 'NIFTY INFRASTRUCTURE',
+    yahoo: '^CNXINFRA',
+    industries: ['Construction', 'Construction Materials', 'Capital Goods', 'Telecommunication'],
+  },
+  { name: 'NIFTY CONSUMER DURABLES', yahoo: 'NIFTY_CONSR_DURBL.NS', industries: ['Consumer Durables'] },
+];
+
+// Trading-day lookbacks for relative strength
+export const RS_LOOKBACKS = { '1w': 5, '1m': 21, '3m': 63, '6m': 126 };
+
+// Rotation chart (RRG-style): RS-Ratio is the RS line against its own
+// moving average, RS-Momentum is the rate of change of RS-Ratio.  Both are
+// centred on 100.
+const RS_RATIO_PERIOD = 50;
+const RS_MOMENTUM_PERIOD = 10;
+const ROTATION_TAIL_POINTS = 5;
+const ROTATION_TAIL_STEP = 5;
+
+// Quality-score adjustment for a long setup, by its sector's quadrant (mirrored for shorts)
+const QUADRANT_ADJUSTMENT = {
+  swing: { leading: 8, improving: 4, weakening: -3, lagging: -8 },
+  intraday: { leading: 5, improving: 2, weakening: -2, lagging: -5 },
+};
+// A stock this far ahead of / behind its own sector over a month
+const STOCK_RS_EDGE_PCT = 3;
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function baseIndianSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+function closesByDate(bars) {
+  const map = new Map();
+  for (const bar of bars || []) {
+    const close = Number(bar.close);
+    if (!Number.isFinite(close) || close <= 0) continue;
+    const date = bar.timestamp ?? new Date(bar.t * 1000).toISOString().slice(0, 10);
+    map.set(String(date).slice(0, 10), close);
+  }
+  return map;
+}
+
+// Dates both series traded, oldest first, with the ratio of the two closes
+function alignSeries(subject, reference) {
+  const rows = [];
+  for (const [date, close] of subject) {
+    const ref = reference.get(date);
+    if (ref) rows.push({ date, close, ref });
+  }
+  return rows.sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+// Outperformance over the lookback, in %: (1 + subject return) / (1 + reference return) − 1
+export function relativeStrength(aligned, lookback) {
+  if (aligned.length <= lookback) return null;
+  const last = aligned[aligned.length - 1];
+  const first = aligned[aligned.length - 1 - lookback];
+  return round(((last.close / first.close) / (last.ref / first.ref) - 1) * 100);
+}
+
+export function classifyRotation(rsRatio, rsMomentum) {
+  if (rsRatio == null || rsMomentum == null) return null;
+  if (rsRatio >= 100) return rsMomentum >= 100 ? 'leading' : 'weakening';
+  return rsMomentum >= 100 ? 'improving' : 'lagging';
+}
+
+function rotationSeries(aligned) {
+  const rsLine = aligned.map((row) => row.close / row.ref);
+  const ratio = rsLine.map((value, i) => {
+    if (i < RS_RATIO_PERIOD - 1) return null;
+    const window = rsLine.slice(i - RS_RATIO_PERIOD + 1, i + 1);
+    return (100 * value) / (window.reduce((sum, v) => sum + v, 0) / window.length);
+  });
+  const momentum = ratio.map((value, i) => {
+    const prior = ratio[i - RS_MOMENTUM_PERIOD];
+    return value != null && prior != null ? (100 * value) / prior : null;
+  });
+  return aligned.map((row, i) => ({ date: row.date, rsRatio: round(ratio[i]), rsMomentum: round(momentum[i]) }));
+}
+
+async function loadSeries(index) {
+  const bars = await getStoredBars(index.yahoo, { interval: '1d', range: '1y' });
+  return closesByDate(bars);
+}
+
+async function buildSectorBoard() {
+  const benchmark = await loadSeries(BENCHMARK_INDEX);
+  if (!benchmark.size) throw new Error(`No ${BENCHMARK_INDEX.name} history`);
+
+  const loaded = await Promise.all(
+    SECTOR_INDICES.map((index) =>
+      loadSeries(index).catch((err) => {
+        console.warn(`⚠️ Sector history unavailable for ${index.name}: ${err.message}`);
+        return null;
+      })
+    )
+  );
+
+  const series = new Map();
+  const sectors = [];
+  SECTOR_INDICES.forEach((index, i) => {
+    if (!loaded[i]?.size) return;
+    const aligned = alignSeries(loaded[i], benchmark);
+    if (aligned.length <= RS_LOOKBACKS['1m']) return;
+    series.set(index.name, loaded[i]);
+
+    const rs = Object.fromEntries(
+      Object.entries(RS_LOOKBACKS).map(([label, days]) => [label, relativeStrength(aligned, days)])
+    );
+    const rotation = rotationSeries(aligned);
+    const latest = rotation[rotation.length - 1];
+    const tail = [];
+    for (let k = ROTATION_TAIL_POINTS - 1; k >= 0; k--) {
+      const point = rotation[rotation.length - 1 - k * ROTATION_TAIL_STEP];
+      if (point?.rsRatio != null && point?.rsMomentum != null) tail.push(point);
+    }
+    const last = aligned[aligned.length - 1];
+    const prev = aligned[aligned.length - 2];
+
+    sectors.push({
+      name: index.name,
+      last: last.close,
+      changePct: prev ? round((last.close / prev.close - 1) * 100) : null,
+      asOf: last.date,
+      rs,
+      rsRatio: latest.rsRatio,
+      rsMomentum: latest.rsMomentum,
+      quadrant: classifyRotation(latest.rsRatio, latest.rsMomentum),
+      tail,
+    });
+  });
+
+  // Rank on the blended 1m/3m read so one hot week does not top the table
+  const strength = (s) => [s.rs['1m'], s.rs['3m']].filter((v) => v != null).reduce((sum, v, _, arr) => sum + v / arr.length, 0);
+  sectors.sort((a, b) => strength(b) - strength(a));
+  sectors.forEach((sector, i) => { sector.rank = i + 1; });
+
+  const benchmarkDates = [...benchmark.keys()].sort();
+  return {
+    board: {
+      benchmark: BENCHMARK_INDEX.name,
+      asOf: benchmarkDates[benchmarkDates.length - 1],
+      lookbacks: RS_LOOKBACKS,
+      sectors,
+      quadrants: Object.fromEntries(
+        ['leading', 'improving', 'weakening', 'lagging'].map((q) => [q, sectors.filter((s) => s.quadrant === q).map((s) => s.name)])
+      ),
+    },
+    series,
+  };
+}
+
+function loadBoard() {
+  return coalesce('sectors', 'board', buildSectorBoard, { ttlMs: SECTOR_BOARD_TTL_MS });
+}
+
+/**
+ * Relative strength of every NSE sectoral index against NIFTY 50 over the
+ * RS_LOOKBACKS, ranked, with each sector's rotation quadrant and recent tail.
+ */
+export async function getSectorBoard() {
+  return (await loadBoard()).board;
+}
+
+export function sectorIndexFor(symbol) {
+  const instrument = getInstrument(baseIndianSymbol(symbol));
+  if (!instrument?.industry) return null;
+  return SECTOR_INDICES.find((index) =>
+    index.industries.includes(instrument.industry) &&
+    (!index.membersOnly || (instrument.indices || []).includes(index.name))
+  ) || null;
+}
+
+/**
+ * The stock's sector, where that sector sits on the rotation chart, and the
+ * stock's own RS against it.  `candles` are daily candles the caller already
+ * holds; without them the stock's history is fetched.  Null when the stock
+ * maps to no sectoral index or the board is unavailable.
+ */
+export async function getSectorStrength(symbol, { candles = null } = {}) {
+  const index = sectorIndexFor(symbol);
+  if (!index) return null;
+
+  let loaded;
+  try {
+    loaded = await loadBoard();
+  } catch {
+    return null;
+  }
+  const sector = loaded.board.sectors.find((s) => s.name === index.name);
+  if (!sector) return null;
+
+  let stockVsSector = null;
+  try {
+    const daily = candles || (await fetchOHLCV(symbol, RS_LOOKBACKS['1m'] + 1));
+    const aligned = alignSeries(closesByDate(daily), loaded.series.get(index.name));
+    stockVsSector = { '1w': relativeStrength(aligned, RS_LOOKBACKS['1w']), '1m': relativeStrength(aligned, RS_LOOKBACKS['1m']) };
+  } catch {
+    stockVsSector = null;
+  }
+
+  return {
+    sector: sector.name,
+    rank: sector.rank,
+    sectorsRanked: loaded.board.sectors.length,
+    quadrant: sector.quadrant,
+    sectorRs: sector.rs,
+    stockVsSector,
+  };
+}
+
+/**
+ * Quality-score bonus/penalty for a setup: the sector's rotation quadrant
+ * plus whether the stock leads or trails its own sector.  The table is
+ * written for longs; a short gets the mirror image — a lagging sector and a
+ * stock trailing it are what a short wants.
+ */
+export function sectorScoreAdjustment(sectorStrength, mode = 'swing', direction = 'long') {
+  if (!sectorStrength) return 0;
+  const table = QUADRANT_ADJUSTMENT[mode] || QUADRANT_ADJUSTMENT.swing;
+  let adjustment = table[sectorStrength.quadrant] ?? 0;
+  const stockRs = sectorStrength.stockVsSector?.['1m'];
+  if (stockRs != null && stockRs >= STOCK_RS_EDGE_PCT) adjustment += 3;
+  else if (stockRs != null && stockRs <= -STOCK_RS_EDGE_PCT) adjustment -= 3;
+  return direction === 'short' ? -adjustment : adjustment;
+}
@@ -0,0 +1,277 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarketDataProvider } from './providers/index.js';
+import { fetchNSE } from './marketData.js';
+import { getInstrument, parseCsv } from './instrumentMaster.js';
+import { coalesce } from './requestCoalescer.js';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_SURVEILLANCE_FILE = path.resolve(__dirname, '..', 'data', 'surveillance.json');
+
+/**
+ * Exchange surveillance and price bands, cached locally.
+ *
+ * NSE publishes the ASM (additional surveillance, long- and short-term
+ * stages) and GSM (graded surveillance) lists as JSON, and the security-wise
+ * price band file (sec_list.csv) with every symbol's series and circuit band.
+ * All three change at most once a day, so one snapshot is kept in
+ * data/surveillance.json and refreshed when it goes stale.
+ */
+const REFRESH_INTERVAL_MS = (Number(process.env.SURVEILLANCE_REFRESH_HOURS) || 12) * 60 * 60 * 1000;
+// A failed refresh is not retried on every scan
+const RETRY_INTERVAL_MS = 15 * 60 * 1000;
+
+const ASM_PATH = '/reportASM';
+const GSM_PATH = '/reportGSM';
+const PRICE_BAND_PATH = '/content/equities/sec_list.csv';
+
+// Trade-for-trade series: every trade settles by delivery, no intraday square-off
+const TRADE_FOR_TRADE_SERIES = new Set(['BE', 'BZ']);
+// Long-term ASM from stage III and short-term ASM stage II carry 100% margin
+const FULL_MARGIN_ASM_STAGE = { long: 3, short: 2 };
+
+// Distance to the circuit, in % of price, at which a stock counts as pinned to it
+const AT_BAND_PCT = 0.5;
+const NEAR_BAND_PCT = 2;
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI'];
+
+let snapshot = null;
+let lastAttemptAt = 0;
+let refreshTimer = null;
+
+function snapshotPath() {
+  return process.env.SURVEILLANCE_FILE
+    ? path.resolve(process.env.SURVEILLANCE_FILE)
+    : DEFAULT_SURVEILLANCE_FILE;
+}
+
+function toNumber(value) {
+  if (value == null) return null;
+  const text = String(value).trim().replace(/,/g, '');
+  if (text === '' || text === '-') return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function baseSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/i, '');
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// "Stage II", "LTASM Stage 2", "IV" → 2 / 2 / 4
+function parseStage(value) {
+  const text = String(value ?? '').trim().toUpperCase();
+  const digit = text.match(/(\d+)\s*$/);
+  if (digit) return Number(digit[1]);
+  const roman = text.match(/\b(I{1,3}|IV|V|VI)\s*$/);
+  return roman ? ROMAN.indexOf(roman[1]) + 1 : null;
+}
+
+function stageLabel(prefix, stage) {
+  return `${prefix} Stage ${ROMAN[stage - 1] || stage}`;
+}
+
+// Band limits are quoted in 5-paise ticks
+function roundToTick(value) {
+  return Math.round(value * 20) / 20;
+}
+
+/* =====================
+   INGEST
+====================== */
+function rowsOf(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload?.data)) return payload.data;
+  return [];
+}
+
+async function fetchAsmList() {
+  const payload = await fetchNSE(ASM_PATH);
+  const asm = {};
+  for (const [term, key] of [['long', 'longterm'], ['short', 'shortterm']]) {
+    for (const row of rowsOf(payload?.[key])) {
+      const symbol = baseSymbol(row?.symbol);
+      const stage = parseStage(row?.asmSurvIndicator ?? row?.stage ?? row?.survDesc);
+      // A stock sits in one framework at a time; keep the stricter if both list it
+      if (symbol && stage && !(asm[symbol]?.term === 'long' && term === 'short')) asm[symbol] = { term, stage };
+    }
+  }
+  if (!Object.keys(asm).length && !payload?.longterm && !payload?.shortterm) throw new Error('Unexpected ASM payload');
+  return asm;
+}
+
+async function fetchGsmList() {
+  const payload = await fetchNSE(GSM_PATH);
+  if (!Array.isArray(payload) && !Array.isArray(payload?.data)) throw new Error('Unexpected GSM payload');
+  const gsm = {};
+  for (const row of rowsOf(payload)) {
+    const symbol = baseSymbol(row?.symbol);
+    const stage = parseStage(row?.gsmSurvIndicator ?? row?.stage ?? row?.survDesc);
+    if (symbol) gsm[symbol] = stage ?? 0;
+  }
+  return gsm;
+}
+
+async function fetchPriceBands() {
+  const rows = parseCsv(await getMarketDataProvider().nseArchive(PRICE_BAND_PATH));
+  const bands = {};
+  for (const row of rows) {
+    const symbol = baseSymbol(row.SYMBOL);
+    if (!symbol) continue;
+    // "No Band" (F&O stocks) → dynamic limits, no fixed circuit
+    bands[symbol] = { series: (row.SERIES || '').toUpperCase() || null, band: toNumber(row.BAND) };
+  }
+  if (!Object.keys(bands).length) throw new Error('Empty price band file');
+  return bands;
+}
+
+/**
+ * Downloads the ASM, GSM and price band lists into the local snapshot.  A
+ * source that fails keeps its entries from the previous snapshot; the refresh
+ * only fails when none of the three could be read.
+ */
+export async function refreshSurveillance() {
+  const previous = snapshot || await readJson(snapshotPath(), null);
+  const sources = { asm: fetchAsmList, gsm: fetchGsmList, bands: fetchPriceBands };
+  const next = { updatedAt: new Date().toISOString(), sources: {} };
+
+  await Promise.all(Object.entries(sources).map(async ([name, fetchList]) => {
+    try {
+      next[name] = await fetchList();
+      next.sources[name] = next.updatedAt;
+    } catch (err) {
+      console.warn(`⚠️ Surveillance ${name} list unavailable: ${err.message}`);
+      next[name] = previous?.[name] || {};
+      next.sources[name] = previous?.sources?.[name] ?? null;
+    }
+  }));
+  if (!Object.values(next.sources).some((updated) => updated === next.updatedAt)) {
+    throw new Error('No surveillance source could be read');
+  }
+
+  snapshot = next;
+  await writeJsonAtomic(snapshotPath(), next).catch((err) =>
+    console.warn(`⚠️ Surveillance snapshot write failed: ${err.message}`)
+  );
+  console.log(`🚨 Surveillance refreshed: ${Object.keys(next.asm).length} ASM, ${Object.keys(next.gsm).length} GSM, ${Object.keys(next.bands).length} price bands`);
+  return next;
+}
+
+function isStale(data) {
+  const updated = Date.parse(data?.updatedAt || '');
+  return !Number.isFinite(updated) || Date.now() - updated > REFRESH_INTERVAL_MS;
+}
+
+/**
+ * The current snapshot, loading it from disk and refreshing it when stale.
+ * `refresh: false` never goes to NSE (background scans).  Null when there is
+ * neither a snapshot nor a way to build one.
+ */
+export async function ensureSurveillance({ refresh = true } = {}) {
+  snapshot ??= await readJson(snapshotPath(), null);
+  if (!refresh || !isStale(snapshot) || Date.now() - lastAttemptAt < RETRY_INTERVAL_MS) return snapshot;
+  try {
+    return await coalesce('surveillance', 'snapshot', () => {
+      lastAttemptAt = Date.now();
+      return refreshSurveillance();
+    }, { ttlMs: RETRY_INTERVAL_MS });
+  } catch (err) {
+    console.warn(`⚠️ Surveillance refresh failed: ${err.message}`);
+    return snapshot;
+  }
+}
+
+/**
+ * Loads the snapshot at startup and refreshes it on a timer, so background
+ * scans (which never refresh on their own) always have a current list.
+ */
+export function startSurveillanceRefresh() {
+  ensureSurveillance();
+  if (refreshTimer) return;
+  refreshTimer = setInterval(() => {
+    refreshSurveillance().catch((err) =>
+      console.warn(`⚠️ Scheduled surveillance refresh failed: ${err.message}`)
+    );
+  }, REFRESH_INTERVAL_MS);
+  refreshTimer.unref?.();
+}
+
+/* =====================
+   STATUS
+====================== */
+/**
+ * Surveillance stage, trade-for-trade status and circuit band for a symbol.
+ * With `prevClose` the band limits are worked out, and with `price` the
+ * distance to each of them in % of price.  Null when no surveillance data
+ * has ever been loaded — the gate then has nothing to say.
+ */
+export async function getSurveillanceStatus(symbol, { price = null, prevClose = null, refresh = true } = {}) {
+  const base = baseSymbol(symbol);
+  const data = base ? await ensureSurveillance({ refresh }) : null;
+  if (!data) return null;
+
+  const asm = data.asm?.[base] || null;
+  const gsmStage = data.gsm?.[base] ?? null;
+  const bandRow = data.bands?.[base] || null;
+  const series = bandRow?.series || getInstrument(base)?.series || null;
+  const tradeForTrade = TRADE_FOR_TRADE_SERIES.has(series);
+  const priceBand = bandRow?.band ?? null;
+
+  let stage = null;
+  if (gsmStage != null) stage = gsmStage ? stageLabel('GSM', gsmStage) : 'GSM';
+  else if (asm) stage = stageLabel(asm.term === 'long' ? 'LT-ASM' : 'ST-ASM', asm.stage);
+
+  const asmFullMargin = Boolean(asm && asm.stage >= FULL_MARGIN_ASM_STAGE[asm.term]);
+  const fullMargin = gsmStage != null || tradeForTrade || asmFullMargin;
+  const intradayAllowed = gsmStage == null && !tradeForTrade;
+
+  const upperBand = priceBand != null && prevClose > 0 ? roundToTick(prevClose * (1 + priceBand / 100)) : null;
+  const lowerBand = priceBand != null && prevClose > 0 ? roundToTick(prevClose * (1 - priceBand / 100)) : null;
+  const upperBandDistancePct = upperBand != null && price > 0 ? round(((upperBand - price) / price) * 100) : null;
+  const lowerBandDistancePct = lowerBand != null && price > 0 ? round(((price - lowerBand) / price) * 100) : null;
+
+  const restrictions = [];
+  if (gsmStage != null) restrictions.push(`${stage}: trade-for-trade with 100% margin`);
+  else if (asm) restrictions.push(`${stage}${asmFullMargin ? ': 100% margin' : ': higher margin'}`);
+  if (tradeForTrade && gsmStage == null) restrictions.push(`Trade-for-trade segment (${series}): delivery only`);
+  if (priceBand != null) restrictions.push(`${priceBand}% price band`);
+
+  return {
+    symbol: base,
+    stage,
+    asmStage: asm ? { term: asm.term, stage: asm.stage, fullMargin: asmFullMargin } : null,
+    gsmStage,
+    series,
+    tradeForTrade,
+    intradayAllowed,
+    fullMargin,
+    priceBand,
+    upperBand,
+    lowerBand,
+    upperBandDistancePct,
+    lowerBandDistancePct,
+    atUpperBand: upperBandDistancePct != null && upperBandDistancePct <= AT_BAND_PCT,
+    atLowerBand: lowerBandDistancePct != null && lowerBandDistancePct <= AT_BAND_PCT,
+    nearUpperBand: upperBandDistancePct != null && upperBandDistancePct <= NEAR_BAND_PCT,
+    nearLowerBand: lowerBandDistancePct != null && lowerBandDistancePct <= NEAR_BAND_PCT,
+    restrictions,
+    updatedAt: data.updatedAt ?? null,
+  };
+}
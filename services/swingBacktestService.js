@@ -1,17 +1,13 @@
 import { fetchOHLCV } from './marketData.js';
 import {
-  calculateADX,
-  calculateOBV,
-  calculateSupertrend,
   calculateSwingVWAP,
   detectCandlePattern,
   detectVolumeSpike,
-  estimateATRPercent,
-  getEMAStack,
   supportResistance,
 } from './technicalIndicators.js';
-import { computeRSI } from './rsiCalculator.js';
+import { computeIndicators, SWING_EVALUATION_INDICATORS } from './indicatorRegistry.js';
 import { calculateSwingEntryPrice, evaluateSwing } from './positionEvaluator.js';
+import { computeWeeklyTrend } from './timeframeService.js';
 
 function toNumber(value) {
   const n = Number(value);
@@ -103,7 +99,9 @@ export async function runSwingBacktest({
   maxHoldBars = 15,
   thresholds = {},
 }) {
-  const range = `${Math.min(Math.max(Number(years) || 3, 1), 5)}y`;
+  // The candle store keeps history across requests, so up to 10y is served
+  // after the first download instead of re-fetching it per backtest.
+  const range = `${Math.min(Math.max(Number(years) || 3, 1), 10)}y`;
   const candles = await fetchOHLCV(symbol, warmupBars + maxHoldBars + 30, { interval: '1d', range });
   const trades = [];
 
@@ -114,21 +112,20 @@ export async function runSwingBacktest({
     );
     if (technicalCandles.length < warmupBars) continue;
 
-    const closes = technicalCandles.map((candle) => candle.close);
     const current = technicalCandles[technicalCandles.length - 1];
     const previous = technicalCandles[technicalCandles.length - 2];
     if (!current || !previous) continue;
 
-    const rsi = computeRSI(closes, rsiPeriod);
+    // Same inputs the live swing evaluation reads — nothing it would discard
+    const {
+      rsi, atrPercent: volatilityPct, emaStack, adx, supertrend, obv: obvData,
+    } = computeIndicators(technicalCandles, { ...SWING_EVALUATION_INDICATORS, rsi: { period: rsiPeriod } });
     const volumeData = detectVolumeSpike(technicalCandles);
     const swingVWAP = calculateSwingVWAP(technicalCandles, 5);
     const { support, resistance } = supportResistance(technicalCandles);
-    const volatilityPct = estimateATRPercent(technicalCandles, 14);
-    const emaStack = getEMAStack(technicalCandles);
-    const adx = calculateADX(technicalCandles);
-    const supertrend = calculateSupertrend(technicalCandles);
-    const obvData = calculateOBV(technicalCandles);
     const candlePattern = detectCandlePattern(technicalCandles);
+    // Built from the history slice only, so the in-progress week never peeks ahead
+    const weeklyTrend = computeWeeklyTrend(technicalCandles);
 
     const swingView = evaluateSwing({
       rsi,
@@ -145,6 +142,7 @@ export async function runSwingBacktest({
       candlePattern,
       obvData,
       volatilityPct,
+      weeklyTrend,
       thresholds,
     });
 
@@ -1,56 +1,18 @@
 import { mkdir, readFile, writeFile } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ensureMarketCalendar, getISTDate, isTradingDay, tradingDaysBetween } from './marketCalendarService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const DATA_DIR = path.resolve(__dirname, '..', 'data');
-const STORE_PATH = path.join(DATA_DIR, 'swingLifecycle.json');
-const NSE_HOLIDAYS = new Set(
-  String(process.env.NSE_HOLIDAYS || '')
-    .split(',')
-    .map(s => s.trim())
-    .filter(Boolean)
-);
-
-function getISTDateString(now = new Date()) {
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'Asia/Kolkata',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
-  });
-  return formatter.format(now);
-}
-
-function isWeekend(dateString) {
-  // Parse as UTC midnight so getUTCDay() returns the correct calendar weekday.
-  // Using +05:30 offset and getUTCDay() causes midnight IST to resolve to the
-  // previous UTC day — Saturday IST becomes Friday UTC (5) and slips through.
-  const [year, month, day] = dateString.split('-').map(Number);
-  const date = new Date(Date.UTC(year, month - 1, day));
-  const dow = date.getUTCDay();
-  return dow === 0 || dow === 6;
-}
-
-function isTradingHoliday(dateString) {
-  return NSE_HOLIDAYS.has(dateString);
-}
+const STORE_PATH = process.env.SWING_LIFECYCLE_FILE
+  ? path.resolve(process.env.SWING_LIFECYCLE_FILE)
+  : path.resolve(__dirname, '..', 'data', 'swingLifecycle.json');
 
+// A setup seen today for the first time has been active one trading day
 function countTradingDaysInclusive(startDate, endDate) {
   if (!startDate || !endDate) return 1;
-  let cursor = new Date(`${startDate}T00:00:00+05:30`);
-  const end = new Date(`${endDate}T00:00:00+05:30`);
-  if (!Number.isFinite(cursor.getTime()) || !Number.isFinite(end.getTime())) return 1;
-  if (cursor > end) return 1;
-
-  let count = 0;
-  while (cursor <= end) {
-    const dateString = getISTDateString(cursor);
-    if (!isWeekend(dateString) && !isTradingHoliday(dateString)) count += 1;
-    cursor.setUTCDate(cursor.getUTCDate() + 1);
-  }
-  return Math.max(count, 1);
+  return Math.max(tradingDaysBetween(startDate, endDate), 1);
 }
 
 function toFinite(value) {
@@ -141,7 +103,7 @@ function deriveSetupStatus(stock, record, tradeDate) {
 }
 
 async function ensureStore() {
-  await mkdir(DATA_DIR, { recursive: true });
+  await mkdir(path.dirname(STORE_PATH), { recursive: true });
   try {
     await readFile(STORE_PATH, 'utf8');
   } catch {
@@ -173,7 +135,8 @@ async function writeStore(store) {
 }
 
 export async function applySwingLifecycle(stocks) {
-  const tradeDate = getISTDateString();
+  await ensureMarketCalendar();
+  const tradeDate = getISTDate();
   const store = await readStore();
   const nextSymbols = { ...store.symbols };
 
@@ -221,7 +184,7 @@ export async function applySwingLifecycle(stocks) {
     };
   });
 
-  if (!isWeekend(tradeDate) && !isTradingHoliday(tradeDate)) {
+  if (isTradingDay(tradeDate)) {
     store.lastUpdatedDate = tradeDate;
     store.symbols = nextSymbols;
     await writeStore(store);
@@ -0,0 +1,181 @@
+import { getInstrumentMasterStatus, listInstruments, listStreetNames } from './instrumentMaster.js';
+
+const NAME_NOISE = new Set(['limited', 'ltd', 'the', 'co', 'company', 'corporation', 'corp', 'india']);
+
+let indexCache = { key: null, entries: [] };
+
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function compact(value) {
+  return normalizeText(value).replace(/ /g, '');
+}
+
+function tokensOf(value) {
+  return normalizeText(value).split(' ').filter((token) => token && !NAME_NOISE.has(token));
+}
+
+// Optimal-string-alignment distance (Levenshtein + adjacent transposition),
+// abandoned early once it exceeds `max` — queries are short, lists are long.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const prev2 = new Array(b.length + 1).fill(0);
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prev2[j - 2] + 1);
+      }
+      curr[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    for (let j = 0; j <= b.length; j += 1) prev2[j] = prev[j];
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+function typoBudget(length) {
+  if (length <= 3) return 0;
+  return length <= 6 ? 1 : 2;
+}
+
+// A refresh stamps a new updatedAt, so renames and swaps in the middle of
+// the list rebuild the index even when the row count stays the same
+function buildIndex() {
+  const { loaded, source, updatedAt } = getInstrumentMasterStatus();
+  const key = loaded ? `${source}:${updatedAt}` : 'street-names';
+  if (indexCache.key === key) return indexCache.entries;
+
+  const instruments = listInstruments();
+
+  const bySymbol = new Map();
+  for (const instrument of instruments) {
+    bySymbol.set(instrument.symbol, {
+      symbol: instrument.symbol,
+      name: instrument.name,
+      series: instrument.series ?? null,
+      isin: instrument.isin ?? null,
+      industry: instrument.industry ?? null,
+      aliases: [],
+    });
+  }
+  // Street names double as a tiny fallback universe before the master loads
+  for (const item of listStreetNames()) {
+    const entry = bySymbol.get(item.symbol) || (instruments.length === 0
+      ? { symbol: item.symbol, name: item.name, series: null, isin: null, industry: null, aliases: [] }
+      : null);
+    if (!entry) continue; // not listed any more — don't resurrect it
+    entry.aliases.push(...item.aliases);
+    bySymbol.set(item.symbol, entry);
+  }
+
+  const entries = Array.from(bySymbol.values()).map((entry) => ({
+    ...entry,
+    symbolKey: compact(entry.symbol),
+    nameKey: normalizeText(entry.name),
+    nameCompact: compact(entry.name),
+    nameTokens: tokensOf(entry.name),
+    aliasKeys: entry.aliases.map(normalizeText),
+  }));
+
+  indexCache = { key, entries };
+  return entries;
+}
+
+function scoreEntry(entry, query) {
+  const { text, squashed, tokens } = query;
+  let best = null;
+  const consider = (score, matchType) => {
+    if (!best || score > best.score) best = { score, matchType };
+  };
+
+  if (entry.symbolKey === squashed) consider(100, 'symbol');
+  else if (entry.symbolKey.startsWith(squashed)) {
+    consider(90 - Math.min(entry.symbolKey.length - squashed.length, 10), 'symbol_prefix');
+  }
+
+  for (const alias of entry.aliasKeys) {
+    if (alias === text) consider(96, 'alias');
+    else if (alias.startsWith(text)) consider(78, 'alias_prefix');
+  }
+
+  // "Reliance Industries" is the full name once "Limited" is dropped
+  if (entry.nameKey === text || (tokens.length && tokens.join(' ') === entry.nameTokens.join(' '))) consider(95, 'name');
+  else if (entry.nameKey.startsWith(text) || entry.nameCompact.startsWith(squashed)) {
+    consider(84, 'name_prefix');
+  }
+
+  // Every query token is the prefix of some name token ("tata cons" → TCS)
+  if (tokens.length && tokens.every((token) => entry.nameTokens.some((nameToken) => nameToken.startsWith(token)))) {
+    const coverage = tokens.join('').length / Math.max(entry.nameTokens.join('').length, 1);
+    consider(70 + Math.round(coverage * 10), 'token');
+  }
+
+  if (!best || best.score < 60) {
+    const budget = typoBudget(squashed.length);
+    if (budget > 0) {
+      const symbolDistance = editDistance(squashed, entry.symbolKey, budget);
+      if (symbolDistance <= budget) consider(62 - symbolDistance * 8, 'symbol_fuzzy');
+
+      // Each query token must be within budget of a name token (or its prefix)
+      const tokenDistances = tokens.map((token) => {
+        const tokenBudget = typoBudget(token.length);
+        let min = tokenBudget + 1;
+        for (const nameToken of entry.nameTokens) {
+          const candidate = nameToken.length > token.length ? nameToken.slice(0, token.length) : nameToken;
+          min = Math.min(min, editDistance(token, candidate, tokenBudget));
+        }
+        return min <= tokenBudget ? min : null;
+      });
+      if (tokens.length && tokenDistances.every((d) => d != null)) {
+        const total = tokenDistances.reduce((sum, d) => sum + d, 0);
+        consider(58 - total * 6, 'name_fuzzy');
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Ranked local symbol suggestions for free text ("hdfc bank", "relaince",
+ * "M&M").  Works entirely off the instrument master (plus street aliases),
+ * so it answers at any time of day without touching NSE.
+ */
+export function searchSymbols(q, { limit = 10 } = {}) {
+  const text = normalizeText(q);
+  if (!text) return [];
+  const query = { text, squashed: text.replace(/ /g, ''), tokens: tokensOf(q) };
+
+  const ranked = [];
+  for (const entry of buildIndex()) {
+    const match = scoreEntry(entry, query);
+    if (!match) continue;
+    ranked.push({
+      symbol: entry.symbol,
+      name: entry.name,
+      series: entry.series,
+      isin: entry.isin,
+      industry: entry.industry,
+      matchType: match.matchType,
+      score: match.score,
+    });
+  }
+
+  return ranked
+    // EQ first on ties — a user typing a name almost always means the EQ line
+    .sort((a, b) => b.score - a.score || (a.series === 'EQ' ? -1 : 0) - (b.series === 'EQ' ? -1 : 0) || a.symbol.localeCompare(b.symbol))
+    .slice(0, Math.min(Math.max(Number(limit) || 10, 1), 25));
+}
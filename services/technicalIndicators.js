@@ -191,68 +191,99 @@ export function detectBreakout(price, resistance, bufferPct = 0.3) {
   return p > r * (1 + b / 100);
 }
 
-export function calculateRSI(prices, period = 14) {
-  if (!Array.isArray(prices)) return 50;
-
-  const closes = prices
-    .map(p => {
-      if (typeof p === 'number') return toFiniteNumber(p);
-      return toFiniteNumber(p?.close);
-    })
-    .filter(v => v != null);
-
-  if (closes.length < period + 1) {
-    return 50; // Not enough data — return neutral
+// Candles with a finite high/low/close (and volume when asked for); others are skipped
+function cleanBars(candles, { volume = false } = {}) {
+  if (!Array.isArray(candles)) return [];
+  const bars = [];
+  for (const c of candles) {
+    const high  = toFiniteNumber(c?.high);
+    const low   = toFiniteNumber(c?.low);
+    const close = toFiniteNumber(c?.close);
+    const vol   = toFiniteNumber(c?.volume);
+    if (high == null || low == null || close == null) continue;
+    if (volume && (vol == null || vol < 0)) continue;
+    bars.push({ high, low, close, volume: vol });
   }
+  return bars;
+}
 
-  let gains = 0;
-  let losses = 0;
+function round(value, digits = 2) {
+  return value != null && Number.isFinite(value) ? +value.toFixed(digits) : null;
+}
 
-  // Seed: simple average of first `period` moves
+// Wilder RSI series aligned with `closes` (first value at index `period`)
+function calculateRSISeries(closes, period) {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length < period + 1) return result;
+  let avgGain = 0, avgLoss = 0;
   for (let i = 1; i <= period; i++) {
     const diff = closes[i] - closes[i - 1];
-    if (diff >= 0) gains  += diff;
-    else           losses -= diff; // keep positive
+    if (diff >= 0) avgGain += diff;
+    else           avgLoss -= diff;
   }
-
-  let avgGain = gains  / period;
-  let avgLoss = losses / period;
-
-  // Wilder's smoothing for all subsequent bars
+  avgGain /= period;
+  avgLoss /= period;
+  const rsiOf = () => (avgLoss === 0 ? 100 : avgGain === 0 ? 0 : 100 - 100 / (1 + avgGain / avgLoss));
+  result[period] = rsiOf();
   for (let i = period + 1; i < closes.length; i++) {
     const diff = closes[i] - closes[i - 1];
-    if (diff >= 0) {
-      avgGain = (avgGain * (period - 1) + diff) / period;
-      avgLoss = (avgLoss * (period - 1))         / period;
-    } else {
-      avgGain = (avgGain * (period - 1))         / period;
-      avgLoss = (avgLoss * (period - 1) - diff)  / period;
-    }
+    avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    result[i] = rsiOf();
   }
+  return result;
+}
 
-  // Exact boundary values — avoid the floating-point RS shortcut
-  if (avgLoss === 0) return 100;
-  if (avgGain === 0) return 0;
-
-  const rs = avgGain / avgLoss;
-  return +(100 - 100 / (1 + rs)).toFixed(2);
+// Wilder ATR series over clean bars (first value at index `period`)
+function calculateATRSeries(bars, period) {
+  const result = new Array(bars.length).fill(null);
+  if (bars.length < period + 1) return result;
+  let atr = 0;
+  for (let i = 1; i <= period; i++) atr += trueRange(bars[i], bars[i - 1].close);
+  atr /= period;
+  result[period] = atr;
+  for (let i = period + 1; i < bars.length; i++) {
+    atr = (atr * (period - 1) + trueRange(bars[i], bars[i - 1].close)) / period;
+    result[i] = atr;
+  }
+  return result;
 }
 
-export function estimateATRPercent(candles, period = 14) {
-  if (!Array.isArray(candles) || candles.length < 2) return null;
-  const relevant = candles.slice(-Math.max(period + 1, 6));
-  if (relevant.length < 2) return null;
+/**
+ * RSI with Wilder smoothing: the first average gain/loss is the simple mean
+ * of the first `period` moves, then avg = (prev × (period − 1) + move) / period
+ * — the convention charting platforms use.  Accepts closes or candles.
+ * Null until there are period + 1 closes.
+ */
+export function calculateRSI(prices, period = 14) {
+  if (!Array.isArray(prices)) return null;
 
-  const trValues = [];
-  for (let i = 1; i < relevant.length; i++) {
-    const tr = trueRange(relevant[i], relevant[i - 1]?.close);
-    if (tr != null && tr >= 0) trValues.push(tr);
-  }
+  const closes = prices
+    .map(p => (typeof p === 'number' ? toFiniteNumber(p) : toFiniteNumber(p?.close)))
+    .filter(v => v != null);
+
+  const series = calculateRSISeries(closes, period);
+  return round(series[series.length - 1]);
+}
+
+/**
+ * ATR with Wilder smoothing (seeded with the mean of the first `period` true
+ * ranges).  Null until there are period + 1 clean candles.
+ */
+export function calculateATR(candles, period = 14) {
+  const series = calculateATRSeries(cleanBars(candles), period);
+  return round(series[series.length - 1]);
+}
 
-  if (!trValues.length) return null;
-  const atr = trValues.reduce((a, b) => a + b, 0) / trValues.length;
-  const close = toFiniteNumber(relevant[relevant.length - 1]?.close);
-  if (close == null || close <= 0) return null;
+/**
+ * Wilder ATR as % of the last close — the volatility unit the evaluators and
+ * entry-price models work in.
+ */
+export function estimateATRPercent(candles, period = 14) {
+  const bars = cleanBars(candles);
+  const atr = calculateATRSeries(bars, period)[bars.length - 1];
+  const close = bars[bars.length - 1]?.close;
+  if (atr == null || close == null || close <= 0) return null;
 
   return (atr / close) * 100;
 }
@@ -499,46 +530,34 @@ export function getVolumeTrend(candles, lookback = 6) {
  * Returns null when there is not enough data.
  */
 export function calculateADX(candles, period = 14) {
-  if (!Array.isArray(candles) || candles.length < period * 2 + 1) return null;
-
-  const n = candles.length;
-  const trArr     = new Array(n).fill(null);
-  const plusDMArr = new Array(n).fill(null);
-  const minusDMArr= new Array(n).fill(null);
+  const bars = cleanBars(candles);
+  const n = bars.length;
+  if (n < period * 2 + 1) return null;
 
+  const trArr = [], plusDMArr = [], minusDMArr = [];
   for (let i = 1; i < n; i++) {
-    const high     = toFiniteNumber(candles[i]?.high);
-    const low      = toFiniteNumber(candles[i]?.low);
-    const prevHigh = toFiniteNumber(candles[i - 1]?.high);
-    const prevLow  = toFiniteNumber(candles[i - 1]?.low);
-    const prevClose= toFiniteNumber(candles[i - 1]?.close);
-    if (high == null || low == null || prevHigh == null || prevLow == null || prevClose == null) continue;
-
-    trArr[i]     = Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
-    const upMove  = high - prevHigh;
-    const downMove= prevLow - low;
-    plusDMArr[i]  = (upMove > downMove && upMove > 0) ? upMove : 0;
-    minusDMArr[i] = (downMove > upMove && downMove > 0) ? downMove : 0;
-  }
-
-  // Wilder's smoothing: initial = SMA, then rolling
-  function wilderSmooth(arr, p) {
-    const out = [];
-    let sum = 0, count = 0;
-    for (let i = 1; i <= p; i++) { if (arr[i] != null) { sum += arr[i]; count++; } }
-    if (count < p) return out;
-    out.push(sum);
-    for (let i = p + 1; i < arr.length; i++) {
-      const v = arr[i] ?? 0;
-      out.push(out[out.length - 1] - out[out.length - 1] / p + v);
+    const upMove   = bars[i].high - bars[i - 1].high;
+    const downMove = bars[i - 1].low - bars[i].low;
+    trArr.push(trueRange(bars[i], bars[i - 1].close));
+    plusDMArr.push((upMove > downMove && upMove > 0) ? upMove : 0);
+    minusDMArr.push((downMove > upMove && downMove > 0) ? downMove : 0);
+  }
+
+  // Wilder's running totals: seed = sum of the first `period`, then
+  // total − total / period + current.  Only ratios of these are used.
+  function wilderTotals(arr) {
+    let total = arr.slice(0, period).reduce((a, b) => a + b, 0);
+    const out = [total];
+    for (let i = period; i < arr.length; i++) {
+      total = total - total / period + arr[i];
+      out.push(total);
     }
     return out;
   }
 
-  const sTR  = wilderSmooth(trArr, period);
-  const sPDM = wilderSmooth(plusDMArr, period);
-  const sMDM = wilderSmooth(minusDMArr, period);
-  if (!sTR.length) return null;
+  const sTR  = wilderTotals(trArr);
+  const sPDM = wilderTotals(plusDMArr);
+  const sMDM = wilderTotals(minusDMArr);
 
   const plusDI  = sTR.map((tr, i) => tr > 0 ? (sPDM[i] / tr) * 100 : 0);
   const minusDI = sTR.map((tr, i) => tr > 0 ? (sMDM[i] / tr) * 100 : 0);
@@ -547,12 +566,15 @@ export function calculateADX(candles, period = 14) {
     return sum > 0 ? (Math.abs(p - minusDI[i]) / sum) * 100 : 0;
   });
 
-  const adxSmooth = wilderSmooth(dx, period);
-  if (!adxSmooth.length) return null;
+  // ADX is Wilder's AVERAGE of DX (seeded with the mean of the first `period`
+  // values), so it stays on DX's 0–100 scale
+  let adx = dx.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  for (let i = period; i < dx.length; i++) {
+    adx = (adx * (period - 1) + dx[i]) / period;
+  }
 
-  const adx   = adxSmooth[adxSmooth.length - 1];
-  const pDI   = plusDI[plusDI.length - 1];
-  const mDI   = minusDI[minusDI.length - 1];
+  const pDI = plusDI[plusDI.length - 1];
+  const mDI = minusDI[minusDI.length - 1];
 
   return {
     adx:        +adx.toFixed(2),
@@ -875,3 +897,339 @@ export function detectCandlePattern(candles) {
 
   return NONE;
 }
+
+// =============================================================================
+// ✦ EXTENDED INDICATOR SUITE
+// Opt-in extras for scans (declared in indicatorRegistry.js).  Same contract
+// as the suite above: candles in, terminal values + flags out, null when
+// there is not enough clean data.
+// =============================================================================
+
+/**
+ * Simple moving average series aligned with `values`; null before the first
+ * full window and wherever the window holds a null.
+ */
+function calculateSMASeries(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0, count = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] == null) { sum = 0; count = 0; continue; }
+    sum += values[i];
+    count++;
+    if (count > period) { sum -= values[i - period]; count = period; }
+    if (count === period) result[i] = sum / period;
+  }
+  return result;
+}
+
+// Highest high / lowest low over bars[end - period + 1 .. end]
+function windowRange(bars, end, period) {
+  let high = -Infinity, low = Infinity;
+  for (let i = end - period + 1; i <= end; i++) {
+    if (bars[i].high > high) high = bars[i].high;
+    if (bars[i].low < low) low = bars[i].low;
+  }
+  return { high, low };
+}
+
+/**
+ * Stochastic RSI (14 / 14, %K 3, %D 3) — RSI's position inside its own
+ * recent range.  Far more responsive than RSI: it tags 0 / 100 routinely, so
+ * treat overbought/oversold as timing, not as a reversal call.
+ *
+ * bullishCross: %K crossed above %D (momentum turning up).
+ */
+export function calculateStochasticRSI(prices, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) {
+  if (!Array.isArray(prices)) return null;
+  const closes = prices
+    .map(p => (typeof p === 'number' ? toFiniteNumber(p) : toFiniteNumber(p?.close)))
+    .filter(v => v != null);
+  if (closes.length < rsiPeriod + stochPeriod + kPeriod + dPeriod - 2) return null;
+
+  const rsi = calculateRSISeries(closes, rsiPeriod);
+  const stoch = rsi.map((value, i) => {
+    if (i < rsiPeriod + stochPeriod - 1) return null;
+    const window = rsi.slice(i - stochPeriod + 1, i + 1);
+    const high = Math.max(...window);
+    const low  = Math.min(...window);
+    // Flat RSI over the window — no range to place it in
+    return high > low ? ((value - low) / (high - low)) * 100 : 50;
+  });
+  const kSeries = calculateSMASeries(stoch, kPeriod);
+  const dSeries = calculateSMASeries(kSeries, dPeriod);
+
+  const n = closes.length;
+  const k = kSeries[n - 1], d = dSeries[n - 1];
+  const prevK = kSeries[n - 2], prevD = dSeries[n - 2];
+  if (k == null || d == null) return null;
+  const hasPrev = prevK != null && prevD != null;
+
+  return {
+    stochRsi:     round(stoch[n - 1]),
+    k:            round(k),
+    d:            round(d),
+    overbought:   k > 80,
+    oversold:     k < 20,
+    bullishCross: hasPrev && prevK <= prevD && k > d,
+    bearishCross: hasPrev && prevK >= prevD && k < d
+  };
+}
+
+/**
+ * Ichimoku Cloud (9 / 26 / 52, displaced 26).
+ *
+ * conversionLine / baseLine:  Tenkan-sen / Kijun-sen (9- and 26-bar midpoints).
+ * leadingSpanA / leadingSpanB: the cloud being drawn today, 26 bars ahead.
+ * cloudTop / cloudBottom:     the cloud under today's bar (spans computed 26
+ *                             bars ago) — null until 52 + 26 bars exist.
+ * priceVsCloud:  'above' = bullish regime, 'below' = bearish, 'inside' = chop.
+ * tkCross:       Tenkan crossing Kijun on the last bar.
+ */
+export function calculateIchimoku(candles, conversionPeriod = 9, basePeriod = 26, spanPeriod = 52, displacement = 26) {
+  const bars = cleanBars(candles);
+  const n = bars.length;
+  if (n < Math.max(conversionPeriod, basePeriod, spanPeriod)) return null;
+
+  const midpoint = (end, period) => {
+    const { high, low } = windowRange(bars, end, period);
+    return (high + low) / 2;
+  };
+  const linesAt = (end) => {
+    const conversion = midpoint(end, conversionPeriod);
+    const base = midpoint(end, basePeriod);
+    return { conversion, base, spanA: (conversion + base) / 2, spanB: midpoint(end, spanPeriod) };
+  };
+
+  const last = linesAt(n - 1);
+  const prev = n - 2 >= spanPeriod - 1 ? linesAt(n - 2) : null;
+  const cloudIdx = n - 1 - displacement;
+  const cloud = cloudIdx >= spanPeriod - 1 ? linesAt(cloudIdx) : null;
+  const cloudTop    = cloud ? Math.max(cloud.spanA, cloud.spanB) : null;
+  const cloudBottom = cloud ? Math.min(cloud.spanA, cloud.spanB) : null;
+  const close = bars[n - 1].close;
+
+  let tkCross = 'none';
+  if (prev && prev.conversion <= prev.base && last.conversion > last.base) tkCross = 'bullish';
+  if (prev && prev.conversion >= prev.base && last.conversion < last.base) tkCross = 'bearish';
+
+  return {
+    conversionLine: round(last.conversion),
+    baseLine:       round(last.base),
+    leadingSpanA:   round(last.spanA),
+    leadingSpanB:   round(last.spanB),
+    cloudTop:       round(cloudTop),
+    cloudBottom:    round(cloudBottom),
+    priceVsCloud:   cloud == null ? null : close > cloudTop ? 'above' : close < cloudBottom ? 'below' : 'inside',
+    bullishCloud:   last.spanA > last.spanB,
+    tkCross
+  };
+}
+
+/**
+ * Keltner Channels (EMA20 ± 2 × ATR10).
+ *
+ * ATR-based, so smoother than Bollinger.  A close outside the channel is a
+ * genuine volatility expansion; squeeze = Bollinger(20, 2σ) sitting entirely
+ * inside Keltner — the classic pre-breakout compression.
+ */
+export function calculateKeltnerChannels(candles, emaPeriod = 20, atrPeriod = 10, multiplier = 2) {
+  const bars = cleanBars(candles);
+  const n = bars.length;
+  if (n < Math.max(emaPeriod, atrPeriod + 1)) return null;
+
+  const middle = calculateEMASeries(bars.map(b => b.close), emaPeriod)[n - 1];
+  const atr = calculateATRSeries(bars, atrPeriod)[n - 1];
+  if (middle == null || atr == null) return null;
+
+  const upper = middle + multiplier * atr;
+  const lower = middle - multiplier * atr;
+  const close = bars[n - 1].close;
+  const bollinger = calculateBollingerBands(bars);
+
+  return {
+    upper:      round(upper),
+    middle:     round(middle),
+    lower:      round(lower),
+    widthPct:   middle > 0 ? round(((upper - lower) / middle) * 100) : null,
+    aboveUpper: close > upper,
+    belowLower: close < lower,
+    squeeze:    bollinger != null && bollinger.upper < upper && bollinger.lower > lower
+  };
+}
+
+/**
+ * Donchian Channels (20) — highest high / lowest low of the window.
+ *
+ * breakoutUp / breakdown compare the last close with the channel of the
+ * bars BEFORE it, i.e. a new 20-bar high or low (turtle-style trigger).
+ */
+export function calculateDonchianChannels(candles, period = 20) {
+  const bars = cleanBars(candles);
+  const n = bars.length;
+  if (n < period) return null;
+
+  const { high: upper, low: lower } = windowRange(bars, n - 1, period);
+  const prior = n > period ? windowRange(bars, n - 2, period) : null;
+  const middle = (upper + lower) / 2;
+  const close = bars[n - 1].close;
+
+  return {
+    upper:      round(upper),
+    middle:     round(middle),
+    lower:      round(lower),
+    widthPct:   middle > 0 ? round(((upper - lower) / middle) * 100) : null,
+    breakoutUp: prior != null && close > prior.high,
+    breakdown:  prior != null && close < prior.low
+  };
+}
+
+/**
+ * CCI — Commodity Channel Index (20).
+ *
+ * Typical price vs its SMA, scaled by mean deviation (× 0.015) so roughly
+ * 75% of readings land inside ±100.  Above +100 = strong upward momentum,
+ * below -100 = strong downward momentum.
+ */
+export function calculateCCI(candles, period = 20) {
+  const bars = cleanBars(candles);
+  if (bars.length < period) return null;
+
+  const tps = bars.slice(-period).map(b => (b.high + b.low + b.close) / 3);
+  const mean = tps.reduce((a, b) => a + b, 0) / period;
+  const meanDeviation = tps.reduce((sum, tp) => sum + Math.abs(tp - mean), 0) / period;
+  const cci = meanDeviation > 0 ? (tps[period - 1] - mean) / (0.015 * meanDeviation) : 0;
+
+  return {
+    cci:        round(cci),
+    overbought: cci > 100,
+    oversold:   cci < -100
+  };
+}
+
+/**
+ * Williams %R (14) — close within the recent high-low range, on a 0 to -100
+ * scale.  Above -20 = closing near the highs, below -80 = near the lows.
+ */
+export function calculateWilliamsR(candles, period = 14) {
+  const bars = cleanBars(candles);
+  const n = bars.length;
+  if (n < period) return null;
+
+  const { high, low } = windowRange(bars, n - 1, period);
+  const williamsR = high > low ? ((high - bars[n - 1].close) / (high - low)) * -100 : -50;
+
+  return {
+    williamsR:  round(williamsR),
+    overbought: williamsR > -20,
+    oversold:   williamsR < -80
+  };
+}
+
+/**
+ * MFI — Money Flow Index (14), a volume-weighted RSI.
+ *
+ * Raw money flow (typical price × volume) is counted positive on bars whose
+ * typical price rose and negative on bars where it fell.  Above 80 = buying
+ * pressure stretched, below 20 = selling pressure stretched.
+ */
+export function calculateMFI(candles, period = 14) {
+  const bars = cleanBars(candles, { volume: true });
+  const n = bars.length;
+  if (n < period + 1) return null;
+
+  let positive = 0, negative = 0;
+  for (let i = n - period; i < n; i++) {
+    const tp     = (bars[i].high + bars[i].low + bars[i].close) / 3;
+    const prevTp = (bars[i - 1].high + bars[i - 1].low + bars[i - 1].close) / 3;
+    if (tp > prevTp)      positive += tp * bars[i].volume;
+    else if (tp < prevTp) negative += tp * bars[i].volume;
+  }
+  if (positive === 0 && negative === 0) return null;
+  const mfi = negative === 0 ? 100 : 100 - 100 / (1 + positive / negative);
+
+  return {
+    mfi:        round(mfi),
+    overbought: mfi > 80,
+    oversold:   mfi < 20
+  };
+}
+
+/**
+ * Chaikin Money Flow (20) — where each bar closed inside its range, weighted
+ * by volume.  Persistent closes near the highs on volume = accumulation.
+ *
+ * accumulation: CMF > +0.05,  distribution: CMF < -0.05.
+ */
+export function calculateChaikinMoneyFlow(candles, period = 20) {
+  const bars = cleanBars(candles, { volume: true });
+  if (bars.length < period) return null;
+
+  let flow = 0, volume = 0;
+  for (const b of bars.slice(-period)) {
+    const range = b.high - b.low;
+    // A bar with no range carries no location information
+    const multiplier = range > 0 ? ((b.close - b.low) - (b.high - b.close)) / range : 0;
+    flow   += multiplier * b.volume;
+    volume += b.volume;
+  }
+  if (volume === 0) return null;
+  const cmf = flow / volume;
+
+  return {
+    cmf:          round(cmf, 3),
+    accumulation: cmf > 0.05,
+    distribution: cmf < -0.05
+  };
+}
+
+/**
+ * Parabolic SAR (step 0.02, max 0.2) — a stop that accelerates toward price
+ * as the trend extends, and flips side when price crosses it.
+ *
+ * trend:       'up' = SAR below price (long trail), 'down' = above.
+ * flipped:     the last bar reversed the SAR.
+ * distancePct: price to SAR, as % of price.
+ */
+export function calculateParabolicSAR(candles, step = 0.02, maxStep = 0.2) {
+  const bars = cleanBars(candles);
+  const n = bars.length;
+  if (n < 5) return null;
+
+  // Starts long from the first bar; the first few values settle the direction
+  let up = true;
+  let accel = step;
+  let sar = bars[0].low;
+  let extreme = bars[0].high;
+  let prevUp = up;
+
+  for (let i = 1; i < n; i++) {
+    const cur = bars[i];
+    const prev = bars[i - 1];
+    const furthest = bars[Math.max(i - 2, 0)];
+    prevUp = up;
+
+    sar += accel * (extreme - sar);
+    if (up) {
+      sar = Math.min(sar, furthest.low, prev.low);
+      if (cur.high > extreme) { extreme = cur.high; accel = Math.min(accel + step, maxStep); }
+    } else {
+      sar = Math.max(sar, furthest.high, prev.high);
+      if (cur.low < extreme) { extreme = cur.low; accel = Math.min(accel + step, maxStep); }
+    }
+
+    if ((up && cur.low < sar) || (!up && cur.high > sar)) {
+      up = !up;
+      sar = extreme;
+      extreme = up ? cur.high : cur.low;
+      accel = step;
+    }
+  }
+
+  const close = bars[n - 1].close;
+  return {
+    sar:         round(sar),
+    trend:       up ? 'up' : 'down',
+    flipped:     up !== prevUp,
+    distancePct: close > 0 ? round(Math.abs((close - sar) / close) * 100) : null
+  };
+}
@@ -1,26 +1,7 @@
 import { fetchNSE, fetchIndexOHLC, fetchAllIndicesCached } from './marketData.js'
+import { listTickerIndices } from './instrumentMaster.js'
 
-const INDICES = [
-  'NIFTY 50',
-  'SENSEX',
-  'NIFTY BANK',
-  'NIFTY FINANCIAL SERVICES',
-  'NIFTY MIDCAP SELECT',
-  'INDIA VIX',
-  'NIFTY TOTAL MARKET',
-  'NIFTY NEXT 50',
-  'NIFTY 100',
-  'NIFTY MIDCAP 100',
-  'NIFTY AUTO',
-  'NIFTY SMALLCAP 100',
-  'NIFTY FMCG',
-  'NIFTY METAL',
-  'NIFTY PSU BANK',
-  'NIFTY PHARMA',
-  'NIFTY SMALLCAP 250',
-  'NIFTY MIDCAP 150',
-  'NIFTY COMMODITIES'
-]
+const INDICES = listTickerIndices()
 
 /* ============================
    INDICES SNAPSHOT
@@ -0,0 +1,151 @@
+import { computeIndicators } from './indicatorRegistry.js';
+import { getISTClock, getISTDate, REGULAR_SESSION } from './marketCalendarService.js';
+
+// NSE cash session opens at 09:15 IST — intraday buckets are anchored there,
+// so the first 1h bar is 09:15–10:15 (as on broker charts), not 09:00–10:00.
+const SESSION_OPEN_MINUTES = REGULAR_SESSION.open;
+
+const INTRADAY_BUCKET_MINUTES = { '15m': 15, '30m': 30, '1h': 60 };
+
+function toFiniteNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function candleDate(candle) {
+  if (candle?.tradeDateIST) return candle.tradeDateIST;
+  const d = new Date(candle?.timestamp);
+  return Number.isNaN(d.getTime()) ? null : getISTDate(d);
+}
+
+// Monday of the candle's week, as YYYY-MM-DD
+function weekKey(dateString) {
+  const [y, m, d] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  const offset = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - offset);
+  return date.toISOString().slice(0, 10);
+}
+
+function intradayBucketKey(candle, minutes) {
+  const d = new Date(candle?.timestamp);
+  if (Number.isNaN(d.getTime())) return null;
+  const clock = getISTClock(d);
+  const sinceOpen = Math.max(clock.minutes - SESSION_OPEN_MINUTES, 0);
+  return `${clock.date}#${Math.floor(sinceOpen / minutes)}`;
+}
+
+/**
+ * Aggregates candles into a higher timeframe.
+ *
+ *   5m / 15m  → '15m' | '30m' | '1h'   (session-anchored at 09:15 IST)
+ *   daily     → '1wk' | '1mo'
+ *
+ * Input must be oldest-first (as fetchOHLCV returns).  The last bucket may be
+ * a period still in progress — it is kept, since the current week is exactly
+ * what a trend check should look at.  Each output bar carries `periodEnd`
+ * (IST date of its last input candle) and `barCount`.
+ */
+export function resampleCandles(candles, timeframe) {
+  if (!Array.isArray(candles) || candles.length === 0) return [];
+
+  let keyFn;
+  if (timeframe === '1wk') {
+    keyFn = (c) => {
+      const date = candleDate(c);
+      return date ? weekKey(date) : null;
+    };
+  } else if (timeframe === '1mo') {
+    keyFn = (c) => candleDate(c)?.slice(0, 7) ?? null;
+  } else if (INTRADAY_BUCKET_MINUTES[timeframe]) {
+    const minutes = INTRADAY_BUCKET_MINUTES[timeframe];
+    keyFn = (c) => intradayBucketKey(c, minutes);
+  } else {
+    throw new Error(`Unsupported resample timeframe: ${timeframe}`);
+  }
+
+  const out = [];
+  let current = null;
+  let currentKey = null;
+
+  for (const candle of candles) {
+    const open = toFiniteNumber(candle?.open);
+    const high = toFiniteNumber(candle?.high);
+    const low = toFiniteNumber(candle?.low);
+    const close = toFiniteNumber(candle?.close);
+    if (open == null || high == null || low == null || close == null) continue;
+    const key = keyFn(candle);
+    if (!key) continue;
+
+    if (key !== currentKey) {
+      if (current) out.push(current);
+      currentKey = key;
+      current = {
+        timestamp: candle.timestamp,
+        tradeDateIST: candleDate(candle),
+        periodEnd: candleDate(candle),
+        open,
+        high,
+        low,
+        close,
+        volume: toFiniteNumber(candle?.volume) ?? 0,
+        barCount: 1,
+        adjusted: candle?.adjusted === true,
+      };
+      continue;
+    }
+
+    current.high = Math.max(current.high, high);
+    current.low = Math.min(current.low, low);
+    current.close = close;
+    current.volume += toFiniteNumber(candle?.volume) ?? 0;
+    current.periodEnd = candleDate(candle);
+    current.barCount += 1;
+    current.adjusted = current.adjusted || candle?.adjusted === true;
+  }
+  if (current) out.push(current);
+
+  return out.map((bar) => ({
+    ...bar,
+    isGreen: bar.close > bar.open,
+    isRed: bar.close < bar.open,
+  }));
+}
+
+/**
+ * Weekly trend read from daily candles: weekly EMA 20/50 stack, Supertrend
+ * and ADX.  `bias` is the majority vote of the three (bullish / bearish /
+ * mixed); each needs its own minimum history, so a young listing may only
+ * vote with Supertrend.  Returns null when no weekly indicator can be computed.
+ */
+export function computeWeeklyTrend(dailyCandles) {
+  const weekly = resampleCandles(dailyCandles, '1wk');
+  const { emaStack, supertrend, adx } = computeIndicators(weekly, ['emaStack', 'supertrend', 'adx']);
+  if (!emaStack && !supertrend && !adx) return null;
+
+  let bullVotes = 0;
+  let bearVotes = 0;
+  if (emaStack?.regime === 'bullish') bullVotes += 1;
+  else if (emaStack?.regime === 'bearish') bearVotes += 1;
+  if (supertrend?.trend === 'up') bullVotes += 1;
+  else if (supertrend?.trend === 'down') bearVotes += 1;
+  // A trendless weekly ADX doesn't vote either way
+  if (adx?.trending) {
+    if (adx.direction === 'bullish') bullVotes += 1;
+    else bearVotes += 1;
+  }
+
+  const bias = bullVotes >= 2 && bullVotes > bearVotes
+    ? 'bullish'
+    : bearVotes >= 2 && bearVotes > bullVotes
+    ? 'bearish'
+    : 'mixed';
+
+  return {
+    bias,
+    bars: weekly.length,
+    emaStack,
+    supertrend,
+    adx,
+  };
+}
@@ -0,0 +1,106 @@
+import { fetchAllIndicesCached } from './marketData.js';
+import { getStoredBars } from './candleStore.js';
+import { coalesce } from './requestCoalescer.js';
+
+// VIX prints every few seconds but the regime only needs to track the tape loosely
+const VOLATILITY_REGIME_TTL_MS = Number(process.env.VOLATILITY_REGIME_TTL_MS) || 5 * 60 * 1000;
+
+export const VIX_INDEX = { name: 'INDIA VIX', yahoo: '^INDIAVIX' };
+
+// A regime is reached on either its absolute VIX level or where today sits
+// in the last year's range — a VIX of 17 is unremarkable after a year at 20
+// but a warning after a year at 11.  The percentile only counts from
+// `percentileFloor` up: after a quiet year a VIX of 12 can sit at the top of
+// its range and still be a calm market.
+const REGIME_BANDS = [
+  { regime: 'panic', minLevel: 25, minPercentile: 95, percentileFloor: 20 },
+  { regime: 'elevated', minLevel: 19, minPercentile: 80, percentileFloor: 15 },
+];
+const CALM_MAX_LEVEL = 13;
+const CALM_MAX_PERCENTILE = 30;
+
+// How each regime reshapes a trade plan.  stopMultiplier widens the stop
+// band, sizeMultiplier scales the per-trade risk budget, qualityThresholdBoost
+// is added to the swing quality cut-off and minRiskReward floors net R:R.
+export const REGIME_ADJUSTMENTS = {
+  calm: { stopMultiplier: 1, sizeMultiplier: 1, qualityThresholdBoost: 0, minRiskReward: 1.0 },
+  normal: { stopMultiplier: 1, sizeMultiplier: 1, qualityThresholdBoost: 0, minRiskReward: 1.0 },
+  elevated: { stopMultiplier: 1.2, sizeMultiplier: 0.7, qualityThresholdBoost: 4, minRiskReward: 1.2 },
+  panic: { stopMultiplier: 1.4, sizeMultiplier: 0.4, qualityThresholdBoost: 8, minRiskReward: 1.5 },
+};
+
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Share of historical closes at or below the current level, 0–100
+export function vixPercentile(current, history) {
+  const closes = (history || []).filter((v) => Number.isFinite(v));
+  if (current == null || !closes.length) return null;
+  return round((closes.filter((v) => v <= current).length / closes.length) * 100, 1);
+}
+
+export function classifyVolatilityRegime(vix, percentile = null) {
+  if (vix == null) return null;
+  for (const band of REGIME_BANDS) {
+    if (vix >= band.minLevel) return band.regime;
+    if (percentile != null && percentile >= band.minPercentile && vix >= band.percentileFloor) return band.regime;
+  }
+  if (vix <= CALM_MAX_LEVEL && (percentile == null || percentile <= CALM_MAX_PERCENTILE)) return 'calm';
+  return 'normal';
+}
+
+async function loadVixHistory() {
+  const bars = await getStoredBars(VIX_INDEX.yahoo, { interval: '1d', range: '1y' });
+  return (bars || []).map((bar) => toNumber(bar.close)).filter((v) => v != null && v > 0);
+}
+
+async function buildVolatilityRegime() {
+  const [indices, history] = await Promise.all([
+    fetchAllIndicesCached().catch(() => null),
+    loadVixHistory().catch((err) => {
+      console.warn(`⚠️ ${VIX_INDEX.name} history unavailable: ${err.message}`);
+      return [];
+    }),
+  ]);
+  const row = (indices?.data || []).find((r) => String(r?.index || '').toUpperCase() === VIX_INDEX.name);
+  // Outside market hours /allIndices may be empty; the last daily close stands in
+  const vix = toNumber(row?.last) ?? (history.length ? history[history.length - 1] : null);
+  if (vix == null) throw new Error(`No ${VIX_INDEX.name} quote`);
+
+  const percentile = vixPercentile(vix, history);
+  const regime = classifyVolatilityRegime(vix, percentile);
+  return {
+    regime,
+    vix: round(vix),
+    changePct: round(toNumber(row?.percentChange)),
+    percentile,
+    historyDays: history.length,
+    yearLow: history.length ? round(Math.min(...history)) : null,
+    yearHigh: history.length ? round(Math.max(...history)) : null,
+    ...REGIME_ADJUSTMENTS[regime],
+  };
+}
+
+/**
+ * The market's volatility regime from INDIA VIX: calm / normal / elevated /
+ * panic, by level and by percentile against the VIX's own last year, with
+ * the plan adjustments for that regime.  Null when VIX is unavailable — the
+ * callers then plan as in a normal regime.
+ */
+export async function getVolatilityRegime() {
+  try {
+    return await coalesce('volatility', 'regime', buildVolatilityRegime, { ttlMs: VOLATILITY_REGIME_TTL_MS });
+  } catch (err) {
+    console.warn(`⚠️ Volatility regime unavailable: ${err.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeBars } from '../services/candleStore.js';
+
+// 2026-10-15 / 2026-10-16 at 00:00 IST, and 2026-10-16 at 09:15 IST
+const OCT15 = Date.UTC(2026, 9, 14, 18, 30) / 1000;
+const OCT16 = Date.UTC(2026, 9, 15, 18, 30) / 1000;
+const OCT16_OPEN = Date.UTC(2026, 9, 16, 3, 45) / 1000;
+const bar = (t, close) => ({ t, open: close, high: close, low: close, close, volume: 1000 });
+
+test('a daily tail replaces the stored bar for its date even when Yahoo stamps it differently', () => {
+  const stored = [bar(OCT15, 100), bar(OCT16_OPEN, 101)];
+  const merged = mergeBars(stored, [bar(OCT16, 103)], '1d');
+  assert.deepEqual(merged.map((b) => [b.t, b.close]), [[OCT15, 100], [OCT16, 103]]);
+
+  // A forming bar next to the settled one in the same response keeps only the last
+  const both = mergeBars([bar(OCT15, 100)], [bar(OCT16, 102), bar(OCT16_OPEN, 104)], '1d');
+  assert.deepEqual(both.map((b) => b.close), [100, 104]);
+});
+
+test('an intraday tail keeps every bar of the day it refetches', () => {
+  const stored = [bar(OCT16_OPEN, 100), bar(OCT16_OPEN + 300, 101)];
+  const merged = mergeBars(stored, [bar(OCT16_OPEN, 100.5), bar(OCT16_OPEN + 300, 101.5), bar(OCT16_OPEN + 600, 102)], '5m');
+  assert.deepEqual(merged.map((b) => b.close), [100.5, 101.5, 102]);
+  assert.equal(mergeBars(stored, [], '5m'), stored);
+});
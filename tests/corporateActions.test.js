@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCorporateActionSubject } from '../services/corporateActionsService.js';
+
+test('dividend subjects yield the per-share payout, not every rupee amount', () => {
+  const amountOf = (subject) => parseCorporateActionSubject(subject)?.amount;
+  assert.equal(amountOf('Dividend Rs 5 (face value Rs 10)'), 5);
+  assert.equal(amountOf('Interim Dividend - Rs 8.50 Per Share'), 8.5);
+  assert.equal(amountOf('Dividend - Rs 2 Per Share (FV Rs 1)'), 2);
+  assert.equal(amountOf('Face Value Rs 10 - Dividend Rs 4'), 4);
+  assert.equal(amountOf('Final Dividend - Rs 3 Per Share And Special Dividend - Rs 2 Per Share'), 5);
+  assert.equal(parseCorporateActionSubject('Special Dividend - Rs 50 Per Share').special, true);
+  assert.equal(parseCorporateActionSubject('Dividend - Nil'), null);
+});
@@ -0,0 +1,64 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+/**
+ * Boots the Express app fully offline for route tests.
+ *
+ * Market data comes from fixtures/market (MARKET_DATA_PROVIDER=fixture) and
+ * every other upstream call — Google News, RBI, Zerodha — is answered from
+ * fixtures/http (SIGNALX_REPLAY=1), so no test can reach the network.  State
+ * the routes write (swing lifecycle, custom universes, candle archive, breadth
+ * history, imported bhavcopies, surveillance lists, market calendar) goes to
+ * a throwaway directory instead of data/.
+ *
+ * Point MARKET_DATA_PROVIDER at the live providers (as liveProviders.test.js
+ * does) to answer NSE/Yahoo calls from the fixtures/http recordings instead of
+ * the fixture files.
+ */
+export async function startTestServer() {
+  const stateDir = mkdtempSync(path.join(tmpdir(), 'signalx-test-'));
+  process.env.MARKET_DATA_PROVIDER ??= 'fixture';
+  process.env.SIGNALX_REPLAY = '1';
+  process.env.SWING_LIFECYCLE_FILE = path.join(stateDir, 'swingLifecycle.json');
+  process.env.SCAN_UNIVERSES_FILE = path.join(stateDir, 'scanUniverses.json');
+  process.env.CANDLE_ARCHIVE_DIR = path.join(stateDir, 'candleArchive');
+  process.env.CANDLE_STORE_DIR = path.join(stateDir, 'candles');
+  process.env.CANDLE_RECORDER = 'off';
+  process.env.BREADTH_DIR = path.join(stateDir, 'breadth');
+  process.env.BREADTH_RECORDER = 'off';
+  process.env.DELIVERY_DIR = path.join(stateDir, 'delivery');
+  process.env.SURVEILLANCE_FILE = path.join(stateDir, 'surveillance.json');
+  process.env.MARKET_CALENDAR_FILE = path.join(stateDir, 'marketCalendar.json');
+
+  // node --test reads results from this process's stdout; the services' progress
+  // logs interleaved with them corrupt its framing ("Unable to deserialize cloned
+  // data"), so they go to stderr instead
+  console.log = console.info = console.debug = console.error;
+
+  // Imported only after the environment is in place — services read it at load
+  const { default: app } = await import('../../app.js');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, body) {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  return {
+    base,
+    get: (url) => request('GET', url),
+    post: (url, body) => request('POST', url, body),
+    delete: (url) => request('DELETE', url),
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      rmSync(stateDir, { recursive: true, force: true });
+    },
+  };
+}
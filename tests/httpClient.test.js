@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import fetch, { getHttpMode, recordingPath } from '../services/httpClient.js';
+
+let server;
+let base;
+let hits = 0;
+const recordingsDir = mkdtempSync(path.join(tmpdir(), 'signalx-recordings-'));
+
+function withMode(mode, fn) {
+  const previous = { record: process.env.SIGNALX_RECORD, replay: process.env.SIGNALX_REPLAY };
+  process.env.SIGNALX_RECORD = mode === 'record' ? '1' : '';
+  process.env.SIGNALX_REPLAY = mode === 'replay' ? '1' : '';
+  return Promise.resolve(fn()).finally(() => {
+    process.env.SIGNALX_RECORD = previous.record ?? '';
+    process.env.SIGNALX_REPLAY = previous.replay ?? '';
+  });
+}
+
+before(async () => {
+  process.env.SIGNALX_RECORDINGS_DIR = recordingsDir;
+  server = http.createServer((req, res) => {
+    hits += 1;
+    if (req.url.startsWith('/missing')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'not found' }));
+    }
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Set-Cookie': ['nsit=abc; Path=/', 'nseappid=xyz; Path=/'],
+    });
+    res.end(JSON.stringify({ path: req.url, method: req.method }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server?.close();
+  rmSync(recordingsDir, { recursive: true, force: true });
+  delete process.env.SIGNALX_RECORDINGS_DIR;
+});
+
+test('mode follows SIGNALX_REPLAY / SIGNALX_RECORD, replay winning', async () => {
+  await withMode('live', () => assert.equal(getHttpMode(), 'live'));
+  await withMode('record', () => assert.equal(getHttpMode(), 'record'));
+  process.env.SIGNALX_RECORD = '1';
+  await withMode('replay', () => assert.equal(getHttpMode(), 'replay'));
+});
+
+test('recording key ignores cache-busting params and param order', () => {
+  const a = recordingPath('https://query1.finance.yahoo.com/v8/finance/chart/TCS.NS?interval=1d&range=1y&_=123');
+  const b = recordingPath('https://query1.finance.yahoo.com/v8/finance/chart/TCS.NS?range=1y&interval=1d&_=456');
+  assert.equal(a, b);
+  assert.ok(a.startsWith(path.join(recordingsDir, 'query1.finance.yahoo.com')));
+  assert.notEqual(a, recordingPath('https://query1.finance.yahoo.com/v8/finance/chart/TCS.NS?interval=5m&range=1y'));
+  assert.notEqual(a, recordingPath('https://query1.finance.yahoo.com/v8/finance/chart/TCS.NS?interval=1d&range=1y', { method: 'POST' }));
+
+  // Explicit date ranges are different requests, not cache-busters
+  const october = recordingPath('https://query1.finance.yahoo.com/v8/finance/chart/TCS.NS?interval=1d&period1=1790000000&period2=1792000000');
+  assert.notEqual(october, recordingPath('https://query1.finance.yahoo.com/v8/finance/chart/TCS.NS?interval=1d&period1=1700000000&period2=1702000000'));
+});
+
+test('records once, then replays without touching the network', async () => {
+  const url = `${base}/api/quote-equity?symbol=RELIANCE`;
+
+  await withMode('record', async () => {
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { path: '/api/quote-equity?symbol=RELIANCE', method: 'GET' });
+  });
+  assert.equal(hits, 1);
+  const saved = JSON.parse(readFileSync(recordingPath(url), 'utf8'));
+  assert.equal(saved.request.url, url);
+  assert.deepEqual(saved.response.headers['set-cookie'], ['nsit=abc; Path=/', 'nseappid=xyz; Path=/']);
+
+  await withMode('replay', async () => {
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(res.ok, true);
+    assert.match(res.headers.get('content-type'), /json/);
+    assert.deepEqual(res.headers.raw()['set-cookie'], ['nsit=abc; Path=/', 'nseappid=xyz; Path=/']);
+    assert.deepEqual(await res.json(), { path: '/api/quote-equity?symbol=RELIANCE', method: 'GET' });
+  });
+  assert.equal(hits, 1);
+});
+
+test('error responses are recorded and replayed with their status', async () => {
+  const url = `${base}/missing`;
+  await withMode('record', () => fetch(url));
+  await withMode('replay', async () => {
+    const res = await fetch(url);
+    assert.equal(res.status, 404);
+    assert.equal(res.ok, false);
+  });
+});
+
+test('replay fails loudly for a request that was never recorded', async () => {
+  const before = hits;
+  await withMode('replay', () =>
+    assert.rejects(fetch(`${base}/never-recorded`), /No HTTP recording for GET .*never-recorded/)
+  );
+  assert.equal(hits, before);
+  assert.equal(existsSync(recordingPath(`${base}/never-recorded`)), false);
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from '../helpers/testServer.js';
+import { fetchOptionsProfile } from '../../services/optionChainService.js';
+import { buildProfessionalGate } from '../../services/professionalDeskService.js';
+import { classifyBuildUp, fetchFuturesProfile } from '../../services/futuresService.js';
+import { getCoalescerStats } from '../../services/requestCoalescer.js';
+import { fixtureProvider } from '../../services/providers/fixtureProvider.js';
+import { classifyMarketActivitySignal, fetchMarketActivityProfile } from '../../services/marketActivityService.js';
+
+let api;
+before(async () => { api = await startTestServer(); });
+after(() => api?.close());
+
+test('GET /api/derivatives/options/:symbol reports PCR, max pain and OI walls for the nearest expiry', async () => {
+  const { status, body } = await api.get('/api/derivatives/options/RELIANCE');
+  assert.equal(status, 200);
+  assert.equal(body.expiry, '27-Oct-2026');
+  assert.ok(Number.isFinite(body.pcr) && Number.isFinite(body.maxPain));
+  assert.equal(body.callWall.strike, 1500);
+  assert.equal(body.putWall.strike, 1440);
+  assert.equal(body.oiChange.topCallAddition, 1500);
+});
+
+test('a long setup just under a call OI wall is flagged', async () => {
+  const { body } = await api.get('/api/derivatives/options/RELIANCE?mode=intraday');
+  assert.ok(body.signals.long.flags.includes('call_oi_wall_overhead'));
+  assert.equal(body.signals.long.status, 'adverse');
+  assert.deepEqual(body.signals.short.flags, []);
+});
+
+test('unknown expiries and symbols without listed options are rejected', async () => {
+  assert.equal((await api.get('/api/derivatives/options/RELIANCE?expiry=01-Jan-2020')).status, 400);
+  assert.equal((await api.get('/api/derivatives/options/SADBHAV')).status, 404);
+  assert.equal((await api.get('/api/derivatives/options/NOTAREALCO')).status, 404);
+});
+
+test('the professional gate marks down, but does not block, a long into a call wall', async () => {
+  const optionsActivity = await fetchOptionsProfile('RELIANCE', { biasDirection: 'long', mode: 'swing', price: 1484.85 });
+  const gate = buildProfessionalGate({ mode: 'swing', biasDirection: 'long', optionsActivity });
+  assert.equal(gate.blocked, false);
+  assert.ok(gate.flags.includes('call_oi_wall_overhead'));
+  assert.ok(gate.scorePenalty >= 6);
+  assert.equal(buildProfessionalGate({ mode: 'swing' }).scorePenalty, 0);
+});
+
+test('futures build-up follows the price/OI quadrant', () => {
+  assert.equal(classifyBuildUp(1.2, 3), 'long_buildup');
+  assert.equal(classifyBuildUp(-1.2, 3), 'short_buildup');
+  assert.equal(classifyBuildUp(1.2, -3), 'short_covering');
+  assert.equal(classifyBuildUp(-1.2, -3), 'long_unwinding');
+  assert.equal(classifyBuildUp(0, 3), null);
+});
+
+test('GET /api/derivatives/futures/:symbol classifies today and the near-month trail with rollover', async () => {
+  const { status, body } = await api.get('/api/derivatives/futures/RELIANCE');
+  assert.equal(status, 200);
+  assert.equal(body.current.expiry, '27-Oct-2026');
+  assert.equal(body.next.expiry, '24-Nov-2026');
+  assert.deepEqual([body.buildUp.type, body.buildUp.streak], ['long_buildup', 3]);
+  assert.deepEqual(body.rollover, { pct: 12.66, daysToExpiry: 11, inWindow: false });
+  // sessions before the September expiry belong to the previous series
+  assert.equal(body.history[0].date, '2026-09-30');
+  assert.deepEqual(body.history.slice(-4, -1).map((row) => row.buildUp), ['short_buildup', 'long_buildup', 'long_buildup']);
+  assert.equal((await api.get('/api/derivatives/futures/SADBHAV')).status, 404);
+});
+
+test('contract history is fetched once per contract and day, and repeat profiles agree', async () => {
+  const first = await fetchFuturesProfile('RELIANCE');
+  const misses = getCoalescerStats().futuresHistory.misses;
+  const again = await fetchFuturesProfile('RELIANCE');
+  assert.equal(getCoalescerStats().futuresHistory.misses, misses);
+  assert.deepEqual(again.history, first.history);
+});
+
+test('contract history asks NSE with a short retry budget', async (t) => {
+  // Past the history TTL, so both contracts are fetched again
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 7 * 60 * 60 * 1000 });
+  const nseJson = t.mock.method(fixtureProvider, 'nseJson');
+  const profile = await fetchFuturesProfile('RELIANCE');
+  assert.ok(profile.history.length > 0);
+  const historyCalls = nseJson.mock.calls.filter((call) => call.arguments[0].startsWith('/historical/foCPV'));
+  assert.equal(historyCalls.length, 2);
+  assert.ok(historyCalls.every((call) => call.arguments[1] === 2));
+});
+
+test('market activity scores futures build-up alongside cash flows and deals', async () => {
+  const profile = await fetchMarketActivityProfile('RELIANCE', { biasDirection: 'long' });
+  assert.equal(profile.futures.buildUp.type, 'long_buildup');
+  assert.equal(profile.signal.status, 'supportive');
+
+  const futures = { buildUp: { type: 'short_buildup', streak: 1 }, rollover: { pct: 80, inWindow: true } };
+  assert.equal(classifyMarketActivitySignal({ futures, biasDirection: 'short' }).score, 3);
+  assert.equal(classifyMarketActivitySignal({ futures, biasDirection: 'long' }).status, 'adverse');
+});
@@ -0,0 +1,39 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from '../helpers/testServer.js';
+
+let api;
+before(async () => { api = await startTestServer(); });
+after(() => api?.close());
+
+test('GET /api/fundamentals/:symbol returns metrics with source and as-of date', async () => {
+  const { status, body } = await api.get('/api/fundamentals/RELIANCE');
+  assert.equal(status, 200);
+  assert.equal(body.symbol, 'RELIANCE');
+  assert.deepEqual(body.metrics.pe, { value: 23.6, source: 'screener', asOf: '2026-10-16' });
+  assert.equal(body.metrics.debtToEquity.asOf, '2025-03-31');
+  assert.equal(body.metrics.promoterHolding.value, 50.07);
+  assert.deepEqual([body.metrics.promoterPledge.value, body.metrics.promoterPledge.source], [0, 'nse']);
+  for (const name of ['pb', 'evToEbitda', 'dividendYield', 'revenueGrowth', 'profitGrowth']) {
+    assert.ok(Number.isFinite(body.metrics[name]?.value), `${name} missing`);
+  }
+});
+
+test('GET /api/fundamentals/:symbol keeps the last 12 quarters, oldest first', async () => {
+  const { body } = await api.get('/api/fundamentals/TCS');
+  assert.equal(body.quarters.length, 12);
+  assert.equal(body.quarters.at(-1).periodEnd, '2026-06-30');
+  assert.ok(body.quarters.every((q) => Number.isFinite(q.sales) && Number.isFinite(q.operatingProfit) && Number.isFinite(q.eps)));
+});
+
+test('the assessment cites the evidence it scored', async () => {
+  const { body } = await api.get('/api/fundamentals/TCS');
+  assert.ok(body.assessment.score > 0);
+  const pledge = body.assessment.evidence.find((e) => e.metric === 'promoterPledge');
+  assert.deepEqual(pledge, { metric: 'promoterPledge', value: 0.41, source: 'nse', asOf: '2026-06-30' });
+});
+
+test('GET /api/fundamentals/:symbol rejects unknown symbols', async () => {
+  const { status } = await api.get('/api/fundamentals/NOTAREALCO');
+  assert.equal(status, 404);
+});
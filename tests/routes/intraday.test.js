@@ -0,0 +1,28 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from '../helpers/testServer.js';
+
+let api;
+before(async () => { api = await startTestServer(); });
+after(() => api?.close());
+
+test('POST /api/intraday runs the two-stage scan outside market hours when forced', async () => {
+  const { status, body } = await api.post('/api/intraday', { symbols: ['RELIANCE', 'TCS'], forceRunWhenClosed: true });
+  assert.equal(status, 200);
+  assert.equal(body.totalScanned, 2);
+  assert.equal(body.positiveCount, body.positiveStocks.length);
+  assert.equal(body.negativeCount, body.negativeStocks.length);
+  assert.equal(body.meta.scanType, 'two-stage-institutional');
+});
+
+test('POST /api/intraday rejects unknown extended indicators', async () => {
+  const { status, body } = await api.post('/api/intraday', { symbols: ['RELIANCE'], indicators: 'mfi,vortex' });
+  assert.equal(status, 400);
+  assert.match(body.error, /Unknown indicators: vortex/);
+});
+
+test('GET /api/intraday/status reports the background scan state', async () => {
+  const { status, body } = await api.get('/api/intraday/status');
+  assert.equal(status, 200);
+  assert.ok(Array.isArray(body.results));
+});
@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startTestServer } from '../helpers/testServer.js';
+
+const fixtures = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures');
+
+// The real NSE and Yahoo providers, answered from fixtures/http recordings.
+// The master comes from the fixture equity list so nothing is saved to data/.
+let api;
+before(async () => {
+  process.env.MARKET_DATA_PROVIDER = 'nse,yahoo';
+  process.env.INSTRUMENT_MASTER_FILE = path.join(fixtures, 'market', 'archives', 'content_equities_EQUITY_L.csv');
+  api = await startTestServer();
+});
+after(() => api?.close());
+
+test('POST /api/market/quotes replays the NSE session and quote during market hours', async (t) => {
+  // Friday 11:30 IST — inside the NSE window
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-16T06:00:00Z') });
+  const { status, body } = await api.post('/api/market/quotes', { symbols: ['RELIANCE'] });
+  assert.equal(status, 200);
+  assert.equal(body.results[0].resolvedSymbol, 'RELIANCE');
+  assert.equal(body.results[0].priceSource, 'NSE');
+  assert.equal(body.results[0].currentPrice, 1484.85);
+  assert.equal(body.results[0].companyName, 'Reliance Industries Limited');
+});
+
+test('POST /api/market/quotes replays the Yahoo chart when NSE is closed', async (t) => {
+  // Saturday — NSE is skipped for Yahoo
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-17T06:00:00Z') });
+  const { status, body } = await api.post('/api/market/quotes', { symbols: ['TCS'] });
+  assert.equal(status, 200);
+  assert.equal(body.results[0].priceSource, 'Yahoo');
+  assert.equal(body.results[0].currentPrice, 3093.25);
+  assert.equal(body.results[0].companyName, 'Tata Consultancy Services Limited');
+});
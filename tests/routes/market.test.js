@@ -0,0 +1,357 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from '../helpers/testServer.js';
+import { sectorScoreAdjustment } from '../../services/sectorService.js';
+import { classifyBreadth, recordBreadthSnapshot } from '../../services/breadthService.js';
+import { buildProfessionalGate } from '../../services/professionalDeskService.js';
+import { getCandleRecorderStatus, recordSessionCandles } from '../../services/candleRecorder.js';
+import { resolveNSESymbol } from '../../services/marketData.js';
+import { resolveIndex } from '../../services/indexService.js';
+import { subscribeQuotes } from '../../services/quoteStreamService.js';
+import { ensureInstrumentMaster, refreshInstrumentMaster } from '../../services/instrumentMaster.js';
+import { fixtureProvider } from '../../services/providers/fixtureProvider.js';
+import {
+  ensureMarketCalendar,
+  getLegacyMarketState,
+  getMarketState,
+  hasSessionClosed,
+  isTradingDay,
+  nextTradingDay,
+  previousTradingDay,
+  tradingDaysBetween,
+} from '../../services/marketCalendarService.js';
+
+let api;
+before(async () => { api = await startTestServer(); });
+after(() => api?.close());
+
+test('POST /api/market/quotes returns the fixture quote', async () => {
+  const { status, body } = await api.post('/api/market/quotes', { symbols: ['RELIANCE'] });
+  assert.equal(status, 200);
+  assert.equal(body.results[0].symbol, 'RELIANCE');
+  assert.equal(body.results[0].currentPrice, 1484.85);
+});
+
+test('POST /api/market/quotes resolves company names before checking the instrument master', async () => {
+  const { status, body } = await api.post('/api/market/quotes', { symbols: ['Reliance Industries', 'RIL', 'NOTAREALCO', 'TATA'] });
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.slice(0, 2).map((r) => r.resolvedSymbol), ['RELIANCE', 'RELIANCE']);
+  assert.equal(body.results[0].instrument.isin, 'INE002A01018');
+  assert.match(body.results[2].error, /not an active NSE equity/);
+
+  // A partial name is never guessed — the caller gets the candidates to pick from
+  assert.equal(body.results[3].resolvedSymbol, undefined);
+  assert.match(body.results[3].error, /not an exact NSE symbol/);
+  assert.deepEqual(body.results[3].candidates.map((c) => c.symbol), ['TCS']);
+});
+
+test('resolveNSESymbol rejects codes missing from a loaded master without asking NSE', async (t) => {
+  await ensureInstrumentMaster();
+  const quote = t.mock.method(fixtureProvider, 'quote');
+  const nseJson = t.mock.method(fixtureProvider, 'nseJson');
+
+  assert.equal(await resolveNSESymbol('notarealco'), 'NOTAREALCO');
+  assert.equal(await resolveNSESymbol('reliance.ns'), 'RELIANCE');
+  assert.equal(quote.mock.callCount(), 0);
+  assert.equal(nseJson.mock.callCount(), 0);
+});
+
+test('GET /api/market/stream subscribes and releases the poller when the client leaves', async () => {
+  const controller = new AbortController();
+  const res = await fetch(`${api.base}/api/market/stream?symbols=RELIANCE`, { signal: controller.signal });
+  assert.equal(res.status, 200);
+  const reader = res.body.getReader();
+  let text = '';
+  while (!text.includes('event: subscribed')) text += new TextDecoder().decode((await reader.read()).value);
+  assert.equal((await api.get('/api/market/stream/stats')).body.clients, 1);
+
+  controller.abort();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const { body } = await api.get('/api/market/stream/stats');
+  assert.equal(body.clients, 0);
+  assert.equal(body.pollers, 0);
+});
+
+test('a stream that reconnects with an added symbol gets that symbol\'s older quote', async (t) => {
+  const watch = (symbols, lastEventId) => {
+    const events = [];
+    let wake = () => {};
+    const unsubscribe = subscribeQuotes(symbols, (event) => { events.push(event); wake(); }, { lastEventId });
+    t.after(unsubscribe);
+    const quotesFor = async (wanted) => {
+      while (!wanted.every((symbol) => events.some((e) => e.type === 'quote' && e.data.symbol === symbol))) {
+        await new Promise((resolve) => { wake = resolve; });
+      }
+      return events.at(-1).id;
+    };
+    return { events, quotesFor };
+  };
+
+  // RELIANCE is quoted first, TCS later — TCS carries the higher sequence
+  const reliance = watch(['RELIANCE']);
+  await reliance.quotesFor(['RELIANCE']);
+  const tcs = watch(['TCS']);
+  const lastSeen = await tcs.quotesFor(['TCS']);
+
+  const same = watch(['TCS'], lastSeen);
+  assert.equal(same.events.length, 0);
+
+  const widened = watch(['TCS', 'RELIANCE'], lastSeen);
+  assert.deepEqual(widened.events.map((e) => e.data.symbol).sort(), ['RELIANCE', 'TCS']);
+});
+
+test('GET /api/market/indices degrades a missing index to a placeholder', async () => {
+  const { status, body } = await api.get('/api/market/indices');
+  assert.equal(status, 200);
+  assert.equal(body.nifty50.source, 'NSE');
+  assert.ok(Number.isFinite(body.nifty50.last));
+  assert.equal(body.sensex.source, 'UNAVAILABLE');
+});
+
+test('POST /api/market/leverage parses the recorded Zerodha margin page', async () => {
+  const { status, body } = await api.post('/api/market/leverage', { symbols: ['RELIANCE', 'INFY'] });
+  assert.equal(status, 200);
+  const [reliance, infy] = body.results;
+  assert.deepEqual([reliance.leverageMultiplier, reliance.source], [5, 'zerodha']);
+  assert.deepEqual([infy.leverageMultiplier, infy.source], [1, 'fallback']);
+});
+
+test('GET /api/market/search matches instrument master symbols', async () => {
+  const { status, body } = await api.get('/api/market/search?q=REL');
+  assert.equal(status, 200);
+  assert.equal(body.results[0].symbol, 'RELIANCE');
+});
+
+test('GET /api/market/search picks up a refresh that renames a middle row', async (t) => {
+  const nseArchive = fixtureProvider.nseArchive;
+  t.mock.method(fixtureProvider, 'nseArchive', async (archivePath) => {
+    const text = await nseArchive(archivePath);
+    return /EQUITY_L/.test(archivePath) ? text.replace('Infosys Limited', 'Zephyr Softworks Limited') : text;
+  });
+  assert.equal((await api.get('/api/market/search?q=zephyr')).body.results.length, 0);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 60_000 });
+  await refreshInstrumentMaster();
+  const { body } = await api.get('/api/market/search?q=zephyr');
+  assert.equal(body.results[0]?.symbol, 'INFY');
+
+  t.mock.restoreAll();
+  await refreshInstrumentMaster();
+});
+
+test('custom universes can be saved, listed and deleted', async () => {
+  const saved = await api.post('/api/market/universes', { name: 'test-watch', symbols: ['RELIANCE', 'TCS', 'NOTAREALCO'] });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.body.symbols, ['RELIANCE', 'TCS']);
+  assert.equal(saved.body.rejected.length, 1);
+
+  const listed = await api.get('/api/market/universes');
+  assert.ok(listed.body.custom.some((u) => u.name === 'custom:test-watch'));
+
+  assert.equal((await api.delete('/api/market/universes/test-watch')).status, 200);
+  assert.equal((await api.delete('/api/market/universes/test-watch')).status, 404);
+});
+
+test('concurrent universe saves both land and writes need the admin token', async () => {
+  const [a, b] = await Promise.all([
+    api.post('/api/market/universes', { name: 'test-a', symbols: ['RELIANCE'] }),
+    api.post('/api/market/universes', { name: 'test-b', symbols: ['TCS'] }),
+  ]);
+  assert.deepEqual([a.status, b.status], [200, 200]);
+  const names = (await api.get('/api/market/universes')).body.custom.map((u) => u.name);
+  assert.ok(names.includes('custom:test-a') && names.includes('custom:test-b'));
+
+  process.env.ADMIN_TOKEN = 'test-admin-token';
+  try {
+    assert.equal((await api.delete('/api/market/universes/test-a')).status, 401);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+  await Promise.all([api.delete('/api/market/universes/test-a'), api.delete('/api/market/universes/test-b')]);
+  assert.equal((await api.get('/api/market/universes')).body.custom.length, 0);
+});
+
+test('GET /api/market/sectors ranks sectoral indices by RS and places them on the rotation chart', async () => {
+  const { status, body } = await api.get('/api/market/sectors?symbols=TCS,RELIANCE,SADBHAV,HDFCBANK');
+  assert.equal(status, 200);
+  assert.equal(body.benchmark, 'NIFTY 50');
+  assert.deepEqual(body.sectors.map((s) => s.rank), body.sectors.map((_, i) => i + 1));
+  const it = body.sectors.find((s) => s.name === 'NIFTY IT');
+  assert.equal(it.quadrant, 'leading');
+  assert.ok(it.rs['3m'] > 0 && it.rsRatio >= 100 && it.rsMomentum >= 100);
+  assert.ok(body.quadrants.lagging.includes('NIFTY FMCG'));
+  assert.ok(body.quadrants.improving.includes('NIFTY ENERGY'));
+
+  const [tcs, reliance, sadbhav, hdfcBank] = body.stocks;
+  assert.deepEqual([tcs.sector, tcs.quadrant], ['NIFTY IT', 'leading']);
+  assert.ok(Number.isFinite(tcs.stockVsSector['1m']));
+  assert.equal(reliance.sector, 'NIFTY ENERGY');
+  assert.deepEqual([sadbhav.sector, sadbhav.stockVsSector], ['NIFTY INFRASTRUCTURE', null]);
+  // Banks share "Financial Services" with NBFCs; index membership picks the bank index
+  assert.equal(hdfcBank.sector, 'NIFTY BANK');
+});
+
+test('longs in lagging sectors are marked down, leading sectors marked up', () => {
+  const lagging = { quadrant: 'lagging', stockVsSector: { '1m': 0 } };
+  const leading = { quadrant: 'leading', stockVsSector: { '1m': 4 } };
+  assert.ok(sectorScoreAdjustment(lagging, 'swing') < 0);
+  assert.ok(sectorScoreAdjustment(leading, 'swing') > sectorScoreAdjustment(leading, 'intraday'));
+  assert.equal(sectorScoreAdjustment(null), 0);
+
+  // A short wants the sector and the stock weak
+  assert.ok(sectorScoreAdjustment(lagging, 'intraday', 'short') > 0);
+  assert.equal(sectorScoreAdjustment(leading, 'intraday', 'short'), -sectorScoreAdjustment(leading, 'intraday'));
+});
+
+test('GET /api/market/index/:name/history serves candles by NSE name or alias', async () => {
+  const { status, body } = await api.get('/api/market/index/banknifty/history?interval=1d&range=1y');
+  assert.equal(status, 200);
+  assert.equal(body.index, 'NIFTY BANK');
+  assert.equal(body.candles.at(-1).timestamp, '2026-09-18');
+  assert.ok(body.candles.every((c) => c.high >= c.low));
+
+  const nifty = await api.get('/api/market/index/NIFTY%2050/history');
+  assert.deepEqual([nifty.body.index, nifty.body.range], ['NIFTY 50', '6mo']);
+
+  assert.equal((await api.get('/api/market/index/NIFTY/history?interval=5m&range=1y')).status, 400);
+  const unknown = await api.get('/api/market/index/NIFTY%20DOGE/history');
+  assert.equal(unknown.status, 404);
+  assert.ok(unknown.body.supported.includes('SENSEX'));
+});
+
+test('the index catalog covers the broad and sectoral indices traders check', async () => {
+  const { body } = await api.get('/api/market/index');
+  const names = body.indices.map((index) => index.name);
+  for (const name of ['NIFTY MIDCAP 150', 'NIFTY PRIVATE BANK', 'NIFTY OIL & GAS', 'NIFTY SMALLCAP 250', 'INDIA VIX']) {
+    assert.ok(names.includes(name), `${name} missing`);
+  }
+  assert.equal(resolveIndex('nifty-oil-and-gas')?.yahoo, 'NIFTY_OIL_AND_GAS.NS');
+  assert.equal(resolveIndex('MIDCPNIFTY')?.name, 'NIFTY MIDCAP SELECT');
+});
+
+test('GET /api/market/index/:name/technicals reads the index trend like a stock', async () => {
+  const { status, body } = await api.get('/api/market/index/nifty-50/technicals');
+  assert.equal(status, 200);
+  assert.equal(body.index, 'NIFTY 50');
+  assert.equal(body.structure, 'bullish');
+  assert.equal(body.emaStack.regime, 'bullish');
+  assert.equal(body.supertrend.trend, 'up');
+  assert.ok(body.rsi > 50 && body.rsi <= 100);
+  // Pivots come off the last completed session
+  assert.equal(body.pivots.basis.date, '2026-09-18');
+  assert.ok(body.pivots.s1 < body.pivots.pp && body.pivots.pp < body.pivots.r1);
+});
+
+test('GET /api/market/breadth serves the saved daily snapshot and its history', async () => {
+  const empty = await api.get('/api/market/breadth');
+  assert.equal(empty.status, 200);
+  assert.equal(empty.body.latest, null);
+
+  await recordBreadthSnapshot();
+  const { body } = await api.get('/api/market/breadth');
+  assert.equal(body.history.length, 1);
+  const { latest } = body;
+  assert.equal(latest.date, '2026-09-18');
+  assert.equal(latest.sessionComplete, true);
+  assert.equal(latest.advances + latest.declines + latest.unchanged, latest.measured);
+  assert.ok(Number.isFinite(latest.pctAboveEma['50']) && Number.isFinite(latest.mcclellan));
+  // half a year of fixture candles is not enough for a 200 EMA
+  assert.equal(latest.pctAboveEma['200'], null);
+  assert.ok(['healthy', 'neutral', 'deteriorating', 'weak'].includes(latest.status));
+});
+
+test('narrowing breadth marks down fresh longs but not shorts', () => {
+  const previous = { pctAboveEma: { 50: 72 } };
+  const today = { pctAboveEma: { 50: 55 }, mcclellan: -40, mcclellanPrior: -10 };
+  const breadth = { ...today, ...classifyBreadth(today, previous) };
+  assert.deepEqual([breadth.status, breadth.above50Change], ['deteriorating', -17]);
+  assert.equal(classifyBreadth({ pctAboveEma: { 50: 80 }, mcclellan: 25 }).status, 'healthy');
+
+  const long = buildProfessionalGate({ mode: 'swing', signalView: { sentiment: 'positive' }, breadth });
+  assert.equal(long.scorePenalty, 7);
+  assert.ok(long.flags.includes('breadth_deteriorating'));
+  const short = buildProfessionalGate({ mode: 'swing', signalView: { sentiment: 'negative' }, breadth });
+  assert.equal(short.scorePenalty, 0);
+});
+
+test('GET /api/market/calendar serves NSE holidays and the calendar helpers agree', async () => {
+  const { status, body } = await api.get('/api/market/calendar?year=2026');
+  assert.equal(status, 200);
+  assert.equal(body.source, 'nse');
+  assert.deepEqual(body.holidays.find((h) => h.date === '2026-10-20'), { date: '2026-10-20', description: 'Dussehra' });
+  assert.ok(body.state.istDate);
+
+  const holidays = await api.get('/api/market/holidays');
+  assert.ok(holidays.body.holidays.includes('2026-10-02'));
+
+  assert.equal(nextTradingDay('2026-10-16'), '2026-10-19');
+  assert.equal(nextTradingDay('2026-10-19'), '2026-10-21');
+  assert.equal(previousTradingDay('2026-10-05'), '2026-10-01');
+  assert.equal(tradingDaysBetween('2026-10-01', '2026-10-09'), 6);
+  assert.equal(tradingDaysBetween('2026-10-01', '2026-10-05', { inclusive: false }), 0);
+
+  // 09:05, 09:30 and 15:45 IST on a regular day; Dussehra is closed all day
+  assert.equal(getMarketState(new Date('2026-10-19T03:35:00Z')).preOpenPhase, 'order_entry');
+  assert.equal(getMarketState(new Date('2026-10-19T04:00:00Z')).isOpen, true);
+  assert.equal(getMarketState(new Date('2026-10-19T10:15:00Z')).session, 'closing');
+  const dussehra = getMarketState(new Date('2026-10-20T05:00:00Z'));
+  assert.equal(dussehra.reason, 'holiday');
+  assert.equal(dussehra.nextTradingDay, '2026-10-21');
+
+  // The scanners keep the reason codes they answered with before the calendar
+  assert.equal(getLegacyMarketState('intraday', new Date('2026-10-20T05:00:00Z')).reason, 'configured_holiday');
+  assert.equal(getLegacyMarketState('intraday', new Date('2026-10-19T10:15:00Z')).reason, 'outside_trading_hours_ist');
+  assert.equal(getLegacyMarketState('scan', new Date('2026-10-19T03:35:00Z')).reason, 'pre_open_or_before_session');
+  assert.equal(getLegacyMarketState('news', new Date('2026-10-19T02:00:00Z')).reason, 'pre_open');
+});
+
+test('special sessions open a closed day with their own pre-open', async () => {
+  const bad = await api.post('/api/market/calendar/special-sessions', { date: '2026-11-08', open: '19:00', close: '18:00' });
+  assert.equal(bad.status, 400);
+
+  const { status, body } = await api.post('/api/market/calendar/special-sessions', {
+    date: '2026-11-08', open: '18:00', close: '19:00', label: 'Muhurat trading',
+  });
+  assert.equal(status, 201);
+  assert.deepEqual(body.windows.preOpen, { start: '17:45', orderEntryEnd: '17:53', end: '18:00' });
+  assert.equal(isTradingDay('2026-11-08'), true);
+  const muhurat = getMarketState(new Date('2026-11-08T12:45:00Z'));
+  assert.equal(muhurat.isOpen, true);
+  assert.equal(muhurat.specialSession, 'Muhurat trading');
+
+  const removed = await api.delete('/api/market/calendar/special-sessions/2026-11-08');
+  assert.equal(removed.status, 200);
+  assert.equal(isTradingDay('2026-11-08'), false);
+
+  process.env.ADMIN_TOKEN = 'test-admin-token';
+  try {
+    const denied = await api.post('/api/market/calendar/special-sessions', { date: '2026-11-08', open: '18:00', close: '19:00' });
+    assert.equal(denied.status, 401);
+    assert.equal(isTradingDay('2026-11-08'), false);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+});
+
+test('a candle recording before the close leaves the session due for the scheduled run', async () => {
+  await ensureMarketCalendar();
+  // 13:30 and 16:00 IST on a regular day; holidays and past days count as closed
+  assert.equal(hasSessionClosed('2026-10-19', { now: new Date('2026-10-19T08:00:00Z') }), false);
+  assert.equal(hasSessionClosed('2026-10-19', { now: new Date('2026-10-19T10:30:00Z') }), true);
+  assert.equal(hasSessionClosed('2026-10-19', { now: new Date('2026-10-19T10:30:00Z'), settleMinutes: 45 }), false);
+  assert.equal(hasSessionClosed('2026-10-20', { now: new Date('2026-10-20T05:00:00Z') }), true);
+
+  const closed = await recordSessionCandles({ date: '2026-10-16' });
+  assert.equal(closed.sessionComplete, true);
+  const early = await recordSessionCandles({ date: '2099-01-05' });
+  assert.equal(early.sessionComplete, false);
+  assert.equal((await getCandleRecorderStatus()).lastRecordedDate, '2026-10-16');
+});
+
+test('GET /api/market/candles defaults the range to the IST date', async (t) => {
+  // 01:30 IST on 17 Oct is still 16 Oct in UTC
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-16T20:00:00Z') });
+  const { status, body } = await api.get('/api/market/candles?symbol=RELIANCE');
+  assert.equal(status, 200);
+  assert.deepEqual([body.from, body.to], ['2026-09-17', '2026-10-17']);
+});
@@ -0,0 +1,31 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from '../helpers/testServer.js';
+
+let api;
+before(async () => { api = await startTestServer(); });
+after(() => api?.close());
+
+test('GET /api/news answers from recordings only', async (t) => {
+  // The recorded feeds were captured at this moment; news ages out after a week
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-17T12:00:00Z') });
+  const { status, body } = await api.get('/api/news?symbol=RELIANCE');
+  assert.equal(status, 200);
+  assert.equal(body.symbol, 'RELIANCE');
+  assert.equal(body.count, body.items.length);
+  assert.match(body.items[0].headline, /^Reliance Industries Q2 results/);
+  assert.equal(body.items[0].source, 'Moneycontrol');
+  assert.equal(body.sentiment, 'positive');
+
+  // Both queries are merged without duplicates
+  const headlines = body.items.map((item) => item.headline);
+  assert.equal(new Set(headlines).size, headlines.length);
+  assert.ok(headlines.some((h) => h.startsWith('Reliance Retail buys stake')));
+});
+
+test('GET /api/news validates the symbol', async () => {
+  assert.equal((await api.get('/api/news')).status, 400);
+  const { status, body } = await api.get('/api/news?symbol=NOTAREALCO');
+  assert.equal(status, 404);
+  assert.match(body.error, /not an active NSE equity/);
+});
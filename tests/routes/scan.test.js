@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from '../helpers/testServer.js';
+import { buildProfessionalGate } from '../../services/professionalDeskService.js';
+import { ensureSurveillance, getSurveillanceStatus } from '../../services/surveillanceService.js';
+import { fastMarketScan } from '../../services/marketData.js';
+import { saveCustomUniverse } from '../../services/scanUniverseService.js';
+import { ensureInstrumentMaster } from '../../services/instrumentMaster.js';
+
+let api;
+before(async () => { api = await startTestServer(); });
+after(() => api?.close());
+
+test('POST /api/scan returns gap, RSI and data quality per symbol', async () => {
+  const { status, body } = await api.post('/api/scan', { symbols: ['RELIANCE', 'NOTAREALCO'] });
+  assert.equal(status, 200);
+  const [reliance, unknown] = body.results;
+  assert.equal(reliance.symbol, 'RELIANCE');
+  assert.equal(reliance.prevClose, 1493.66);
+  assert.ok(Number.isFinite(reliance.gapOpenPct));
+  assert.ok(reliance.dataQuality);
+  assert.equal(unknown.symbol, 'NOTAREALCO');
+  assert.ok(unknown.error);
+});
+
+test('POST /api/scan requires a symbols array', async () => {
+  const { status } = await api.post('/api/scan', {});
+  assert.equal(status, 400);
+});
+
+test('GET /api/scan/preopen ranks the recorded pre-open book', async () => {
+  const { status, body } = await api.get('/api/scan/preopen?minGap=0.5');
+  assert.equal(status, 200);
+  assert.equal(body.key, 'ALL');
+  assert.equal(body.totalInPreOpen, 5);
+  assert.equal(body.stocks[0].symbol, 'RELIANCE');
+  assert.equal(body.stocks[0].indicativeGapPct, 2.5);
+  assert.ok(body.stocks.every((s) => Math.abs(s.indicativeGapPct) >= 0.5));
+  assert.deepEqual([body.stocks[0].surveillance.stage, body.stocks[0].surveillance.intradayAllowed], [null, true]);
+});
+
+test('stage 1 drops trade-for-trade names for intraday and annotates the rest', async () => {
+  await ensureInstrumentMaster();
+  await ensureSurveillance();
+  await saveCustomUniverse('t2t-check', { symbols: ['RELIANCE', 'SADBHAV'] });
+
+  const intraday = await fastMarketScan({ universe: 'custom:t2t-check' });
+  assert.deepEqual(intraday.map((s) => s.symbol), ['RELIANCE']);
+  assert.equal(intraday[0].surveillance.series, 'EQ');
+
+  // Delivery is fine for a swing, so the swing stage 1 keeps it with its stage
+  const swing = await fastMarketScan({ universe: 'custom:t2t-check', mode: 'swing' });
+  const sadbhav = swing.find((s) => s.symbol === 'SADBHAV');
+  assert.equal(sadbhav.surveillance.stage, 'LT-ASM Stage II');
+  assert.equal(sadbhav.surveillance.tradeForTrade, true);
+});
+
+test('POST /api/scan shows the surveillance stage and price band per symbol', async () => {
+  const { status, body } = await api.post('/api/scan', { symbols: ['RELIANCE'] });
+  assert.equal(status, 200);
+  const { surveillance } = body.results[0];
+  assert.equal(surveillance.stage, null);
+  assert.equal(surveillance.series, 'EQ');
+  assert.equal(surveillance.priceBand, null);
+  assert.equal(surveillance.upperBandDistancePct, null);
+  assert.equal(surveillance.intradayAllowed, true);
+});
+
+test('the professional gate blocks surveillance, trade-for-trade and circuit-locked stocks', async () => {
+  const sadbhav = await getSurveillanceStatus('SADBHAV', { price: 10.48, prevClose: 10 });
+  assert.equal(sadbhav.stage, 'LT-ASM Stage II');
+  assert.equal(sadbhav.tradeForTrade, true);
+  assert.equal(sadbhav.priceBand, 5);
+  assert.equal(sadbhav.upperBand, 10.5);
+  assert.equal(sadbhav.upperBandDistancePct, 0.19);
+  assert.equal(sadbhav.atUpperBand, true);
+
+  const long = { sentiment: 'positive' };
+  const intraday = buildProfessionalGate({ mode: 'intraday', signalView: long, surveillance: sadbhav });
+  assert.equal(intraday.blocked, true);
+  assert.equal(intraday.blockerReason, 'trade_for_trade');
+  const swing = buildProfessionalGate({ mode: 'swing', signalView: long, surveillance: sadbhav });
+  assert.equal(swing.blockerReason, 'circuit_band');
+  assert.ok(swing.flags.includes('at_upper_circuit'));
+
+  const sitinet = await getSurveillanceStatus('SITINET', { price: 20, prevClose: 20 });
+  assert.equal(sitinet.gsmStage, 1);
+  assert.equal(buildProfessionalGate({ mode: 'swing', signalView: long, surveillance: sitinet }).blockerReason, 'surveillance_gsm');
+
+  // Short-term ASM stage I is marked down, not blocked
+  const rpower = await getSurveillanceStatus('RPOWER', { price: 40, prevClose: 40 });
+  const gate = buildProfessionalGate({ mode: 'swing', signalView: long, surveillance: rpower });
+  assert.equal(gate.blocked, false);
+  assert.equal(gate.scorePenalty, 5);
+});
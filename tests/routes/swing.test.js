@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from '../helpers/testServer.js';
+import { calculateSwingEntryPrice, evaluateSwing } from '../../services/positionEvaluator.js';
+import { getDeliveryProfile } from '../../services/deliveryService.js';
+import { classifyVolatilityRegime, REGIME_ADJUSTMENTS } from '../../services/volatilityRegimeService.js';
+
+let api;
+before(async () => { api = await startTestServer(); });
+after(() => api?.close());
+
+test('POST /api/swing scores the requested symbols', async () => {
+  const { status, body } = await api.post('/api/swing', { symbols: ['RELIANCE', 'TCS'] });
+  assert.equal(status, 200);
+  assert.equal(body.totalScanned, 2);
+  assert.equal(body.positiveCount, body.positiveSwingStocks.length);
+  for (const stock of body.positiveSwingStocks) {
+    assert.ok(['RELIANCE', 'TCS'].includes(stock.symbol));
+    assert.ok(Number.isFinite(stock.prevClose));
+    assert.ok(['clean', 'repaired', 'suspect'].includes(stock.dataQuality?.status));
+    assert.ok(stock.sectorStrength?.sector);
+    assert.ok('delivery' in stock);
+  }
+  assert.equal(body.compliance.advisoryOnly, true);
+  assert.deepEqual(
+    [body.meta.volatilityRegime.regime, body.meta.volatilityRegime.vix, body.meta.volatilityRegime.percentile],
+    ['calm', 11.84, 20]
+  );
+});
+
+test('an elevated VIX regime widens the stop and shrinks the position', () => {
+  assert.equal(classifyVolatilityRegime(11.84, 20), 'calm');
+  assert.equal(classifyVolatilityRegime(15, 55), 'normal');
+  assert.equal(classifyVolatilityRegime(16, 85), 'elevated');
+  assert.equal(classifyVolatilityRegime(27, 70), 'panic');
+  assert.equal(classifyVolatilityRegime(21, 97), 'panic');
+  // A quiet year's high is not a panic — the percentile needs a level behind it
+  assert.equal(classifyVolatilityRegime(12, 96), 'normal');
+  assert.equal(classifyVolatilityRegime(17, 96), 'elevated');
+
+  const setup = {
+    price: 1500, marketCap: 2e12, swingVWAP: 1490, support: 1460, resistance: 1580,
+    rsi: 56, candleColor: 'green', gapOpenPct: 0.3, gapNowPct: 0.4, volumeSpike: false, volatilityPct: 5,
+  };
+  const normal = calculateSwingEntryPrice(setup);
+  const elevated = calculateSwingEntryPrice({ ...setup, volatilityRegime: { regime: 'elevated', ...REGIME_ADJUSTMENTS.elevated } });
+  assert.equal(elevated.volatilityRegime, 'elevated');
+  assert.ok(elevated.entryPrice - elevated.stopLoss > normal.entryPrice - normal.stopLoss);
+  assert.ok(elevated.suggestedQty < normal.suggestedQty);
+});
+
+test('POST /api/swing rejects an unknown universe', async () => {
+  const { status, body } = await api.post('/api/swing', { universe: 'custom:does-not-exist' });
+  assert.equal(status, 400);
+  assert.ok(body.error);
+});
+
+test('POST /api/swing adds the requested extended indicators', async () => {
+  const { status, body } = await api.post('/api/swing', { symbols: ['RELIANCE', 'TCS'], indicators: ['ichimoku', 'cci'] });
+  assert.equal(status, 200);
+  assert.deepEqual(body.meta.extendedIndicators, ['ichimoku', 'cci']);
+  for (const stock of body.positiveSwingStocks) {
+    assert.deepEqual(Object.keys(stock.indicators), ['ichimoku', 'cci']);
+    assert.ok(Number.isFinite(stock.indicators.cci.cci));
+  }
+
+  const rejected = await api.post('/api/swing', { symbols: ['RELIANCE'], indicators: ['ichimoku', 'rsi2'] });
+  assert.equal(rejected.status, 400);
+  assert.match(rejected.body.error, /rsi2/);
+});
+
+test('GET /api/swing/status reports the background scan state', async () => {
+  const { status, body } = await api.get('/api/swing/status');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'idle');
+  assert.ok(Array.isArray(body.results));
+});
+
+test('delivery % is read from NSE with its 20-session average', async () => {
+  const profile = await getDeliveryProfile('RELIANCE', { asOf: '2026-10-16' });
+  assert.deepEqual([profile.source, profile.date, profile.deliveryPct], ['nse', '2026-10-16', 63.4]);
+  assert.equal(profile.averageSessions, 20);
+  assert.equal(profile.avgDeliveryPct20, 44.96);
+  assert.equal(profile.signal, 'accumulation');
+});
+
+test('POST /api/market/delivery/import feeds the bhavcopy fallback', async () => {
+  const header = 'SYMBOL, SERIES, DATE1, PREV_CLOSE, OPEN_PRICE, HIGH_PRICE, LOW_PRICE, LAST_PRICE, CLOSE_PRICE, AVG_PRICE, TTL_TRD_QNTY, TURNOVER_LACS, NO_OF_TRADES, DELIV_QTY, DELIV_PER';
+  const bhavcopy = (date, tcs) => [
+    header,
+    `TCS, EQ, ${date}, 3010.00, 3012.00, 3040.00, 3001.00, 3030.00, 3031.20, 3024.11, ${tcs.traded}, 61000.12, 98000, ${tcs.deliverable}, ${tcs.pct}`,
+    'TCS, BL, ' + date + ', -, -, -, -, -, 3030.00, 3030.00, 5000, 151.50, 1, -, -',
+  ].join('\n');
+  const upload = (csv) => fetch(`${api.base}/api/market/delivery/import`, {
+    method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: csv,
+  }).then(async (res) => ({ status: res.status, body: await res.json() }));
+
+  const first = await upload(bhavcopy('15-Oct-2026', { traded: 2000000, deliverable: 1100000, pct: 55.0 }));
+  assert.deepEqual(first.body, { imported: true, date: '2026-10-15', symbols: 1 });
+  await upload(bhavcopy('16-Oct-2026', { traded: 3000000, deliverable: 450000, pct: 15.0 }));
+  assert.equal((await upload('not,a,bhavcopy')).status, 400);
+
+  process.env.ADMIN_TOKEN = 'test-admin-token';
+  try {
+    assert.equal((await upload(bhavcopy('16-Oct-2026', { traded: 1, deliverable: 1, pct: 100 }))).status, 401);
+    const authorised = await fetch(`${api.base}/api/market/delivery/import`, {
+      method: 'POST', headers: { 'Content-Type': 'text/csv', Authorization: 'Bearer test-admin-token' }, body: 'not,a,bhavcopy',
+    });
+    assert.equal(authorised.status, 400);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+
+  const profile = await getDeliveryProfile('TCS', { asOf: '2026-10-16', allowNse: false });
+  assert.deepEqual([profile.source, profile.deliveryPct, profile.avgDeliveryPct20], ['bhavcopy', 15, 55]);
+  assert.equal(profile.signal, 'churn');
+});
+
+test('a volume spike on churned delivery does not confirm a swing', () => {
+  const setup = {
+    rsi: 55, gapOpenPct: 0.5, gapNowPct: 0.5, volumeSpike: true,
+    price: 100, swingVWAP: 98, support: 95, resistance: 110,
+  };
+  const churn = evaluateSwing({ ...setup, delivery: { signal: 'churn', deliveryPct: 14, avgDeliveryPct20: 48 } });
+  assert.equal(churn.label, 'High-Quality Swing Setup');
+  assert.ok(!churn.reasons.includes('Volume confirms participation'));
+  assert.ok(churn.reasons.some((r) => r.includes('intraday churn')));
+
+  const carried = evaluateSwing({ ...setup, volumeSpike: false, delivery: { signal: 'accumulation', deliveryPct: 62, avgDeliveryPct20: 45 } });
+  assert.ok(carried.reasons.includes('Volume confirms participation'));
+});
@@ -0,0 +1,203 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  ADL,
+  ADX,
+  ATR,
+  CCI,
+  Highest,
+  IchimokuCloud,
+  KeltnerChannels,
+  Lowest,
+  MFI,
+  PSAR,
+  RSI,
+  StochasticRSI,
+  WilliamsR,
+} from 'technicalindicators';
+import {
+  calculateADX,
+  calculateATR,
+  calculateChaikinMoneyFlow,
+  calculateCCI,
+  calculateDonchianChannels,
+  calculateIchimoku,
+  calculateKeltnerChannels,
+  calculateMFI,
+  calculateParabolicSAR,
+  calculateRSI,
+  calculateStochasticRSI,
+  calculateWilliamsR,
+} from '../services/technicalIndicators.js';
+import {
+  computeIndicator,
+  computeIndicators,
+  getIndicator,
+  indicatorWarmup,
+  listIndicators,
+  parseIndicatorRequest,
+} from '../services/indicatorRegistry.js';
+
+// Golden values: ~6 months of RELIANCE daily bars from the offline fixtures,
+// checked against the `technicalindicators` package
+const chart = JSON.parse(readFileSync(new URL('../fixtures/market/charts/RELIANCE.NS__1d.json', import.meta.url), 'utf8'));
+const quote = chart.indicators.quote[0];
+const candles = chart.timestamp
+  .map((t, i) => ({
+    timestamp: t,
+    open: quote.open[i],
+    high: quote.high[i],
+    low: quote.low[i],
+    close: quote.close[i],
+    volume: quote.volume[i],
+  }))
+  .filter((c) => [c.open, c.high, c.low, c.close, c.volume].every((v) => v != null));
+
+const high = candles.map((c) => c.high);
+const low = candles.map((c) => c.low);
+const close = candles.map((c) => c.close);
+const volume = candles.map((c) => c.volume);
+const last = (series) => series[series.length - 1];
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(actual != null, `${label} is null`);
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+test('fixture has enough bars for every extended indicator', () => {
+  assert.ok(candles.length >= 78, `only ${candles.length} bars`);
+});
+
+test('RSI, ATR and ADX follow Wilder smoothing like technicalindicators', () => {
+  assertClose(calculateRSI(candles), last(RSI.calculate({ values: close, period: 14 })), 0.01, 'rsi');
+  assertClose(calculateATR(candles), last(ATR.calculate({ high, low, close, period: 14 })), 0.01, 'atr');
+
+  const expected = last(ADX.calculate({ high, low, close, period: 14 }));
+  const actual = calculateADX(candles);
+  assertClose(actual.adx, expected.adx, 0.01, 'adx');
+  assertClose(actual.plusDI, expected.pdi, 0.01, 'plusDI');
+  assertClose(actual.minusDI, expected.mdi, 0.01, 'minusDI');
+});
+
+test('ADX stays on the 0-100 scale on a one-way trend', () => {
+  const trend = Array.from({ length: 60 }, (_, i) => ({ high: 101 + i * 2, low: 99 + i * 2, close: 100.5 + i * 2 }));
+  const { adx, plusDI, minusDI, strongTrend } = calculateADX(trend);
+  assert.ok(adx > 90 && adx <= 100, `adx ${adx}`);
+  assert.ok(plusDI > 0 && minusDI === 0);
+  assert.equal(strongTrend, true);
+});
+
+test('stochastic RSI matches technicalindicators', () => {
+  const expected = last(StochasticRSI.calculate({ values: close, rsiPeriod: 14, stochasticPeriod: 14, kPeriod: 3, dPeriod: 3 }));
+  const actual = calculateStochasticRSI(candles);
+  // The package rounds RSI to 2dp before stretching it over its range
+  assertClose(actual.k, expected.k, 0.25, 'stochRsi.k');
+  assertClose(actual.d, expected.d, 0.25, 'stochRsi.d');
+});
+
+test('ichimoku lines match technicalindicators', () => {
+  const expected = last(IchimokuCloud.calculate({ high, low, conversionPeriod: 9, basePeriod: 26, spanPeriod: 52, displacement: 26 }));
+  const actual = calculateIchimoku(candles);
+  // The package reports undisplaced spans, i.e. the cloud being drawn ahead
+  assertClose(actual.conversionLine, expected.conversion, 0.01, 'conversionLine');
+  assertClose(actual.baseLine, expected.base, 0.01, 'baseLine');
+  assertClose(actual.leadingSpanA, expected.spanA, 0.01, 'leadingSpanA');
+  assertClose(actual.leadingSpanB, expected.spanB, 0.01, 'leadingSpanB');
+  assert.ok(['above', 'below', 'inside'].includes(actual.priceVsCloud));
+});
+
+test('keltner channels match technicalindicators', () => {
+  const expected = last(KeltnerChannels.calculate({ high, low, close, maPeriod: 20, atrPeriod: 10, useSMA: false, multiplier: 2 }));
+  const actual = calculateKeltnerChannels(candles);
+  assertClose(actual.middle, expected.middle, 0.01, 'keltner.middle');
+  assertClose(actual.upper, expected.upper, 0.01, 'keltner.upper');
+  assertClose(actual.lower, expected.lower, 0.01, 'keltner.lower');
+});
+
+test('donchian channels match the package highest/lowest', () => {
+  const actual = calculateDonchianChannels(candles);
+  assertClose(actual.upper, last(Highest.calculate({ values: high, period: 20 })), 0.01, 'donchian.upper');
+  assertClose(actual.lower, last(Lowest.calculate({ values: low, period: 20 })), 0.01, 'donchian.lower');
+});
+
+test('CCI, Williams %R and MFI match technicalindicators', () => {
+  assertClose(calculateCCI(candles).cci, last(CCI.calculate({ high, low, close, period: 20 })), 0.01, 'cci');
+  assertClose(calculateWilliamsR(candles).williamsR, last(WilliamsR.calculate({ high, low, close, period: 14 })), 0.01, 'williamsR');
+  assertClose(calculateMFI(candles).mfi, last(MFI.calculate({ high, low, close, volume, period: 14 })), 0.01, 'mfi');
+});
+
+test('chaikin money flow matches the package accumulation/distribution line', () => {
+  // CMF(20) = change in ADL over 20 bars / volume over the same 20 bars
+  const adl = ADL.calculate({ high, low, close, volume });
+  const volume20 = volume.slice(-20).reduce((a, b) => a + b, 0);
+  const expected = (last(adl) - adl[adl.length - 21]) / volume20;
+  assertClose(calculateChaikinMoneyFlow(candles).cmf, expected, 0.001, 'cmf');
+});
+
+test('parabolic SAR matches technicalindicators', () => {
+  const expected = last(PSAR.calculate({ high, low, step: 0.02, max: 0.2 }));
+  const actual = calculateParabolicSAR(candles);
+  assertClose(actual.sar, expected, 0.01, 'sar');
+  assert.equal(actual.trend, expected < last(close) ? 'up' : 'down');
+});
+
+test('extended indicators are null-safe on short or dirty history', () => {
+  const dirty = [null, { high: 'x', low: 1, close: 1 }, ...candles.slice(-10)];
+  const result = computeIndicators(dirty, parseIndicatorRequest('all').names);
+  assert.equal(result.stochRsi, null);
+  assert.equal(result.ichimoku, null);
+  assert.equal(result.keltner, null);
+  assert.equal(result.donchian, null);
+  assert.ok(result.parabolicSar);
+  assert.equal(calculateCCI(undefined), null);
+  assert.equal(calculateMFI([{ high: 2, low: 1, close: 1.5 }]), null);
+});
+
+test('parseIndicatorRequest accepts lists and rejects unknown names', () => {
+  assert.deepEqual(parseIndicatorRequest(undefined), { names: [] });
+  assert.deepEqual(parseIndicatorRequest('cci, mfi'), { names: ['cci', 'mfi'] });
+  assert.deepEqual(parseIndicatorRequest(['ichimoku', 'ichimoku', 'atr']), { names: ['ichimoku', 'atr'] });
+  assert.equal(parseIndicatorRequest(true).names.length, 9);
+  assert.match(parseIndicatorRequest(['rsi2']).error, /Unknown indicators: rsi2/);
+  assert.ok(parseIndicatorRequest(42).error);
+});
+
+// 'number' / 'boolean' required, 'number?' nullable, arrays are enums
+function matchesSchema(value, schema) {
+  if (Array.isArray(schema)) return schema.includes(value);
+  if (schema === 'number') return Number.isFinite(value);
+  if (schema === 'number?') return value === null || Number.isFinite(value);
+  if (schema === 'boolean') return typeof value === 'boolean';
+  return false;
+}
+
+test('every registered indicator returns its declared output schema', () => {
+  for (const { name, output, warmup } of listIndicators()) {
+    const value = computeIndicator(name, candles);
+    if (typeof output === 'string') {
+      assert.ok(matchesSchema(value, output), `${name}: ${value}`);
+    } else {
+      assert.deepEqual(Object.keys(value).sort(), Object.keys(output).sort(), name);
+      for (const [field, schema] of Object.entries(output)) {
+        assert.ok(matchesSchema(value[field], schema), `${name}.${field}: ${value[field]}`);
+      }
+    }
+    // The declared warm-up is enough: the raw calculation already has a value there
+    const { compute, params } = getIndicator(name);
+    assert.notEqual(compute(candles.slice(0, warmup), params) ?? null, null, `${name} at warm-up`);
+  }
+});
+
+test('registry params override the defaults and shift the warm-up', () => {
+  assert.equal(indicatorWarmup('rsi'), 15);
+  assert.equal(indicatorWarmup('rsi', { period: 9 }), 10);
+  assert.equal(indicatorWarmup('adx', { period: 'x' }), 29);
+  // The registry reports RSI to one decimal, as the scans always have
+  const rsi9 = Math.round(calculateRSI(candles, 9) * 10) / 10;
+  assert.equal(computeIndicator('rsi', candles, { period: 9 }), rsi9);
+  assert.deepEqual(
+    computeIndicators(candles, { rsi: { period: 9 }, unknown: {} }),
+    { rsi: rsi9, unknown: null }
+  );
+});